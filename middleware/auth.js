@@ -1,13 +1,56 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Don't write lastSeenAt on every request
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Generate JWT access token for a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
   });
 };
 
+// Resolve a JWT to an active user and session (shared by verifyToken, optionalAuth and the realtime gateway)
+const authenticateToken = async (token, { ipAddress } = {}) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed can't be revoked, so they are no longer accepted
+  if (!decoded.sid) {
+    throw Object.assign(new Error('Session expired, please sign in again'), { status: 401 });
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    Session.findOne({ _id: decoded.sid, user: decoded.userId }).select('revokedAt expiresAt lastSeenAt')
+  ]);
+  if (!user) {
+    throw Object.assign(new Error('Token is not valid'), { status: 401 });
+  }
+
+  if (!session || !session.isActive) {
+    throw Object.assign(new Error('Session expired, please sign in again'), { status: 401 });
+  }
+
+  if (!user.isActive) {
+    throw Object.assign(new Error('Account is deactivated'), { status: 401 });
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), lastIpAddress: ipAddress } })
+      .catch(error => console.error('Session touch error:', error.message));
+  }
+
+  return {
+    user,
+    sessionId: session._id.toString(),
+    tokenExpiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null
+  };
+};
+
 // Verify JWT token
 const verifyToken = async (req, res, next) => {
   try {
@@ -18,21 +61,18 @@ const verifyToken = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated' });
-    }
 
+    const { user, sessionId } = await authenticateToken(token, { ipAddress: req.ip });
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired', error: 'TOKEN_EXPIRED' });
+    }
     console.error('Auth middleware error:', error);
     return res.status(401).json({ message: 'Token is not valid' });
   }
@@ -65,13 +105,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const user = await User.findById(decoded.userId).select('-password');
-    if (user && user.isActive) {
-      req.user = user;
-    }
-    
+    const { user, sessionId } = await authenticateToken(token, { ipAddress: req.ip });
+    req.user = user;
+    req.sessionId = sessionId;
+
     next();
   } catch (error) {
     next(); // Continue without user if token is invalid
@@ -96,6 +133,7 @@ const checkOwnership = (resourceField = 'user') => {
 
 module.exports = {
   generateToken,
+  authenticateToken,
   verifyToken,
   authorize,
   optionalAuth,
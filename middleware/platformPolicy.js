@@ -0,0 +1,187 @@
+const Property = require('../models/Property');
+const Application = require('../models/Application');
+const PlatformSettings = require('../models/PlatformSettings');
+const { authenticateToken } = require('./auth');
+
+// Stable error codes returned in the `error` field so the frontend can map them to messages
+const POLICY_ERRORS = {
+  MAINTENANCE_MODE: 'MAINTENANCE_MODE',
+  KYC_REQUIRED: 'KYC_REQUIRED',
+  PROPERTY_LIMIT_REACHED: 'PROPERTY_LIMIT_REACHED',
+  APPLICATION_LIMIT_REACHED: 'APPLICATION_LIMIT_REACHED'
+};
+
+// Paths that stay reachable while maintenance mode is on.
+// Admin login is checked again in the login route (non-admins are rejected there).
+const MAINTENANCE_ALLOWED_PATHS = [
+  '/api/health',
+  '/api/payments/webhook',
+  '/api/stripe/webhook',
+  '/api/screening/webhook',
+  '/api/auth/login',
+  '/api/auth/2fa/login',
+  '/api/auth/2fa/email-code',
+  // Provider sign-in (start below); non-admins are refused in the callback
+  '/api/auth/oauth/callback',
+  // Refreshing only renews the session; everything else still hits the gate
+  '/api/auth/refresh'
+];
+const MAINTENANCE_ALLOWED_PATTERNS = [
+  /^\/api\/auth\/oauth\/[^/?]+\/start(\?|$)/
+];
+
+// Applications that still count toward maxApplicationsPerClient
+const OPEN_APPLICATION_STATUSES = ['pending', 'under_review', 'approved'];
+
+// Settings are read on every request by the maintenance gate, so keep a short-lived copy
+const SETTINGS_CACHE_TTL_MS = 30 * 1000;
+let cachedSettings = null;
+let cachedAt = 0;
+
+const getPolicySettings = async () => {
+  if (cachedSettings && Date.now() - cachedAt < SETTINGS_CACHE_TTL_MS) {
+    return cachedSettings;
+  }
+  cachedSettings = await PlatformSettings.getCurrent();
+  cachedAt = Date.now();
+  return cachedSettings;
+};
+
+// Call after platform settings are updated so changes apply immediately on this instance
+const clearPolicySettingsCache = () => {
+  cachedSettings = null;
+  cachedAt = 0;
+};
+
+const maintenanceResponse = (res) => {
+  return res.status(503).json({
+    message: 'The platform is currently undergoing maintenance. Please try again later.',
+    error: POLICY_ERRORS.MAINTENANCE_MODE
+  });
+};
+
+// Resolve whether the bearer token (if any) belongs to an active admin
+const isAdminRequest = async (req) => {
+  const authHeader = req.header('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return false;
+
+  try {
+    const { user } = await authenticateToken(authHeader.substring(7));
+    return user.role === 'admin';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Return 503 for non-admin traffic while maintenance mode is enabled
+const maintenanceGate = async (req, res, next) => {
+  if (req.method === 'OPTIONS') return next();
+
+  const url = req.originalUrl || '';
+  if (MAINTENANCE_ALLOWED_PATHS.some(path => url.startsWith(path)) ||
+    MAINTENANCE_ALLOWED_PATTERNS.some(pattern => pattern.test(url))) {
+    return next();
+  }
+
+  let settings;
+  try {
+    settings = await getPolicySettings();
+  } catch (error) {
+    // Fail open: an unreachable settings store must not take the whole API down
+    console.error('Maintenance gate settings error:', error);
+    return next();
+  }
+
+  if (!settings?.maintenanceMode) return next();
+
+  if (await isAdminRequest(req)) return next();
+
+  return maintenanceResponse(res);
+};
+
+// Block the action until the user's KYC is verified (when PlatformSettings.requireKyc is on)
+// Must run after verifyToken
+const requireKycVerified = async (req, res, next) => {
+  try {
+    const settings = await getPolicySettings();
+    if (!settings.requireKyc || req.user.role === 'admin') return next();
+
+    if (req.user.kyc?.status !== 'verified') {
+      return res.status(403).json({
+        message: 'You must complete KYC verification before you can do this.',
+        error: POLICY_ERRORS.KYC_REQUIRED,
+        kycStatus: req.user.kyc?.status || null
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('KYC policy error:', error);
+    res.status(500).json({ message: 'Server error while checking platform policy' });
+  }
+};
+
+// Enforce PlatformSettings.maxPropertiesPerLandlord on property creation
+// Must run after verifyToken
+const enforcePropertyLimit = async (req, res, next) => {
+  try {
+    const settings = await getPolicySettings();
+    const limit = settings.maxPropertiesPerLandlord;
+    if (!limit || limit <= 0) return next();
+
+    const count = await Property.countDocuments({ landlord: req.user._id });
+    if (count >= limit) {
+      return res.status(403).json({
+        message: `You have reached the maximum of ${limit} properties per landlord.`,
+        error: POLICY_ERRORS.PROPERTY_LIMIT_REACHED,
+        limit,
+        current: count
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Property limit policy error:', error);
+    res.status(500).json({ message: 'Server error while checking platform policy' });
+  }
+};
+
+// Enforce PlatformSettings.maxApplicationsPerClient on application creation
+// Only open applications count; withdrawn and rejected ones free up a slot
+// Must run after verifyToken
+const enforceApplicationLimit = async (req, res, next) => {
+  try {
+    const settings = await getPolicySettings();
+    const limit = settings.maxApplicationsPerClient;
+    if (!limit || limit <= 0) return next();
+
+    const count = await Application.countDocuments({
+      client: req.user._id,
+      status: { $in: OPEN_APPLICATION_STATUSES }
+    });
+    if (count >= limit) {
+      return res.status(403).json({
+        message: `You have reached the maximum of ${limit} open applications. Withdraw an application to apply for another property.`,
+        error: POLICY_ERRORS.APPLICATION_LIMIT_REACHED,
+        limit,
+        current: count
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Application limit policy error:', error);
+    res.status(500).json({ message: 'Server error while checking platform policy' });
+  }
+};
+
+module.exports = {
+  POLICY_ERRORS,
+  getPolicySettings,
+  clearPolicySettingsCache,
+  maintenanceResponse,
+  maintenanceGate,
+  requireKycVerified,
+  enforcePropertyLimit,
+  enforceApplicationLimit
+};
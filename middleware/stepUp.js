@@ -0,0 +1,78 @@
+const Session = require('../models/Session');
+const { getPolicySettings } = require('./platformPolicy');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+
+// A step-up (POST /api/auth/2fa/step-up) covers sensitive actions on that session for this long
+const STEP_UP_WINDOW_MS = 5 * 60 * 1000;
+
+const STEP_UP_ERRORS = {
+  STEP_UP_REQUIRED: 'STEP_UP_REQUIRED',
+  TWO_FACTOR_SETUP_REQUIRED: 'TWO_FACTOR_SETUP_REQUIRED',
+  STEP_UP_ATTEMPTS_EXCEEDED: 'STEP_UP_ATTEMPTS_EXCEEDED'
+};
+
+// Count a wrong code against the session; the session is revoked after too many
+const rejectStepUpCode = async (req, res) => {
+  const { revoked } = await sessionService.recordStepUpFailure(req.sessionId, req.user._id);
+  if (revoked) {
+    return res.status(401).json({
+      message: 'Too many invalid verification codes, please sign in again',
+      error: STEP_UP_ERRORS.STEP_UP_ATTEMPTS_EXCEEDED
+    });
+  }
+  return null;
+};
+
+// Ask for a fresh second factor before a sensitive action (payouts, escrow release, commission
+// rate, payment account changes). Passes when the session stepped up recently or the request
+// carries a valid code in X-Two-Factor-Code. Users without 2FA pass unless their role requires
+// it (PlatformSettings.twoFactorRequiredRoles), in which case they must set it up first.
+// Wrong codes count towards the session's step-up failure limit (services/sessionService.js).
+// Must run after verifyToken
+// @param {Object} [options]
+// @param {Function} [options.when] - (req) => boolean; only challenge when it returns true
+const requireStepUp = ({ when } = {}) => async (req, res, next) => {
+  try {
+    if (when && !when(req)) return next();
+
+    if (!req.user.twoFactor?.enabled) {
+      const settings = await getPolicySettings();
+      if (!twoFactorService.isRequiredForUser(req.user, settings)) return next();
+      return res.status(403).json({
+        message: 'Set up two-factor authentication before doing this.',
+        error: STEP_UP_ERRORS.TWO_FACTOR_SETUP_REQUIRED
+      });
+    }
+
+    const session = await Session.findById(req.sessionId).select('stepUpAt');
+    if (session?.stepUpAt && Date.now() - session.stepUpAt.getTime() < STEP_UP_WINDOW_MS) {
+      return next();
+    }
+
+    const code = req.header('X-Two-Factor-Code');
+    if (code) {
+      const method = await twoFactorService.verifySecondFactor(req.user._id, { code });
+      if (method) {
+        await sessionService.recordStepUp(req.sessionId);
+        return next();
+      }
+      if (await rejectStepUpCode(req, res)) return;
+    }
+
+    res.status(403).json({
+      message: code ? 'Invalid verification code' : 'Confirm this action with your two-factor code.',
+      error: STEP_UP_ERRORS.STEP_UP_REQUIRED
+    });
+  } catch (error) {
+    console.error('Step-up check error:', error);
+    res.status(500).json({ message: 'Server error while checking two-factor authentication' });
+  }
+};
+
+module.exports = {
+  STEP_UP_WINDOW_MS,
+  STEP_UP_ERRORS,
+  rejectStepUpCode,
+  requireStepUp
+};
@@ -132,15 +132,38 @@ const applicationSchema = new mongoose.Schema({
     paidAt: Date
   },
   
-  // Background Check
+  // Background Check (see services/screeningService.js)
   backgroundCheck: {
     status: {
       type: String,
-      enum: ['pending', 'in_progress', 'completed', 'failed'],
+      enum: ['pending', 'awaiting_consent', 'in_progress', 'completed', 'failed'],
       default: 'pending'
     },
     reportUrl: String,
-    completedAt: Date
+    completedAt: Date,
+    provider: String,
+    externalId: String,
+    requestedAt: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    consentRequestedAt: Date,
+    // Tenant's consent to be screened; also written to the audit log
+    consent: {
+      givenAt: Date,
+      ipAddress: String,
+      userAgent: String,
+      statementVersion: String
+    },
+    result: {
+      identityVerified: Boolean,
+      creditScore: Number,
+      criminalRecordsFound: Boolean,
+      evictionsFound: Boolean,
+      summary: String
+    },
+    failureReason: String
   },
   
   // Final Decision
@@ -156,7 +179,15 @@ const applicationSchema = new mongoose.Schema({
     leaseEndDate: Date,
     monthlyRent: Number,
     securityDeposit: Number
-  }
+  },
+
+  // Set on approval since e-signed leases were introduced. Tenancies approved before that
+  // have no lease and aren't shown as waiting for one.
+  leaseRequired: Boolean,
+
+  // Set once the rent-invoices job has looked for a legacy rent payment to build a schedule
+  // from; later rent payments create the schedule through the Stripe webhook instead
+  rentScheduleCheckedAt: Date
 }, {
   timestamps: true
 });
@@ -166,6 +197,7 @@ applicationSchema.index({ property: 1 });
 applicationSchema.index({ client: 1 });
 applicationSchema.index({ landlord: 1 });
 applicationSchema.index({ status: 1 });
+applicationSchema.index({ 'backgroundCheck.externalId': 1 }, { sparse: true });
 applicationSchema.index({ applicationDate: -1 });
 applicationSchema.index({ client: 1, property: 1 }, { unique: true });
 
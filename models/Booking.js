@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Shortlet (short-term) stay. Nights are [checkIn, checkOut): the checkout day is not a booked night.
+// Night-level locking lives in BookingNight so overlapping bookings are rejected by a unique index.
+const bookingSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stored as UTC midnight of the calendar day
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: Date,
+    required: true
+  },
+  nights: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  guests: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  // Pricing snapshot at booking time
+  nightlyRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending_payment', 'confirmed', 'cancelled', 'expired', 'completed'],
+    default: 'pending_payment'
+  },
+  // Nights are held for the guest until this time while payment is pending
+  holdExpiresAt: Date,
+
+  // Payment
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  stripeSessionId: String,
+  confirmedAt: Date,
+
+  // Cancellation
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+
+  notes: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+bookingSchema.index({ property: 1, checkIn: 1 });
+bookingSchema.index({ guest: 1, createdAt: -1 });
+bookingSchema.index({ landlord: 1, createdAt: -1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ stripeSessionId: 1 });
+
+// Statuses that occupy nights on the calendar
+bookingSchema.statics.ACTIVE_STATUSES = ['pending_payment', 'confirmed'];
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One document per occupied night of a Booking.
+// The unique { property, night } index is what makes double-booking impossible:
+// concurrent reservations for the same night fail with a duplicate key error.
+const bookingNightSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // Calendar day as YYYY-MM-DD (UTC)
+  night: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+bookingNightSchema.index({ property: 1, night: 1 }, { unique: true });
+bookingNightSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('BookingNight', bookingNightSchema);
@@ -1,9 +1,12 @@
 const mongoose = require('mongoose');
+const { CaseUpdateSchema, EvidenceSchema } = require('./schemas/caseSchemas');
 
 /**
  * Dispute
  * A dispute between two users (often tied to a property/application/payment).
  * Admin can move status and add resolution/admin notes.
+ * Both parties and admins post to the case timeline. A dispute linked to an escrow
+ * payment holds that payment's release until the dispute is resolved or closed.
  */
 const DisputeSchema = new mongoose.Schema(
   {
@@ -19,10 +22,14 @@ const DisputeSchema = new mongoose.Schema(
     title: { type: String, required: true, maxlength: 200 },
     description: { type: String, required: true, maxlength: 6000 },
     evidence: { type: String }, // URL (optional)
+    evidenceFiles: [EvidenceSchema],
 
     // Optional references (string so we don't tightly couple schemas here)
     propertyId: { type: String, index: true },
     applicationId: { type: String, index: true },
+    // Typed reference: escrow release looks up open disputes by payment
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', index: true },
+    escrowFrozen: { type: Boolean, default: false }, // This dispute paused the payment's escrow release
 
     status: {
       type: String,
@@ -31,12 +38,15 @@ const DisputeSchema = new mongoose.Schema(
       index: true
     },
     resolution: { type: String, maxlength: 6000 },
-    adminNotes: { type: String, maxlength: 6000 }
+    adminNotes: { type: String, maxlength: 6000 },
+    updates: [CaseUpdateSchema]
   },
   { timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' } }
 );
 
 DisputeSchema.index({ createdAt: -1 });
 
+DisputeSchema.statics.OPEN_STATUSES = ['open', 'under_review'];
+
 module.exports = mongoose.model('Dispute', DisputeSchema);
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const SENT_RETENTION_DAYS = 30;
+
+/**
+ * EmailMessage
+ * Outbound email queue entry. Every email the platform sends is stored here first and
+ * delivered by services/emailService.js, which retries failures with backoff.
+ */
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  from: String,
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  // Small text attachments such as calendar invites
+  attachments: [{
+    _id: false,
+    filename: String,
+    content: String,
+    contentType: String
+  }],
+  // What kind of email this is (template/notification type), for filtering and rate limits
+  category: {
+    type: String,
+    default: 'general'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // One-time codes and similar: the body is removed once delivered and never shown to admins
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'rate_limited', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  lastError: String,
+  transport: String,
+  providerMessageId: String,
+  sentAt: Date,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ category: 1, createdAt: -1 });
+// Delivered mail is only kept for a while; failures stay until someone looks at them
+emailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
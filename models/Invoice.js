@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  rentSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RentSchedule'
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Rent period covered (end inclusive, matching Payment.rentPeriodEnd)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['due', 'paid', 'overdue', 'void'],
+    default: 'due'
+  },
+  paidAt: Date,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  overdueNotifiedAt: Date,
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+// One invoice per tenancy period; makes invoice generation idempotent
+invoiceSchema.index({ application: 1, periodStart: 1 }, { unique: true });
+invoiceSchema.index({ landlord: 1, status: 1, dueDate: 1 });
+invoiceSchema.index({ tenant: 1, status: 1, dueDate: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Statuses that still expect payment
+invoiceSchema.statics.OPEN_STATUSES = ['due', 'overdue'];
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
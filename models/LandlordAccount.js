@@ -25,11 +25,11 @@ const landlordAccountSchema = new mongoose.Schema({
     min: 0
   },
   
-  // Balance tracking
+  // Balance tracking (cached from LedgerEntry; see services/ledgerService)
+  // availableBalance goes negative if a refund is reversed after the landlord was paid out
   availableBalance: {
     type: Number,
-    default: 0,
-    min: 0
+    default: 0
   },
   pendingBalance: {
     type: Number,
@@ -73,20 +73,5 @@ landlordAccountSchema.virtual('isConsistent').get(function() {
   return Math.abs(this.totalNetEarnings - calculatedNet) < 0.01; // Allow small floating point differences
 });
 
-// Method to update balances
-landlordAccountSchema.methods.updateBalance = function(grossAmount, commissionAmount, netAmount, type = 'available') {
-  this.totalGrossEarnings += grossAmount;
-  this.totalCommissionPaid += commissionAmount;
-  this.totalNetEarnings += netAmount;
-  
-  if (type === 'available') {
-    this.availableBalance += netAmount;
-  } else if (type === 'pending') {
-    this.pendingBalance += netAmount;
-  }
-  
-  return this.save();
-};
-
 module.exports = mongoose.model('LandlordAccount', landlordAccountSchema);
 
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const signatureSchema = new mongoose.Schema({
+  party: {
+    type: String,
+    enum: ['landlord', 'tenant'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Typed full name, as entered by the signer
+  signatureName: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  signedAt: {
+    type: Date,
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String,
+  // Hash of this signature chained to the previous one (or the content hash for the first)
+  hash: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * Lease
+ * A lease generated for an approved application. The rendered text and terms are frozen
+ * at generation time and hashed; each typed signature extends a hash chain over that
+ * content, so any later edit to the text, terms or signatures is detectable.
+ */
+const leaseSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaseTemplate'
+  },
+  terms: {
+    leaseStartDate: { type: Date, required: true },
+    leaseEndDate: { type: Date, required: true },
+    monthlyRent: { type: Number, required: true, min: 0 },
+    securityDeposit: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: 'NGN' }
+  },
+  // Rendered lease text (template with placeholders filled in)
+  content: {
+    type: String,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_signatures', 'partially_signed', 'executed', 'voided'],
+    default: 'pending_signatures'
+  },
+  // Only one lease per application is current; regenerating voids the previous one
+  current: {
+    type: Boolean,
+    default: true
+  },
+  signatures: [signatureSchema],
+  executedAt: Date,
+  // Final link of the signature chain once both parties have signed
+  finalHash: String,
+  // Signed PDF, stored with the property's documents
+  signedDocument: {
+    url: String,
+    sha256: String,
+    uploadedAt: Date
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String,
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leaseSchema.index({ application: 1 }, { unique: true, partialFilterExpression: { current: true } });
+leaseSchema.index({ landlord: 1, createdAt: -1 });
+leaseSchema.index({ tenant: 1, createdAt: -1 });
+
+leaseSchema.methods.hasSigned = function(party) {
+  return this.signatures.some(signature => signature.party === party);
+};
+
+module.exports = mongoose.model('Lease', leaseSchema);
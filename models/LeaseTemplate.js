@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * LeaseTemplate
+ * Landlord-owned lease wording with {{placeholders}} (see leaseService.PLACEHOLDERS)
+ * filled in from the application, property and parties when a lease is generated.
+ */
+const leaseTemplateSchema = new mongoose.Schema({
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 50000
+  },
+  // Used when the landlord generates a lease without picking a template
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+leaseTemplateSchema.index({ landlord: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LeaseTemplate', leaseTemplateSchema);
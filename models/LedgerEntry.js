@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+/**
+ * Double-entry ledger
+ *
+ * Each LedgerEntry is one balanced journal entry: its lines' debits equal its credits.
+ * Entries are append-only; corrections are posted as new 'adjustment' entries.
+ * Landlord-owned accounts (landlord_available, landlord_pending, payouts) carry the
+ * landlord on each line, and LandlordAccount balances are reconciled against them.
+ */
+
+const ACCOUNTS = [
+  'escrow', // Tenant money held by the platform until release
+  'landlord_available', // Owed to the landlord, withdrawable
+  'landlord_pending', // Owed to the landlord, not yet withdrawable
+  'platform_commission', // Commission earned by the platform
+  'platform_interest', // Escrow interest deducted from landlords
+  'payouts', // Money sent out to landlords
+  'refunds', // Money returned to tenants
+  'stripe_clearing', // Money received through Stripe
+  'adjustments', // Manual corrections
+  'maintenance_payables', // Maintenance costs deducted from landlords, owed to their vendors
+  'opening_balance' // Balances carried over from before the ledger existed
+];
+
+const ENTRY_TYPES = [
+  'escrow_funded',
+  'escrow_release',
+  'refund',
+  'payout',
+  'adjustment',
+  'maintenance_deduction',
+  'maintenance_charge',
+  'opening_balance'
+];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Idempotency key, e.g. "escrow_release:<paymentId>"; a retry posts nothing new
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  payoutRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutRequest'
+  },
+  description: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+ledgerEntrySchema.index({ 'lines.landlord': 1, 'lines.account': 1 });
+ledgerEntrySchema.index({ payment: 1 });
+ledgerEntrySchema.index({ payoutRequest: 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 });
+
+// Every line is one-sided and the entry balances (to the cent)
+ledgerEntrySchema.pre('validate', function(next) {
+  let debits = 0;
+  let credits = 0;
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Ledger line for ${line.account} must have either a debit or a credit`));
+    }
+    debits += line.debit;
+    credits += line.credit;
+  }
+  if (Math.round(debits * 100) !== Math.round(credits * 100)) {
+    return next(new Error(`Unbalanced ledger entry: debits ${debits} != credits ${credits}`));
+  }
+  next();
+});
+
+// Append-only
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Ledger entries are append-only'));
+  }
+);
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+ledgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const CATEGORIES = ['plumbing', 'electrical', 'hvac', 'appliance', 'structural', 'pest_control', 'cleaning', 'other'];
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
 const maintenanceRequestSchema = new mongoose.Schema({
   property: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,7 +32,7 @@ const maintenanceRequestSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['plumbing', 'electrical', 'hvac', 'appliance', 'structural', 'pest_control', 'cleaning', 'other'],
+    enum: CATEGORIES,
     required: true
   },
   priority: {
@@ -59,11 +62,16 @@ const maintenanceRequestSchema = new mongoose.Schema({
   scheduledDate: Date,
   completedDate: Date,
   
-  // Assignment
+  // Assignment. With work orders (services/workOrderService.js) the approved vendor is set
+  // here and assignedTo mirrors their name.
   assignedTo: {
     type: String,
     trim: true
   },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
   
   // Notes and Communication
   notes: {
@@ -108,7 +116,37 @@ const maintenanceRequestSchema = new mongoose.Schema({
     default: false
   },
   followUpDate: Date,
-  followUpNotes: String
+  followUpNotes: String,
+
+  // SLA (services/maintenanceSlaService.js). Deadlines come from PlatformSettings.maintenanceSla
+  // for the request's priority; the landlord acknowledges by acting on the request.
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sla: {
+    acknowledgeBy: Date,
+    resolveBy: Date,
+    acknowledgeBreachedAt: Date,
+    resolveBreachedAt: Date,
+    acknowledgeEscalatedAt: Date,
+    resolveEscalatedAt: Date
+  },
+  slaBreaches: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['acknowledge', 'resolve']
+    },
+    // Who was alerted: the landlord first, admins if it stays unhandled
+    escalatedTo: {
+      type: String,
+      enum: ['landlord', 'admin']
+    },
+    dueAt: Date,
+    recordedAt: Date
+  }]
 }, {
   timestamps: true
 });
@@ -122,6 +160,8 @@ maintenanceRequestSchema.index({ priority: 1 });
 maintenanceRequestSchema.index({ category: 1 });
 maintenanceRequestSchema.index({ createdAt: -1 });
 maintenanceRequestSchema.index({ scheduledDate: 1 });
+maintenanceRequestSchema.index({ status: 1, 'sla.acknowledgeBy': 1 });
+maintenanceRequestSchema.index({ status: 1, 'sla.resolveBy': 1 });
 
 // Virtual for days since request
 maintenanceRequestSchema.virtual('daysSinceRequest').get(function() {
@@ -147,6 +187,9 @@ maintenanceRequestSchema.virtual('urgencyScore').get(function() {
   return score;
 });
 
+maintenanceRequestSchema.statics.CATEGORIES = CATEGORIES;
+maintenanceRequestSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
 // Static method to get maintenance statistics
 maintenanceRequestSchema.statics.getMaintenanceStats = function(landlordId, startDate, endDate) {
   const match = { landlord: landlordId };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const realtime = require('../services/realtimeService');
 
 const messageSchema = new mongoose.Schema({
   application: {
@@ -112,6 +113,51 @@ messageSchema.virtual('receiverName').get(function() {
   return this.populate('receiver', 'firstName lastName');
 });
 
+// Push new messages and read receipts to connected clients (services/realtimeGateway.js)
+messageSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.$locals.realtimeEvent = 'message:new';
+  } else if (this.isModified('isRead') && this.isRead) {
+    this.$locals.realtimeEvent = 'message:read';
+  }
+  next();
+});
+
+messageSchema.post('save', function(doc) {
+  const event = doc.$locals.realtimeEvent;
+  delete doc.$locals.realtimeEvent;
+  if (!event || ['hidden', 'deleted'].includes(doc.moderationAction)) return;
+
+  const applicationId = (doc.application?._id || doc.application).toString();
+  const senderId = (doc.sender?._id || doc.sender).toString();
+  const receiverId = (doc.receiver?._id || doc.receiver).toString();
+
+  if (event === 'message:read') {
+    realtime.publish({
+      targets: [realtime.userTarget(senderId), realtime.conversationTarget(applicationId)],
+      event,
+      data: { applicationId, messageIds: [doc._id.toString()], readBy: receiverId, readAt: doc.readAt }
+    });
+    return;
+  }
+
+  // Same shape the REST API returns after sending
+  doc.constructor.populate(doc.toObject(), [
+    { path: 'sender', select: 'firstName lastName avatar' },
+    { path: 'receiver', select: 'firstName lastName avatar' }
+  ])
+    .then(message => realtime.publish({
+      targets: [
+        realtime.userTarget(senderId),
+        realtime.userTarget(receiverId),
+        realtime.conversationTarget(applicationId)
+      ],
+      event,
+      data: message
+    }))
+    .catch(error => console.error('Realtime message publish error:', error.message));
+});
+
 // Mark as read
 messageSchema.methods.markAsRead = function() {
   this.isRead = true;
@@ -143,18 +189,31 @@ messageSchema.statics.getConversation = function(applicationId, page = 1, limit
 };
 
 // Static method to mark all messages as read
-messageSchema.statics.markAllAsRead = function(applicationId, userId) {
-  return this.updateMany(
-    { 
-      application: applicationId,
-      receiver: userId,
-      isRead: false
-    },
-    { 
-      isRead: true,
-      readAt: new Date()
-    }
-  );
+messageSchema.statics.markAllAsRead = async function(applicationId, userId) {
+  const filter = {
+    application: applicationId,
+    receiver: userId,
+    isRead: false
+  };
+  const readAt = new Date();
+  const senderIds = await this.distinct('sender', filter);
+
+  const result = await this.updateMany(filter, {
+    isRead: true,
+    readAt
+  });
+
+  if (result.modifiedCount > 0) {
+    realtime.publish({
+      targets: [
+        ...senderIds.map(id => realtime.userTarget(id)),
+        realtime.conversationTarget(applicationId)
+      ],
+      event: 'message:read',
+      data: { applicationId: applicationId.toString(), all: true, readBy: userId.toString(), readAt }
+    });
+  }
+  return result;
 };
 
 // Static method to get unread count
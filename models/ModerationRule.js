@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+const MAX_PATTERN_LENGTH = 500;
+
+/**
+ * ModerationRule
+ * One rule of the server-side moderation pipeline (services/moderationService.js).
+ * Rules are either a regex (pattern + flags) or, for keyword rules, a blocklist of words
+ * and phrases matched on word boundaries. Built-in rules are seeded on first use; admins
+ * can tune or disable them but not delete them.
+ */
+const moderationRuleSchema = new mongoose.Schema({
+  // Stable identifier for built-in rules so seeding never duplicates them
+  key: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  category: {
+    type: String,
+    enum: ['phone', 'email', 'bank_account', 'off_platform_payment', 'contact_app', 'keyword', 'custom'],
+    required: true
+  },
+  pattern: {
+    type: String,
+    maxlength: MAX_PATTERN_LENGTH,
+    validate: {
+      validator(value) {
+        if (!value) return true;
+        try {
+          new RegExp(value, this.flags || 'i');
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Pattern is not a valid regular expression'
+    }
+  },
+  flags: {
+    type: String,
+    default: 'i',
+    match: [/^[imsu]*$/, 'Only the i, m, s and u flags are allowed']
+  },
+  keywords: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 100
+  }],
+  action: {
+    type: String,
+    enum: ['block', 'flag', 'warn'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    required: true
+  },
+  // Shown to the sender and stored on the violation
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  appliesTo: {
+    type: [{ type: String, enum: ['message', 'review'] }],
+    default: ['message', 'review']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+moderationRuleSchema.pre('validate', function(next) {
+  if (this.category === 'keyword') {
+    this.keywords = [...new Set((this.keywords || []).filter(Boolean))];
+  } else if (!this.pattern) {
+    this.invalidate('pattern', 'Pattern is required for non-keyword rules');
+  }
+  next();
+});
+
+const DEFAULT_RULES = [
+  {
+    key: 'phone_number',
+    name: 'Phone numbers',
+    category: 'phone',
+    // 10-15 digits, optionally separated by spaces, dots, dashes or brackets. The match has to
+    // start a digit run (not continue one after a separator) and can't open with a date shape
+    // like 2026-01-15 or 12.05.2026, so dates and times next to each other don't read as a number
+    pattern: '(?<![\\d+][\\s().-]{0,2})(?!\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4}(?!\\d))\\+?\\d(?:[\\s().-]{0,2}\\d){9,14}(?!\\d)',
+    action: 'block',
+    severity: 'high',
+    reason: 'Sharing phone numbers is not allowed. Please keep communication on the platform.'
+  },
+  {
+    key: 'email_address',
+    name: 'Email addresses',
+    category: 'email',
+    pattern: '[a-z0-9._%+-]+\\s*(?:@|\\[at\\]|\\(at\\))\\s*[a-z0-9-]+(?:\\s*(?:\\.|\\[dot\\]|\\(dot\\)|\\s+dot\\s+)\\s*[a-z0-9-]+)*\\s*(?:\\.|\\[dot\\]|\\(dot\\)|\\s+dot\\s+)\\s*(?:com|net|org|io|co|uk|ng|me|info)\\b',
+    action: 'block',
+    severity: 'high',
+    reason: 'Sharing email addresses is not allowed. Please keep communication on the platform.'
+  },
+  {
+    key: 'bank_account',
+    name: 'Bank account details',
+    category: 'bank_account',
+    pattern: '\\b[A-Z]{2}\\d{2}(?:\\s?[A-Z0-9]{4}){3,7}(?:\\s?[A-Z0-9]{1,3})?\\b|\\b(?:account|acct|a/c|routing|sort\\s*code|iban)\\s*(?:no\\.?|number|num|#)?\\s*(?:is\\s*)?[:#-]?\\s*\\d[\\d -]{4,}\\d',
+    action: 'block',
+    severity: 'high',
+    reason: 'Sharing bank account details is not allowed. All payments must go through the platform.'
+  },
+  {
+    key: 'off_platform_payment',
+    name: 'Off-platform payment requests',
+    category: 'off_platform_payment',
+    pattern: '\\b(?:pay|paying|payment|send|transfer|wire|deposit)\\b[^.!?\\n]{0,40}\\b(?:venmo|zelle|cash\\s?app|paypal|western\\s?union|moneygram|bitcoin|btc|crypto|usdt|gift\\s?cards?|bank\\s?transfer|wire\\s?transfer|directly\\s+to\\s+me|outside\\s+(?:the\\s+)?(?:app|platform|site|website))\\b',
+    action: 'block',
+    severity: 'high',
+    reason: 'Requests to pay outside the platform are not allowed. Payments must go through the platform.'
+  },
+  {
+    key: 'payment_app_mention',
+    name: 'Payment app mentions',
+    category: 'off_platform_payment',
+    pattern: '\\b(?:venmo|zelle|cash\\s?app|western\\s?union|moneygram|gift\\s?cards?)\\b',
+    action: 'flag',
+    severity: 'medium',
+    reason: 'Mentions of off-platform payment services are reviewed by our team.'
+  },
+  {
+    key: 'contact_app',
+    name: 'Off-platform contact apps',
+    category: 'contact_app',
+    pattern: '\\b(?:whats\\s?app|telegram|signal\\s+me|wechat|viber|text\\s+me|call\\s+me|dm\\s+me)\\b',
+    action: 'warn',
+    severity: 'low',
+    reason: 'For your safety, keep conversations on the platform.'
+  },
+  {
+    key: 'keyword_blocklist',
+    name: 'Keyword blocklist',
+    category: 'keyword',
+    keywords: [],
+    action: 'flag',
+    severity: 'medium',
+    reason: 'This content contains words that are reviewed by our team.'
+  }
+];
+
+// Earlier built-in patterns, replaced on seeded rules that still carry them unedited
+const SUPERSEDED_PATTERNS = {
+  phone_number: ['(?<!\\d)(?:\\+?\\d[\\s().-]{0,2}){9,14}\\d(?!\\d)']
+};
+
+/**
+ * Insert any built-in rules that don't exist yet (existing ones keep admin edits)
+ */
+moderationRuleSchema.statics.ensureDefaults = async function() {
+  const upgrades = DEFAULT_RULES
+    .filter(rule => SUPERSEDED_PATTERNS[rule.key])
+    .map(rule => ({
+      updateOne: {
+        filter: { key: rule.key, builtIn: true, pattern: { $in: SUPERSEDED_PATTERNS[rule.key] } },
+        update: { $set: { pattern: rule.pattern } }
+      }
+    }));
+
+  await this.bulkWrite([
+    ...upgrades,
+    ...DEFAULT_RULES.map(rule => ({
+      updateOne: {
+        filter: { key: rule.key },
+        update: { $setOnInsert: { flags: 'i', appliesTo: ['message', 'review'], enabled: true, ...rule, builtIn: true } },
+        upsert: true
+      }
+    }))
+  ]);
+};
+
+moderationRuleSchema.statics.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = mongoose.model('ModerationRule', moderationRuleSchema);
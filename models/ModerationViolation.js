@@ -2,13 +2,32 @@ const mongoose = require('mongoose');
 
 /**
  * ModerationViolation
- * Logged whenever the frontend moderation detects blocked/flagged content.
- * This powers the admin "Moderation Violations" screen.
+ * Logged whenever moderation detects blocked/flagged content: by the server-side pipeline
+ * (services/moderationService.js) on every message and review, or self-reported by the
+ * frontend. This powers the admin "Moderation Violations" screen.
  */
 const ModerationViolationSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
-    application: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true, index: true },
+    // Conversation the message belonged to; reviews may not have one
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      required() { return this.source === 'client'; },
+      index: true
+    },
+    source: { type: String, enum: ['client', 'server'], default: 'client', index: true },
+    contentType: { type: String, enum: ['message', 'review'], default: 'message' },
+    // Saved Message/Review; empty when the content was blocked and never saved
+    contentId: { type: mongoose.Schema.Types.ObjectId },
+    // Server-side decision and the rules that produced it
+    action: { type: String, enum: ['block', 'flag', 'warn'] },
+    rules: [{
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'ModerationRule' },
+      name: String,
+      category: String,
+      action: String
+    }],
 
     originalMessage: { type: String, required: true, maxlength: 5000 },
     violationType: {
@@ -25,6 +44,8 @@ const ModerationViolationSchema = new mongoose.Schema(
 
 // Helpful for listing screens
 ModerationViolationSchema.index({ createdAt: -1 });
+// Repeat-offender counts
+ModerationViolationSchema.index({ user: 1, source: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ModerationViolation', ModerationViolationSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const realtime = require('../services/realtimeService');
 
 const notificationSchema = new mongoose.Schema({
   user: {
@@ -16,10 +17,29 @@ const notificationSchema = new mongoose.Schema({
       'payment_failed',
       'maintenance_request',
       'maintenance_completed',
+      'maintenance_sla_breach',
       'viewing_scheduled',
       'viewing_cancelled',
+      'viewing_reminder',
+      'viewing_outcome_required',
+      'viewing_follow_up',
       'message_received',
       'property_verified',
+      'saved_search_match',
+      'booking_confirmed',
+      'booking_cancelled',
+      'rent_invoice_due',
+      'rent_invoice_overdue',
+      'escrow_warning',
+      'escrow_released',
+      'payment_refunded',
+      'payment_disputed',
+      'report_update',
+      'dispute_update',
+      'lease_ready',
+      'lease_signed',
+      'screening_consent_requested',
+      'screening_completed',
       'kyc_approved',
       'kyc_rejected',
       'system_announcement',
@@ -50,7 +70,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     type: {
       type: String,
-      enum: ['property', 'application', 'payment', 'maintenance', 'message', 'user']
+      enum: ['property', 'application', 'payment', 'maintenance', 'message', 'user', 'booking', 'invoice', 'report', 'dispute', 'lease']
     },
     id: {
       type: mongoose.Schema.Types.ObjectId
@@ -96,6 +116,30 @@ notificationSchema.virtual('ageInHours').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60));
 });
 
+// Push new notifications to the user's open sockets (services/realtimeGateway.js)
+const publishNotification = (notification) => {
+  if (!notification.isActive) return;
+  realtime.publish({
+    targets: [realtime.userTarget(notification.user)],
+    event: 'notification:new',
+    data: notification.toObject()
+  });
+};
+
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) publishNotification(doc);
+  delete doc.$locals.wasNew;
+});
+
+notificationSchema.post('insertMany', function(docs) {
+  docs.forEach(publishNotification);
+});
+
 // Method to mark as read
 notificationSchema.methods.markAsRead = function() {
   this.isRead = true;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuthState
+ * One pending provider sign-in or account link, created when the authorization URL is handed
+ * out and consumed (deleted) by the callback. Keeps the PKCE verifier and nonce on the server;
+ * the browser only ever sees the random state value, stored here as a SHA-256 hash.
+ */
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  intent: {
+    type: String,
+    enum: ['login', 'link'],
+    required: true
+  },
+  // Role for a new account, when the user already picked one
+  role: {
+    type: String,
+    enum: ['landlord', 'client']
+  },
+  // Account to link to (intent 'link')
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oauthStateSchema.index({ stateHash: 1 }, { unique: true });
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -4,7 +4,14 @@ const paymentSchema = new mongoose.Schema({
   application: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Application',
-    required: true
+    // Shortlet booking payments have no application
+    required: function() {
+      return !this.booking;
+    }
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
   },
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -27,7 +34,7 @@ const paymentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['application_fee', 'rent', 'deposit', 'maintenance', 'other'],
+    enum: ['application_fee', 'rent', 'booking', 'deposit', 'maintenance', 'other'],
     required: true
   },
 
@@ -54,9 +61,32 @@ const paymentSchema = new mongoose.Schema({
   failureCode: String,
   
   // Refund Information
-  refundAmount: Number,
+  refundAmount: Number, // Total refunded so far (partial refunds accumulate)
   refundReason: String,
   refundedAt: Date,
+  refunds: [{
+    _id: false,
+    amount: Number,
+    reason: String,
+    stripeRefundId: String,
+    source: {
+      type: String,
+      enum: ['admin', 'stripe'] // stripe = issued from the Stripe dashboard (charge.refunded webhook)
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    landlordReversal: Number, // Amount taken back from the landlord's balance
+    createdAt: Date
+  }],
+
+  // Chargeback Information (charge.dispute.created webhook)
+  stripeDisputeId: String,
+  disputeStatus: String,
+  disputeReason: String,
+  disputeAmount: Number,
+  disputedAt: Date,
   
   // Escrow Information
   isEscrow: {
@@ -70,11 +100,24 @@ const paymentSchema = new mongoose.Schema({
   },
   escrowHeldAt: Date,
   escrowReleasedAt: Date,
-  escrowExpiresAt: Date, // 10 days from payment
+  escrowExpiresAt: Date, // When interest starts (escrowInterestThresholdDays after payment)
   escrowInterest: {
     type: Number,
     default: 0
   },
+  // Day-by-day interest recorded by the escrow worker
+  escrowInterestAccruedDays: {
+    type: Number,
+    default: 0
+  },
+  escrowInterestAccruals: [{
+    _id: false,
+    day: Number, // Days held when this accrual was recorded
+    rate: Number,
+    amount: Number,
+    accruedAt: Date
+  }],
+  escrowWarningSentAt: Date,
   propertyVisited: {
     type: Boolean,
     default: false
@@ -83,6 +126,19 @@ const paymentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When both propertyVisited and documentsReceived became true (starts the auto-release grace period)
+  escrowConditionsMetAt: Date,
+  // Admin override: keep a held payment out of auto-release (e.g. while disputed)
+  escrowAutoReleasePaused: {
+    type: Boolean,
+    default: false
+  },
+  escrowPausedAt: Date,
+  escrowPausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  escrowPauseReason: String,
   
   // Commission
   commission_rate: {
@@ -129,13 +185,16 @@ const paymentSchema = new mongoose.Schema({
 
 // Indexes for performance
 paymentSchema.index({ application: 1 });
+paymentSchema.index({ booking: 1 });
 paymentSchema.index({ user: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ type: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ stripePaymentIntentId: 1 });
+paymentSchema.index({ stripeChargeId: 1 }, { sparse: true });
 paymentSchema.index({ landlordAccount: 1, allocatedToPayout: 1 });
 paymentSchema.index({ commission_rate: 1 });
+paymentSchema.index({ isEscrow: 1, escrowStatus: 1, escrowHeldAt: 1 });
 
 // Virtual for formatted amount
 paymentSchema.virtual('formattedAmount').get(function() {
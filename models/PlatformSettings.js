@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// Hours a landlord has to acknowledge and to resolve a maintenance request of one priority
+const slaTarget = (acknowledgeHours, resolveHours) => ({
+  acknowledgeHours: { type: Number, default: acknowledgeHours, min: 0.25 },
+  resolveHours: { type: Number, default: resolveHours, min: 0.25 }
+});
+
 const platformSettingsSchema = new mongoose.Schema({
   // Commission settings
   commissionRate: {
@@ -50,6 +56,76 @@ const platformSettingsSchema = new mongoose.Schema({
   maintenanceMode: {
     type: Boolean,
     default: false
+  },
+
+  // Escrow settings
+  // Interest (deducted from the landlord's payout) accrues per day once a payment
+  // has been held longer than escrowInterestThresholdDays
+  escrowInterestRate: {
+    type: Number,
+    default: 0.02, // 2% per day
+    min: 0,
+    max: 1
+  },
+  escrowInterestThresholdDays: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  // Warn tenant and landlord this many days before interest starts
+  escrowWarningDays: {
+    type: Number,
+    default: 2,
+    min: 0
+  },
+  escrowAutoReleaseEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Wait this long after visit + documents are both confirmed before auto-releasing
+  escrowAutoReleaseGraceHours: {
+    type: Number,
+    default: 48,
+    min: 0
+  },
+
+  // Moderation escalation
+  // Blocked/flagged messages and reviews within the window that send a user to admin review,
+  // and that suspend the account (warnings don't count)
+  moderationReviewThreshold: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  moderationSuspendThreshold: {
+    type: Number,
+    default: 6,
+    min: 1
+  },
+  moderationWindowDays: {
+    type: Number,
+    default: 30,
+    min: 1
+  },
+
+  // Maintenance SLA targets per priority (services/maintenanceSlaService.js)
+  maintenanceSla: {
+    urgent: slaTarget(4, 24),
+    high: slaTarget(24, 72),
+    medium: slaTarget(48, 168),
+    low: slaTarget(72, 336)
+  },
+  // A breach still open this long after the landlord was alerted goes to admins
+  maintenanceSlaAdminEscalationHours: {
+    type: Number,
+    default: 24,
+    min: 1
+  },
+
+  // Roles that must enrol in two-factor authentication before sensitive actions
+  twoFactorRequiredRoles: {
+    type: [{ type: String, enum: ['landlord', 'client', 'admin'] }],
+    default: []
   }
 }, {
   timestamps: true
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
 
 const propertySchema = new mongoose.Schema({
   landlord: {
@@ -75,6 +76,19 @@ const propertySchema = new mongoose.Schema({
       lng: Number
     }
   },
+
+  // GeoJSON mirror of address.coordinates ([lng, lat]) used for radius/bounding-box search.
+  // Kept in sync by the save/update hooks below; never set directly from request bodies.
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   
   // Images
   images: [{
@@ -109,7 +123,32 @@ const propertySchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  
+
+  // Signed lease PDFs (contain tenant details, so excluded from property reads unless selected)
+  leaseDocuments: {
+    type: [{
+      url: {
+        type: String,
+        required: true
+      },
+      name: String,
+      lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease'
+      },
+      tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      sha256: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+
   // Videos
   videos: [{
     url: {
@@ -229,6 +268,31 @@ propertySchema.index({ price: 1 });
 propertySchema.index({ propertyType: 1 });
 propertySchema.index({ bedrooms: 1, bathrooms: 1 });
 propertySchema.index({ createdAt: -1 });
+propertySchema.index({ geoLocation: '2dsphere' });
+// Full-text search (GET /api/properties?q=); MongoDB allows one text index per collection
+propertySchema.index(
+  {
+    title: 'text',
+    description: 'text',
+    features: 'text',
+    amenities: 'text',
+    'address.street': 'text',
+    'address.city': 'text',
+    'address.state': 'text'
+  },
+  {
+    name: 'property_text_search',
+    weights: {
+      title: 10,
+      features: 5,
+      amenities: 5,
+      'address.city': 4,
+      'address.state': 3,
+      'address.street': 2,
+      description: 1
+    }
+  }
+);
 // Note: slug index is automatically created by unique: true constraint
 
 // Virtual for full address
@@ -254,6 +318,45 @@ propertySchema.pre('save', function(next) {
   next();
 });
 
+// Keep geoLocation in sync with address.coordinates on save
+propertySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('address.coordinates') || this.isModified('address')) {
+    const point = toGeoPoint(this.address?.coordinates);
+    this.geoLocation = point || undefined;
+  }
+  next();
+});
+
+// Keep geoLocation in sync when coordinates change through query updates
+// (findByIdAndUpdate/findOneAndUpdate/updateOne/updateMany)
+propertySchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const target = update.$set || update;
+
+  // Never accept a client-supplied geoLocation; it is always derived
+  delete target.geoLocation;
+
+  let coords;
+  if (target['address.coordinates'] !== undefined) {
+    coords = target['address.coordinates'];
+  } else if (target['address.coordinates.lat'] !== undefined && target['address.coordinates.lng'] !== undefined) {
+    coords = { lat: target['address.coordinates.lat'], lng: target['address.coordinates.lng'] };
+  } else if (target.address && typeof target.address === 'object') {
+    coords = target.address.coordinates ?? null;
+  } else {
+    return next();
+  }
+
+  const point = toGeoPoint(coords);
+  if (point) {
+    target.geoLocation = point;
+  } else {
+    update.$unset = { ...(update.$unset || {}), geoLocation: 1 };
+  }
+  this.setUpdate(update);
+  next();
+});
+
 // Update applications count when applications are added/removed
 propertySchema.methods.updateApplicationsCount = function() {
   return mongoose.model('Application').countDocuments({ property: this._id })
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Recurring rent for an approved long-term tenancy (one per application).
+// The rent-invoices job issues an Invoice for nextPeriodStart shortly before it begins
+// and then advances nextPeriodStart by periodMonths.
+const rentScheduleSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    unique: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Amount charged per period
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  periodMonths: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 12
+  },
+  // Start of the next period that has not been invoiced or paid yet
+  nextPeriodStart: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  endedAt: Date,
+  lastInvoicedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+rentScheduleSchema.index({ status: 1, nextPeriodStart: 1 });
+rentScheduleSchema.index({ landlord: 1, status: 1 });
+rentScheduleSchema.index({ tenant: 1, status: 1 });
+
+module.exports = mongoose.model('RentSchedule', rentScheduleSchema);
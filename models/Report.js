@@ -1,9 +1,11 @@
 const mongoose = require('mongoose');
+const { CaseUpdateSchema, EvidenceSchema } = require('./schemas/caseSchemas');
 
 /**
  * Report
  * A user-submitted report about some content (property/user/application/message/etc).
  * Admin can review and mark resolved/dismissed and record action taken.
+ * The timeline is shared between the reporter and admins; the reported user isn't a party.
  */
 const ReportSchema = new mongoose.Schema(
   {
@@ -26,6 +28,7 @@ const ReportSchema = new mongoose.Schema(
     },
     description: { type: String, required: true, maxlength: 4000 },
     evidence: { type: String }, // URL (optional)
+    evidenceFiles: [EvidenceSchema],
 
     status: {
       type: String,
@@ -34,7 +37,8 @@ const ReportSchema = new mongoose.Schema(
       index: true
     },
     adminNotes: { type: String, maxlength: 4000 },
-    actionTaken: { type: String, maxlength: 500 }
+    actionTaken: { type: String, maxlength: 500 },
+    updates: [CaseUpdateSchema]
   },
   { timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' } }
 );
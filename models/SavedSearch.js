@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Mirrors the filter set accepted by GET /api/properties
+const savedSearchFiltersSchema = new mongoose.Schema({
+  q: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  minPrice: {
+    type: Number,
+    min: 0
+  },
+  maxPrice: {
+    type: Number,
+    min: 0
+  },
+  bedrooms: {
+    type: Number,
+    min: 0
+  },
+  bathrooms: {
+    type: Number,
+    min: 0
+  },
+  propertyType: {
+    type: String,
+    enum: ['apartment', 'house', 'condo', 'studio', 'townhouse', 'other']
+  },
+  rentalType: {
+    type: String,
+    enum: ['short-term', 'long-term']
+  },
+  duration: {
+    type: Number,
+    min: 1
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    trim: true
+  },
+  features: {
+    type: [String],
+    default: undefined
+  },
+  near: {
+    lat: Number,
+    lng: Number
+  },
+  radiusKm: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  filters: {
+    type: savedSearchFiltersSchema,
+    default: () => ({})
+  },
+
+  // In-app notification when a newly verified listing matches
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Daily email digest of matches (also subject to preferences.notificationPreferences.newPropertyListed)
+  emailDigest: {
+    type: Boolean,
+    default: false
+  },
+
+  // Matches waiting for the next digest email
+  pendingDigestProperties: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  }],
+  lastDigestSentAt: Date,
+  lastMatchedAt: Date,
+  matchCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, emailDigest: 1 });
+savedSearchSchema.index({ emailDigest: 1, lastDigestSentAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
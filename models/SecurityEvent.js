@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * SecurityEvent
+ * Sign-in and account-security activity: successful and failed logins, lockouts, password
+ * resets, failed one-time codes and events reported by the frontend. Successful logins and
+ * failed-login bursts are analysed by services/securityEventService.js; what it finds is
+ * stored in `flags` and `risk`. Powers GET /api/admin/security-events.
+ */
+const SECURITY_EVENT_TYPES = [
+  'login',
+  'login_failed',
+  'account_locked',
+  'password_reset_requested',
+  'password_reset',
+  'otp_failed',
+  'client_reported'
+];
+
+const SECURITY_FLAGS = ['new_device', 'new_ip', 'impossible_travel', 'credential_stuffing'];
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+  // Empty for failed logins with an unknown email
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email the attempt was made with (lower-cased)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server'
+  },
+  ipAddress: String,
+  userAgent: String,
+  device: String,
+  // From the edge proxy's geolocation headers, when configured (SECURITY_GEO_HEADERS)
+  location: {
+    country: String,
+    region: String,
+    city: String,
+    latitude: Number,
+    longitude: Number
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  // e.g. { reason: 'invalid_password' }, { context: 'two_factor_login' }, client event payload
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  flags: [{
+    type: String,
+    enum: SECURITY_FLAGS
+  }],
+  risk: {
+    type: String,
+    enum: ['none', 'low', 'medium', 'high'],
+    default: 'none'
+  },
+  userNotifiedAt: Date
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ user: 1, type: 1, createdAt: -1 });
+securityEventSchema.index({ ipAddress: 1, type: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+securityEventSchema.index({ flags: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: -1 });
+
+securityEventSchema.statics.TYPES = SECURITY_EVENT_TYPES;
+securityEventSchema.statics.FLAGS = SECURITY_FLAGS;
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session
+ * One signed-in device. Access tokens carry the session id (sid) and are only accepted while
+ * the session is active; the refresh token is stored as a SHA-256 hash and rotated on every
+ * use (services/sessionService.js). Expired sessions are removed by the TTL index.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced; presenting it again means the old token leaked
+  previousRefreshTokenHash: String,
+  rotatedAt: Date,
+
+  // Device
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastIpAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Last successful two-factor step-up on this session (middleware/stepUp.js)
+  stepUpAt: Date,
+  // Wrong step-up codes since the last successful one; too many revoke the session
+  stepUpFailures: Number,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'password_reset', 'account_suspended', 'refresh_token_reuse', 'admin_revoked', 'step_up_failed']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
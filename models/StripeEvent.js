@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const PROCESSED_RETENTION_DAYS = 90;
+
+const stripeEventSchema = new mongoose.Schema({
+  // Stripe event ID (evt_...); Stripe may deliver the same event more than once
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  livemode: Boolean,
+  apiVersion: String,
+  stripeCreatedAt: Date,
+  // event.data as received (data.object is what the handlers consume)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Which webhook endpoint received it
+  source: {
+    type: String,
+    enum: ['payments', 'stripe'],
+    default: 'payments'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed', 'ignored'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  lastError: String,
+  processedAt: Date,
+  replays: [{
+    _id: false,
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    replayedAt: Date,
+    previousStatus: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+stripeEventSchema.index({ type: 1, createdAt: -1 });
+// Successfully handled events are only needed for deduplication, which Stripe retries bound to days
+stripeEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: PROCESSED_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
@@ -9,9 +9,10 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Not required for accounts created through a sign-in provider (see oauthAccounts)
   password: {
     type: String,
-    required: true,
+    required() { return !(this.oauthAccounts && this.oauthAccounts.length); },
     minlength: 6
   },
   role: {
@@ -197,6 +198,90 @@ const userSchema = new mongoose.Schema({
   },
   lockUntil: Date
   ,
+  // Two-factor authentication (services/twoFactorService.js). Secrets are stored encrypted
+  // and, like the hashed codes, never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set by /2fa/setup, promoted to secret once the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Let the user fall back to a code sent by email
+    emailFallback: {
+      type: Boolean,
+      default: false
+    },
+    emailCode: {
+      hash: { type: String, select: false },
+      expiresAt: { type: Date, select: false },
+      attempts: { type: Number, select: false }
+    }
+  },
+  // Linked sign-in providers (services/oauthService.js); subject is the provider's user id
+  oauthAccounts: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
+  // Private calendar feed (services/calendarService.js). Only a hash of the feed token is kept;
+  // rotating it breaks the old subscription URL.
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    createdAt: Date,
+    lastAccessedAt: Date
+  },
+  // Standing under the server-side message/review moderation (services/moderationService.js)
+  moderation: {
+    status: {
+      type: String,
+      enum: ['good_standing', 'under_review', 'suspended'],
+      default: 'good_standing'
+    },
+    reviewRequestedAt: Date,
+    suspendedAt: Date,
+    // Violations before this date no longer count towards escalation
+    clearedAt: Date,
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   // Saved/Favorite properties (client-side feature)
   savedProperties: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -210,6 +295,12 @@ const userSchema = new mongoose.Schema({
 // userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ 'kyc.status': 1 });
+// Provider sign-in lookup; a provider identity can belong to one account only
+userSchema.index(
+  { 'oauthAccounts.subject': 1, 'oauthAccounts.provider': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -231,6 +322,8 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Provider-only accounts have no password until they set one through a reset
+  if (!this.password || !candidatePassword) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
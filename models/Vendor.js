@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('./MaintenanceRequest');
+
+// A tradesperson or company in a landlord's own directory. Vendors don't sign in; the
+// landlord records their quotes, visits and completion on the work order.
+const vendorSchema = new mongoose.Schema({
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  companyName: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Same values as MaintenanceRequest.category
+  trades: [{
+    type: String,
+    enum: MaintenanceRequest.CATEGORIES
+  }],
+  notes: {
+    type: String,
+    maxlength: 2000
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+vendorSchema.index({ landlord: 1, isActive: 1, name: 1 });
+vendorSchema.index({ landlord: 1, trades: 1 });
+
+module.exports = mongoose.model('Vendor', vendorSchema);
@@ -32,11 +32,21 @@ const viewingAppointmentSchema = new mongoose.Schema({
     min: 15,
     max: 240
   },
+  // Exact start/end instants. scheduledDate/scheduledTime are kept for existing clients;
+  // scheduledTime is the local time in `timezone`.
+  startsAt: Date,
+  endsAt: Date,
+  timezone: String,
+  // Booked from the landlord's published availability (vs. a free-form request)
+  bookedFromSlot: {
+    type: Boolean,
+    default: false
+  },
   
   // Status
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'no_show'],
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'rejected', 'no_show'],
     default: 'pending'
   },
   
@@ -93,8 +103,13 @@ const viewingAppointmentSchema = new mongoose.Schema({
   },
   cancellationReason: String,
   
-  // Reminders
+  // Reminders (services/viewingLifecycleService.js records one entry per recipient)
   remindersSent: [{
+    // Which reminder: 24 hours or 1 hour before the start
+    kind: {
+      type: String,
+      enum: ['24h', '1h']
+    },
     type: {
       type: String,
       enum: ['email', 'sms', 'push']
@@ -106,7 +121,11 @@ const viewingAppointmentSchema = new mongoose.Schema({
     }
   }],
   
-  // Follow-up
+  // Landlord asked to mark the viewing completed or no-show once it was over
+  outcomePromptSentAt: Date,
+  noShowAt: Date,
+
+  // Follow-up (client invited to apply after a completed viewing)
   followUpRequired: {
     type: Boolean,
     default: false
@@ -127,16 +146,13 @@ viewingAppointmentSchema.index({ landlord: 1 });
 viewingAppointmentSchema.index({ status: 1 });
 viewingAppointmentSchema.index({ scheduledDate: 1 });
 viewingAppointmentSchema.index({ createdAt: -1 });
-
-// Compound index for scheduling conflicts
-viewingAppointmentSchema.index({ 
-  property: 1, 
-  scheduledDate: 1, 
-  scheduledTime: 1 
-});
+viewingAppointmentSchema.index({ property: 1, startsAt: 1 });
+viewingAppointmentSchema.index({ status: 1, startsAt: 1 });
+viewingAppointmentSchema.index({ client: 1, status: 1 });
 
 // Virtual for appointment date and time
 viewingAppointmentSchema.virtual('appointmentDateTime').get(function() {
+  if (this.startsAt) return this.startsAt;
   const date = new Date(this.scheduledDate);
   const [hours, minutes] = this.scheduledTime.split(':');
   date.setHours(parseInt(hours), parseInt(minutes), 0, 0);
@@ -145,6 +161,7 @@ viewingAppointmentSchema.virtual('appointmentDateTime').get(function() {
 
 // Virtual for end time
 viewingAppointmentSchema.virtual('endDateTime').get(function() {
+  if (this.endsAt) return this.endsAt;
   const startTime = this.appointmentDateTime;
   return new Date(startTime.getTime() + this.duration * 60000);
 });
@@ -156,29 +173,6 @@ viewingAppointmentSchema.virtual('timeUntilAppointment').get(function() {
   return Math.floor((appointmentTime - now) / (1000 * 60 * 60 * 24)); // days
 });
 
-// Pre-save middleware to validate scheduling
-viewingAppointmentSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('scheduledDate') || this.isModified('scheduledTime')) {
-    // Check for conflicts with other appointments
-    const conflictingAppointment = await this.constructor.findOne({
-      _id: { $ne: this._id },
-      property: this.property,
-      status: { $in: ['pending', 'confirmed'] },
-      $or: [
-        {
-          scheduledDate: this.scheduledDate,
-          scheduledTime: this.scheduledTime
-        }
-      ]
-    });
-
-    if (conflictingAppointment) {
-      return next(new Error('There is already an appointment scheduled at this time'));
-    }
-  }
-  next();
-});
-
 // Static method to get appointment statistics
 viewingAppointmentSchema.statics.getAppointmentStats = function(landlordId, startDate, endDate) {
   const match = { landlord: landlordId };
@@ -215,21 +209,4 @@ viewingAppointmentSchema.statics.getUpcomingAppointments = function(userId, user
     .limit(limit);
 };
 
-// Static method to check availability
-viewingAppointmentSchema.statics.checkAvailability = function(propertyId, date, time, duration = 60) {
-  const appointmentDate = new Date(`${date}T${time}`);
-  const endTime = new Date(appointmentDate.getTime() + duration * 60000);
-
-  return this.find({
-    property: propertyId,
-    status: { $in: ['pending', 'confirmed'] },
-    scheduledDate: date,
-    $or: [
-      {
-        scheduledTime: time
-      }
-    ]
-  });
-};
-
 module.exports = mongoose.model('ViewingAppointment', viewingAppointmentSchema);
\ No newline at end of file
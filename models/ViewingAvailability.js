@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// When viewings can be booked for a property: recurring weekly windows cut into slots,
+// in the property's local time zone. Published by the landlord; open slots are computed by
+// services/viewingAvailabilityService.js.
+const viewingAvailabilitySchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // IANA zone the windows and blackout dates are expressed in
+  timezone: {
+    type: String,
+    required: true
+  },
+  weeklyWindows: [{
+    _id: false,
+    // 0 = Sunday
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN
+    }
+  }],
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: 15,
+    max: 240
+  },
+  // Free time kept after every viewing
+  bufferMinutes: {
+    type: Number,
+    default: 15,
+    min: 0,
+    max: 120
+  },
+  // Slots starting sooner than this are not offered
+  minNoticeHours: {
+    type: Number,
+    default: 12,
+    min: 0,
+    max: 168
+  },
+  // How far ahead slots are offered
+  maxAdvanceDays: {
+    type: Number,
+    default: 60,
+    min: 1,
+    max: 180
+  },
+  // Local calendar days (YYYY-MM-DD) with no viewings
+  blackoutDates: [{
+    _id: false,
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    reason: String
+  }],
+  // Bookings of published slots are confirmed straight away; otherwise they wait for the landlord
+  autoConfirm: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+viewingAvailabilitySchema.index({ property: 1 }, { unique: true });
+viewingAvailabilitySchema.index({ landlord: 1 });
+
+module.exports = mongoose.model('ViewingAvailability', viewingAvailabilitySchema);
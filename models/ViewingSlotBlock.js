@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One document per 5-minute block of a property's time held by a viewing (the viewing itself
+// plus the landlord's buffer after it).
+// The unique { property, block } index is what makes double-booking impossible:
+// concurrent bookings of overlapping times fail with a duplicate key error.
+const viewingSlotBlockSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // Start of the block (UTC, aligned to 5 minutes)
+  block: {
+    type: Date,
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ViewingAppointment',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+viewingSlotBlockSchema.index({ property: 1, block: 1 }, { unique: true });
+viewingSlotBlockSchema.index({ appointment: 1 });
+
+module.exports = mongoose.model('ViewingSlotBlock', viewingSlotBlockSchema);
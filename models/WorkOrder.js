@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['assigned', 'quoted', 'approved', 'scheduled', 'completed', 'signed_off', 'declined', 'cancelled'];
+const OPEN_STATUSES = ['assigned', 'quoted', 'approved', 'scheduled'];
+
+/**
+ * WorkOrder
+ * One vendor's job on a maintenance request (services/workOrderService.js):
+ * assigned -> quoted -> approved -> scheduled -> completed -> signed_off.
+ * Several vendors can be asked to quote; approving one quote cancels the other open orders.
+ */
+const workOrderSchema = new mongoose.Schema({
+  maintenanceRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'assigned'
+  },
+  instructions: {
+    type: String,
+    maxlength: 2000
+  },
+
+  quote: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'NGN'
+    },
+    description: String,
+    validUntil: Date,
+    submittedAt: Date
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  declineReason: String,
+
+  // Vendor's visit
+  scheduledStart: Date,
+  scheduledEnd: Date,
+
+  completion: {
+    completedAt: Date,
+    notes: String,
+    // What the job actually cost (defaults to the approved quote)
+    finalCost: {
+      type: Number,
+      min: 0
+    },
+    photos: [{
+      _id: false,
+      url: String,
+      caption: String,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: Date
+    }]
+  },
+
+  // Tenant confirms the work was done (or says it wasn't)
+  tenantSignOff: {
+    status: {
+      type: String,
+      enum: ['accepted', 'disputed']
+    },
+    comments: String,
+    signedAt: Date
+  },
+
+  // Who pays for the work once it's done
+  costRecovery: {
+    method: {
+      type: String,
+      enum: ['landlord_earnings', 'tenant', 'none']
+    },
+    amount: Number,
+    currency: String,
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry'
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    recordedAt: Date,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+workOrderSchema.index({ maintenanceRequest: 1, createdAt: -1 });
+workOrderSchema.index({ landlord: 1, status: 1 });
+workOrderSchema.index({ vendor: 1, createdAt: -1 });
+
+workOrderSchema.statics.STATUSES = STATUSES;
+workOrderSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('WorkOrder', workOrderSchema);
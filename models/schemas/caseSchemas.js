@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Case timeline entry: comments from either party or an admin, status changes and evidence
+const CaseUpdateSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    authorRole: { type: String, enum: ['client', 'landlord', 'admin'] },
+    kind: { type: String, enum: ['comment', 'status_change', 'evidence'], default: 'comment' },
+    message: { type: String, maxlength: 4000 },
+    fromStatus: String,
+    toStatus: String,
+    attachments: [{ type: String }], // Evidence URLs added with this update
+    internal: { type: Boolean, default: false } // Admin-only note, hidden from the parties
+  },
+  { timestamps: { createdAt: 'createdAt', updatedAt: false } }
+);
+
+const EvidenceSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    fileName: String,
+    mimeType: String,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+module.exports = {
+  CaseUpdateSchema,
+  EvidenceSchema
+};
@@ -1,10 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Property = require('../models/Property');
 const Application = require('../models/Application');
 const Payment = require('../models/Payment');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
 const ViewingAppointment = require('../models/ViewingAppointment');
+const ViewingAvailability = require('../models/ViewingAvailability');
+const ViewingSlotBlock = require('../models/ViewingSlotBlock');
 const Message = require('../models/Message');
 const ModerationViolation = require('../models/ModerationViolation');
 const Report = require('../models/Report');
@@ -12,8 +15,19 @@ const Dispute = require('../models/Dispute');
 const Notification = require('../models/Notification');
 const PlatformSettings = require('../models/PlatformSettings');
 const AuditLog = require('../models/AuditLog');
+const LandlordAccount = require('../models/LandlordAccount');
+const StripeEvent = require('../models/StripeEvent');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
 const { verifyToken, authorize } = require('../middleware/auth');
 const { notifyPropertyVerification } = require('../utils/notifications');
+const { clearPolicySettingsCache } = require('../middleware/platformPolicy');
+const { notifySavedSearchMatches } = require('../services/savedSearchService');
+const ledgerService = require('../services/ledgerService');
+const stripeEventService = require('../services/stripeEventService');
+const caseService = require('../services/caseService');
+const sessionService = require('../services/sessionService');
+const maintenanceSlaService = require('../services/maintenanceSlaService');
 
 const router = express.Router();
 
@@ -124,12 +138,34 @@ router.put('/platform-settings', async (req, res) => {
       'autoApproveProperties',
       'requireKyc',
       'emailNotifications',
-      'maintenanceMode'
+      'maintenanceMode',
+      'escrowInterestRate',
+      'escrowInterestThresholdDays',
+      'escrowWarningDays',
+      'escrowAutoReleaseEnabled',
+      'escrowAutoReleaseGraceHours',
+      'moderationReviewThreshold',
+      'moderationSuspendThreshold',
+      'moderationWindowDays',
+      'maintenanceSlaAdminEscalationHours',
+      'twoFactorRequiredRoles'
     ];
 
     const before = {};
     const changes = {};
 
+    // SLA targets can be updated one priority/field at a time (e.g. { urgent: { acknowledgeHours: 2 } })
+    if (req.body.maintenanceSla !== undefined) {
+      const { updates, error } = maintenanceSlaService.normalizeSlaTargets(req.body.maintenanceSla);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      for (const [path, value] of Object.entries(updates)) {
+        changes[path] = { from: settings.get(path), to: value };
+        settings.set(path, value);
+      }
+    }
+
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) {
         before[field] = settings[field];
@@ -142,6 +178,7 @@ router.put('/platform-settings', async (req, res) => {
     settings.lastUpdatedAt = new Date();
 
     await settings.save();
+    clearPolicySettingsCache();
 
     // Audit log (best-effort)
     try {
@@ -192,11 +229,17 @@ async function deleteUserCascade(userId) {
 
   await Application.deleteMany({ _id: { $in: applicationIds } });
   await MaintenanceRequest.deleteMany({ $or: [{ tenant: userId }, { landlord: userId }] });
-  await ViewingAppointment.deleteMany({ $or: [{ client: userId }, { landlord: userId }] });
+  const viewingIds = await ViewingAppointment.find({ $or: [{ client: userId }, { landlord: userId }] }).distinct('_id');
+  await ViewingSlotBlock.deleteMany({ appointment: { $in: viewingIds } });
+  await ViewingAppointment.deleteMany({ _id: { $in: viewingIds } });
+  await ViewingAvailability.deleteMany({ landlord: userId });
 
   // Notifications for the user
   await Notification.deleteMany({ user: userId });
 
+  await sessionService.revokeAllSessions(userId, 'admin_revoked');
+  await Session.deleteMany({ user: userId });
+
   await User.findByIdAndDelete(userId);
   return { ok: true };
 }
@@ -216,6 +259,8 @@ async function deletePropertyCascade(propertyId) {
   await Application.deleteMany({ _id: { $in: applicationIds } });
   await MaintenanceRequest.deleteMany({ property: propertyId });
   await ViewingAppointment.deleteMany({ property: propertyId });
+  await ViewingSlotBlock.deleteMany({ property: propertyId });
+  await ViewingAvailability.deleteMany({ property: propertyId });
 
   await Property.findByIdAndDelete(propertyId);
   return { ok: true };
@@ -361,6 +406,11 @@ router.post('/bulk/users', async (req, res) => {
 
     const result = await User.updateMany({ _id: { $in: userIds } }, { $set: update });
 
+    // Suspended users are signed out of every device
+    if (action === 'suspend') {
+      await Promise.all(userIds.map(id => sessionService.revokeAllSessions(id, 'account_suspended')));
+    }
+
     await AuditLog.create({
       action: `admin_bulk_users_${action}`,
       entityType: 'User',
@@ -664,20 +714,142 @@ router.patch('/notifications/:id/archive', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Security events (logins, failed logins, lockouts, resets, suspicious activity)
+// ---------------------------------------------------------------------------
+
+/**
+ * @route   GET /api/admin/security-events
+ * @desc    List security events. Filters: type, userId, email, ipAddress, source, risk,
+ *          flag (one detection flag), flagged=true (any flag), from/to (ISO dates)
+ * @access  Private (Admin)
+ */
+router.get('/security-events', async (req, res) => {
+  try {
+    const { type, userId, email, ipAddress, source, risk, flag, flagged, from, to, page = 1, limit = 50 } = req.query;
+    const filters = {};
+
+    if (type && SecurityEvent.TYPES.includes(type)) {
+      filters.type = type;
+    }
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      filters.user = userId;
+    }
+    if (email) {
+      filters.email = String(email).toLowerCase().trim();
+    }
+    if (ipAddress) {
+      filters.ipAddress = String(ipAddress);
+    }
+    if (source && ['server', 'client'].includes(source)) {
+      filters.source = source;
+    }
+    if (risk && ['none', 'low', 'medium', 'high'].includes(risk)) {
+      filters.risk = risk;
+    }
+    if (flag && SecurityEvent.FLAGS.includes(flag)) {
+      filters.flags = flag;
+    } else if (flagged === 'true') {
+      filters['flags.0'] = { $exists: true };
+    }
+
+    const createdAt = {};
+    if (from && !isNaN(Date.parse(from))) createdAt.$gte = new Date(from);
+    if (to && !isNaN(Date.parse(to))) createdAt.$lte = new Date(to);
+    if (Object.keys(createdAt).length) filters.createdAt = createdAt;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filters)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('user', 'email firstName lastName role isActive'),
+      SecurityEvent.countDocuments(filters)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({ message: 'Server error while fetching security events' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/security-events/summary
+ * @desc    Counts by type and detection flag over the last `days` (default 7)
+ * @access  Private (Admin)
+ */
+router.get('/security-events/summary', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [byType, byFlag, topFailedIps] = await Promise.all([
+      SecurityEvent.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ]),
+      SecurityEvent.aggregate([
+        { $match: { createdAt: { $gte: since }, 'flags.0': { $exists: true } } },
+        { $unwind: '$flags' },
+        { $group: { _id: '$flags', count: { $sum: 1 } } }
+      ]),
+      SecurityEvent.aggregate([
+        { $match: { createdAt: { $gte: since }, type: 'login_failed', ipAddress: { $ne: null } } },
+        { $group: { _id: '$ipAddress', failures: { $sum: 1 }, accounts: { $addToSet: '$email' } } },
+        { $project: { _id: 0, ipAddress: '$_id', failures: 1, accounts: { $size: '$accounts' } } },
+        { $sort: { failures: -1 } },
+        { $limit: 10 }
+      ])
+    ]);
+
+    res.json({
+      since,
+      byType: Object.fromEntries(byType.map(row => [row._id, row.count])),
+      byFlag: Object.fromEntries(byFlag.map(row => [row._id, row.count])),
+      topFailedIps
+    });
+  } catch (error) {
+    console.error('Security events summary error:', error);
+    res.status(500).json({ message: 'Server error while summarizing security events' });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Moderation (violations/reports/disputes)
 // ---------------------------------------------------------------------------
 
 /**
  * @route   GET /api/admin/moderation-violations
- * @desc    List moderation violations logged by the frontend moderation layer
+ * @desc    List moderation violations (server-side pipeline and frontend self-reports)
  * @access  Private (Admin)
  */
 router.get('/moderation-violations', async (req, res) => {
   try {
-    const { severity, type, page = 1, limit = 50 } = req.query;
+    const { severity, type, source, contentType, userId, page = 1, limit = 50 } = req.query;
     const filters = {};
 
+    if (source && ['client', 'server'].includes(source)) {
+      filters.source = source;
+    }
+    if (contentType && ['message', 'review'].includes(contentType)) {
+      filters.contentType = contentType;
+    }
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      filters.user = userId;
+    }
+
     if (severity && ['high', 'medium', 'low'].includes(severity)) {
       filters.severity = severity;
     }
@@ -692,7 +864,7 @@ router.get('/moderation-violations', async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
-        .populate('user', 'email firstName lastName role')
+        .populate('user', 'email firstName lastName role isActive moderation')
         .populate({
           path: 'application',
           select: 'property',
@@ -710,6 +882,11 @@ router.get('/moderation-violations', async (req, res) => {
       violation_type: v.violationType,
       violation_reason: v.violationReason,
       severity: v.severity,
+      source: v.source,
+      content_type: v.contentType,
+      content_id: v.contentId,
+      action: v.action,
+      rules: v.rules,
       created_at: v.createdAt,
       user: v.user,
       application: v.application
@@ -806,17 +983,40 @@ router.put('/reports/:id', async (req, res) => {
   try {
     const { status, admin_notes, action_taken } = req.body || {};
 
-    const updates = {};
-    if (status) updates.status = status;
-    if (admin_notes !== undefined) updates.adminNotes = admin_notes;
-    if (action_taken !== undefined) updates.actionTaken = action_taken;
+    const existing = await Report.findById(req.params.id).select('status');
+    if (!existing) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
 
-    const report = await Report.findByIdAndUpdate(req.params.id, updates, { new: true })
+    const updates = { $set: {} };
+    if (status) updates.$set.status = status;
+    if (admin_notes !== undefined) updates.$set.adminNotes = admin_notes;
+    if (action_taken !== undefined) updates.$set.actionTaken = action_taken;
+
+    const statusChanged = Boolean(status) && status !== existing.status;
+    if (statusChanged) {
+      updates.$push = {
+        updates: {
+          author: req.user._id,
+          authorRole: 'admin',
+          kind: 'status_change',
+          message: action_taken || undefined,
+          fromStatus: existing.status,
+          toStatus: status
+        }
+      };
+    }
+
+    const report = await Report.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true })
       .populate('reporter', 'email firstName lastName role')
       .populate('reportedUser', 'email firstName lastName role');
 
-    if (!report) {
-      return res.status(404).json({ message: 'Report not found' });
+    if (statusChanged) {
+      await caseService.notifyCaseParties('report', report, {
+        actorId: req.user._id,
+        title: 'Report Status Updated',
+        message: `Your report is now ${status.replace('_', ' ')}.${action_taken ? ` Action taken: ${action_taken}` : ''}`
+      });
     }
 
     res.json({ message: 'Report updated', report });
@@ -863,6 +1063,8 @@ router.get('/disputes', async (req, res) => {
       status: d.status,
       resolution: d.resolution,
       admin_notes: d.adminNotes,
+      payment_id: d.payment,
+      escrow_frozen: d.escrowFrozen,
       created_at: d.createdAt,
       updated_at: d.updatedAt,
       reporter: d.reporter,
@@ -893,17 +1095,49 @@ router.put('/disputes/:id', async (req, res) => {
   try {
     const { status, resolution, admin_notes } = req.body || {};
 
-    const updates = {};
-    if (status) updates.status = status;
-    if (resolution !== undefined) updates.resolution = resolution;
-    if (admin_notes !== undefined) updates.adminNotes = admin_notes;
+    const existing = await Dispute.findById(req.params.id).select('status');
+    if (!existing) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const updates = { $set: {} };
+    if (status) updates.$set.status = status;
+    if (resolution !== undefined) updates.$set.resolution = resolution;
+    if (admin_notes !== undefined) updates.$set.adminNotes = admin_notes;
+
+    const statusChanged = Boolean(status) && status !== existing.status;
+    if (statusChanged) {
+      updates.$push = {
+        updates: {
+          author: req.user._id,
+          authorRole: 'admin',
+          kind: 'status_change',
+          message: resolution || undefined,
+          fromStatus: existing.status,
+          toStatus: status
+        }
+      };
+    }
 
-    const dispute = await Dispute.findByIdAndUpdate(req.params.id, updates, { new: true })
+    const dispute = await Dispute.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true })
       .populate('reporter', 'email firstName lastName role')
       .populate('reportedUser', 'email firstName lastName role');
 
-    if (!dispute) {
-      return res.status(404).json({ message: 'Dispute not found' });
+    if (statusChanged) {
+      // Closing the last open dispute on a payment lets escrow release resume; re-opening holds it again
+      const wasOpen = Dispute.OPEN_STATUSES.includes(existing.status);
+      const isOpen = Dispute.OPEN_STATUSES.includes(status);
+      if (wasOpen && !isOpen) {
+        await caseService.unfreezeEscrowForDispute(dispute, req.user._id);
+      } else if (!wasOpen && isOpen) {
+        await caseService.freezeEscrowForDispute(dispute);
+      }
+
+      await caseService.notifyCaseParties('dispute', dispute, {
+        actorId: req.user._id,
+        title: 'Dispute Status Updated',
+        message: `Dispute "${dispute.title}" is now ${status.replace('_', ' ')}.${resolution ? ` Resolution: ${resolution}` : ''}`
+      });
     }
 
     res.json({ message: 'Dispute updated', dispute });
@@ -941,6 +1175,212 @@ router.get('/landlords/payout-accounts', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/ledger/reconcile
+// @desc    Report landlords whose stored balances disagree with the ledger
+// @access  Private (Admin)
+router.get('/ledger/reconcile', async (req, res) => {
+  try {
+    const { landlordId } = req.query;
+    if (landlordId && !mongoose.Types.ObjectId.isValid(landlordId)) {
+      return res.status(400).json({ message: 'Invalid landlordId' });
+    }
+
+    const report = await ledgerService.reconcileAccounts({ landlordId });
+    res.json(report);
+  } catch (error) {
+    console.error('Ledger reconcile error:', error);
+    res.status(500).json({ message: 'Server error while reconciling ledger' });
+  }
+});
+
+// @route   POST /api/admin/ledger/reconcile
+// @desc    Repair stored balances from the ledger (and open ledgers for pre-ledger accounts)
+// @access  Private (Admin)
+router.post('/ledger/reconcile', async (req, res) => {
+  try {
+    const { landlordId } = req.body;
+    if (landlordId && !mongoose.Types.ObjectId.isValid(landlordId)) {
+      return res.status(400).json({ message: 'Invalid landlordId' });
+    }
+
+    const report = await ledgerService.reconcileAccounts({ fix: true, landlordId });
+
+    await AuditLog.create({
+      action: 'ledger_reconciled',
+      entityType: 'LandlordAccount',
+      userId: req.user._id,
+      details: {
+        landlordId,
+        checked: report.checked,
+        mismatched: report.mismatched,
+        notOnLedger: report.notOnLedger,
+        fixed: report.fixed,
+        accounts: report.accounts.map(a => ({
+          landlord: String(a.landlord?._id || a.landlord),
+          status: a.status,
+          stored: a.stored,
+          ledger: a.ledger
+        }))
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch((auditError) => console.error('AuditLog ledger_reconciled error:', auditError));
+
+    res.json({ message: 'Ledger reconciliation applied', ...report });
+  } catch (error) {
+    console.error('Ledger repair error:', error);
+    res.status(500).json({ message: 'Server error while reconciling ledger' });
+  }
+});
+
+// @route   POST /api/admin/ledger/adjustments
+// @desc    Post a manual adjustment to a landlord's available balance (negative amounts debit)
+// @access  Private (Admin)
+router.post('/ledger/adjustments', async (req, res) => {
+  try {
+    const { landlordId, amount, reason } = req.body;
+    const amountNum = Number(amount);
+
+    if (!landlordId || !mongoose.Types.ObjectId.isValid(landlordId)) {
+      return res.status(400).json({ message: 'A valid landlordId is required' });
+    }
+    if (!Number.isFinite(amountNum) || amountNum === 0) {
+      return res.status(400).json({ message: 'amount must be a non-zero number' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required for ledger adjustments' });
+    }
+
+    const account = await LandlordAccount.findOne({ landlord: landlordId });
+    if (!account) {
+      return res.status(404).json({ message: 'Landlord account not found' });
+    }
+
+    const { entry } = await ledgerService.recordAdjustment({
+      landlordId,
+      amount: amountNum,
+      reason: String(reason).trim(),
+      createdBy: req.user._id
+    });
+
+    await AuditLog.create({
+      action: 'ledger_adjustment',
+      entityType: 'LandlordAccount',
+      entityId: account._id,
+      userId: req.user._id,
+      details: { landlordId, amount: amountNum, reason, ledgerEntry: entry._id.toString() },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch((auditError) => console.error('AuditLog ledger_adjustment error:', auditError));
+
+    res.status(201).json({
+      message: 'Adjustment posted',
+      entry,
+      account: await LandlordAccount.findById(account._id)
+    });
+  } catch (error) {
+    console.error('Ledger adjustment error:', error);
+    res.status(500).json({ message: 'Server error while posting ledger adjustment' });
+  }
+});
+
+// @route   GET /api/admin/stripe-events
+// @desc    List stored Stripe webhook events (defaults to failed ones)
+// @access  Private (Admin)
+router.get('/stripe-events', async (req, res) => {
+  try {
+    const { status = 'failed', type, page = 1, limit = 50 } = req.query;
+    const filters = {};
+    if (status !== 'all') filters.status = status;
+    if (type) filters.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [events, total] = await Promise.all([
+      StripeEvent.find(filters)
+        .select('-data')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      StripeEvent.countDocuments(filters)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get Stripe events error:', error);
+    res.status(500).json({ message: 'Server error while fetching Stripe events' });
+  }
+});
+
+// @route   GET /api/admin/stripe-events/:id
+// @desc    Get a stored Stripe event with its payload
+// @access  Private (Admin)
+router.get('/stripe-events/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.startsWith('evt_') && !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid event id' });
+    }
+
+    const event = await StripeEvent.findOne(id.startsWith('evt_') ? { eventId: id } : { _id: id })
+      .populate('replays.replayedBy', 'firstName lastName email');
+    if (!event) {
+      return res.status(404).json({ message: 'Stripe event not found' });
+    }
+
+    res.json({ event });
+  } catch (error) {
+    console.error('Get Stripe event error:', error);
+    res.status(500).json({ message: 'Server error while fetching Stripe event' });
+  }
+});
+
+// @route   POST /api/admin/stripe-events/:id/replay
+// @desc    Re-run a stored Stripe event through the webhook handlers (pass force to replay a processed event)
+// @access  Private (Admin)
+router.post('/stripe-events/:id/replay', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.startsWith('evt_') && !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid event id' });
+    }
+
+    const event = await stripeEventService.replayEvent(id, {
+      replayedBy: req.user._id,
+      force: req.body.force === true
+    });
+
+    await AuditLog.create({
+      action: 'stripe_event_replayed',
+      entityType: 'StripeEvent',
+      entityId: event._id,
+      userId: req.user._id,
+      details: { eventId: event.eventId, type: event.type, status: event.status, attempts: event.attempts },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch((auditError) => console.error('AuditLog stripe_event_replayed error:', auditError));
+
+    const succeeded = event.status !== 'failed';
+    res.status(succeeded ? 200 : 422).json({
+      message: succeeded ? `Event replayed (${event.status})` : 'Event replay failed',
+      event
+    });
+  } catch (error) {
+    if (error.code && error.status) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error('Replay Stripe event error:', error);
+    res.status(500).json({ message: 'Server error while replaying Stripe event' });
+  }
+});
+
 // @route   GET /api/admin/users
 // @desc    Get all users with filters
 // @access  Private (Admin)
@@ -1015,6 +1455,11 @@ router.put('/users/:id/status', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Deactivated users are signed out of every device
+    if (isActive === false) {
+      await sessionService.revokeAllSessions(user._id, 'account_suspended');
+    }
+
     res.json({
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
       user
@@ -1108,6 +1553,17 @@ router.put('/properties/:id/verify', verifyToken, authorize('admin'), async (req
       // Don't fail the request if notification fails
     }
 
+    // Alert clients whose saved searches match the newly verified listing
+    if (isVerified && property.isAvailable) {
+      try {
+        const { matched, notified } = await notifySavedSearchMatches(property);
+        console.log(`✅ Saved search matches for property ${property._id}: ${matched} searches, ${notified} clients notified`);
+      } catch (matchError) {
+        console.error('Error notifying saved search matches:', matchError);
+        // Don't fail the request if saved search alerts fail
+      }
+    }
+
     // If property is verified, send email notifications to clients about new property
     if (isVerified) {
       try {
@@ -1469,6 +1925,11 @@ router.get('/reports/platform', async (req, res) => {
       ])
     ]);
 
+    const [maintenanceSlaOverall, maintenanceSlaByLandlord] = await Promise.all([
+      maintenanceSlaService.getSlaStats(match),
+      maintenanceSlaService.getSlaStats(match, { byLandlord: true })
+    ]);
+
     res.json({
       report: {
         userStats,
@@ -1476,6 +1937,11 @@ router.get('/reports/platform', async (req, res) => {
         applicationStats,
         paymentStats: paymentStats[0] || { totalRevenue: 0, paymentCount: 0 },
         maintenanceStats,
+        maintenanceSla: {
+          overall: maintenanceSlaOverall,
+          // Landlords with the most open / total breaches first
+          landlords: maintenanceSlaByLandlord
+        },
         appointmentStats
       },
       period: {
@@ -4,8 +4,11 @@ const Property = require('../models/Property');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
 const { verifyToken, authorize } = require('../middleware/auth');
+const { requireKycVerified, enforceApplicationLimit } = require('../middleware/platformPolicy');
 const { notifyApplicationStatusChange, notifyNewApplication } = require('../utils/notifications');
 const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const { generateLease, getLeaseStatusByApplication } = require('../services/leaseService');
+const rentScheduleService = require('../services/rentScheduleService');
 
 const router = express.Router();
 
@@ -286,6 +289,25 @@ router.get('/tenancies', verifyToken, async (req, res) => {
       return res.status(403).json({ message: 'Invalid user role' });
     }
 
+    // A tenancy isn't active until both parties have signed its lease; one whose lease was
+    // never generated (e.g. generation failed on approval) is waiting on the landlord.
+    // Tenancies approved before leases existed carry on without one.
+    const applicationIds = tenancies.map(t => t.applicationId);
+    const leaseStatuses = await getLeaseStatusByApplication(applicationIds);
+    const leaseRequired = new Set(
+      (await Application.distinct('_id', { _id: { $in: applicationIds }, leaseRequired: true })).map(String)
+    );
+    for (const tenancy of tenancies) {
+      const lease = leaseStatuses.get(String(tenancy.applicationId));
+      tenancy.leaseId = lease?.leaseId || null;
+      tenancy.leaseStatus = lease?.status || null;
+      if (!lease) {
+        if (leaseRequired.has(String(tenancy.applicationId))) tenancy.status = 'pending_lease';
+      } else if (lease.status !== 'executed') {
+        tenancy.status = 'pending_signatures';
+      }
+    }
+
     res.json({ tenancies });
   } catch (error) {
     console.error('Get tenancies error:', error);
@@ -329,7 +351,7 @@ router.get('/:id', verifyToken, async (req, res) => {
 // @route   POST /api/applications
 // @desc    Create new application
 // @access  Private (Client)
-router.post('/', verifyToken, authorize('client'), async (req, res) => {
+router.post('/', verifyToken, authorize('client'), requireKycVerified, enforceApplicationLimit, async (req, res) => {
   try {
     // Support both new simple format and legacy complex format
     const { 
@@ -647,6 +669,10 @@ router.put('/:id', verifyToken, async (req, res) => {
       }
     }
 
+    if (allowedUpdates.status === 'approved' && application.status !== 'approved') {
+      allowedUpdates.leaseRequired = true;
+    }
+
     const updatedApplication = await Application.findByIdAndUpdate(
       req.params.id,
       allowedUpdates,
@@ -671,6 +697,29 @@ router.put('/:id', verifyToken, async (req, res) => {
       }
     }
 
+    // Approval produces the lease for both parties to sign
+    let lease = null;
+    let leaseError = null;
+    if (req.body.status === 'approved' && application.status !== 'approved') {
+      try {
+        lease = await generateLease(updatedApplication._id, { user: req.user });
+      } catch (error) {
+        // e.g. no lease start date yet; the landlord can generate it from /api/leases later
+        console.error('Error generating lease:', error.message);
+        leaseError = {
+          message: `${error.code && error.status ? error.message : 'The lease could not be generated'}. Generate it from the lease page once this is fixed.`,
+          error: error.code || 'LEASE_GENERATION_FAILED'
+        };
+      }
+
+      // Start billing from the agreed terms; without a start date yet, the first rent payment creates it
+      try {
+        await rentScheduleService.scheduleApprovedTenancy(updatedApplication._id, lease?.terms);
+      } catch (error) {
+        console.error('Error creating rent schedule:', error);
+      }
+    }
+
     // Audit log: Application updated
     const { ipAddress, userAgent } = getRequestMetadata(req);
     const statusChanged = req.body.status && req.body.status !== application.status;
@@ -691,7 +740,9 @@ router.put('/:id', verifyToken, async (req, res) => {
 
     res.json({
       message: 'Application updated successfully',
-      application: updatedApplication
+      application: updatedApplication,
+      lease,
+      ...(leaseError && { leaseError })
     });
 
   } catch (error) {
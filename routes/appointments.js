@@ -3,9 +3,39 @@ const ViewingAppointment = require('../models/ViewingAppointment');
 const Property = require('../models/Property');
 const { verifyToken, authorize } = require('../middleware/auth');
 const { notifyViewingAppointment } = require('../utils/notifications');
+const { bookViewing, releaseViewing } = require('../services/viewingAvailabilityService');
+const { outcomeUpdates, getClientViewingStats } = require('../services/viewingLifecycleService');
 
 const router = express.Router();
 
+// Tell both sides about a status change; the emails carry the calendar update for the same event
+const notifyParticipants = async (appointment, type) => {
+  const recipients = [
+    { userId: appointment.client._id || appointment.client, type },
+    { userId: appointment.landlord._id || appointment.landlord, type: type === 'rejected' ? 'cancelled' : type }
+  ];
+  for (const recipient of recipients) {
+    try {
+      await notifyViewingAppointment(appointment, recipient.type, recipient.userId.toString());
+    } catch (notifError) {
+      console.error('Error sending notification:', notifError);
+      // Don't fail the request if notification fails
+    }
+  }
+};
+
+// Landlords see each client's viewing attendance (completed / no-show) next to their requests
+const withClientHistory = async (appointments, user) => {
+  if (!['landlord', 'admin'].includes(user.role)) {
+    return appointments;
+  }
+  const stats = await getClientViewingStats(appointments.map(appointment => appointment.client?._id || appointment.client));
+  return appointments.map(appointment => ({
+    ...appointment.toJSON(),
+    clientHistory: stats.get(String(appointment.client?._id || appointment.client)) || null
+  }));
+};
+
 // @route   GET /api/appointments
 // @desc    Get appointments for current user
 // @access  Private
@@ -43,7 +73,7 @@ router.get('/', verifyToken, async (req, res) => {
     const total = await ViewingAppointment.countDocuments(filters);
 
     res.json({
-      appointments,
+      appointments: await withClientHistory(appointments, req.user),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -82,7 +112,8 @@ router.get('/:id', verifyToken, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view this appointment' });
     }
 
-    res.json({ appointment });
+    const [withHistory] = await withClientHistory([appointment], req.user);
+    res.json({ appointment: withHistory });
 
   } catch (error) {
     console.error('Get appointment error:', error);
@@ -91,74 +122,43 @@ router.get('/:id', verifyToken, async (req, res) => {
 });
 
 // @route   POST /api/appointments
-// @desc    Create new viewing appointment
+// @desc    Book a viewing: one of the open slots from GET /api/properties/:id/viewing-slots
+//          (startsAt), or a free-form request when the landlord hasn't published availability
 // @access  Private (Client)
 router.post('/', verifyToken, authorize('client'), async (req, res) => {
   try {
-    const { 
-      propertyId, 
-      scheduledDate, 
-      scheduledTime, 
-      duration = 60, 
-      notes 
+    const {
+      propertyId,
+      startsAt,
+      scheduledDate,
+      scheduledTime,
+      duration,
+      notes
     } = req.body;
 
     // Validate required fields
-    if (!propertyId || !scheduledDate || !scheduledTime) {
-      return res.status(400).json({ 
-        message: 'Property ID, scheduled date, and scheduled time are required' 
+    if (!propertyId || (!startsAt && (!scheduledDate || !scheduledTime))) {
+      return res.status(400).json({
+        message: 'Property ID and a viewing time (startsAt, or scheduled date and time) are required'
       });
     }
 
-    // Check if property exists and is available for viewings
     const property = await Property.findById(propertyId);
     if (!property) {
       return res.status(404).json({ message: 'Property not found' });
     }
 
-    if (!property.viewingsEnabled || !property.isAvailable) {
-      return res.status(400).json({ message: 'Property is not available for viewings' });
-    }
-
-    // Check for conflicting appointments
-    const appointmentDateTime = new Date(`${scheduledDate}T${scheduledTime}`);
-    const endDateTime = new Date(appointmentDateTime.getTime() + duration * 60000);
-
-    const conflictingAppointment = await ViewingAppointment.findOne({
-      property: propertyId,
-      status: { $in: ['pending', 'confirmed'] },
-      $or: [
-        {
-          scheduledDate: appointmentDateTime,
-          scheduledTime: { $gte: scheduledTime, $lt: endDateTime.toTimeString().slice(0, 5) }
-        },
-        {
-          scheduledDate: endDateTime,
-          scheduledTime: { $lt: endDateTime.toTimeString().slice(0, 5) }
-        }
-      ]
-    });
-
-    if (conflictingAppointment) {
-      return res.status(400).json({ 
-        message: 'There is already an appointment scheduled at this time' 
-      });
-    }
-
-    // Create appointment
-    const appointment = new ViewingAppointment({
-      property: propertyId,
-      client: req.user._id,
-      landlord: property.landlord,
-      scheduledDate: new Date(scheduledDate),
+    // Reserves the time atomically; fails if someone else got there first
+    const appointment = await bookViewing({
+      property,
+      clientId: req.user._id,
+      startsAt,
+      scheduledDate,
       scheduledTime,
       duration,
-      notes,
-      status: 'pending'
+      notes
     });
 
-    await appointment.save();
-
     // Populate the response
     await appointment.populate([
       { path: 'property', select: 'title address images price' },
@@ -166,28 +166,38 @@ router.post('/', verifyToken, authorize('client'), async (req, res) => {
       { path: 'landlord', select: 'firstName lastName email phone' }
     ]);
 
-    // Notify landlord about new viewing appointment
-    try {
-      await notifyViewingAppointment(appointment, 'scheduled', property.landlord.toString());
-    } catch (notifError) {
-      console.error('Error sending notification:', notifError);
-      // Don't fail the request if notification fails
-    }
+    if (appointment.status === 'confirmed') {
+      // Auto-confirmed slot: same confirmation (and calendar invite) as a landlord confirming it
+      await notifyParticipants(appointment, 'confirmed');
+    } else {
+      // Notify landlord about new viewing appointment
+      try {
+        await notifyViewingAppointment(appointment, 'scheduled', property.landlord.toString());
+      } catch (notifError) {
+        console.error('Error sending notification:', notifError);
+        // Don't fail the request if notification fails
+      }
 
-    // Notify client
-    try {
-      await notifyViewingAppointment(appointment, 'scheduled', req.user._id.toString());
-    } catch (notifError) {
-      console.error('Error sending notification:', notifError);
-      // Don't fail the request if notification fails
+      // Notify client
+      try {
+        await notifyViewingAppointment(appointment, 'scheduled', req.user._id.toString());
+      } catch (notifError) {
+        console.error('Error sending notification:', notifError);
+        // Don't fail the request if notification fails
+      }
     }
 
     res.status(201).json({
-      message: 'Viewing appointment requested successfully',
+      message: appointment.status === 'confirmed'
+        ? 'Viewing booked successfully'
+        : 'Viewing appointment requested successfully',
       appointment
     });
 
   } catch (error) {
+    if (error.code && error.status) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
     console.error('Create appointment error:', error);
     res.status(500).json({ message: 'Server error while creating appointment' });
   }
@@ -228,12 +238,15 @@ router.put('/:id', verifyToken, async (req, res) => {
         allowedUpdates.notes = req.body.notes;
       }
     } else if (req.user.role === 'landlord' || req.user.role === 'admin') {
-      // Landlords can confirm, reject, or mark as completed
-      const allowedStatuses = ['confirmed', 'rejected', 'completed'];
+      // Landlords can confirm, reject, or record how the viewing went
+      const allowedStatuses = ['confirmed', 'rejected', 'completed', 'no_show'];
       if (allowedStatuses.includes(req.body.status)) {
+        if (req.body.status === 'no_show' && appointment.appointmentDateTime > new Date()) {
+          return res.status(400).json({ message: 'A viewing can only be marked as a no-show once it has started' });
+        }
         allowedUpdates.status = req.body.status;
-        if (req.body.status === 'completed') {
-          allowedUpdates.completedAt = new Date();
+        if (req.body.status !== appointment.status) {
+          Object.assign(allowedUpdates, outcomeUpdates(req.body.status));
         }
       }
       if (req.body.notes !== undefined) {
@@ -241,6 +254,11 @@ router.put('/:id', verifyToken, async (req, res) => {
       }
     }
 
+    // Their time has been released and may already be booked by someone else
+    if (allowedUpdates.status && ['cancelled', 'rejected'].includes(appointment.status)) {
+      return res.status(400).json({ message: 'Cancelled or rejected viewings cannot be reopened; book a new time instead' });
+    }
+
     const updatedAppointment = await ViewingAppointment.findByIdAndUpdate(
       req.params.id,
       allowedUpdates,
@@ -251,6 +269,15 @@ router.put('/:id', verifyToken, async (req, res) => {
       { path: 'landlord', select: 'firstName lastName email phone' }
     ]);
 
+    // Cancelled or rejected viewings give their time back
+    if (['cancelled', 'rejected'].includes(allowedUpdates.status)) {
+      await releaseViewing(appointment._id);
+    }
+
+    if (['confirmed', 'cancelled', 'rejected'].includes(allowedUpdates.status) && allowedUpdates.status !== appointment.status) {
+      await notifyParticipants(updatedAppointment, allowedUpdates.status);
+    }
+
     res.json({
       message: 'Appointment updated successfully',
       appointment: updatedAppointment
@@ -284,10 +311,21 @@ router.delete('/:id', verifyToken, async (req, res) => {
     }
 
     // Update status to cancelled instead of deleting
+    const wasCancelled = appointment.status === 'cancelled';
     appointment.status = 'cancelled';
     appointment.cancelledAt = new Date();
     appointment.cancelledBy = req.user._id;
     await appointment.save();
+    await releaseViewing(appointment._id);
+
+    if (!wasCancelled) {
+      await appointment.populate([
+        { path: 'property', select: 'title address' },
+        { path: 'client', select: 'firstName lastName email' },
+        { path: 'landlord', select: 'firstName lastName email' }
+      ]);
+      await notifyParticipants(appointment, 'cancelled');
+    }
 
     res.json({ message: 'Appointment cancelled successfully' });
 
@@ -327,7 +365,7 @@ router.get('/property/:propertyId', verifyToken, async (req, res) => {
     const total = await ViewingAppointment.countDocuments(filters);
 
     res.json({
-      appointments,
+      appointments: await withClientHistory(appointments, req.user),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -1,143 +1,144 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
-const nodemailer = require("nodemailer");
-const { Resend } = require("resend");
 const User = require("../models/User");
-const { generateToken, verifyToken } = require("../middleware/auth");
+const { verifyToken, optionalAuth } = require("../middleware/auth");
+const { getPolicySettings, maintenanceResponse } = require("../middleware/platformPolicy");
 const { createAuditLog, getRequestMetadata } = require("../utils/auditLogger");
-
-// Initialize Resend (trim key to avoid whitespace issues)
-const resendApiKey = process.env.RESEND_API_KEY?.trim();
-const resend = resendApiKey ? new Resend(resendApiKey) : null;
-
-// Log email config status once at load (helps debug "verification not sent")
-const hasResend = !!resendApiKey;
-const hasSmtp = !!(process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASSWORD);
-if (!hasResend && !hasSmtp) {
-  console.warn('⚠️ Email verification: Neither RESEND_API_KEY nor SMTP (EMAIL_HOST/EMAIL_USER/EMAIL_PASSWORD) is set. OTP emails will not be sent.');
-}
+const { sendEmail } = require("../services/emailService");
+const sessionService = require("../services/sessionService");
+const twoFactorService = require("../services/twoFactorService");
+const oauthService = require("../services/oauthService");
+const { listProviders } = require("../services/oauthProviders");
+const { STEP_UP_WINDOW_MS, rejectStepUpCode } = require("../middleware/stepUp");
+const { getSecurityContext, recordSecurityEvent, recordClientEvent } = require("../services/securityEventService");
 
 const router = express.Router();
 
-// Resend expects "Display Name <email@domain.com>". Normalize plain addresses.
-const getResendFromAddress = () => {
-  const raw = (process.env.EMAIL_FROM || 'noreply@landlordnoagent.com').trim();
-  if (/<[^>]+>/.test(raw)) return raw; // already "Name <email>"
-  return `LandlordNoAgent <${raw}>`;
-};
-
-// Email transporter setup
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.EMAIL_HOST || 'sandbox.smtp.mailtrap.io',
-    port: process.env.EMAIL_PORT || 2525,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD,
-    },
-    connectionTimeout: 60000, // 60 seconds
-    greetingTimeout: 30000,   // 30 seconds
-    socketTimeout: 60000,     // 60 seconds
-    pool: true,
-    maxConnections: 5,
-    maxMessages: 100,
-    rateLimit: 14, // max 14 emails per second
-    debug: process.env.NODE_ENV === 'development'
-  });
-};
-
 // Send OTP email
 const sendOTPEmail = async (email, otp) => {
-  try {
-    // Try Resend API first (works on Render without SMTP ports)
-    if (resend) {
-      try {
-        const fromAddress = getResendFromAddress();
-        console.log('📧 Sending OTP via Resend to', email, 'from', fromAddress);
-        const { data, error } = await resend.emails.send({
-          from: fromAddress,
-          to: Array.isArray(email) ? email : [email],
-          subject: "Your OTP for Landlord No Agent",
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h2 style="color: #333;">Your OTP Code</h2>
-              <p>Your one-time password is:</p>
-              <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
-                ${otp}
-              </div>
-              <p>This code will expire in 10 minutes.</p>
-              <p>If you didn't request this code, please ignore this email.</p>
-            </div>
-          `,
-        });
-
-        if (error) {
-          console.error('❌ Resend API error:', error.name, error.message, error.statusCode != null ? `(status ${error.statusCode})` : '');
-          // 403 often means: using onboarding@resend.dev but sending to an email other than your Resend account email. Verify a domain and set EMAIL_FROM.
-          throw new Error(error.message);
-        }
+  const result = await sendEmail(
+    email,
+    "Your OTP for Landlord No Agent",
+    `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your OTP Code</h2>
+        <p>Your one-time password is:</p>
+        <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+          ${otp}
+        </div>
+        <p>This code will expire in 10 minutes.</p>
+        <p>If you didn't request this code, please ignore this email.</p>
+      </div>
+    `,
+    `Your one-time password is: ${otp}\n\nThis code will expire in 10 minutes. If you didn't request this code, please ignore this email.`,
+    { category: 'otp', sensitive: true }
+  );
+  if (!result.success && process.env.NODE_ENV !== 'production') {
+    console.log('🔑 OTP for development:', otp);
+  }
+  return result;
+};
 
-        console.log('✅ OTP email sent via Resend:', data?.id);
-        return { success: true, messageId: data?.id };
-      } catch (resendError) {
-        console.error('❌ Resend API failed:', resendError.message);
-        // Don't fall through to SMTP when using Resend - return so caller knows email wasn't sent
-        return { success: false, error: resendError.message };
-      }
-    }
+// Generate OTP
+const generateOTP = () => {
+  return Math.floor(100000 + Math.random() * 900000).toString();
+};
 
-    // Fallback to SMTP if Resend failed or not configured
-    if (!process.env.EMAIL_HOST || !process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-      console.warn('Email configuration missing. OTP:', otp);
-      return { success: false, error: 'Email configuration missing' };
-    }
+// Start a session for a user who passed every sign-in check and send the login response
+const completeLogin = async (req, res, user, { twoFactorMethod, provider } = {}) => {
+  // Reset login attempts and update last login
+  await user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session
+  const { ipAddress, userAgent } = getRequestMetadata(req);
+  const { token, refreshToken, refreshTokenExpiresAt, sessionId } = await sessionService.createSession(user, { ipAddress, userAgent });
+
+  // Audit log: User login
+  await createAuditLog({
+    action: 'user_login',
+    entityType: 'User',
+    entityId: user._id,
+    userId: user._id,
+    details: { email: user.email, role: user.role, sessionId, twoFactorMethod, provider },
+    ipAddress,
+    userAgent
+  });
+  await recordSecurityEvent('login', {
+    ...getSecurityContext(req),
+    user,
+    sessionId,
+    details: { twoFactorMethod, provider },
+  });
 
-    const transporter = createTransporter();
+  // Role requires 2FA but the user hasn't set it up yet: sign in, but the client should
+  // send them to setup (sensitive actions are refused until then)
+  const settings = await getPolicySettings().catch(() => null);
+  const twoFactorSetupRequired = !user.twoFactor?.enabled && twoFactorService.isRequiredForUser(user, settings);
+
+  // Map verification status (same logic as /auth/me endpoint)
+  const isVerified = user.isVerified || user.kyc?.status === 'verified';
+  const is_verified = isVerified || user.kyc?.status === 'verified';
+
+  res.json({
+    message: "Login successful",
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    twoFactorSetupRequired: twoFactorSetupRequired || undefined,
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      isEmailVerified: user.isEmailVerified,
+      isVerified: isVerified,
+      is_verified: is_verified,
+      kyc: user.kyc ? {
+        status: user.kyc.status
+      } : undefined,
+      lastLogin: user.lastLogin,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    },
+  });
+};
 
-    // Skip verification in production to avoid timeout issues on Render
-    if (process.env.NODE_ENV !== 'production') {
-      try {
-        await transporter.verify();
-      } catch (verifyError) {
-        console.error('❌ Email transporter verification failed:', verifyError.message);
-        console.log('🔑 OTP for development:', otp);
-        return { success: false, error: verifyError.message };
-      }
-    }
+// First factor passed (password or sign-in provider): hand out a short-lived two-factor
+// challenge instead of a session when 2FA is on, otherwise sign in
+const signIn = (req, res, user, options) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      message: "Two-factor verification required",
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.createLoginChallenge(user),
+      methods: ["totp", "backup_code", ...(user.twoFactor.emailFallback ? ["email"] : [])],
+    });
+  }
+  return completeLogin(req, res, user, options);
+};
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Your OTP for Landlord No Agent",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Your OTP Code</h2>
-          <p>Your one-time password is:</p>
-          <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
-            ${otp}
-          </div>
-          <p>This code will expire in 10 minutes.</p>
-          <p>If you didn't request this code, please ignore this email.</p>
-        </div>
-      `,
-    };
+// Count a failed password or code against the account lockout and record it
+const recordFailedAttempt = async (req, user, type, details) => {
+  await user.incLoginAttempts();
+  const context = getSecurityContext(req);
+  await recordSecurityEvent(type, { ...context, user, details });
 
-    await transporter.sendMail(mailOptions);
-    console.log('✅ OTP email sent successfully');
-    return { success: true };
-  } catch (error) {
-    console.error('❌ Error sending OTP email:', error.message);
-    // Log the OTP for development purposes
-    console.log('🔑 OTP for development:', otp);
-    return { success: false, error: error.message };
+  const updated = await User.findById(user._id).select('lockUntil');
+  if (!user.isLocked && updated?.isLocked) {
+    await recordSecurityEvent('account_locked', { ...context, user, details: { lockUntil: updated.lockUntil } });
   }
 };
 
-// Generate OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+const sendServiceError = (res, error, context, fallbackMessage) => {
+  if (error.code && error.status) {
+    return res.status(error.status).json({ message: error.message, error: error.code });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ message: fallbackMessage });
 };
 
 // @route   POST /api/auth/register
@@ -244,6 +245,13 @@ router.post("/verify-email", async (req, res) => {
     });
 
     if (!user) {
+      const existing = await User.findOne({ email: email.toLowerCase() }).select('_id email');
+      await recordSecurityEvent('otp_failed', {
+        ...getSecurityContext(req),
+        user: existing || undefined,
+        email,
+        details: { context: 'email_verification' },
+      });
       return res.status(400).json({
         message: "Invalid or expired OTP",
       });
@@ -279,12 +287,14 @@ router.post("/verify-email", async (req, res) => {
       // Don't fail verification if welcome email fails
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(user, getRequestMetadata(req));
 
     res.json({
       message: "Email verified successfully",
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: user._id,
         email: user.email,
@@ -371,6 +381,11 @@ router.post("/login", async (req, res) => {
     // Find user
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
+      await recordSecurityEvent('login_failed', {
+        ...getSecurityContext(req),
+        email,
+        details: { reason: 'unknown_email' },
+      });
       return res.status(401).json({
         message: "Invalid credentials",
       });
@@ -378,6 +393,11 @@ router.post("/login", async (req, res) => {
 
     // Check if account is locked
     if (user.isLocked) {
+      await recordSecurityEvent('login_failed', {
+        ...getSecurityContext(req),
+        user,
+        details: { reason: 'account_locked' },
+      });
       return res.status(423).json({
         message:
           "Account is temporarily locked due to too many failed login attempts",
@@ -387,7 +407,7 @@ router.post("/login", async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      await user.incLoginAttempts();
+      await recordFailedAttempt(req, user, 'login_failed', { reason: 'invalid_password' });
       return res.status(401).json({
         message: "Invalid credentials",
       });
@@ -400,89 +420,650 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    // Reset login attempts and update last login
-    await user.resetLoginAttempts();
-    user.lastLogin = new Date();
-    await user.save();
+    // Only admins can sign in while the platform is in maintenance mode
+    if (user.role !== 'admin') {
+      const settings = await getPolicySettings().catch(() => null);
+      if (settings?.maintenanceMode) {
+        return maintenanceResponse(res);
+      }
+    }
+
+    await signIn(req, res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      message: "Server error during login",
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @access  Public (refresh token)
+router.post("/refresh", async (req, res) => {
+  try {
+    const tokens = await sessionService.refreshSession(req.body?.refreshToken, getRequestMetadata(req));
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+    });
+  } catch (error) {
+    if (error.code && error.status) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      message: "Server error while refreshing session",
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user (revokes the current session)
+// @access  Private
+router.post("/logout", verifyToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.sessionId, req.user._id, 'logout');
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Update last logout time
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: { lastLogout: new Date() },
+    });
 
-    // Audit log: User login
+    // Audit log: User logout
     const { ipAddress, userAgent } = getRequestMetadata(req);
     await createAuditLog({
-      action: 'user_login',
+      action: 'user_logout',
       entityType: 'User',
-      entityId: user._id,
-      userId: user._id,
-      details: { email: user.email, role: user.role },
+      entityId: req.user._id,
+      userId: req.user._id,
+      details: { email: req.user.email, role: req.user.role, sessionId: req.sessionId },
       ipAddress,
       userAgent
     });
 
-    // Map verification status (same logic as /auth/me endpoint)
-    const isVerified = user.isVerified || user.kyc?.status === 'verified';
-    const is_verified = isVerified || user.kyc?.status === 'verified';
+    return res.json({
+      message: "Logout successful",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      message: "Server error during logout",
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out everywhere (revokes every session, including this one)
+// @access  Private
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user._id, 'logout_all');
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: { lastLogout: new Date() },
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'user_logout_all',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      details: { revoked },
+      ipAddress,
+      userAgent
+    });
 
     res.json({
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        isEmailVerified: user.isEmailVerified,
-        isVerified: isVerified,
-        is_verified: is_verified,
-        kyc: user.kyc ? {
-          status: user.kyc.status
-        } : undefined,
-        lastLogin: user.lastLogin,
-      },
+      message: "Logged out of all sessions",
+      revoked,
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Logout all error:", error);
     res.status(500).json({
-      message: "Server error during login",
+      message: "Server error during logout",
     });
   }
 });
 
-// // @route   POST /api/auth/logout
-// // @desc    Logout user (JWT-based)
-// // @access  Private
-router.post("/logout", verifyToken, async (req, res) => {
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) for the current user
+// @access  Private
+router.get("/sessions", verifyToken, async (req, res) => {
   try {
-    // Update last logout time
-    if (req.user) {
-      await User.findByIdAndUpdate(req.user._id, {
-        $set: { lastLogout: new Date() },
+    const sessions = await sessionService.listSessions(req.user._id);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.lastIpAddress || session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      message: "Server error while fetching sessions",
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete("/sessions/:id", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const revoked = await sessionService.revokeSession(req.params.id, req.user._id, 'user_revoked');
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'session_revoked',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      details: { sessionId: req.params.id, current: req.params.id === req.sessionId },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: "Session revoked",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      message: "Server error while revoking session",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/login
+// @desc    Second step of sign-in for accounts with two-factor authentication
+// @access  Public (login challenge token)
+router.post("/2fa/login", async (req, res) => {
+  try {
+    const { challengeToken, code, method } = req.body;
+    const userId = twoFactorService.readLoginChallenge(challengeToken);
+
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+    if (user.isLocked) {
+      return res.status(423).json({
+        message:
+          "Account is temporarily locked due to too many failed login attempts",
       });
+    }
+    if (user.role !== 'admin') {
+      const settings = await getPolicySettings().catch(() => null);
+      if (settings?.maintenanceMode) {
+        return maintenanceResponse(res);
+      }
+    }
 
-      // Audit log: User logout
+    const acceptedMethod = await twoFactorService.verifySecondFactor(user._id, { code, method });
+    if (!acceptedMethod) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await recordFailedAttempt(req, user, 'otp_failed', { context: 'two_factor_login', method: method || null });
       const { ipAddress, userAgent } = getRequestMetadata(req);
       await createAuditLog({
-        action: 'user_logout',
+        action: 'two_factor_failed',
+        entityType: 'User',
+        entityId: user._id,
+        userId: user._id,
+        details: { stage: 'login', method: method || null },
+        ipAddress,
+        userAgent
+      });
+      return res.status(401).json({ message: "Invalid verification code", error: "INVALID_TWO_FACTOR_CODE" });
+    }
+
+    await completeLogin(req, res, user, { twoFactorMethod: acceptedMethod });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor login", "Server error during login");
+  }
+});
+
+// @route   POST /api/auth/2fa/email-code
+// @desc    Email a one-time code (only for users who turned on the email fallback).
+//          Send { challengeToken } during sign-in, or call it signed in for a step-up.
+// @access  Public (login challenge token) / Private
+router.post("/2fa/email-code", (req, res, next) => (req.body?.challengeToken ? next() : verifyToken(req, res, next)), async (req, res) => {
+  try {
+    const userId = req.user ? req.user._id : twoFactorService.readLoginChallenge(req.body.challengeToken);
+    const user = await User.findById(userId).select('email');
+    if (!user) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    const code = await twoFactorService.issueEmailCode(user._id);
+    const emailResult = await sendOTPEmail(user.email, code);
+    if (!emailResult.success && process.env.NODE_ENV === 'production') {
+      return res.status(500).json({ message: "Failed to send verification code" });
+    }
+
+    res.json({ message: "Verification code sent to your email" });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor email code", "Server error while sending verification code");
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get("/2fa/status", verifyToken, async (req, res) => {
+  try {
+    const settings = await getPolicySettings();
+    const enabled = Boolean(req.user.twoFactor?.enabled);
+    res.json({
+      enabled,
+      enabledAt: req.user.twoFactor?.enabledAt || null,
+      emailFallback: Boolean(req.user.twoFactor?.emailFallback),
+      required: twoFactorService.isRequiredForUser(req.user, settings),
+      backupCodesRemaining: enabled ? await twoFactorService.countBackupCodes(req.user._id) : 0,
+    });
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    res.status(500).json({ message: "Server error while fetching two-factor status" });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: returns the secret and an otpauth:// URI to render as a QR code
+// @access  Private
+router.post("/2fa/setup", verifyToken, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactorService.startEnrollment(req.user);
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor setup", "Server error while setting up two-factor authentication");
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code from the app; returns the backup codes (shown once)
+// @access  Private
+router.post("/2fa/enable", verifyToken, async (req, res) => {
+  try {
+    const { code, emailFallback } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required" });
+    }
+
+    const { backupCodes } = await twoFactorService.confirmEnrollment(req.user._id, code, { emailFallback });
+    // The code just entered counts as a step-up for this session
+    await sessionService.recordStepUp(req.sessionId);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'two_factor_enabled',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      details: { emailFallback: emailFallback === true },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      backupCodes,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor enable", "Server error while enabling two-factor authentication");
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (password and a current code required)
+// @access  Private
+router.post("/2fa/disable", verifyToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ message: "Password and verification code are required" });
+    }
+
+    const settings = await getPolicySettings();
+    if (twoFactorService.isRequiredForUser(req.user, settings)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your account type",
+        error: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled", error: "TWO_FACTOR_NOT_ENABLED" });
+    }
+    if (!(await user.comparePassword(password)) || !(await twoFactorService.verifySecondFactor(user._id, { code }))) {
+      return res.status(401).json({ message: "Invalid password or verification code" });
+    }
+
+    await twoFactorService.disable(user._id);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'two_factor_disabled',
+      entityType: 'User',
+      entityId: user._id,
+      userId: user._id,
+      details: {},
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor disable", "Server error while disabling two-factor authentication");
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes/regenerate
+// @desc    Replace the backup codes (old ones stop working); requires a current code
+// @access  Private
+router.post("/2fa/backup-codes/regenerate", verifyToken, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled", error: "TWO_FACTOR_NOT_ENABLED" });
+    }
+    if (!(await twoFactorService.verifySecondFactor(req.user._id, { code: req.body.code, method: 'totp' }))) {
+      return res.status(401).json({ message: "Invalid verification code", error: "INVALID_TWO_FACTOR_CODE" });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user._id);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'two_factor_backup_codes_regenerated',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      details: {},
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: "New backup codes generated",
+      backupCodes,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Regenerate backup codes", "Server error while generating backup codes");
+  }
+});
+
+// @route   POST /api/auth/2fa/step-up
+// @desc    Re-confirm the second factor; sensitive actions on this session are allowed for 5 minutes
+// @access  Private
+router.post("/2fa/step-up", verifyToken, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled", error: "TWO_FACTOR_NOT_ENABLED" });
+    }
+
+    const { code, method } = req.body;
+    const acceptedMethod = await twoFactorService.verifySecondFactor(req.user._id, { code, method });
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    if (!acceptedMethod) {
+      await createAuditLog({
+        action: 'two_factor_failed',
         entityType: 'User',
         entityId: req.user._id,
         userId: req.user._id,
-        details: { email: req.user.email, role: req.user.role },
+        details: { stage: 'step_up', method: method || null },
         ipAddress,
         userAgent
       });
+      await recordSecurityEvent('otp_failed', {
+        ...getSecurityContext(req),
+        user: req.user,
+        sessionId: req.sessionId,
+        details: { context: 'two_factor_step_up', method: method || null },
+      });
+      // Repeated wrong codes revoke the session
+      if (await rejectStepUpCode(req, res)) return;
+      return res.status(401).json({ message: "Invalid verification code", error: "INVALID_TWO_FACTOR_CODE" });
     }
 
-    // Client should remove token
-    return res.json({
-      message: "Logout successful. Please remove token on client.",
+    const stepUpAt = await sessionService.recordStepUp(req.sessionId);
+
+    await createAuditLog({
+      action: 'two_factor_step_up',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      details: { method: acceptedMethod, sessionId: req.sessionId },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: "Verified",
+      stepUpExpiresAt: new Date(stepUpAt.getTime() + STEP_UP_WINDOW_MS),
     });
   } catch (error) {
-    console.error("Logout error:", error);
-    res.status(500).json({
-      message: "Server error during logout",
+    sendServiceError(res, error, "Two-factor step-up", "Server error during verification");
+  }
+});
+
+// Sign in a user resolved through a provider: new accounts without a provider-verified email
+// go through the usual OTP verification first
+const finishOAuthSignIn = async (req, res, user, { provider, created }) => {
+  if (!user.isActive) {
+    return res.status(401).json({ message: "Account is deactivated", error: "ACCOUNT_DEACTIVATED" });
+  }
+  if (user.role !== 'admin') {
+    const settings = await getPolicySettings().catch(() => null);
+    if (settings?.maintenanceMode) {
+      return maintenanceResponse(res);
+    }
+  }
+
+  const { ipAddress, userAgent } = getRequestMetadata(req);
+  if (created) {
+    await createAuditLog({
+      action: 'user_registered',
+      entityType: 'User',
+      entityId: user._id,
+      userId: user._id,
+      details: { email: user.email, role: user.role, provider },
+      ipAddress,
+      userAgent
+    });
+  }
+
+  if (!user.isEmailVerified) {
+    const otp = generateOTP();
+    user.emailVerificationToken = otp;
+    user.emailVerificationExpires = new Date(Date.now() + 10 * 60 * 1000);
+    await user.save();
+    const emailResult = await sendOTPEmail(user.email, otp);
+    return res.status(created ? 201 : 200).json({
+      message: "Please verify your email with the OTP sent.",
+      emailVerificationRequired: true,
+      email: user.email,
+      verificationEmailSent: !!emailResult.success,
+    });
+  }
+
+  await signIn(req, res, user, { provider });
+};
+
+// @route   GET /api/auth/oauth/providers
+// @desc    Sign-in providers that are configured
+// @access  Public
+router.get("/oauth/providers", (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// @route   GET /api/auth/oauth/:provider/start
+// @desc    Authorization URL to sign in (or sign up, with ?role=landlord|client) with a provider
+// @access  Public
+router.get("/oauth/:provider/start", async (req, res) => {
+  try {
+    const { authorizationUrl } = await oauthService.startAuthorization(req.params.provider, {
+      intent: 'login',
+      role: req.query.role,
+    });
+    res.json({ authorizationUrl });
+  } catch (error) {
+    sendServiceError(res, error, "OAuth start", "Server error while starting sign-in");
+  }
+});
+
+// @route   POST /api/auth/oauth/:provider/link
+// @desc    Authorization URL to link a provider to the current account
+// @access  Private
+router.post("/oauth/:provider/link", verifyToken, async (req, res) => {
+  try {
+    const { authorizationUrl } = await oauthService.startAuthorization(req.params.provider, {
+      intent: 'link',
+      userId: req.user._id,
+    });
+    res.json({ authorizationUrl });
+  } catch (error) {
+    sendServiceError(res, error, "OAuth link", "Server error while linking account");
+  }
+});
+
+// @route   POST /api/auth/oauth/callback
+// @desc    Finish a provider redirect ({ code, state } from the callback URL)
+// @access  Public (state from /oauth/:provider/start); Private for /link states (same account only)
+router.post("/oauth/callback", optionalAuth, async (req, res) => {
+  try {
+    const { code, state, error: providerError } = req.body;
+    if (providerError) {
+      return res.status(400).json({ message: "Sign-in was cancelled or denied", error: "OAUTH_DENIED" });
+    }
+
+    const result = await oauthService.handleCallback({ code, state, userId: req.user?._id });
+
+    if (result.intent === 'link') {
+      const { ipAddress, userAgent } = getRequestMetadata(req);
+      await createAuditLog({
+        action: 'oauth_account_linked',
+        entityType: 'User',
+        entityId: result.user._id,
+        userId: result.user._id,
+        details: { provider: result.provider },
+        ipAddress,
+        userAgent
+      });
+      return res.json({
+        message: "Account linked",
+        intent: 'link',
+        provider: result.provider,
+        oauthAccounts: result.user.oauthAccounts,
+      });
+    }
+
+    if (result.signupRequired) {
+      return res.json({
+        message: "Finish creating your account",
+        signupRequired: true,
+        signupToken: result.signupToken,
+        missing: result.missing,
+        profile: result.profile,
+      });
+    }
+
+    if (result.linked) {
+      const { ipAddress, userAgent } = getRequestMetadata(req);
+      await createAuditLog({
+        action: 'oauth_account_linked',
+        entityType: 'User',
+        entityId: result.user._id,
+        userId: result.user._id,
+        details: { provider: result.provider, byVerifiedEmail: true },
+        ipAddress,
+        userAgent
+      });
+    }
+
+    await finishOAuthSignIn(req, res, result.user, result);
+  } catch (error) {
+    sendServiceError(res, error, "OAuth callback", "Server error during sign-in");
+  }
+});
+
+// @route   POST /api/auth/oauth/complete-signup
+// @desc    Create the account for a provider sign-in that still needed a role or name
+// @access  Public (signup token from /oauth/callback)
+router.post("/oauth/complete-signup", async (req, res) => {
+  try {
+    const { signupToken, role, firstName, lastName, phone } = req.body;
+    const { provider, user } = await oauthService.completeSignup({ signupToken, role, firstName, lastName, phone });
+    await finishOAuthSignIn(req, res, user, { provider, created: true });
+  } catch (error) {
+    sendServiceError(res, error, "OAuth complete signup", "Server error during registration");
+  }
+});
+
+// @route   GET /api/auth/oauth/accounts
+// @desc    Providers linked to the current account
+// @access  Private
+router.get("/oauth/accounts", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("oauthAccounts password");
+    res.json({
+      oauthAccounts: user.oauthAccounts || [],
+      hasPassword: Boolean(user.password),
+      available: listProviders(),
+    });
+  } catch (error) {
+    console.error("Get linked accounts error:", error);
+    res.status(500).json({ message: "Server error while fetching linked accounts" });
+  }
+});
+
+// @route   DELETE /api/auth/oauth/:provider
+// @desc    Unlink a provider from the current account
+// @access  Private
+router.delete("/oauth/:provider", verifyToken, async (req, res) => {
+  try {
+    const provider = String(req.params.provider).toLowerCase();
+    const user = await oauthService.unlinkProvider(req.user._id, provider);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'oauth_account_unlinked',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      details: { provider },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: "Account unlinked",
+      oauthAccounts: user.oauthAccounts,
     });
+  } catch (error) {
+    sendServiceError(res, error, "OAuth unlink", "Server error while unlinking account");
   }
 });
 
@@ -525,10 +1106,10 @@ router.post("/forgot-password", async (req, res) => {
       ipAddress,
       userAgent
     });
+    await recordSecurityEvent('password_reset_requested', { ...getSecurityContext(req), user });
 
     const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
     const resetPageUrl = `${frontendUrl}/auth/reset-password`;
-    const fromAddress = getResendFromAddress();
     const logoUrl = `${frontendUrl}/logo.png`;
     const firstName = user.firstName || 'User';
 
@@ -562,44 +1143,15 @@ router.post("/forgot-password", async (req, res) => {
 
     const resetEmailText = `Your password reset code is: ${resetCode}\n\nGo to ${resetPageUrl} and enter this code with your email to set a new password. This code expires in 1 hour. If you didn't request this, please ignore this email.`;
 
-    let emailSent = false;
-
-    if (resend) {
-      try {
-        const { data, error } = await resend.emails.send({
-          from: fromAddress,
-          to: email,
-          subject: 'Password Reset Code - LandLordNoAgent',
-          html: resetEmailHtml,
-          text: resetEmailText,
-        });
-        if (error) throw new Error(error.message);
-        emailSent = true;
-        console.log('✅ Password reset code email sent via Resend:', data?.id);
-      } catch (resendErr) {
-        console.error('❌ Resend password reset failed:', resendErr.message);
-      }
-    }
-
-    if (!emailSent && process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASSWORD) {
-      try {
-        const transporter = createTransporter();
-        await transporter.sendMail({
-          from: process.env.EMAIL_USER,
-          to: email,
-          subject: 'Password Reset Code - LandLordNoAgent',
-          html: resetEmailHtml,
-          text: resetEmailText,
-        });
-        emailSent = true;
-        console.log('✅ Password reset code email sent via SMTP');
-      } catch (smtpErr) {
-        console.error('❌ SMTP password reset failed:', smtpErr.message);
-      }
-    }
+    const emailResult = await sendEmail(user.email, 'Password Reset Code - LandLordNoAgent', resetEmailHtml, resetEmailText, {
+      category: 'password_reset',
+      userId: user._id,
+      sensitive: true
+    });
+    const emailSent = emailResult.success;
 
     if (!emailSent) {
-      console.error('Password reset email not sent: no Resend API key or SMTP config');
+      console.error('Password reset email not sent:', emailResult.error);
       return res.status(503).json({
         message: 'Unable to send password reset email. Please try again later or contact support.',
       });
@@ -646,6 +1198,11 @@ router.post("/reset-password", async (req, res) => {
     }
 
     if (!user) {
+      await recordSecurityEvent('otp_failed', {
+        ...getSecurityContext(req),
+        email,
+        details: { context: 'password_reset' },
+      });
       return res.status(400).json({
         message: "Invalid or expired reset code. Please request a new code.",
       });
@@ -657,6 +1214,9 @@ router.post("/reset-password", async (req, res) => {
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Whoever had the old password is signed out everywhere
+    const revokedSessions = await sessionService.revokeAllSessions(user._id, 'password_reset');
+
     // Audit log: Password reset
     const { ipAddress, userAgent } = getRequestMetadata(req);
     await createAuditLog({
@@ -664,10 +1224,15 @@ router.post("/reset-password", async (req, res) => {
       entityType: 'User',
       entityId: user._id,
       userId: user._id,
-      details: { email: user.email },
+      details: { email: user.email, revokedSessions },
       ipAddress,
       userAgent
     });
+    await recordSecurityEvent('password_reset', {
+      ...getSecurityContext(req),
+      user,
+      details: { revokedSessions },
+    });
 
     res.json({
       message: "Password reset successfully",
@@ -734,26 +1299,12 @@ router.post("/check-email", async (req, res) => {
 });
 
 // @route   POST /api/auth/security-log
-// @desc    Log security events for audit purposes
+// @desc    Record a security event reported by the frontend (always for the signed-in user)
 // @access  Private
 router.post("/security-log", verifyToken, async (req, res) => {
   try {
-    const { event, userId, details, timestamp } = req.body;
-
-    // Log to console for now - in production, this could go to a separate logging service
-    console.log('[SECURITY LOG]', {
-      event,
-      userId: userId || req.user._id,
-      details,
-      timestamp: timestamp || new Date().toISOString(),
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-
-    // Optional: Save to database for audit trail
-    // await SecurityLog.create({ event, userId, details, timestamp, ip: req.ip });
-
-    res.json({ success: true });
+    const event = await recordClientEvent(req.user, req);
+    res.json({ success: Boolean(event) });
   } catch (error) {
     console.error("Security log error:", error);
     // Don't fail - security logging should not block user actions
@@ -0,0 +1,447 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const Property = require('../models/Property');
+const Payment = require('../models/Payment');
+const { verifyToken, authorize } = require('../middleware/auth');
+const { requireKycVerified } = require('../middleware/platformPolicy');
+const bookingService = require('../services/bookingService');
+const refundService = require('../services/refundService');
+const { notifyAdmins } = require('../utils/notifications');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+// Initialize Stripe only if API key is provided
+let stripe = null;
+try {
+  if (process.env.STRIPE_SECRET_KEY) {
+    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  }
+} catch (error) {
+  console.error('Error initializing Stripe:', error);
+}
+
+const stripeUnavailable = (res) => res.status(503).json({
+  message: 'Payment processing is currently unavailable. Please contact support.',
+  error: 'Stripe API key not configured'
+});
+
+// Service errors carry a stable code and HTTP status
+const sendBookingError = (res, error) => {
+  const { code, status, message, unavailableNights, maxNights } = error;
+  return res.status(status || 400).json({
+    message,
+    error: code,
+    ...(unavailableNights && { unavailableNights }),
+    ...(maxNights && { maxNights })
+  });
+};
+
+const isBookingError = (error) => Object.values(bookingService.BOOKING_ERRORS).includes(error.code);
+
+const canAccessBooking = (booking, user) => {
+  if (user.role === 'admin') return true;
+  const userId = user._id.toString();
+  return String(booking.guest._id || booking.guest) === userId ||
+    String(booking.landlord._id || booking.landlord) === userId;
+};
+
+/**
+ * Open a Stripe Checkout session for a pending booking.
+ * The session expires together with the booking's hold on its nights.
+ */
+const createCheckoutSession = (booking, property, guest) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: [
+      {
+        price_data: {
+          currency: (booking.currency || 'NGN').toLowerCase(),
+          product_data: {
+            name: `Shortlet Booking - ${property.title} (Escrow)`,
+            description: `${booking.nights} night${booking.nights === 1 ? '' : 's'}, ${bookingService.toNightKey(booking.checkIn)} to ${bookingService.toNightKey(booking.checkOut)}. Payment will be held in escrow.`
+          },
+          unit_amount: Math.round(booking.nightlyRate * 100) // Convert to cents
+        },
+        quantity: booking.nights
+      }
+    ],
+    mode: 'payment',
+    expires_at: Math.floor(booking.holdExpiresAt.getTime() / 1000),
+    success_url: `${frontendUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${frontendUrl}/payment/cancel`,
+    metadata: {
+      bookingId: booking._id.toString(),
+      userId: guest._id.toString(),
+      type: 'booking'
+    },
+    customer_email: guest.email
+  });
+};
+
+// @route   GET /api/bookings/quote
+// @desc    Check availability and price a stay (propertyId, checkIn, checkOut as YYYY-MM-DD)
+// @access  Public
+router.get('/quote', async (req, res) => {
+  try {
+    const { propertyId, checkIn, checkOut } = req.query;
+
+    if (!propertyId) {
+      return res.status(400).json({ message: 'propertyId is required', error: 'MISSING_PROPERTY_ID' });
+    }
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    const quote = bookingService.quoteStay(property, checkIn, checkOut);
+    const unavailableNights = await bookingService.findTakenNights(property._id, quote.nightKeys);
+
+    res.json({
+      propertyId: property._id,
+      checkIn: bookingService.toNightKey(quote.checkIn),
+      checkOut: bookingService.toNightKey(quote.checkOut),
+      nights: quote.nights,
+      nightlyRate: quote.nightlyRate,
+      totalAmount: quote.totalAmount,
+      currency: quote.currency,
+      available: unavailableNights.length === 0,
+      unavailableNights
+    });
+  } catch (error) {
+    if (isBookingError(error)) {
+      return sendBookingError(res, error);
+    }
+    console.error('Booking quote error:', error);
+    res.status(500).json({ message: 'Server error while checking availability' });
+  }
+});
+
+// @route   POST /api/bookings
+// @desc    Book a shortlet and start Stripe checkout (nights are held until the session expires)
+// @access  Private (Client)
+router.post('/', verifyToken, authorize('client'), requireKycVerified, async (req, res) => {
+  try {
+    if (!stripe) {
+      return stripeUnavailable(res);
+    }
+
+    const { propertyId, checkIn, checkOut, guests = 1, notes } = req.body;
+
+    if (!propertyId) {
+      return res.status(400).json({ message: 'propertyId is required', error: 'MISSING_PROPERTY_ID' });
+    }
+
+    const guestCount = parseInt(guests);
+    if (!Number.isInteger(guestCount) || guestCount < 1) {
+      return res.status(400).json({ message: 'guests must be a positive whole number', error: 'INVALID_GUESTS' });
+    }
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    const booking = await bookingService.createBooking({
+      property,
+      guestId: req.user._id,
+      checkIn,
+      checkOut,
+      guests: guestCount,
+      notes
+    });
+
+    let session;
+    try {
+      session = await createCheckoutSession(booking, property, req.user);
+    } catch (stripeError) {
+      // Don't keep nights locked for a booking that can't be paid
+      await bookingService.cancelBooking(booking._id, { userId: req.user._id, reason: 'Checkout could not be started' });
+      throw stripeError;
+    }
+
+    booking.stripeSessionId = session.id;
+    await booking.save();
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'booking_created',
+      entityType: 'Booking',
+      entityId: booking._id,
+      userId: req.user._id,
+      details: {
+        propertyId: property._id.toString(),
+        checkIn: bookingService.toNightKey(booking.checkIn),
+        checkOut: bookingService.toNightKey(booking.checkOut),
+        nights: booking.nights,
+        totalAmount: booking.totalAmount,
+        currency: booking.currency
+      },
+      ipAddress,
+      userAgent
+    });
+
+    res.status(201).json({
+      message: 'Booking created. Complete payment before the hold expires.',
+      booking,
+      sessionId: session.id,
+      url: session.url
+    });
+  } catch (error) {
+    if (isBookingError(error)) {
+      return sendBookingError(res, error);
+    }
+    console.error('Create booking error:', error);
+    res.status(500).json({ message: 'Server error while creating booking' });
+  }
+});
+
+// @route   GET /api/bookings
+// @desc    List bookings (guests see their stays, landlords their properties' bookings, admins all)
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { status, propertyId, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filters = {};
+    if (req.user.role === 'client') filters.guest = req.user._id;
+    if (req.user.role === 'landlord') filters.landlord = req.user._id;
+    if (status) filters.status = status;
+    if (propertyId) filters.property = propertyId;
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filters)
+        .populate('property', 'title address images price currency')
+        .populate('guest', 'firstName lastName email')
+        .sort({ checkIn: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Booking.countDocuments(filters)
+    ]);
+
+    res.json({
+      bookings,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({ message: 'Server error while fetching bookings' });
+  }
+});
+
+// @route   GET /api/bookings/:id
+// @desc    Get booking details
+// @access  Private (Guest, Landlord or Admin)
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('property', 'title address images price currency')
+      .populate('guest', 'firstName lastName email phone')
+      .populate('landlord', 'firstName lastName email phone')
+      .populate('payment', 'amount currency status escrowStatus escrowExpiresAt');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!canAccessBooking(booking, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this booking' });
+    }
+
+    res.json({ booking });
+  } catch (error) {
+    console.error('Get booking error:', error);
+    res.status(500).json({ message: 'Server error while fetching booking' });
+  }
+});
+
+// @route   POST /api/bookings/:id/checkout
+// @desc    Open a new Stripe checkout session for a booking still awaiting payment
+// @access  Private (Guest)
+router.post('/:id/checkout', verifyToken, authorize('client'), async (req, res) => {
+  try {
+    if (!stripe) {
+      return stripeUnavailable(res);
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.guest.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to pay for this booking' });
+    }
+
+    const held = await bookingService.extendHold(booking._id);
+    if (!held) {
+      return res.status(409).json({
+        message: `Booking is ${booking.status === 'pending_payment' ? 'no longer held' : booking.status}. Please make a new booking.`,
+        error: 'BOOKING_NOT_PAYABLE',
+        status: booking.status
+      });
+    }
+
+    // Only one session may be payable at a time: close the previous one before opening another
+    if (held.stripeSessionId) {
+      const previous = await stripe.checkout.sessions.retrieve(held.stripeSessionId);
+      if (previous.status === 'complete') {
+        return res.status(409).json({
+          message: 'This booking has already been paid and is being confirmed.',
+          error: 'BOOKING_PAYMENT_IN_PROGRESS'
+        });
+      }
+      if (previous.status === 'open') {
+        await stripe.checkout.sessions.expire(previous.id);
+      }
+    }
+
+    const property = await Property.findById(held.property).select('title');
+    const session = await createCheckoutSession(held, property, req.user);
+
+    held.stripeSessionId = session.id;
+    await held.save();
+
+    res.json({
+      booking: held,
+      sessionId: session.id,
+      url: session.url
+    });
+  } catch (error) {
+    console.error('Booking checkout error:', error);
+    res.status(500).json({ message: 'Server error while creating checkout session' });
+  }
+});
+
+// @route   PUT /api/bookings/:id/cancel
+// @desc    Cancel a booking and free its nights
+// @access  Private (Guest, Landlord or Admin)
+router.put('/:id/cancel', verifyToken, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!canAccessBooking(booking, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to cancel this booking' });
+    }
+
+    if (!Booking.ACTIVE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        message: `Cannot cancel a booking with status: ${booking.status}`,
+        error: 'BOOKING_NOT_CANCELLABLE',
+        status: booking.status
+      });
+    }
+
+    // Guests can't cancel a paid stay once it has started
+    const isGuest = booking.guest.toString() === req.user._id.toString();
+    if (isGuest && booking.status === 'confirmed' && booking.checkIn <= new Date()) {
+      return res.status(400).json({
+        message: 'This stay has already started. Please contact support.',
+        error: 'BOOKING_ALREADY_STARTED'
+      });
+    }
+
+    // Close the checkout session so the guest can't pay for a cancelled booking. A session
+    // that still gets paid is refunded by the checkout webhook.
+    if (booking.status === 'pending_payment' && booking.stripeSessionId && stripe) {
+      try {
+        const session = await stripe.checkout.sessions.retrieve(booking.stripeSessionId);
+        if (session.status === 'open') {
+          await stripe.checkout.sessions.expire(session.id);
+        }
+      } catch (stripeError) {
+        console.error('Error expiring booking checkout session:', stripeError);
+      }
+    }
+
+    const cancelled = await bookingService.cancelBooking(booking._id, { userId: req.user._id, reason });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'Booking status changed, please refresh', error: 'BOOKING_NOT_CANCELLABLE' });
+    }
+
+    await cancelled.populate('property', 'title');
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+
+    // Paid bookings are refunded from escrow under the cancellation policy
+    let refund = null;
+    if (cancelled.payment) {
+      const refundShare = bookingService.getCancellationRefundShare(booking, { cancelledByGuest: isGuest });
+      try {
+        const payment = await Payment.findById(cancelled.payment);
+        if (payment && payment.status === 'completed') {
+          const refundable = payment.amount - (payment.refundAmount || 0);
+          const amount = Math.min(Math.round(payment.amount * refundShare * 100) / 100, refundable);
+          if (amount > 0) {
+            refund = await refundService.refundPayment(payment._id, {
+              amount,
+              reason: `Booking ${cancelled._id} cancelled${reason ? `: ${reason}` : ''}`,
+              stripeReason: 'requested_by_customer',
+              refundedBy: req.user._id,
+              ipAddress,
+              userAgent
+            });
+          }
+        }
+      } catch (refundError) {
+        console.error('Error refunding cancelled booking:', refundError);
+        try {
+          await notifyAdmins(
+            'Cancelled Booking Needs Refund',
+            `Booking ${cancelled._id} for ${cancelled.property?.title || 'a property'} was cancelled after payment, but the refund of ${Math.round(refundShare * 100)}% could not be issued automatically (${refundError.message}). Please refund the guest.`,
+            'urgent',
+            '/dashboard/admin/transactions',
+            { bookingId: cancelled._id.toString(), paymentId: cancelled.payment.toString() }
+          );
+        } catch (notifyError) {
+          console.error('Error notifying admins about booking refund:', notifyError);
+        }
+      }
+    }
+
+    try {
+      await bookingService.notifyBookingCancelled(cancelled, req.user._id);
+    } catch (notifyError) {
+      console.error('Error sending booking cancellation notifications:', notifyError);
+    }
+
+    await createAuditLog({
+      action: 'booking_cancelled',
+      entityType: 'Booking',
+      entityId: cancelled._id,
+      userId: req.user._id,
+      details: {
+        previousStatus: booking.status,
+        reason,
+        paymentId: cancelled.payment ? cancelled.payment.toString() : null,
+        refundAmount: refund ? refund.amount : 0
+      },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: 'Booking cancelled successfully',
+      booking: cancelled,
+      refundAmount: refund ? refund.amount : 0
+    });
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(500).json({ message: 'Server error while cancelling booking' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const calendarService = require('../services/calendarService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+
+// Absolute feed URLs: calendar apps fetch them directly, not through the frontend
+const getFeedUrls = (req, token) => {
+  const base = (process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  const url = `${base}/api/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    Calendar feed (iCalendar) of viewings, maintenance visits, lease dates and rent due dates
+// @access  Public (the token is the credential)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await calendarService.findUserByFeedToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const body = await calendarService.buildUserFeed(user);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="landlordnoagent.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(body);
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while building calendar feed' });
+  }
+});
+
+// @route   GET /api/calendar/feed
+// @desc    Whether the current user's calendar feed is on (the URL itself is only shown when created)
+// @access  Private
+router.get('/feed', verifyToken, async (req, res) => {
+  try {
+    res.json({ feed: calendarService.getFeedStatus(req.user) });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while fetching calendar feed' });
+  }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Create the calendar feed URL, replacing any previous one (old subscriptions stop updating)
+// @access  Private
+router.post('/feed', verifyToken, async (req, res) => {
+  try {
+    const rotated = Boolean(req.user.calendarFeed?.createdAt);
+    const token = await calendarService.issueFeedToken(req.user._id);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: rotated ? 'calendar_feed_rotated' : 'calendar_feed_created',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      ipAddress,
+      userAgent
+    });
+
+    res.status(201).json({
+      message: rotated ? 'Calendar feed URL replaced' : 'Calendar feed created',
+      feed: getFeedUrls(req, token)
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while creating calendar feed' });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Turn the calendar feed off
+// @access  Private
+router.delete('/feed', verifyToken, async (req, res) => {
+  try {
+    await calendarService.revokeFeedToken(req.user._id);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'calendar_feed_revoked',
+      entityType: 'User',
+      entityId: req.user._id,
+      userId: req.user._id,
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: 'Calendar feed turned off' });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while turning off calendar feed' });
+  }
+});
+
+module.exports = router;
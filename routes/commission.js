@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken, authorize } = require('../middleware/auth');
+const { requireStepUp } = require('../middleware/stepUp');
 const commissionService = require('../services/commissionService');
 const PlatformSettings = require('../models/PlatformSettings');
 const Payment = require('../models/Payment');
@@ -31,7 +32,7 @@ router.get('/rate', async (req, res) => {
 // @route   PUT /api/admin/commission/rate
 // @desc    Update commission rate (requires reason)
 // @access  Private (Admin)
-router.put('/rate', async (req, res) => {
+router.put('/rate', requireStepUp(), async (req, res) => {
   try {
     const { rate, reason } = req.body;
     
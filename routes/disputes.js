@@ -0,0 +1,220 @@
+const express = require('express');
+const Dispute = require('../models/Dispute');
+const { verifyToken } = require('../middleware/auth');
+const { uploadMultiple, deleteFile } = require('../middleware/upload');
+const caseService = require('../services/caseService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const DISPUTE_TYPES = ['payment', 'property', 'behavior', 'fraud', 'other'];
+
+const uploadEvidence = uploadMultiple('evidence', 5, 'disputes');
+
+// Files reach Cloudinary before validation runs, so remove them when the request is rejected
+const discardUploads = (files) => Promise.all((files || []).map(file => deleteFile(file.path)));
+
+// @route   POST /api/disputes
+// @desc    Open a dispute about a payment, application or property you are part of (multipart; evidence files optional)
+// @access  Private
+router.post('/', verifyToken, uploadEvidence, async (req, res) => {
+  try {
+    const { disputeType, title, description, paymentId, applicationId, propertyId } = req.body;
+
+    if (!DISPUTE_TYPES.includes(disputeType)) {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: `disputeType must be one of: ${DISPUTE_TYPES.join(', ')}` });
+    }
+    if (!title || !title.trim() || !description || !description.trim()) {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: 'Title and description are required' });
+    }
+
+    const target = await caseService.resolveDisputeTarget(req.user, { disputeType, paymentId, applicationId, propertyId });
+
+    if (target.payment) {
+      const existing = await Dispute.findOne({
+        reporter: req.user._id,
+        payment: target.payment,
+        status: { $in: Dispute.OPEN_STATUSES }
+      }).select('_id');
+      if (existing) {
+        await discardUploads(req.files);
+        return res.status(409).json({
+          message: 'You already have an open dispute for this payment',
+          error: 'DISPUTE_ALREADY_OPEN',
+          disputeId: existing._id
+        });
+      }
+    }
+
+    const evidenceFiles = caseService.evidenceFromFiles(req.files, req.user._id);
+    const dispute = await Dispute.create({
+      reporter: req.user._id,
+      reportedUser: target.reportedUser,
+      disputeType,
+      title: title.trim(),
+      description: description.trim(),
+      evidence: evidenceFiles[0]?.url,
+      evidenceFiles,
+      propertyId: target.propertyId,
+      applicationId: target.applicationId,
+      payment: target.payment,
+      updates: [{
+        author: req.user._id,
+        authorRole: req.user.role,
+        kind: 'status_change',
+        message: 'Dispute opened',
+        toStatus: 'open',
+        attachments: evidenceFiles.map(file => file.url)
+      }]
+    });
+
+    const escrowFrozen = await caseService.freezeEscrowForDispute(dispute);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'dispute_created',
+      entityType: 'Dispute',
+      entityId: dispute._id,
+      userId: req.user._id,
+      details: {
+        disputeType,
+        reportedUser: String(target.reportedUser),
+        payment: target.payment ? String(target.payment) : undefined,
+        escrowFrozen
+      },
+      ipAddress,
+      userAgent
+    });
+
+    await caseService.notifyCaseParties('dispute', dispute, {
+      actorId: req.user._id,
+      title: 'Dispute Opened',
+      message: `A ${disputeType} dispute was opened: "${dispute.title}".${escrowFrozen ? ' Escrow release is on hold until it is resolved.' : ''}`,
+      notifyAdminsToo: true
+    });
+
+    res.status(201).json({
+      message: 'Dispute opened successfully',
+      dispute: caseService.formatCase({ ...dispute.toObject(), escrowFrozen }, req.user)
+    });
+  } catch (error) {
+    if (error.code && error.status) {
+      await discardUploads(req.files);
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error('Create dispute error:', error);
+    res.status(500).json({ message: 'Server error while creating dispute' });
+  }
+});
+
+// @route   GET /api/disputes
+// @desc    List disputes the current user opened or is named in
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filters = { $or: [{ reporter: req.user._id }, { reportedUser: req.user._id }] };
+    if (status) filters.status = status;
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(filters)
+        .select('-updates')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('reporter', 'firstName lastName')
+        .populate('reportedUser', 'firstName lastName'),
+      Dispute.countDocuments(filters)
+    ]);
+
+    res.json({
+      disputes: disputes.map(dispute => caseService.formatCase(dispute, req.user)),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ message: 'Server error while fetching disputes' });
+  }
+});
+
+// @route   GET /api/disputes/:id
+// @desc    Get a dispute with its case timeline
+// @access  Private (Either party or Admin)
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('reporter', 'firstName lastName')
+      .populate('reportedUser', 'firstName lastName')
+      .populate('updates.author', 'firstName lastName role');
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+    if (!caseService.canAccessCase(dispute, req.user, 'dispute')) {
+      return res.status(403).json({ message: 'Not authorized to view this dispute' });
+    }
+
+    res.json({ dispute: caseService.formatCase(dispute, req.user) });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ message: 'Server error while fetching dispute' });
+  }
+});
+
+// @route   POST /api/disputes/:id/updates
+// @desc    Add a comment and/or evidence to a dispute's timeline (admins may mark it internal)
+// @access  Private (Either party or Admin)
+router.post('/:id/updates', verifyToken, uploadEvidence, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id).select('reporter reportedUser status');
+    if (!dispute) {
+      await discardUploads(req.files);
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+    if (!caseService.canAccessCase(dispute, req.user, 'dispute')) {
+      await discardUploads(req.files);
+      return res.status(403).json({ message: 'Not authorized to update this dispute' });
+    }
+    if (!Dispute.OPEN_STATUSES.includes(dispute.status) && req.user.role !== 'admin') {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: `This dispute is ${dispute.status}`, error: 'CASE_CLOSED' });
+    }
+
+    const message = req.body.message ? String(req.body.message).trim() : '';
+    const internal = req.body.internal === true || req.body.internal === 'true';
+    const updated = await caseService.addCaseUpdate('dispute', dispute._id, {
+      user: req.user,
+      message,
+      files: req.files,
+      internal
+    });
+
+    if (!(req.user.role === 'admin' && internal)) {
+      await caseService.notifyCaseParties('dispute', updated, {
+        actorId: req.user._id,
+        title: 'Dispute Updated',
+        message: `New update on dispute "${updated.title}".`,
+        notifyAdminsToo: req.user.role !== 'admin'
+      });
+    }
+
+    res.status(201).json({ message: 'Update added', dispute: caseService.formatCase(updated, req.user) });
+  } catch (error) {
+    if (error.code && error.status) {
+      await discardUploads(req.files);
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error('Add dispute update error:', error);
+    res.status(500).json({ message: 'Server error while updating dispute' });
+  }
+});
+
+module.exports = router;
@@ -1,53 +1,148 @@
 const express = require('express');
 const router = express.Router();
-const { Resend } = require('resend');
+const EmailMessage = require('../models/EmailMessage');
+const { verifyToken, authorize } = require('../middleware/auth');
+const emailService = require('../services/emailService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
 
-// Initialize Resend
-const resendApiKey = process.env.RESEND_API_KEY;
-const fromAddress = process.env.EMAIL_FROM || 'no-reply@landlordnoagent.app';
+// Sending arbitrary mail is an admin tool; platform emails are queued from the code paths that need them
+router.use(verifyToken, authorize('admin'));
+
+const MAX_RECIPIENTS = 50;
 
 /**
  * POST /api/email/send
- * Send email using Resend service
+ * Queue a templated email to one or more recipients (admin only)
  */
 router.post('/send', async (req, res) => {
   try {
-    const { type, to, data, options } = req.body;
+    const { type, to, data } = req.body;
 
     // Validate required fields
     if (!type || !to || !data) {
       return res.status(400).json({ error: 'Missing required fields (type, to, data)' });
     }
+    if (!getServerTemplates()[type]) {
+      return res.status(400).json({ error: `Unknown email type: ${type}` });
+    }
+
+    const recipients = [...new Set((Array.isArray(to) ? to : [to]).map(address => String(address).trim().toLowerCase()))];
+    if (recipients.length > MAX_RECIPIENTS) {
+      return res.status(400).json({ error: `At most ${MAX_RECIPIENTS} recipients per request` });
+    }
+    if (recipients.some(address => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address))) {
+      return res.status(400).json({ error: 'Invalid recipient address' });
+    }
 
     // Compose email content
     const { subject, html, text } = composeEmail(type, data);
 
-    // If no Resend key, log and mock (useful for dev)
-    if (!resendApiKey) {
-      console.warn('[Email] RESEND_API_KEY not set. Logging email instead of sending.', { type, to });
-      console.info('[Email] Subject:', subject);
-      console.info('[Email] Text:', text);
-      return res.json({ success: true, mocked: true });
+    const messages = [];
+    for (const recipient of recipients) {
+      messages.push(await emailService.queueEmail({
+        to: recipient,
+        subject,
+        html,
+        text,
+        category: type,
+        requestedBy: req.user._id,
+        sendNow: true
+      }));
     }
 
-    // Send email via Resend
-    const resend = new Resend(resendApiKey);
-    const result = await resend.emails.send({
-      from: fromAddress,
-      to,
-      subject,
-      text,
-      html,
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'admin_email_sent',
+      entityType: 'EmailMessage',
+      userId: req.user._id,
+      details: { type, recipients, emailIds: messages.map(message => message._id) },
+      ipAddress,
+      userAgent
+    });
+
+    res.status(202).json({
+      success: messages.every(message => message.status === 'sent'),
+      emails: messages.map(message => ({ id: message._id, to: message.to, status: message.status, error: message.lastError }))
+    });
+  } catch (err) {
+    console.error('[Email] API error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/email/messages
+ * Outbound queue with delivery status (admin only)
+ */
+router.get('/messages', async (req, res) => {
+  try {
+    const { status, to, category, page = 1, limit = 50 } = req.query;
+    const filters = {};
+    if (status) filters.status = status;
+    if (to) filters.to = String(to).trim().toLowerCase();
+    if (category) filters.category = category;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [messages, total] = await Promise.all([
+      EmailMessage.find(filters)
+        .select('-html -text')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EmailMessage.countDocuments(filters)
+    ]);
+
+    res.json({
+      messages,
+      transport: emailService.getTransport()?.name || null,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
     });
+  } catch (err) {
+    console.error('[Email] List error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (result.error) {
-      console.error('[Email] Send error:', result.error);
-      return res.status(500).json({ error: 'Failed to send email' });
+/**
+ * GET /api/email/messages/:id
+ * One queued email, with its body unless it was sensitive (admin only)
+ */
+router.get('/messages/:id', async (req, res) => {
+  try {
+    const message = await EmailMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    const email = message.toObject();
+    if (email.sensitive) {
+      delete email.html;
+      delete email.text;
     }
+    res.json({ email });
+  } catch (err) {
+    console.error('[Email] Get error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json({ success: true });
+/**
+ * POST /api/email/messages/:id/retry
+ * Re-queue a failed or rate-limited email and try it now (admin only)
+ */
+router.post('/messages/:id/retry', async (req, res) => {
+  try {
+    const message = await emailService.retryMessage(req.params.id);
+    if (!message) {
+      return res.status(409).json({ error: 'Only failed or rate-limited, non-sensitive emails can be retried' });
+    }
+    res.json({ email: { id: message._id, to: message.to, status: message.status, error: message.lastError } });
   } catch (err) {
-    console.error('[Email] API error:', err);
+    console.error('[Email] Retry error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
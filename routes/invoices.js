@@ -0,0 +1,296 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const RentSchedule = require('../models/RentSchedule');
+const { verifyToken, authorize } = require('../middleware/auth');
+const { invoicePaymentUrl } = require('../services/rentScheduleService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+// Scope queries to the caller: tenants see their invoices, landlords their properties'
+const scopeFilters = (user) => {
+  if (user.role === 'client') return { tenant: user._id };
+  if (user.role === 'landlord') return { landlord: user._id };
+  return {};
+};
+
+const canManage = (doc, user) => {
+  return user.role === 'admin' || String(doc.landlord._id || doc.landlord) === user._id.toString();
+};
+
+// Open invoices carry a payment link and the create-checkout payload that settles them
+const formatInvoice = (invoice) => {
+  const obj = invoice.toObject ? invoice.toObject() : invoice;
+  if (!Invoice.OPEN_STATUSES.includes(obj.status)) return obj;
+  return {
+    ...obj,
+    paymentUrl: invoicePaymentUrl(obj._id),
+    checkout: {
+      endpoint: '/api/payments/create-checkout',
+      body: {
+        applicationId: String(obj.application._id || obj.application),
+        amount: obj.amount,
+        currency: obj.currency,
+        invoiceId: String(obj._id)
+      }
+    }
+  };
+};
+
+// @route   GET /api/invoices
+// @desc    List rent invoices (tenants: their own, landlords: their properties, admins: all)
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { status, propertyId, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filters = scopeFilters(req.user);
+    if (status) filters.status = status;
+    if (propertyId) filters.property = propertyId;
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filters)
+        .populate('property', 'title address')
+        .populate('tenant', 'firstName lastName email')
+        .sort({ dueDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invoice.countDocuments(filters)
+    ]);
+
+    res.json({
+      invoices: invoices.map(formatInvoice),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ message: 'Server error while fetching invoices' });
+  }
+});
+
+// @route   GET /api/invoices/outstanding
+// @desc    Outstanding (due and overdue) rent across all of a landlord's properties
+// @access  Private (Landlord, Admin)
+router.get('/outstanding', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const filters = { ...scopeFilters(req.user), status: { $in: Invoice.OPEN_STATUSES } };
+    if (req.user.role === 'admin' && req.query.landlordId) {
+      // aggregate() doesn't cast, so convert explicitly
+      if (!mongoose.Types.ObjectId.isValid(req.query.landlordId)) {
+        return res.status(400).json({ message: 'Invalid landlordId' });
+      }
+      filters.landlord = new mongoose.Types.ObjectId(req.query.landlordId);
+    }
+
+    const [invoices, byProperty] = await Promise.all([
+      Invoice.find(filters)
+        .populate('property', 'title address')
+        .populate('tenant', 'firstName lastName email phone')
+        .sort({ dueDate: 1 }),
+      Invoice.aggregate([
+        { $match: filters },
+        {
+          $group: {
+            _id: { property: '$property', currency: '$currency' },
+            amount: { $sum: '$amount' },
+            count: { $sum: 1 },
+            overdueCount: { $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, 1, 0] } },
+            oldestDueDate: { $min: '$dueDate' }
+          }
+        },
+        { $sort: { oldestDueDate: 1 } }
+      ])
+    ]);
+
+    // Totals per currency across all properties
+    const totals = {};
+    for (const group of byProperty) {
+      const { currency } = group._id;
+      totals[currency] = totals[currency] || { currency, amount: 0, count: 0, overdueCount: 0 };
+      totals[currency].amount += group.amount;
+      totals[currency].count += group.count;
+      totals[currency].overdueCount += group.overdueCount;
+    }
+
+    res.json({
+      invoices: invoices.map(formatInvoice),
+      byProperty: byProperty.map(group => ({
+        property: group._id.property,
+        currency: group._id.currency,
+        amount: group.amount,
+        count: group.count,
+        overdueCount: group.overdueCount,
+        oldestDueDate: group.oldestDueDate
+      })),
+      totals: Object.values(totals)
+    });
+  } catch (error) {
+    console.error('Get outstanding rent error:', error);
+    res.status(500).json({ message: 'Server error while fetching outstanding rent' });
+  }
+});
+
+// @route   GET /api/invoices/schedules
+// @desc    List rent schedules for the caller's tenancies
+// @access  Private
+router.get('/schedules', verifyToken, async (req, res) => {
+  try {
+    const filters = scopeFilters(req.user);
+    if (req.query.status) filters.status = req.query.status;
+
+    const schedules = await RentSchedule.find(filters)
+      .populate('property', 'title address')
+      .populate('tenant', 'firstName lastName email')
+      .sort({ nextPeriodStart: 1 });
+
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Get rent schedules error:', error);
+    res.status(500).json({ message: 'Server error while fetching rent schedules' });
+  }
+});
+
+// @route   PUT /api/invoices/schedules/:id
+// @desc    Update a rent schedule (status, amount, periodMonths); changes apply to future invoices
+// @access  Private (Landlord owner, Admin)
+router.put('/schedules/:id', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const schedule = await RentSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Rent schedule not found' });
+    }
+    if (!canManage(schedule, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to update this rent schedule' });
+    }
+
+    const { status, amount, periodMonths } = req.body;
+    const changes = {};
+
+    if (status !== undefined) {
+      if (!['active', 'paused', 'ended'].includes(status)) {
+        return res.status(400).json({ message: 'status must be active, paused or ended' });
+      }
+      if (schedule.status === 'ended' && status !== 'ended') {
+        return res.status(400).json({ message: 'An ended rent schedule cannot be restarted' });
+      }
+      changes.status = { from: schedule.status, to: status };
+      schedule.status = status;
+      if (status === 'ended') schedule.endedAt = new Date();
+    }
+    if (amount !== undefined) {
+      const amountNum = Number(amount);
+      if (!Number.isFinite(amountNum) || amountNum <= 0) {
+        return res.status(400).json({ message: 'amount must be a positive number' });
+      }
+      changes.amount = { from: schedule.amount, to: amountNum };
+      schedule.amount = amountNum;
+    }
+    if (periodMonths !== undefined) {
+      const months = parseInt(periodMonths);
+      if (!Number.isInteger(months) || months < 1 || months > 24) {
+        return res.status(400).json({ message: 'periodMonths must be a whole number between 1 and 24' });
+      }
+      changes.periodMonths = { from: schedule.periodMonths, to: months };
+      schedule.periodMonths = months;
+    }
+
+    await schedule.save();
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'rent_schedule_updated',
+      entityType: 'RentSchedule',
+      entityId: schedule._id,
+      userId: req.user._id,
+      details: { changes },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: 'Rent schedule updated successfully', schedule });
+  } catch (error) {
+    console.error('Update rent schedule error:', error);
+    res.status(500).json({ message: 'Server error while updating rent schedule' });
+  }
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Get invoice details, including its payment link when unpaid
+// @access  Private (Tenant, Landlord or Admin)
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('property', 'title address')
+      .populate('tenant', 'firstName lastName email phone')
+      .populate('landlord', 'firstName lastName email phone')
+      .populate('payment', 'amount currency status createdAt');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const isTenant = invoice.tenant._id.toString() === req.user._id.toString();
+    if (!isTenant && !canManage(invoice, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this invoice' });
+    }
+
+    res.json({ invoice: formatInvoice(invoice) });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ message: 'Server error while fetching invoice' });
+  }
+});
+
+// @route   PUT /api/invoices/:id/void
+// @desc    Void an unpaid invoice
+// @access  Private (Landlord owner, Admin)
+router.put('/:id/void', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (!canManage(invoice, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to void this invoice' });
+    }
+
+    const voided = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $in: Invoice.OPEN_STATUSES } },
+      { $set: { status: 'void', voidedAt: new Date(), voidedBy: req.user._id, voidReason: reason } },
+      { new: true }
+    );
+    if (!voided) {
+      return res.status(400).json({
+        message: `Cannot void an invoice with status: ${invoice.status}`,
+        error: 'INVOICE_NOT_OPEN'
+      });
+    }
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'invoice_voided',
+      entityType: 'Invoice',
+      entityId: voided._id,
+      userId: req.user._id,
+      details: { invoiceNumber: voided.invoiceNumber, previousStatus: invoice.status, reason },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: 'Invoice voided successfully', invoice: voided });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({ message: 'Server error while voiding invoice' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const Lease = require('../models/Lease');
+const LeaseTemplate = require('../models/LeaseTemplate');
+const { verifyToken, authorize } = require('../middleware/auth');
+const leaseService = require('../services/leaseService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const isParty = (lease, user) => (
+  user.role === 'admin' ||
+  String(lease.landlord._id || lease.landlord) === String(user._id) ||
+  String(lease.tenant._id || lease.tenant) === String(user._id)
+);
+
+const sendServiceError = (res, error, fallbackMessage, logLabel) => {
+  if (error.code && error.status) {
+    return res.status(error.status).json({ message: error.message, error: error.code });
+  }
+  console.error(`${logLabel} error:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+// @route   GET /api/leases/templates
+// @desc    List the landlord's lease templates, the built-in default and the supported placeholders
+// @access  Private (Landlord)
+router.get('/templates', verifyToken, authorize('landlord'), async (req, res) => {
+  try {
+    const templates = await LeaseTemplate.find({ landlord: req.user._id }).sort({ createdAt: -1 });
+    res.json({
+      templates,
+      defaultTemplate: leaseService.DEFAULT_TEMPLATE,
+      placeholders: leaseService.PLACEHOLDERS
+    });
+  } catch (error) {
+    console.error('Get lease templates error:', error);
+    res.status(500).json({ message: 'Server error while fetching lease templates' });
+  }
+});
+
+// @route   POST /api/leases/templates
+// @desc    Create a lease template
+// @access  Private (Landlord)
+router.post('/templates', verifyToken, authorize('landlord'), async (req, res) => {
+  try {
+    const { name, body, isDefault } = req.body;
+    if (!name || !body) {
+      return res.status(400).json({ message: 'Template name and body are required' });
+    }
+
+    const unknown = leaseService.findUnknownPlaceholders(body);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: `Unknown placeholders: ${unknown.map(key => `{{${key}}}`).join(', ')}`,
+        error: 'UNKNOWN_PLACEHOLDER'
+      });
+    }
+
+    if (isDefault) {
+      await LeaseTemplate.updateMany({ landlord: req.user._id, isDefault: true }, { $set: { isDefault: false } });
+    }
+    const template = await LeaseTemplate.create({
+      landlord: req.user._id,
+      name,
+      body,
+      isDefault: Boolean(isDefault)
+    });
+
+    res.status(201).json({ message: 'Lease template created', template });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create lease template error:', error);
+    res.status(500).json({ message: 'Server error while creating lease template' });
+  }
+});
+
+// @route   PUT /api/leases/templates/:id
+// @desc    Update a lease template (leases already generated keep their text)
+// @access  Private (Landlord)
+router.put('/templates/:id', verifyToken, authorize('landlord'), async (req, res) => {
+  try {
+    const template = await LeaseTemplate.findOne({ _id: req.params.id, landlord: req.user._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Lease template not found' });
+    }
+
+    const { name, body, isDefault } = req.body;
+    if (body !== undefined) {
+      const unknown = leaseService.findUnknownPlaceholders(body);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          message: `Unknown placeholders: ${unknown.map(key => `{{${key}}}`).join(', ')}`,
+          error: 'UNKNOWN_PLACEHOLDER'
+        });
+      }
+      template.body = body;
+    }
+    if (name !== undefined) template.name = name;
+    if (isDefault !== undefined) {
+      if (isDefault) {
+        await LeaseTemplate.updateMany(
+          { landlord: req.user._id, isDefault: true, _id: { $ne: template._id } },
+          { $set: { isDefault: false } }
+        );
+      }
+      template.isDefault = Boolean(isDefault);
+    }
+    await template.save();
+
+    res.json({ message: 'Lease template updated', template });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update lease template error:', error);
+    res.status(500).json({ message: 'Server error while updating lease template' });
+  }
+});
+
+// @route   DELETE /api/leases/templates/:id
+// @desc    Delete a lease template
+// @access  Private (Landlord)
+router.delete('/templates/:id', verifyToken, authorize('landlord'), async (req, res) => {
+  try {
+    const template = await LeaseTemplate.findOneAndDelete({ _id: req.params.id, landlord: req.user._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Lease template not found' });
+    }
+    res.json({ message: 'Lease template deleted' });
+  } catch (error) {
+    console.error('Delete lease template error:', error);
+    res.status(500).json({ message: 'Server error while deleting lease template' });
+  }
+});
+
+// @route   POST /api/leases/applications/:applicationId
+// @desc    Generate (or regenerate) the lease for an approved application
+// @access  Private (Landlord/Admin)
+router.post('/applications/:applicationId', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const lease = await leaseService.generateLease(req.params.applicationId, {
+      user: req.user,
+      templateId: req.body.templateId
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'lease_generated',
+      entityType: 'Lease',
+      entityId: lease._id,
+      userId: req.user._id,
+      details: { applicationId: req.params.applicationId, templateId: lease.template, contentHash: lease.contentHash },
+      ipAddress,
+      userAgent
+    });
+
+    res.status(201).json({ message: 'Lease generated', lease });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while generating lease', 'Generate lease');
+  }
+});
+
+// @route   GET /api/leases
+// @desc    List leases where the current user is landlord or tenant (all for admin)
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { status, applicationId, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filters = {};
+    if (req.user.role === 'landlord') filters.landlord = req.user._id;
+    else if (req.user.role !== 'admin') filters.tenant = req.user._id;
+    if (status) filters.status = status;
+    if (applicationId) filters.application = applicationId;
+
+    const [leases, total] = await Promise.all([
+      Lease.find(filters)
+        .select('-content')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('property', 'title address')
+        .populate('landlord', 'firstName lastName')
+        .populate('tenant', 'firstName lastName'),
+      Lease.countDocuments(filters)
+    ]);
+
+    res.json({
+      leases,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get leases error:', error);
+    res.status(500).json({ message: 'Server error while fetching leases' });
+  }
+});
+
+// @route   GET /api/leases/:id
+// @desc    Get a lease with its text, signatures and integrity check
+// @access  Private (Landlord/Tenant/Admin)
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id)
+      .populate('property', 'title address')
+      .populate('landlord', 'firstName lastName email')
+      .populate('tenant', 'firstName lastName email');
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!isParty(lease, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this lease' });
+    }
+
+    res.json({ lease, integrity: leaseService.verifyLease(lease) });
+  } catch (error) {
+    console.error('Get lease error:', error);
+    res.status(500).json({ message: 'Server error while fetching lease' });
+  }
+});
+
+// @route   GET /api/leases/:id/pdf
+// @desc    Download the lease as a PDF (the stored signed copy once executed)
+// @access  Private (Landlord/Tenant/Admin)
+router.get('/:id/pdf', verifyToken, async (req, res) => {
+  try {
+    let lease = await Lease.findById(req.params.id).populate('property', 'title');
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!isParty(lease, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this lease' });
+    }
+
+    if (lease.status === 'executed') {
+      if (!lease.signedDocument?.url) {
+        // Upload failed when the lease was executed; try again now
+        try {
+          lease = await leaseService.storeSignedDocument(lease._id);
+        } catch (uploadError) {
+          console.error(`Signed lease upload retry failed for ${lease._id}:`, uploadError);
+        }
+      }
+      if (lease.signedDocument?.url) {
+        return res.json({ url: lease.signedDocument.url, sha256: lease.signedDocument.sha256 });
+      }
+    }
+
+    const pdf = await leaseService.renderLeasePdf(lease);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="lease-${lease._id}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Get lease PDF error:', error);
+    res.status(500).json({ message: 'Server error while generating lease PDF' });
+  }
+});
+
+// @route   POST /api/leases/:id/sign
+// @desc    Sign the lease with a typed full name
+// @access  Private (Landlord/Tenant)
+router.post('/:id/sign', verifyToken, async (req, res) => {
+  try {
+    const { signatureName, agree } = req.body;
+    if (agree !== true) {
+      return res.status(400).json({ message: 'You must agree to sign the lease electronically', error: 'CONSENT_REQUIRED' });
+    }
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    const { lease, executed } = await leaseService.signLease(req.params.id, {
+      user: req.user,
+      signatureName,
+      ipAddress,
+      userAgent
+    });
+
+    const signature = lease.signatures[lease.signatures.length - 1];
+    await createAuditLog({
+      action: executed ? 'lease_executed' : 'lease_signed',
+      entityType: 'Lease',
+      entityId: lease._id,
+      userId: req.user._id,
+      details: { party: signature.party, signatureHash: signature.hash, finalHash: lease.finalHash },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: executed ? 'Lease signed by both parties' : 'Lease signed',
+      lease
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while signing lease', 'Sign lease');
+  }
+});
+
+// @route   POST /api/leases/:id/void
+// @desc    Void a lease that hasn't been signed by both parties
+// @access  Private (Landlord/Admin)
+router.post('/:id/void', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const lease = await leaseService.voidLease(req.params.id, { user: req.user, reason: req.body.reason });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'lease_voided',
+      entityType: 'Lease',
+      entityId: lease._id,
+      userId: req.user._id,
+      details: { reason: req.body.reason },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: 'Lease voided', lease });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while voiding lease', 'Void lease');
+  }
+});
+
+module.exports = router;
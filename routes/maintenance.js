@@ -1,11 +1,79 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
 const Application = require('../models/Application');
+const Property = require('../models/Property');
+const WorkOrder = require('../models/WorkOrder');
 const { verifyToken, authorize } = require('../middleware/auth');
+const { uploadMultiple, deleteFile } = require('../middleware/upload');
 const { notifyMaintenanceRequest } = require('../utils/notifications');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const workOrderService = require('../services/workOrderService');
+const maintenanceSlaService = require('../services/maintenanceSlaService');
 
 const router = express.Router();
 
+let stripe = null;
+try {
+  if (process.env.STRIPE_SECRET_KEY) {
+    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  }
+} catch (error) {
+  console.error('Error initializing Stripe:', error);
+}
+
+const uploadCompletionPhotos = uploadMultiple('photos', 10, 'maintenance');
+
+// Files reach Cloudinary before validation runs, so remove them when the request is rejected
+const discardUploads = (files) => Promise.all((files || []).map(file => deleteFile(file.path)));
+
+const isOwner = (request, user) => String(request.landlord._id || request.landlord) === String(user._id);
+const isTenant = (request, user) => String(request.tenant._id || request.tenant) === String(user._id);
+
+/**
+ * Load a maintenance request and (optionally) one of its work orders, checking access.
+ * Sends the error response and returns null when the caller can't continue.
+ */
+const loadWorkOrderContext = async (req, res, { tenantOnly = false, allowTenant = false } = {}) => {
+  const request = await MaintenanceRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ message: 'Maintenance request not found' });
+    return null;
+  }
+
+  const allowed = tenantOnly
+    ? isTenant(request, req.user)
+    : req.user.role === 'admin' || isOwner(request, req.user) || (allowTenant && isTenant(request, req.user));
+  if (!allowed) {
+    res.status(403).json({ message: 'Not authorized to manage work orders for this maintenance request' });
+    return null;
+  }
+
+  if (!req.params.workOrderId) return { request };
+
+  const workOrder = await WorkOrder.findOne({ _id: req.params.workOrderId, maintenanceRequest: request._id });
+  if (!workOrder) {
+    res.status(404).json({ message: 'Work order not found' });
+    return null;
+  }
+  return { request, workOrder };
+};
+
+const auditWorkOrder = (req, action, workOrder, details = {}) => {
+  const { ipAddress, userAgent } = getRequestMetadata(req);
+  return createAuditLog({
+    action,
+    entityType: 'WorkOrder',
+    entityId: workOrder._id,
+    userId: req.user._id,
+    details: { maintenanceRequest: String(workOrder.maintenanceRequest), status: workOrder.status, ...details },
+    ipAddress,
+    userAgent
+  });
+};
+
+const sendServiceError = (res, error) => res.status(error.status).json({ message: error.message, error: error.code });
+
 // @route   GET /api/maintenance
 // @desc    Get maintenance requests for current user
 // @access  Private
@@ -21,7 +89,13 @@ router.get('/', verifyToken, async (req, res) => {
     } else if (req.user.role === 'landlord') {
       filters.landlord = req.user._id;
     } else if (req.user.role === 'admin') {
-      // Admin can see all maintenance requests
+      // Admin can see all maintenance requests, or one landlord's with their SLA stats
+      if (req.query.landlordId) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.landlordId)) {
+          return res.status(400).json({ message: 'Invalid landlordId' });
+        }
+        filters.landlord = new mongoose.Types.ObjectId(req.query.landlordId);
+      }
     } else {
       return res.status(403).json({ message: 'Invalid user role' });
     }
@@ -42,6 +116,11 @@ router.get('/', verifyToken, async (req, res) => {
 
     const total = await MaintenanceRequest.countDocuments(filters);
 
+    // SLA performance across all of the landlord's requests (not just this page or status)
+    const slaStats = filters.landlord
+      ? await maintenanceSlaService.getSlaStats({ landlord: filters.landlord })
+      : undefined;
+
     res.json({
       requests,
       pagination: {
@@ -49,7 +128,8 @@ router.get('/', verifyToken, async (req, res) => {
         pages: Math.ceil(total / parseInt(limit)),
         total,
         limit: parseInt(limit)
-      }
+      },
+      ...(slaStats && { slaStats })
     });
 
   } catch (error) {
@@ -136,7 +216,8 @@ router.post('/', verifyToken, async (req, res) => {
       category,
       status: 'pending',
       estimatedCost: estimatedCost ? parseFloat(estimatedCost) : null,
-      scheduledDate: scheduledDate ? new Date(scheduledDate) : null
+      scheduledDate: scheduledDate ? new Date(scheduledDate) : null,
+      sla: await maintenanceSlaService.computeDeadlines(priority)
     });
 
     await maintenanceRequest.save();
@@ -209,6 +290,17 @@ router.put('/:id', verifyToken, async (req, res) => {
       });
     }
 
+    // Re-prioritising moves the SLA deadlines (still counted from when the request was raised)
+    if (allowedUpdates.priority && allowedUpdates.priority !== request.priority) {
+      const deadlines = await maintenanceSlaService.computeDeadlines(allowedUpdates.priority, request.createdAt);
+      allowedUpdates['sla.acknowledgeBy'] = deadlines.acknowledgeBy;
+      allowedUpdates['sla.resolveBy'] = deadlines.resolveBy;
+    }
+    if (allowedUpdates.status === 'completed' && request.status !== 'completed') {
+      allowedUpdates.completedAt = new Date();
+      allowedUpdates.completedBy = req.user._id;
+    }
+
     const updatedRequest = await MaintenanceRequest.findByIdAndUpdate(
       req.params.id,
       allowedUpdates,
@@ -219,6 +311,11 @@ router.put('/:id', verifyToken, async (req, res) => {
       { path: 'landlord', select: 'firstName lastName email phone' }
     ]);
 
+    // Any landlord/admin update counts as acknowledging the request
+    if ((req.user.role === 'landlord' || req.user.role === 'admin') && Object.keys(allowedUpdates).length) {
+      await maintenanceSlaService.acknowledge(request._id, req.user._id);
+    }
+
     // Notify tenant if status changed to completed
     if (req.body.status === 'completed' && req.body.status !== request.status) {
       try {
@@ -240,6 +337,35 @@ router.put('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/maintenance/:id/acknowledge
+// @desc    Acknowledge a maintenance request (stops the acknowledge SLA clock)
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/acknowledge', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const request = await MaintenanceRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Maintenance request not found' });
+    }
+    if (req.user.role !== 'admin' && !isOwner(request, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to update this maintenance request' });
+    }
+
+    await maintenanceSlaService.acknowledge(request._id, req.user._id);
+    const updatedRequest = await MaintenanceRequest.findById(request._id)
+      .select('status priority acknowledgedAt acknowledgedBy sla slaBreaches');
+
+    res.json({
+      message: 'Maintenance request acknowledged',
+      request: updatedRequest
+    });
+
+  } catch (error) {
+    console.error('Acknowledge maintenance request error:', error);
+    res.status(500).json({ message: 'Server error while acknowledging maintenance request' });
+  }
+});
+
 // @route   DELETE /api/maintenance/:id
 // @desc    Delete maintenance request
 // @access  Private (Tenant/Owner or Admin)
@@ -316,4 +442,336 @@ router.get('/property/:propertyId', verifyToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/maintenance/:id/work-orders
+// @desc    List the work orders (vendor quotes and jobs) of a maintenance request
+// @access  Private (Tenant, Landlord/Owner or Admin)
+router.get('/:id/work-orders', verifyToken, async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res, { allowTenant: true });
+    if (!context) return;
+
+    const workOrders = await workOrderService.listWorkOrders(context.request._id);
+    res.json({ workOrders });
+
+  } catch (error) {
+    console.error('Get work orders error:', error);
+    res.status(500).json({ message: 'Server error while fetching work orders' });
+  }
+});
+
+// @route   POST /api/maintenance/:id/work-orders
+// @desc    Assign a vendor from your directory to a maintenance request
+// @access  Private (Landlord/Owner or Admin)
+router.post('/:id/work-orders', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const { vendorId, instructions } = req.body;
+    if (!vendorId) {
+      return res.status(400).json({ message: 'vendorId is required' });
+    }
+
+    const workOrder = await workOrderService.assignVendor(context.request, { vendorId, instructions });
+    await maintenanceSlaService.acknowledge(context.request._id, req.user._id);
+    await auditWorkOrder(req, 'work_order_created', workOrder, { vendor: String(workOrder.vendor) });
+
+    await workOrder.populate('vendor', 'name companyName email phone trades');
+    res.status(201).json({ message: 'Vendor assigned successfully', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Create work order error:', error);
+    res.status(500).json({ message: 'Server error while creating work order' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/quote
+// @desc    Record the vendor's quote (body: amount, currency?, description?, validUntil?)
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/work-orders/:workOrderId/quote', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const workOrder = await workOrderService.recordQuote(context.workOrder, req.body);
+    await auditWorkOrder(req, 'work_order_quoted', workOrder, { amount: workOrder.quote.amount, currency: workOrder.quote.currency });
+
+    res.json({ message: 'Quote recorded successfully', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Record quote error:', error);
+    res.status(500).json({ message: 'Server error while recording quote' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/approve
+// @desc    Approve the quote; other open work orders on the request are cancelled
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/work-orders/:workOrderId/approve', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const workOrder = await workOrderService.approveQuote(context.workOrder, req.user);
+    await auditWorkOrder(req, 'work_order_approved', workOrder, { amount: workOrder.quote.amount, currency: workOrder.quote.currency });
+
+    res.json({ message: 'Quote approved successfully', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Approve quote error:', error);
+    res.status(500).json({ message: 'Server error while approving quote' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/decline
+// @desc    Decline the vendor's quote
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/work-orders/:workOrderId/decline', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const workOrder = await workOrderService.declineQuote(context.workOrder, req.body.reason);
+    await auditWorkOrder(req, 'work_order_declined', workOrder, { reason: req.body.reason });
+
+    res.json({ message: 'Quote declined', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Decline quote error:', error);
+    res.status(500).json({ message: 'Server error while declining quote' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/schedule
+// @desc    Book or move the vendor's visit (body: scheduledStart, scheduledEnd?)
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/work-orders/:workOrderId/schedule', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const workOrder = await workOrderService.scheduleVisit(context.workOrder, req.body);
+    res.json({ message: 'Visit scheduled successfully', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Schedule work order error:', error);
+    res.status(500).json({ message: 'Server error while scheduling work order' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/complete
+// @desc    Record completed work (multipart; photos optional, finalCost defaults to the quote)
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/work-orders/:workOrderId/complete', verifyToken, authorize('landlord', 'admin'), uploadCompletionPhotos, async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) {
+      await discardUploads(req.files);
+      return;
+    }
+
+    const photos = (req.files || []).map(file => ({ url: file.path, caption: req.body.caption }));
+    const workOrder = await workOrderService.completeWork(context.workOrder, {
+      notes: req.body.notes,
+      finalCost: req.body.finalCost,
+      photos
+    }, req.user);
+    await auditWorkOrder(req, 'work_order_completed', workOrder, {
+      finalCost: workOrder.completion.finalCost,
+      photos: photos.length
+    });
+
+    res.json({ message: 'Work marked as completed', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) {
+      await discardUploads(req.files);
+      return sendServiceError(res, error);
+    }
+    console.error('Complete work order error:', error);
+    res.status(500).json({ message: 'Server error while completing work order' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/sign-off
+// @desc    Confirm the completed work, or dispute it to reopen the request (body: accepted, comments?)
+// @access  Private (Tenant)
+router.put('/:id/work-orders/:workOrderId/sign-off', verifyToken, async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res, { tenantOnly: true });
+    if (!context) return;
+
+    const { accepted, comments } = req.body;
+    if (typeof accepted !== 'boolean') {
+      return res.status(400).json({ message: 'accepted must be true or false' });
+    }
+    if (!accepted && (!comments || !comments.trim())) {
+      return res.status(400).json({ message: 'Please describe what is still wrong' });
+    }
+
+    const workOrder = await workOrderService.signOff(context.workOrder, { accepted, comments: comments?.trim() });
+    await auditWorkOrder(req, accepted ? 'work_order_signed_off' : 'work_order_disputed', workOrder);
+
+    res.json({ message: accepted ? 'Thanks for confirming the repair' : 'Your landlord has been told the work is not finished', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Sign off work order error:', error);
+    res.status(500).json({ message: 'Server error while signing off work order' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/cancel
+// @desc    Cancel an open work order
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/work-orders/:workOrderId/cancel', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const workOrder = await workOrderService.cancelWorkOrder(context.workOrder, req.body.reason);
+    await auditWorkOrder(req, 'work_order_cancelled', workOrder, { reason: req.body.reason });
+
+    res.json({ message: 'Work order cancelled', workOrder });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Cancel work order error:', error);
+    res.status(500).json({ message: 'Server error while cancelling work order' });
+  }
+});
+
+// @route   POST /api/maintenance/:id/work-orders/:workOrderId/cost-recovery
+// @desc    Record who pays for completed work; the tenant can be billed once they signed it off (body: method landlord_earnings|tenant|none, amount?)
+// @access  Private (Landlord/Owner or Admin)
+router.post('/:id/work-orders/:workOrderId/cost-recovery', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const result = await workOrderService.recoverCost(context.workOrder, req.body, req.user);
+    await auditWorkOrder(req, 'work_order_cost_recovered', result.workOrder, {
+      method: result.workOrder.costRecovery.method,
+      amount: result.workOrder.costRecovery.amount,
+      payment: result.payment ? String(result.payment._id) : undefined,
+      ledgerEntry: result.ledgerEntry ? String(result.ledgerEntry._id) : undefined
+    });
+
+    res.status(201).json({ message: 'Cost recovery recorded', ...result });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Recover work order cost error:', error);
+    res.status(500).json({ message: 'Server error while recording cost recovery' });
+  }
+});
+
+// @route   POST /api/maintenance/:id/work-orders/:workOrderId/cost-recovery/checkout
+// @desc    Open a Stripe checkout session for the tenant's unpaid maintenance charge
+// @access  Private (Tenant)
+router.post('/:id/work-orders/:workOrderId/cost-recovery/checkout', verifyToken, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({
+        message: 'Payment processing is currently unavailable. Please contact support.',
+        error: 'Stripe API key not configured'
+      });
+    }
+
+    const context = await loadWorkOrderContext(req, res, { tenantOnly: true });
+    if (!context) return;
+
+    const payment = await workOrderService.getPayableTenantCharge(context.workOrder);
+
+    // Only one session may be payable at a time: close the previous one before opening another
+    if (payment.stripeSessionId) {
+      const previous = await stripe.checkout.sessions.retrieve(payment.stripeSessionId);
+      if (previous.status === 'complete') {
+        return res.status(409).json({
+          message: 'This charge has already been paid and is being confirmed.',
+          error: 'PAYMENT_IN_PROGRESS'
+        });
+      }
+      if (previous.status === 'open') {
+        await stripe.checkout.sessions.expire(previous.id);
+      }
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [
+        {
+          price_data: {
+            currency: (payment.currency || 'NGN').toLowerCase(),
+            product_data: {
+              name: payment.description,
+              description: `Maintenance charge for ${context.request.title}`
+            },
+            unit_amount: Math.round(payment.amount * 100) // Convert to cents
+          },
+          quantity: 1
+        }
+      ],
+      mode: 'payment',
+      success_url: `${frontendUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${frontendUrl}/payment/cancel`,
+      metadata: {
+        maintenancePaymentId: payment._id.toString(),
+        userId: req.user._id.toString(),
+        type: 'maintenance'
+      },
+      customer_email: req.user.email
+    });
+
+    payment.stripeSessionId = session.id;
+    await payment.save();
+
+    res.json({ payment, sessionId: session.id, url: session.url });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Maintenance charge checkout error:', error);
+    res.status(500).json({ message: 'Server error while creating checkout session' });
+  }
+});
+
+// @route   PUT /api/maintenance/:id/work-orders/:workOrderId/cost-recovery/paid
+// @desc    Mark the tenant's maintenance charge as paid outside the platform (body: paymentMethod?)
+// @access  Private (Landlord/Owner or Admin)
+router.put('/:id/work-orders/:workOrderId/cost-recovery/paid', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const context = await loadWorkOrderContext(req, res);
+    if (!context) return;
+
+    const payment = await workOrderService.markTenantChargePaid(context.workOrder, req.body);
+
+    // Settled directly with the landlord: the tenant can't pay the same charge by card as well
+    if (stripe && payment.stripeSessionId) {
+      try {
+        const session = await stripe.checkout.sessions.retrieve(payment.stripeSessionId);
+        if (session.status === 'open') await stripe.checkout.sessions.expire(session.id);
+      } catch (stripeError) {
+        console.error('Error expiring maintenance checkout session:', stripeError);
+      }
+    }
+    await auditWorkOrder(req, 'work_order_charge_paid', context.workOrder, {
+      payment: String(payment._id),
+      paymentMethod: payment.paymentMethod
+    });
+
+    res.json({ message: 'Maintenance charge marked as paid', payment });
+
+  } catch (error) {
+    if (error.code && error.status) return sendServiceError(res, error);
+    console.error('Mark maintenance charge paid error:', error);
+    res.status(500).json({ message: 'Server error while updating maintenance charge' });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,7 @@ const Message = require('../models/Message');
 const Application = require('../models/Application');
 const { verifyToken } = require('../middleware/auth');
 const { notifyNewMessage } = require('../utils/notifications');
+const moderationService = require('../services/moderationService');
 
 const router = express.Router();
 
@@ -76,6 +77,22 @@ router.post('/', verifyToken, async (req, res) => {
       ? application.landlord._id 
       : application.client._id;
 
+    // Server-side moderation runs before anything is saved
+    const moderation = await moderationService.screenContent({
+      text: message,
+      user: req.user,
+      contentType: 'message',
+      applicationId
+    });
+
+    if (moderation.decision === 'block') {
+      return res.status(422).json({
+        message: moderation.reasons[0] || 'This message was blocked by moderation',
+        error: 'MESSAGE_BLOCKED',
+        moderation: moderationService.toClientResult(moderation)
+      });
+    }
+
     // Create message
     const newMessage = new Message({
       application: applicationId,
@@ -83,11 +100,21 @@ router.post('/', verifyToken, async (req, res) => {
       receiver: receiverId,
       message,
       messageType,
-      attachments
+      attachments,
+      ...moderationService.moderationFields(moderation, 'message')
     });
 
     await newMessage.save();
 
+    await moderationService.recordViolation({
+      result: moderation,
+      user: req.user,
+      contentType: 'message',
+      text: message,
+      applicationId,
+      contentId: newMessage._id
+    });
+
     // Populate sender and receiver info
     await newMessage.populate([
       { path: 'sender', select: 'firstName lastName avatar' },
@@ -106,8 +133,11 @@ router.post('/', verifyToken, async (req, res) => {
     }
 
     res.status(201).json({
-      message: 'Message sent successfully',
-      data: newMessage
+      message: moderation.decision === 'flag'
+        ? 'Message sent and flagged for review'
+        : 'Message sent successfully',
+      data: newMessage,
+      moderation: moderationService.toClientResult(moderation)
     });
 
   } catch (error) {
@@ -1,13 +1,18 @@
 const express = require('express');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, authorize } = require('../middleware/auth');
 const Application = require('../models/Application');
+const ModerationRule = require('../models/ModerationRule');
 const ModerationViolation = require('../models/ModerationViolation');
+const User = require('../models/User');
+const moderationService = require('../services/moderationService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
 
 const router = express.Router();
 
 /**
  * @route   POST /api/moderation/violations
- * @desc    Log a content moderation violation (best-effort, for admin review)
+ * @desc    Log a content moderation violation detected by the frontend (best-effort, for admin review).
+ *          Messages and reviews are also screened server-side; see services/moderationService.js
  * @access  Private
  */
 router.post('/violations', verifyToken, async (req, res) => {
@@ -62,5 +67,209 @@ router.post('/violations', verifyToken, async (req, res) => {
   }
 });
 
+const RULE_FIELDS = ['name', 'pattern', 'flags', 'keywords', 'action', 'severity', 'reason', 'appliesTo', 'enabled'];
+
+const pickRuleFields = (body, { builtIn = false } = {}) => {
+  const fields = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  // Built-in rules can be tuned and switched off, but keep their identity
+  if (!builtIn && body.category !== undefined) fields.category = body.category;
+  return fields;
+};
+
+const sendValidationError = (res, error) =>
+  res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+
+/**
+ * @route   GET /api/moderation/rules
+ * @desc    List moderation rules (built-in rules are created on first use)
+ * @access  Private (Admin)
+ */
+router.get('/rules', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    await ModerationRule.ensureDefaults();
+    const rules = await ModerationRule.find({}).sort({ builtIn: -1, createdAt: 1 });
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get moderation rules error:', error);
+    res.status(500).json({ message: 'Server error while fetching moderation rules' });
+  }
+});
+
+/**
+ * @route   POST /api/moderation/rules
+ * @desc    Add a regex or keyword rule
+ * @access  Private (Admin)
+ */
+router.post('/rules', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await ModerationRule.create({
+      category: 'custom',
+      ...pickRuleFields(req.body),
+      builtIn: false,
+      updatedBy: req.user._id
+    });
+    moderationService.clearRuleCache();
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'moderation_rule_created',
+      entityType: 'ModerationRule',
+      entityId: rule._id,
+      userId: req.user._id,
+      details: { name: rule.name, category: rule.category, action: rule.action },
+      ipAddress,
+      userAgent
+    });
+
+    res.status(201).json({ message: 'Moderation rule created', rule });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Create moderation rule error:', error);
+    res.status(500).json({ message: 'Server error while creating moderation rule' });
+  }
+});
+
+/**
+ * @route   PUT /api/moderation/rules/:id
+ * @desc    Update a rule (e.g. change its action, edit the keyword blocklist, disable it)
+ * @access  Private (Admin)
+ */
+router.put('/rules/:id', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await ModerationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Moderation rule not found' });
+    }
+
+    const changes = pickRuleFields(req.body, { builtIn: rule.builtIn });
+    rule.set({ ...changes, updatedBy: req.user._id });
+    await rule.save();
+    moderationService.clearRuleCache();
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'moderation_rule_updated',
+      entityType: 'ModerationRule',
+      entityId: rule._id,
+      userId: req.user._id,
+      details: { name: rule.name, changes },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: 'Moderation rule updated', rule });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Update moderation rule error:', error);
+    res.status(500).json({ message: 'Server error while updating moderation rule' });
+  }
+});
+
+/**
+ * @route   DELETE /api/moderation/rules/:id
+ * @desc    Delete a custom rule (built-in rules can only be disabled)
+ * @access  Private (Admin)
+ */
+router.delete('/rules/:id', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await ModerationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Moderation rule not found' });
+    }
+    if (rule.builtIn) {
+      return res.status(400).json({ message: 'Built-in rules cannot be deleted; disable them instead' });
+    }
+
+    await rule.deleteOne();
+    moderationService.clearRuleCache();
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'moderation_rule_deleted',
+      entityType: 'ModerationRule',
+      entityId: rule._id,
+      userId: req.user._id,
+      details: { name: rule.name },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: 'Moderation rule deleted' });
+  } catch (error) {
+    console.error('Delete moderation rule error:', error);
+    res.status(500).json({ message: 'Server error while deleting moderation rule' });
+  }
+});
+
+/**
+ * @route   POST /api/moderation/check
+ * @desc    Dry-run text against the current rules (nothing is recorded)
+ * @access  Private (Admin)
+ */
+router.post('/check', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { text, contentType = 'message' } = req.body || {};
+    if (!text) {
+      return res.status(400).json({ message: 'text is required' });
+    }
+    if (!['message', 'review'].includes(contentType)) {
+      return res.status(400).json({ message: 'Invalid contentType' });
+    }
+
+    const result = await moderationService.evaluateContent(text, contentType);
+    res.json({ result });
+  } catch (error) {
+    console.error('Moderation check error:', error);
+    res.status(500).json({ message: 'Server error while checking content' });
+  }
+});
+
+/**
+ * @route   PUT /api/moderation/users/:id/standing
+ * @desc    Resolve a moderation review: restore good standing (reactivating a moderation
+ *          suspension) and stop earlier violations counting towards escalation
+ * @access  Private (Admin)
+ */
+router.put('/users/:id/standing', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    const user = await User.findById(req.params.id).select('email firstName lastName role isActive moderation');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousStatus = user.moderation?.status || 'good_standing';
+    const update = {
+      'moderation.status': 'good_standing',
+      'moderation.clearedAt': new Date(),
+      'moderation.clearedBy': req.user._id
+    };
+    // Only undo suspensions made by moderation; other deactivations stay as they are
+    if (previousStatus === 'suspended') update.isActive = true;
+
+    const updated = await User.findByIdAndUpdate(user._id, { $set: update }, { new: true })
+      .select('email firstName lastName role isActive moderation');
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'user_moderation_cleared',
+      entityType: 'User',
+      entityId: user._id,
+      userId: req.user._id,
+      details: { previousStatus, reactivated: previousStatus === 'suspended', note },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({ message: 'User moderation standing restored', user: updated });
+  } catch (error) {
+    console.error('Update moderation standing error:', error);
+    res.status(500).json({ message: 'Server error while updating moderation standing' });
+  }
+});
+
 module.exports = router;
 
@@ -3,12 +3,13 @@ const Payment = require('../models/Payment');
 const Application = require('../models/Application');
 const Property = require('../models/Property');
 const { verifyToken, authorize } = require('../middleware/auth');
-const {
-  handleCheckoutSessionCompleted,
-  handlePaymentIntentSucceeded,
-  handlePaymentIntentFailed
-} = require('../services/stripeWebhookHandlers');
+const { requireStepUp } = require('../middleware/stepUp');
+const { handleCheckoutSessionCompleted } = require('../services/stripeWebhookHandlers');
+const { handleWebhookEvent } = require('../services/stripeEventService');
 const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const { getPayableInvoice } = require('../services/rentScheduleService');
+const escrowService = require('../services/escrowService');
+const refundService = require('../services/refundService');
 
 const router = express.Router();
 const Stripe = require('stripe'); 
@@ -25,18 +26,8 @@ try {
   console.error('Error initializing Stripe:', error);
 }
 
-// Calculate escrow interest (charged if property not visited within 10 days)
-const calculateEscrowInterest = (amount, daysHeld) => {
-  if (daysHeld <= 10 || amount <= 0) return 0;
-  // 2% interest per day after 10 days
-  const daysOver = daysHeld - 10;
-  const interest = amount * 0.02 * daysOver;
-  // Round to 2 decimal places and ensure non-negative
-  return Math.max(0, Math.round(interest * 100) / 100);
-};
-
 // @route   POST /api/payments/create-checkout
-// @desc    Create Stripe checkout session
+// @desc    Create Stripe checkout session (pass invoiceId to pay a rent invoice)
 // @access  Private
 router.post('/create-checkout', verifyToken, async (req, res) => {
   try {
@@ -48,7 +39,7 @@ router.post('/create-checkout', verifyToken, async (req, res) => {
       });
     }
 
-    const { applicationId, amount, currency = 'ngn' } = req.body;
+    const { applicationId, amount, currency = 'ngn', invoiceId } = req.body;
 
     // Validate required fields
     if (!applicationId) {
@@ -142,8 +133,29 @@ router.post('/create-checkout', verifyToken, async (req, res) => {
     // Determine payment type - rent payments for approved applications are escrow
     const isRentPayment = application.status === 'approved' || application.status === 'accepted';
     const paymentType = isRentPayment ? 'rent' : 'application_fee';
+
+    // Rent invoice payment links: the invoice fixes the amount and currency
+    let invoice = null;
+    if (invoiceId) {
+      invoice = isRentPayment ? await getPayableInvoice(invoiceId, applicationId) : null;
+      if (!invoice) {
+        return res.status(404).json({
+          message: 'Invoice not found or already settled',
+          error: 'INVOICE_NOT_PAYABLE'
+        });
+      }
+      if (Math.abs(invoice.amount - amountNum) > 0.01 || invoice.currency.toLowerCase() !== currency.toLowerCase()) {
+        return res.status(400).json({
+          message: `Amount must match the invoice: ${invoice.currency} ${invoice.amount}`,
+          error: 'INVOICE_AMOUNT_MISMATCH',
+          invoiceAmount: invoice.amount,
+          invoiceCurrency: invoice.currency
+        });
+      }
+    }
+
     const productName = isRentPayment 
-      ? `Rent Payment - ${application.property.title} (Escrow)`
+      ? `Rent Payment - ${application.property.title}${invoice ? ` - ${invoice.invoiceNumber}` : ''} (Escrow)`
       : `Application Fee - ${application.property.title}`;
     const description = isRentPayment
       ? `Rent payment for property: ${application.property.title}. Payment will be held in escrow until property visit and document handover.`
@@ -173,7 +185,8 @@ router.post('/create-checkout', verifyToken, async (req, res) => {
       metadata: {
         applicationId: applicationId,
         userId: req.user._id.toString(),
-        type: paymentType
+        type: paymentType,
+        ...(invoice && { invoiceId: invoice._id.toString() })
       },
       customer_email: application.client.email,
     });
@@ -294,22 +307,14 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 
   try {
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutSessionCompleted(event.data.object);
-        break;
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object);
-        break;
-      default:
-        console.log(`Unhandled event type ${event.type}`);
+    // Stored by event ID: redeliveries are deduplicated, failures kept for replay
+    const result = await handleWebhookEvent(event, 'payments');
+    if (result.status === 'failed') {
+      // Non-2xx makes Stripe redeliver the event
+      return res.status(500).json({ error: 'Webhook handler failed' });
     }
 
-    res.json({ received: true });
+    res.json({ received: true, duplicate: result.duplicate });
   } catch (error) {
     console.error('Webhook handler error:', error);
     res.status(500).json({ error: 'Webhook handler failed' });
@@ -909,229 +914,89 @@ router.get('/admin/all', verifyToken, authorize('admin'), async (req, res) => {
   }
 });
 
-// @route   PUT /api/payments/:id/escrow/release
-// @desc    Release escrow payment to landlord (Admin only)
+// @route   POST /api/payments/:id/refund
+// @desc    Refund a payment through Stripe, fully or partially (omit amount for a full refund)
 // @access  Private (Admin)
-router.put('/:id/escrow/release', verifyToken, authorize('admin'), async (req, res) => {
+router.post('/:id/refund', verifyToken, authorize('admin'), async (req, res) => {
   try {
-    const commissionService = require('../services/commissionService');
-    const landlordAccountService = require('../services/landlordAccountService');
-    const AuditLog = require('../models/AuditLog');
-    
-    const payment = await Payment.findById(req.params.id)
-      .populate('application', 'property client landlord');
-
-    if (!payment) {
-      return res.status(404).json({ message: 'Payment not found' });
-    }
-
-    if (!payment.isEscrow) {
-      return res.status(400).json({ message: 'Payment is not an escrow payment' });
+    const { amount, reason, stripeReason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A refund reason is required' });
     }
 
-    if (payment.escrowStatus !== 'held') {
-      if (payment.escrowStatus === 'released') {
-        // Already released - return the existing payment data
-        return res.status(200).json({
-          message: 'Escrow already released',
-          payment: {
-            ...payment.toObject(),
-            grossAmount: payment.amount,
-            commissionRate: payment.commission_rate,
-            commissionAmount: payment.commission_amount,
-            landlordNetAmount: payment.landlordNetAmount
-          }
-        });
-      }
-      return res.status(400).json({ 
-        message: `Payment escrow status is '${payment.escrowStatus}', cannot release` 
-      });
-    }
-
-    // Validate escrow was actually held (escrowHeldAt should exist)
-    if (!payment.escrowHeldAt) {
-      console.error(`Payment ${payment._id} marked as escrow but escrowHeldAt is missing`);
-      // Set it to now as fallback, but log the issue
-      payment.escrowHeldAt = new Date();
-    }
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    const result = await refundService.refundPayment(req.params.id, {
+      amount,
+      reason: String(reason).trim(),
+      stripeReason,
+      refundedBy: req.user._id,
+      ipAddress,
+      userAgent
+    });
 
-    // Calculate interest if property not visited within 10 days
-    const daysHeld = Math.max(0, Math.floor((new Date() - payment.escrowHeldAt) / (1000 * 60 * 60 * 24)));
-    const interest = calculateEscrowInterest(payment.amount, daysHeld);
-    payment.escrowInterest = interest;
-    
-    // Get current commission rate from PlatformSettings
-    const commissionRate = await commissionService.getCurrentCommissionRate();
-    
-    // Store original gross amount (before any deductions)
-    const grossAmount = payment.amount;
-    
-    // Validate amounts before calculation
-    if (grossAmount <= 0) {
-      return res.status(400).json({ message: 'Invalid payment amount' });
-    }
-    if (commissionRate < 0 || commissionRate > 1) {
-      return res.status(500).json({ message: 'Invalid commission rate configuration' });
-    }
+    res.json({
+      message: result.payment.status === 'refunded' ? 'Payment refunded successfully' : 'Payment partially refunded',
+      refund: {
+        id: result.refund.id,
+        amount: result.amount,
+        status: result.refund.status
+      },
+      payment: result.payment
+    });
 
-    // Calculate commission using the service
-    const commissionAmount = commissionService.calculateCommission(grossAmount, commissionRate);
-    
-    // Calculate net landlord amount (after commission and interest)
-    const landlordNetAmount = commissionService.calculateNetAmount(grossAmount, commissionRate, interest);
-    
-    // Validate calculations
-    if (commissionAmount < 0 || landlordNetAmount < 0) {
-      console.error(`Invalid commission calculation for payment ${payment._id}:`, {
-        grossAmount,
-        commissionRate,
-        commissionAmount,
-        interest,
-        landlordNetAmount
-      });
-      return res.status(500).json({ message: 'Commission calculation error' });
-    }
-    
-    // Store commission details in payment
-    payment.commission_rate = commissionRate;
-    payment.commission_amount = commissionAmount;
-    payment.landlordNetAmount = landlordNetAmount;
-    
-    // Update payment status
-    payment.escrowStatus = 'released';
-    payment.escrowReleasedAt = new Date();
-    
-    // Get landlord ID from application
-    const landlordId = payment.application.landlord._id || payment.application.landlord;
-    
-    if (!landlordId) {
-      return res.status(400).json({ message: 'Landlord information not found in application' });
+  } catch (error) {
+    if (error.code && error.status) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
     }
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Server error while refunding payment' });
+  }
+});
 
-    // Verify landlord exists and is actually a landlord
-    const User = require('../models/User');
-    const landlord = await User.findById(landlordId);
-    if (!landlord) {
-      return res.status(404).json({ message: 'Landlord not found' });
-    }
-    if (landlord.role !== 'landlord') {
-      return res.status(400).json({ message: 'User is not a landlord' });
-    }
-    
-    // Get or create landlord account
-    const landlordAccount = await landlordAccountService.createOrGetAccount(landlordId);
-    
-    // Link payment to landlord account
-    payment.landlordAccount = landlordAccount._id;
-    
-    // Update landlord account balances
-    await landlordAccountService.updateBalance(
-      landlordId,
-      grossAmount,
-      commissionAmount,
-      landlordNetAmount,
-      'available'
-    );
-    
-    // Log commission calculation in AuditLog
-    await AuditLog.logCommissionCalculation(
-      req.user._id,
-      payment._id,
-      grossAmount,
-      commissionRate,
-      commissionAmount,
-      landlordNetAmount,
-      landlordId,
-      req.ip,
-      req.get('user-agent')
-    );
-
-    // Audit log: Escrow released
+// @route   PUT /api/payments/:id/escrow/release
+// @desc    Release escrow payment to landlord (Admin only)
+// @access  Private (Admin)
+router.put('/:id/escrow/release', verifyToken, authorize('admin'), requireStepUp(), async (req, res) => {
+  try {
     const { ipAddress, userAgent } = getRequestMetadata(req);
-    await createAuditLog({
-      action: 'escrow_released',
-      entityType: 'Payment',
-      entityId: payment._id,
-      userId: req.user._id,
-      details: {
-        paymentId: payment._id.toString(),
-        applicationId: payment.application._id.toString(),
-        grossAmount,
-        commissionRate,
-        commissionAmount,
-        landlordNetAmount,
-        escrowInterest: interest,
-        daysHeld
-      },
+    const result = await escrowService.releaseEscrow(req.params.id, {
+      actorId: req.user._id,
       ipAddress,
       userAgent
     });
-    
-    await payment.save();
-
-    // Update application lease dates from rent period (for rent payment tracking)
-    if (payment.type === 'rent' && payment.rentPeriodStart && payment.rentPeriodEnd) {
-      const appUpdate = {};
-      const app = await Application.findById(payment.application._id || payment.application).select('decision');
-      if (app && (!app.decision || !app.decision.leaseStartDate)) {
-        appUpdate['decision.leaseStartDate'] = payment.rentPeriodStart;
-      }
-      if (app && (!app.decision || !app.decision.leaseEndDate)) {
-        appUpdate['decision.leaseEndDate'] = payment.rentPeriodEnd;
-      }
-      if (Object.keys(appUpdate).length > 0) {
-        await Application.findByIdAndUpdate(payment.application._id || payment.application, { $set: appUpdate });
-      }
-    }
-
-    console.log(`✅ Escrow released: Payment ${payment._id}, Gross: ₦${grossAmount}, Commission: ₦${commissionAmount} (${(commissionRate * 100)}%), Net: ₦${landlordNetAmount}`);
-
-    // Send escrow released email notification to landlord
-    try {
-      const { sendEmail, getEmailTemplate } = require('../utils/emailNotifications');
-      const landlordEmail = payment.application.landlord?.email;
-      
-      if (landlordEmail) {
-        // Reload payment with populated data for email
-        const paymentWithDetails = await Payment.findById(payment._id)
-          .populate('application', 'property landlord');
-        
-        const template = getEmailTemplate('escrowReleased', {
-          landlordName: payment.application.landlord?.firstName || 'Landlord',
-          propertyTitle: payment.application.property?.title || 'Property',
-          grossAmount: grossAmount,
-          commissionRate: commissionRate,
-          commissionAmount: commissionAmount,
-          landlordNetAmount: landlordNetAmount,
-          interestCharged: interest,
-          currency: payment.currency || 'NGN',
-          paymentId: payment._id.toString()
-        });
-        
-        if (template) {
-          await sendEmail(landlordEmail, template.subject, template.html, template.text);
-          console.log(`Escrow released email sent to ${landlordEmail} for payment ${payment._id}`);
+    const { payment } = result;
+
+    if (result.alreadyReleased) {
+      // Already released - return the existing payment data
+      return res.status(200).json({
+        message: 'Escrow already released',
+        payment: {
+          ...payment.toObject(),
+          grossAmount: payment.amount,
+          commissionRate: payment.commission_rate,
+          commissionAmount: payment.commission_amount,
+          landlordNetAmount: payment.landlordNetAmount
         }
-      }
-    } catch (emailError) {
-      // Don't fail the release if email fails
-      console.error('Error sending escrow released email:', emailError);
+      });
     }
 
     res.json({
       message: 'Escrow released successfully',
       payment: {
         ...payment.toObject(),
-        grossAmount,
-        commissionRate,
-        commissionAmount,
-        landlordNetAmount,
-        interestCharged: interest,
-        daysHeld: daysHeld
+        grossAmount: result.grossAmount,
+        commissionRate: result.commissionRate,
+        commissionAmount: result.commissionAmount,
+        landlordNetAmount: result.landlordNetAmount,
+        interestCharged: result.interest,
+        daysHeld: result.daysHeld
       }
     });
 
   } catch (error) {
+    if (error.code && error.status) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
     console.error('Release escrow error:', error);
     res.status(500).json({ message: 'Server error while releasing escrow', error: error.message });
   }
@@ -1149,12 +1014,14 @@ router.put('/:id/escrow/visit', verifyToken, async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    // Verify user is the client
-    if (payment.application.client._id.toString() !== req.user._id.toString()) {
+    // Verify user is the client (booking payments have no application)
+    const clientId = payment.application ? payment.application.client : payment.user;
+    if (clientId.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
     payment.propertyVisited = true;
+    escrowService.markConditionsIfMet(payment);
     await payment.save();
 
     res.json({
@@ -1180,12 +1047,14 @@ router.put('/:id/escrow/documents', verifyToken, async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    // Verify user is the client
-    if (payment.application.client._id.toString() !== req.user._id.toString()) {
+    // Verify user is the client (booking payments have no application)
+    const clientId = payment.application ? payment.application.client : payment.user;
+    if (clientId.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
     payment.documentsReceived = true;
+    escrowService.markConditionsIfMet(payment);
     await payment.save();
 
     // Audit log: Documents received marked
@@ -1211,6 +1080,50 @@ router.put('/:id/escrow/documents', verifyToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/payments/:id/escrow/pause
+// @desc    Pause or resume automatic escrow release (e.g. while a dispute is investigated)
+// @access  Private (Admin)
+router.put('/:id/escrow/pause', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { paused = true, reason } = req.body;
+    if (typeof paused !== 'boolean') {
+      return res.status(400).json({ message: 'paused must be true or false' });
+    }
+
+    const payment = await escrowService.setAutoReleasePaused(req.params.id, {
+      paused,
+      userId: req.user._id,
+      reason
+    });
+    if (!payment) {
+      return res.status(400).json({
+        message: 'Only held escrow payments can be paused or resumed',
+        error: 'ESCROW_NOT_HELD'
+      });
+    }
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: paused ? 'escrow_auto_release_paused' : 'escrow_auto_release_resumed',
+      entityType: 'Payment',
+      entityId: payment._id,
+      userId: req.user._id,
+      details: { paymentId: payment._id.toString(), reason },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: paused ? 'Automatic escrow release paused' : 'Automatic escrow release resumed',
+      payment
+    });
+
+  } catch (error) {
+    console.error('Pause escrow error:', error);
+    res.status(500).json({ message: 'Server error while updating escrow' });
+  }
+});
+
 // @route   GET /api/payments/escrow
 // @desc    Get all escrow payments (Admin)
 // @access  Private (Admin)
@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken, authorize } = require('../middleware/auth');
+const { requireStepUp } = require('../middleware/stepUp');
 const payoutService = require('../services/payoutService');
 const PayoutRequest = require('../models/PayoutRequest');
 
 // @route   POST /api/payouts/request
 // @desc    Create payout request (landlord only)
 // @access  Private (Landlord)
-router.post('/request', verifyToken, authorize('landlord'), async (req, res) => {
+router.post('/request', verifyToken, authorize('landlord'), requireStepUp(), async (req, res) => {
   try {
     const { amount, paymentMethod, bankDetails, stripeAccountId } = req.body;
     
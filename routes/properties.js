@@ -3,12 +3,65 @@ const Property = require('../models/Property');
 const Application = require('../models/Application');
 const User = require('../models/User');
 const { verifyToken, authorize, optionalAuth } = require('../middleware/auth');
+const { requireKycVerified, enforcePropertyLimit } = require('../middleware/platformPolicy');
 const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const { getCalendar, BOOKING_ERRORS } = require('../services/bookingService');
+const viewingAvailabilityService = require('../services/viewingAvailabilityService');
+const {
+  toGeoPoint,
+  parseLatLng,
+  parseBoundingBox,
+  boundingBoxToPolygon,
+  parseRadiusKm,
+  kmToRadians,
+  haversineKm
+} = require('../utils/geo');
 
 const router = express.Router();
 
+const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// Escape user input before building a RegExp so it is matched literally
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Run a $geoNear search so results come back ordered by distance, each with `distanceKm`.
+// An explicit `sort` re-orders the page after the distance cut-off is applied.
+const findNearbyProperties = async ({ point, radiusKm, filters, sort = null, skip = 0, limit = 12 }) => {
+  const pipeline = [
+    {
+      $geoNear: {
+        near: point,
+        key: 'geoLocation',
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001, // metres -> km
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: filters
+      }
+    }
+  ];
+  if (sort) pipeline.push({ $sort: sort });
+  pipeline.push({ $skip: skip }, { $limit: limit });
+
+  const withinRadius = {
+    geoLocation: { $geoWithin: { $centerSphere: [point.coordinates, kmToRadians(radiusKm)] } }
+  };
+
+  const [rows, total] = await Promise.all([
+    Property.aggregate(pipeline),
+    Property.countDocuments({ $and: [filters, withinRadius] })
+  ]);
+
+  rows.forEach(row => {
+    row.distanceKm = Math.round(row.distanceKm * 100) / 100;
+  });
+  await Property.populate(rows, { path: 'landlord', select: 'firstName lastName email phone' });
+
+  return { properties: rows, total };
+};
+
 // @route   GET /api/properties
-// @desc    Get all properties with filters
+// @desc    Get all properties with filters (q= for relevance-ranked full-text search)
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -78,12 +131,12 @@ router.get('/', optionalAuth, async (req, res) => {
     // Handle location parameter (can be city, state, or a general location string)
     // Priority: specific city/state > general location parameter
     if (city) {
-      filters['address.city'] = new RegExp(city, 'i');
+      filters['address.city'] = new RegExp(escapeRegExp(city), 'i');
     } else if (state) {
-      filters['address.state'] = new RegExp(state, 'i');
+      filters['address.state'] = new RegExp(escapeRegExp(state), 'i');
     } else if (req.query.location) {
       // Use general location parameter to search across city, state, and street
-      const location = req.query.location;
+      const location = escapeRegExp(req.query.location);
       filters.$or = [
         { 'address.city': new RegExp(location, 'i') },
         { 'address.state': new RegExp(location, 'i') },
@@ -116,38 +169,110 @@ router.get('/', optionalAuth, async (req, res) => {
       }
     }
 
+    // Full-text search over title, description, features, amenities and address (text index)
+    const searchText = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (req.query.q !== undefined && (!searchText || searchText.length > MAX_SEARCH_QUERY_LENGTH)) {
+      return res.status(400).json({
+        message: `Search query must be between 1 and ${MAX_SEARCH_QUERY_LENGTH} characters`,
+        error: 'INVALID_SEARCH_QUERY'
+      });
+    }
+    if (searchText) {
+      filters.$text = { $search: searchText };
+    }
+
+    // Geospatial search:
+    // - near=lat,lng&radiusKm= returns listings within the radius, closest first, with distanceKm
+    // - bbox=minLng,minLat,maxLng,maxLat limits results to a map viewport
+    let nearPoint = null;
+    let radiusKm = null;
+    if (req.query.near) {
+      const near = parseLatLng(req.query.near);
+      if (!near) {
+        return res.status(400).json({
+          message: 'near must be "lat,lng" with valid coordinates',
+          error: 'INVALID_NEAR'
+        });
+      }
+      radiusKm = parseRadiusKm(req.query.radiusKm);
+      if (radiusKm === null) {
+        return res.status(400).json({
+          message: 'radiusKm must be a positive number',
+          error: 'INVALID_RADIUS'
+        });
+      }
+      nearPoint = toGeoPoint(near);
+    }
+
+    if (req.query.bbox) {
+      const bbox = parseBoundingBox(req.query.bbox);
+      if (!bbox) {
+        return res.status(400).json({
+          message: 'bbox must be "minLng,minLat,maxLng,maxLat" with valid coordinates',
+          error: 'INVALID_BBOX'
+        });
+      }
+      filters.geoLocation = { $geoWithin: { $geometry: boundingBoxToPolygon(bbox) } };
+    }
+
     // Build sort object - validate sortBy field
     const validSortFields = ['createdAt', 'price', 'title', 'updatedAt', 'views'];
     const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
-    const sort = {};
+    let sort = {};
     sort[sortField] = sortOrder === 'desc' ? -1 : 1;
 
+    // Text searches rank by relevance unless the client explicitly asked for another order
+    const textScore = { score: { $meta: 'textScore' } };
+    if (searchText && !req.query.sortBy) {
+      sort = { ...textScore, createdAt: -1 };
+    }
+
+    // $geoNear cannot be combined with $text, so a keyword search near a point
+    // filters by radius instead and distances are computed after the query
+    if (searchText && nearPoint) {
+      filters.$and = (filters.$and || []).concat([{
+        geoLocation: { $geoWithin: { $centerSphere: [nearPoint.coordinates, kmToRadians(radiusKm)] } }
+      }]);
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const limitNum = parseInt(limit) || 12;
 
     // Execute query with error handling
     let properties, total;
-    try {
-      // Don't use lean() with populate - it can cause issues
-      properties = await Property.find(filters)
-        .populate('landlord', 'firstName lastName email phone')
-        .sort(sort)
-        .skip(skip)
-        .limit(limitNum);
-      
-      total = await Property.countDocuments(filters);
-    } catch (queryError) {
-      console.error('Database query error:', queryError);
-      // If populate fails, try without populate
+    if (nearPoint && !searchText) {
+      // Distance ordering by default; honour sortBy only when the client asked for it
+      ({ properties, total } = await findNearbyProperties({
+        point: nearPoint,
+        radiusKm,
+        filters,
+        sort: req.query.sortBy ? sort : null,
+        skip,
+        limit: limitNum
+      }));
+    } else {
       try {
-        properties = await Property.find(filters)
+        // Don't use lean() with populate - it can cause issues
+        properties = await Property.find(filters, searchText ? textScore : undefined)
+          .populate('landlord', 'firstName lastName email phone')
           .sort(sort)
           .skip(skip)
           .limit(limitNum);
+      
         total = await Property.countDocuments(filters);
-      } catch (fallbackError) {
-        console.error('Fallback query error:', fallbackError);
-        throw fallbackError;
+      } catch (queryError) {
+        console.error('Database query error:', queryError);
+        // If populate fails, try without populate
+        try {
+          properties = await Property.find(filters, searchText ? textScore : undefined)
+            .sort(sort)
+            .skip(skip)
+            .limit(limitNum);
+          total = await Property.countDocuments(filters);
+        } catch (fallbackError) {
+          console.error('Fallback query error:', fallbackError);
+          throw fallbackError;
+        }
       }
     }
 
@@ -159,6 +284,11 @@ router.get('/', optionalAuth, async (req, res) => {
         (propObj.landlord.toObject ? propObj.landlord.toObject() : (propObj.landlord._doc || propObj.landlord)) : 
         null;
       
+      // Keyword search near a point: distance is not provided by the query itself
+      if (searchText && nearPoint && propObj.geoLocation?.coordinates?.length === 2) {
+        propObj.distanceKm = haversineKm(nearPoint.coordinates, propObj.geoLocation.coordinates);
+      }
+
       return {
         ...propObj,
         _id: propObj._id,
@@ -244,10 +374,151 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/properties/:id/calendar
+// @desc    Booked and free nights for a shortlet (from/to as YYYY-MM-DD, to exclusive; defaults to the next 90 days)
+// @access  Public
+router.get('/:id/calendar', optionalAuth, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('landlord rentalType isVerified isAvailable status price currency availableDates');
+
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    const isAdmin = req.user && req.user.role === 'admin';
+    const isOwner = req.user && property.landlord.toString() === req.user._id?.toString();
+    if (!isAdmin && !isOwner && !property.isVerified) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    if (property.rentalType !== 'short-term') {
+      return res.status(400).json({
+        message: 'Calendars are only available for short-term (shortlet) properties',
+        error: BOOKING_ERRORS.NOT_SHORTLET
+      });
+    }
+
+    const calendar = await getCalendar(property, { from: req.query.from, to: req.query.to });
+
+    res.json({
+      propertyId: property._id,
+      nightlyRate: property.price,
+      currency: property.currency || 'NGN',
+      isBookable: property.isVerified && property.isAvailable !== false && !['rented', 'inactive'].includes(property.status),
+      ...calendar
+    });
+  } catch (error) {
+    if (error.code === BOOKING_ERRORS.INVALID_DATES) {
+      return res.status(400).json({ message: error.message, error: error.code });
+    }
+    console.error('Get property calendar error:', error);
+    res.status(500).json({ message: 'Server error while fetching calendar' });
+  }
+});
+
+// @route   GET /api/properties/:id/viewing-slots
+// @desc    Open viewing slots (from/to as YYYY-MM-DD local days, to exclusive; defaults to the next 14 days)
+// @access  Public
+router.get('/:id/viewing-slots', optionalAuth, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('landlord isVerified isAvailable viewingsEnabled');
+
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    const isAdmin = req.user && req.user.role === 'admin';
+    const isOwner = req.user && property.landlord.toString() === req.user._id?.toString();
+    if (!isAdmin && !isOwner && !property.isVerified) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    if (!property.viewingsEnabled || !property.isAvailable) {
+      return res.json({ propertyId: property._id, enabled: false, slots: [] });
+    }
+
+    const result = await viewingAvailabilityService.listOpenSlots(property, { from: req.query.from, to: req.query.to });
+    res.json({ propertyId: property._id, ...result });
+  } catch (error) {
+    if (error.code && error.status) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error('Get viewing slots error:', error);
+    res.status(500).json({ message: 'Server error while fetching viewing slots' });
+  }
+});
+
+// @route   GET /api/properties/:id/viewing-availability
+// @desc    Viewing availability settings of a property
+// @access  Private (Owner or Admin)
+router.get('/:id/viewing-availability', verifyToken, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('landlord');
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+    if (req.user.role !== 'admin' && property.landlord.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view availability for this property' });
+    }
+
+    const availability = await viewingAvailabilityService.getAvailability(property._id);
+    res.json({ availability });
+  } catch (error) {
+    console.error('Get viewing availability error:', error);
+    res.status(500).json({ message: 'Server error while fetching viewing availability' });
+  }
+});
+
+// @route   PUT /api/properties/:id/viewing-availability
+// @desc    Publish viewing availability: weekly windows, slot length, buffer, blackout dates
+// @access  Private (Owner or Admin)
+router.put('/:id/viewing-availability', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('landlord');
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+    if (req.user.role !== 'admin' && property.landlord.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update availability for this property' });
+    }
+
+    const availability = await viewingAvailabilityService.saveAvailability(property, req.body);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'viewing_availability_updated',
+      entityType: 'Property',
+      entityId: property._id,
+      userId: req.user._id,
+      details: {
+        windows: availability.weeklyWindows.length,
+        slotMinutes: availability.slotMinutes,
+        bufferMinutes: availability.bufferMinutes,
+        isActive: availability.isActive
+      },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: 'Viewing availability saved',
+      availability
+    });
+  } catch (error) {
+    if (error.code && error.status) {
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error('Update viewing availability error:', error);
+    res.status(500).json({ message: 'Server error while saving viewing availability' });
+  }
+});
+
 // @route   POST /api/properties
 // @desc    Create new property
 // @access  Private (Landlord)
-router.post('/', verifyToken, authorize('landlord'), async (req, res) => {
+router.post('/', verifyToken, authorize('landlord'), requireKycVerified, enforcePropertyLimit, async (req, res) => {
   try {
     // Check if landlord is verified
     const landlord = await User.findById(req.user._id);
@@ -266,6 +537,7 @@ router.post('/', verifyToken, authorize('landlord'), async (req, res) => {
       ...req.body,
       landlord: req.user._id
     };
+    delete propertyData.leaseDocuments;
 
     // Enforce maximum lease duration of 12 months (Nigeria rental law)
     if (propertyData.leaseTerms) {
@@ -419,6 +691,8 @@ router.put('/:id', verifyToken, async (req, res) => {
 
     // Transform arrays of strings to arrays of objects for schema compliance
     const updateData = { ...req.body };
+    // Signed leases are only written by the lease signing flow
+    delete updateData.leaseDocuments;
 
     // Enforce maximum lease duration of 12 months (Nigeria rental law)
     if (updateData.leaseTerms) {
@@ -694,7 +968,7 @@ router.delete('/:id/images/:imageId', verifyToken, async (req, res) => {
 });
 
 // @route   GET /api/properties/search/similar
-// @desc    Get similar properties
+// @desc    Get similar properties (closest first when the property has coordinates)
 // @access  Public
 router.get('/search/similar', async (req, res) => {
   try {
@@ -714,13 +988,34 @@ router.get('/search/similar', async (req, res) => {
       isVerified: true,
       propertyType: property.propertyType,
       bedrooms: property.bedrooms,
-      'address.city': property.address.city,
       price: {
         $gte: property.price - priceRange,
         $lte: property.price + priceRange
       }
     };
 
+    // Prefer proximity; fall back to same-city matching for listings without coordinates
+    if (property.geoLocation?.coordinates?.length === 2) {
+      const radiusKm = parseRadiusKm(req.query.radiusKm);
+      if (radiusKm === null) {
+        return res.status(400).json({
+          message: 'radiusKm must be a positive number',
+          error: 'INVALID_RADIUS'
+        });
+      }
+
+      const { properties: nearby } = await findNearbyProperties({
+        point: { type: 'Point', coordinates: [...property.geoLocation.coordinates] },
+        radiusKm,
+        filters,
+        limit: parseInt(limit) || 6
+      });
+
+      return res.json({ properties: nearby });
+    }
+
+    filters['address.city'] = property.address.city;
+
     const similarProperties = await Property.find(filters)
       .populate('landlord', 'firstName lastName email phone')
       .limit(parseInt(limit));
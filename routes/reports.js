@@ -0,0 +1,211 @@
+const express = require('express');
+const Report = require('../models/Report');
+const { verifyToken } = require('../middleware/auth');
+const { uploadMultiple, deleteFile } = require('../middleware/upload');
+const caseService = require('../services/caseService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const CONTENT_TYPES = ['property', 'user', 'application', 'message', 'other'];
+const REPORT_REASONS = ['inappropriate', 'spam', 'fraud', 'harassment', 'fake_listing', 'other'];
+
+const uploadEvidence = uploadMultiple('evidence', 5, 'reports');
+
+// Files reach Cloudinary before validation runs, so remove them when the request is rejected
+const discardUploads = (files) => Promise.all((files || []).map(file => deleteFile(file.path)));
+
+// @route   POST /api/reports
+// @desc    Report a property, user, application or message you have interacted with (multipart; evidence files optional)
+// @access  Private
+router.post('/', verifyToken, uploadEvidence, async (req, res) => {
+  try {
+    const { contentType, contentId, reportedUserId, reportReason, description } = req.body;
+
+    if (!CONTENT_TYPES.includes(contentType)) {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: `contentType must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+    if (!REPORT_REASONS.includes(reportReason)) {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: `reportReason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+    if (!description || !description.trim()) {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: 'Description is required' });
+    }
+
+    const target = await caseService.resolveReportTarget(req.user, { contentType, contentId, reportedUserId });
+
+    // One open report per reporter and target is enough
+    const existing = await Report.findOne({
+      reporter: req.user._id,
+      contentType,
+      contentId: target.contentId,
+      status: { $in: ['pending', 'under_review'] }
+    }).select('_id');
+    if (existing) {
+      await discardUploads(req.files);
+      return res.status(409).json({
+        message: 'You already have an open report for this',
+        error: 'REPORT_ALREADY_OPEN',
+        reportId: existing._id
+      });
+    }
+
+    const evidenceFiles = caseService.evidenceFromFiles(req.files, req.user._id);
+    const report = await Report.create({
+      reporter: req.user._id,
+      reportedUser: target.reportedUser,
+      contentType,
+      contentId: target.contentId,
+      reportReason,
+      description: description.trim(),
+      evidence: evidenceFiles[0]?.url,
+      evidenceFiles,
+      updates: [{
+        author: req.user._id,
+        authorRole: req.user.role,
+        kind: 'status_change',
+        message: 'Report submitted',
+        toStatus: 'pending',
+        attachments: evidenceFiles.map(file => file.url)
+      }]
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'report_created',
+      entityType: 'Report',
+      entityId: report._id,
+      userId: req.user._id,
+      details: { contentType, contentId: target.contentId, reportReason, reportedUser: String(target.reportedUser) },
+      ipAddress,
+      userAgent
+    });
+
+    await caseService.notifyCaseParties('report', report, {
+      actorId: req.user._id,
+      title: 'New Report Submitted',
+      message: `A ${contentType} was reported for ${reportReason.replace('_', ' ')}.`,
+      notifyAdminsToo: true
+    });
+
+    res.status(201).json({ message: 'Report submitted successfully', report: caseService.formatCase(report, req.user) });
+  } catch (error) {
+    if (error.code && error.status) {
+      await discardUploads(req.files);
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error('Create report error:', error);
+    res.status(500).json({ message: 'Server error while creating report' });
+  }
+});
+
+// @route   GET /api/reports
+// @desc    List reports filed by the current user
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filters = { reporter: req.user._id };
+    if (status) filters.status = status;
+
+    const [reports, total] = await Promise.all([
+      Report.find(filters)
+        .select('-updates')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Report.countDocuments(filters)
+    ]);
+
+    res.json({
+      reports: reports.map(report => caseService.formatCase(report, req.user)),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Server error while fetching reports' });
+  }
+});
+
+// @route   GET /api/reports/:id
+// @desc    Get a report with its case timeline
+// @access  Private (Reporter or Admin)
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('updates.author', 'firstName lastName role');
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (!caseService.canAccessCase(report, req.user, 'report')) {
+      return res.status(403).json({ message: 'Not authorized to view this report' });
+    }
+
+    res.json({ report: caseService.formatCase(report, req.user) });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({ message: 'Server error while fetching report' });
+  }
+});
+
+// @route   POST /api/reports/:id/updates
+// @desc    Add a comment and/or evidence to a report's timeline (admins may mark it internal)
+// @access  Private (Reporter or Admin)
+router.post('/:id/updates', verifyToken, uploadEvidence, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('reporter reportedUser status');
+    if (!report) {
+      await discardUploads(req.files);
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (!caseService.canAccessCase(report, req.user, 'report')) {
+      await discardUploads(req.files);
+      return res.status(403).json({ message: 'Not authorized to update this report' });
+    }
+    if (['resolved', 'dismissed'].includes(report.status) && req.user.role !== 'admin') {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: `This report is ${report.status}`, error: 'CASE_CLOSED' });
+    }
+
+    const message = req.body.message ? String(req.body.message).trim() : '';
+    const internal = req.body.internal === true || req.body.internal === 'true';
+    const updated = await caseService.addCaseUpdate('report', report._id, {
+      user: req.user,
+      message,
+      files: req.files,
+      internal
+    });
+
+    if (!(req.user.role === 'admin' && internal)) {
+      await caseService.notifyCaseParties('report', updated, {
+        actorId: req.user._id,
+        title: 'Report Updated',
+        message: req.user.role === 'admin'
+          ? 'An admin added an update to your report.'
+          : 'The reporter added an update to their report.',
+        notifyAdminsToo: req.user.role !== 'admin'
+      });
+    }
+
+    res.status(201).json({ message: 'Update added', report: caseService.formatCase(updated, req.user) });
+  } catch (error) {
+    if (error.code && error.status) {
+      await discardUploads(req.files);
+      return res.status(error.status).json({ message: error.message, error: error.code });
+    }
+    console.error('Add report update error:', error);
+    res.status(500).json({ message: 'Server error while updating report' });
+  }
+});
+
+module.exports = router;
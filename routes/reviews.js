@@ -5,6 +5,7 @@ const Property = require('../models/Property');
 const User = require('../models/User');
 const { verifyToken, authorize } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const moderationService = require('../services/moderationService');
 
 const router = express.Router();
 
@@ -125,6 +126,24 @@ router.post('/',
         });
       }
 
+      // Server-side moderation runs before anything is saved
+      const reviewText = `${title.trim()}\n${comment.trim()}`;
+      const moderation = await moderationService.screenContent({
+        text: reviewText,
+        user: req.user,
+        contentType: 'review',
+        applicationId: application._id
+      });
+
+      if (moderation.decision === 'block') {
+        return res.status(422).json({
+          success: false,
+          message: moderation.reasons[0] || 'This review was blocked by moderation',
+          error: 'REVIEW_BLOCKED',
+          moderation: moderationService.toClientResult(moderation)
+        });
+      }
+
       // Create review
       const review = new Review({
         property: propertyId,
@@ -137,11 +156,21 @@ router.post('/',
         isAnonymous: isAnonymous === true,
         isVerified: true, // Verified since they have approved application
         verifiedAt: new Date(),
-        status: 'published'
+        status: 'published',
+        ...moderationService.moderationFields(moderation, 'review')
       });
 
       await review.save();
 
+      await moderationService.recordViolation({
+        result: moderation,
+        user: req.user,
+        contentType: 'review',
+        text: reviewText,
+        applicationId: application._id,
+        contentId: review._id
+      });
+
       // Populate response
       await review.populate([
         { path: 'property', select: 'title address images' },
@@ -151,8 +180,11 @@ router.post('/',
 
       res.status(201).json({
         success: true,
-        message: 'Review submitted successfully',
-        data: review
+        message: moderation.decision === 'flag'
+          ? 'Review submitted and held for moderation'
+          : 'Review submitted successfully',
+        data: review,
+        moderation: moderationService.toClientResult(moderation)
       });
     } catch (error) {
       console.error('Error creating review:', error);
@@ -260,8 +292,43 @@ router.put('/:id', verifyToken, async (req, res) => {
     if (comment) review.comment = comment.trim();
     if (isAnonymous !== undefined) review.isAnonymous = isAnonymous === true;
 
+    // Edited text goes through moderation again
+    let moderation;
+    let reviewText;
+    if (review.isModified('title') || review.isModified('comment')) {
+      reviewText = `${review.title}\n${review.comment}`;
+      moderation = await moderationService.screenContent({
+        text: reviewText,
+        user: req.user,
+        contentType: 'review',
+        applicationId: review.application
+      });
+
+      if (moderation.decision === 'block') {
+        return res.status(422).json({
+          success: false,
+          message: moderation.reasons[0] || 'This review was blocked by moderation',
+          error: 'REVIEW_BLOCKED',
+          moderation: moderationService.toClientResult(moderation)
+        });
+      }
+      // Only tighten: an edit never clears a flag or an admin decision
+      if (moderation.decision === 'flag') {
+        review.set(moderationService.moderationFields(moderation, 'review'));
+      }
+    }
+
     await review.save();
 
+    await moderationService.recordViolation({
+      result: moderation,
+      user: req.user,
+      contentType: 'review',
+      text: reviewText,
+      applicationId: review.application,
+      contentId: review._id
+    });
+
     await review.populate([
       { path: 'property', select: 'title address images' },
       { path: 'reviewer', select: 'firstName lastName avatar email' },
@@ -271,7 +338,8 @@ router.put('/:id', verifyToken, async (req, res) => {
     res.json({
       success: true,
       message: 'Review updated successfully',
-      data: review
+      data: review,
+      moderation: moderationService.toClientResult(moderation)
     });
   } catch (error) {
     console.error('Error updating review:', error);
@@ -456,11 +524,21 @@ router.post('/client',
         isAnonymous: false,
         isVerified: true,
         verifiedAt: new Date(),
-        status: 'published'
+        status: 'published',
+        ...moderationService.moderationFields(moderation, 'review')
       });
 
       await review.save();
 
+      await moderationService.recordViolation({
+        result: moderation,
+        user: req.user,
+        contentType: 'review',
+        text: reviewText,
+        applicationId: application._id,
+        contentId: review._id
+      });
+
       // Populate response
       await review.populate([
         { path: 'property', select: 'title address images' },
@@ -0,0 +1,110 @@
+const express = require('express');
+const { verifyToken, authorize } = require('../middleware/auth');
+const screeningService = require('../services/screeningService');
+const { getProvider } = require('../services/screeningProviders');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+const sendServiceError = (res, error, fallbackMessage, logLabel) => {
+  if (error.code && error.status) {
+    return res.status(error.status).json({ message: error.message, error: error.code });
+  }
+  console.error(`${logLabel} error:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+// @route   POST /api/screening/webhook/:provider
+// @desc    Screening provider result callback (raw body, signature checked by the provider adapter)
+// @access  Public (signed)
+router.post('/webhook/:provider', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown screening provider' });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    if (!provider.verifyCallback(rawBody, req.headers)) {
+      return res.status(401).json({ message: 'Invalid screening callback signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({ message: 'Invalid JSON body' });
+    }
+
+    const application = await screeningService.handleCallback(provider.name, payload);
+    // Acknowledge unmatched or repeated callbacks so the provider stops retrying
+    res.json({ received: true, matched: Boolean(application) });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while processing screening callback', 'Screening webhook');
+  }
+});
+
+// @route   POST /api/screening/applications/:id/request
+// @desc    Request a background check for an application (asks the tenant for consent first if needed)
+// @access  Private (Landlord/Admin)
+router.post('/applications/:id/request', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const { application, started } = await screeningService.requestScreening(req.params.id, req.user);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    await createAuditLog({
+      action: 'screening_requested',
+      entityType: 'Application',
+      entityId: application._id,
+      userId: req.user._id,
+      details: { started, provider: application.backgroundCheck?.provider },
+      ipAddress,
+      userAgent
+    });
+
+    res.status(started ? 202 : 200).json({
+      message: started
+        ? 'Background check started'
+        : 'The applicant has been asked to consent; the check will start once they do',
+      backgroundCheck: application.backgroundCheck
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while requesting screening', 'Request screening');
+  }
+});
+
+// @route   POST /api/screening/applications/:id/consent
+// @desc    Applicant consents to a background check
+// @access  Private (Client)
+router.post('/applications/:id/consent', verifyToken, authorize('client'), async (req, res) => {
+  try {
+    if (req.body.agree !== true) {
+      return res.status(400).json({ message: 'You must agree to the background check to give consent', error: 'CONSENT_REQUIRED' });
+    }
+
+    const { application, started } = await screeningService.giveConsent(req.params.id, req.user, getRequestMetadata(req));
+    res.json({
+      message: started ? 'Consent recorded; background check started' : 'Consent recorded',
+      backgroundCheck: {
+        status: application.backgroundCheck.status,
+        consent: application.backgroundCheck.consent
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while recording consent', 'Screening consent');
+  }
+});
+
+// @route   GET /api/screening/applications/:id
+// @desc    Screening summary: identity, income-to-rent ratio, previous landlord reviews and background check
+// @access  Private (Landlord/Admin)
+router.get('/applications/:id', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const summary = await screeningService.getScreeningSummary(req.params.id, req.user);
+    res.json({ summary });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while fetching screening summary', 'Screening summary');
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,8 @@ const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 // const { verifyToken } = require('../middleware/auth');
 const { verifyToken } = require('../middleware/auth');
-const {
-  handleCheckoutSessionCompleted,
-  handlePaymentIntentSucceeded,
-  handlePaymentIntentFailed
-} = require('../services/stripeWebhookHandlers');
+const { handleCheckoutSessionCompleted } = require('../services/stripeWebhookHandlers');
+const { handleWebhookEvent } = require('../services/stripeEventService');
 
 /**
  * POST /api/stripe/create-checkout
@@ -184,30 +181,13 @@ router.post(
     try {
       console.log('Processing webhook event:', event.type);
 
-      switch (event.type) {
-        case 'checkout.session.completed': {
-          const session = event.data.object;
-          await handleCheckoutSessionCompleted(session);
-          break;
-        }
-
-        case 'payment_intent.succeeded': {
-          const paymentIntent = event.data.object;
-          await handlePaymentIntentSucceeded(paymentIntent);
-          break;
-        }
-
-        case 'payment_intent.payment_failed': {
-          const paymentIntent = event.data.object;
-          await handlePaymentIntentFailed(paymentIntent);
-          break;
-        }
-
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
+      // Stored by event ID: redeliveries are deduplicated, failures kept for replay
+      const result = await handleWebhookEvent(event, 'stripe');
+      if (result.status === 'failed') {
+        return res.status(500).json({ error: 'Webhook processing failed' });
       }
 
-      res.json({ received: true });
+      res.json({ received: true, duplicate: result.duplicate });
     } catch (error) {
       console.error('Webhook processing error:', error);
       res.status(500).json({ error: 'Webhook processing failed' });
@@ -1,9 +1,13 @@
 const express = require('express');
 const User = require('../models/User');
 const Property = require('../models/Property');
+const SavedSearch = require('../models/SavedSearch');
 const { verifyToken, authorize } = require('../middleware/auth');
+const { requireStepUp } = require('../middleware/stepUp');
 const { notifyKYCStatus } = require('../utils/notifications');
 const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const { normalizeFilters, toSearchParams } = require('../services/savedSearchService');
+const sessionService = require('../services/sessionService');
 
 const router = express.Router();
 
@@ -21,9 +25,9 @@ router.get('/profile', verifyToken, async (req, res) => {
 });
 
 // @route   PUT /api/users/profile
-// @desc    Update user profile
+// @desc    Update user profile (changing paymentAccount needs a two-factor step-up)
 // @access  Private
-router.put('/profile', verifyToken, async (req, res) => {
+router.put('/profile', verifyToken, requireStepUp({ when: req => req.body.paymentAccount !== undefined }), async (req, res) => {
   try {
     const allowedUpdates = [
       'firstName', 'lastName', 'phone', 'profile', 'preferences', 'paymentAccount'
@@ -328,6 +332,168 @@ router.post('/saved-properties', verifyToken, async (req, res) => {
   }
 });
 
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+
+const formatSavedSearch = (search) => {
+  const obj = search.toObject ? search.toObject() : search;
+  delete obj.pendingDigestProperties;
+  return {
+    ...obj,
+    pendingDigestCount: (search.pendingDigestProperties || []).length,
+    searchParams: toSearchParams(obj.filters || {})
+  };
+};
+
+// @route   GET /api/users/saved-searches
+// @desc    Get current user's saved searches
+// @access  Private (Client)
+router.get('/saved-searches', verifyToken, authorize('client'), async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json({ savedSearches: searches.map(formatSavedSearch) });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ message: 'Server error while fetching saved searches' });
+  }
+});
+
+// @route   POST /api/users/saved-searches
+// @desc    Save a property search (filters use the same names as GET /api/properties)
+// @access  Private (Client)
+router.post('/saved-searches', verifyToken, authorize('client'), async (req, res) => {
+  try {
+    const { name, filters: rawFilters, alertsEnabled, emailDigest } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Name is required', error: 'INVALID_SAVED_SEARCH' });
+    }
+
+    const { filters, error } = normalizeFilters(rawFilters || {});
+    if (error) {
+      return res.status(400).json({ message: error, error: 'INVALID_SAVED_SEARCH' });
+    }
+    if (!Object.keys(filters).length) {
+      return res.status(400).json({ message: 'At least one filter is required', error: 'INVALID_SAVED_SEARCH' });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      return res.status(403).json({
+        message: `You can save up to ${MAX_SAVED_SEARCHES_PER_USER} searches. Delete one to add another.`,
+        error: 'SAVED_SEARCH_LIMIT_REACHED',
+        limit: MAX_SAVED_SEARCHES_PER_USER,
+        current: count
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user._id,
+      name: String(name).trim(),
+      filters,
+      ...(alertsEnabled !== undefined && { alertsEnabled: Boolean(alertsEnabled) }),
+      ...(emailDigest !== undefined && { emailDigest: Boolean(emailDigest) })
+    });
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      savedSearch: formatSavedSearch(search)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, error: 'INVALID_SAVED_SEARCH' });
+    }
+    console.error('Create saved search error:', error);
+    res.status(500).json({ message: 'Server error while saving search' });
+  }
+});
+
+// @route   GET /api/users/saved-searches/:id
+// @desc    Get a saved search
+// @access  Private (Client)
+router.get('/saved-searches/:id', verifyToken, authorize('client'), async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!search) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.json({ savedSearch: formatSavedSearch(search) });
+  } catch (error) {
+    console.error('Get saved search error:', error);
+    res.status(500).json({ message: 'Server error while fetching saved search' });
+  }
+});
+
+// @route   PUT /api/users/saved-searches/:id
+// @desc    Update a saved search's name, filters or alert settings
+// @access  Private (Client)
+router.put('/saved-searches/:id', verifyToken, authorize('client'), async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!search) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    const { name, filters: rawFilters, alertsEnabled, emailDigest } = req.body;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ message: 'Name cannot be empty', error: 'INVALID_SAVED_SEARCH' });
+      }
+      search.name = String(name).trim();
+    }
+
+    if (rawFilters !== undefined) {
+      const { filters, error } = normalizeFilters(rawFilters || {});
+      if (error) {
+        return res.status(400).json({ message: error, error: 'INVALID_SAVED_SEARCH' });
+      }
+      if (!Object.keys(filters).length) {
+        return res.status(400).json({ message: 'At least one filter is required', error: 'INVALID_SAVED_SEARCH' });
+      }
+      search.filters = filters;
+      // Queued matches were for the old criteria
+      search.pendingDigestProperties = [];
+    }
+
+    if (alertsEnabled !== undefined) search.alertsEnabled = Boolean(alertsEnabled);
+    if (emailDigest !== undefined) {
+      search.emailDigest = Boolean(emailDigest);
+      if (!search.emailDigest) search.pendingDigestProperties = [];
+    }
+
+    await search.save();
+
+    res.json({
+      message: 'Saved search updated successfully',
+      savedSearch: formatSavedSearch(search)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, error: 'INVALID_SAVED_SEARCH' });
+    }
+    console.error('Update saved search error:', error);
+    res.status(500).json({ message: 'Server error while updating saved search' });
+  }
+});
+
+// @route   DELETE /api/users/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (Client)
+router.delete('/saved-searches/:id', verifyToken, authorize('client'), async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!search) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ message: 'Server error while deleting saved search' });
+  }
+});
+
 // @route   GET /api/users/by-email
 // @desc    Get user by email (Admin only)
 // @access  Private (Admin)
@@ -417,6 +583,11 @@ router.put('/admin/:id/status', verifyToken, authorize('admin'), async (req, res
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Deactivated users are signed out of every device
+    if (isActive === false) {
+      await sessionService.revokeAllSessions(user._id, 'account_suspended');
+    }
+
     res.json({
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
       user
@@ -455,81 +626,6 @@ router.put('/admin/:id/kyc', verifyToken, authorize('admin'), async (req, res) =
       user.kyc.verifiedAt = undefined;
       // Set isVerified to false when rejected
       user.isVerified = false;
-      
-      // Send rejection email to user
-      try {
-        const { Resend } = require('resend');
-        const resendApiKey = process.env.RESEND_API_KEY;
-        const fromAddress = process.env.EMAIL_FROM || 'no-reply@landlordnoagent.app';
-        
-        if (resendApiKey) {
-          const resend = new Resend(resendApiKey);
-          const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-          const profileUrl = `${frontendUrl}/dashboard/${user.role}/profile`;
-          
-          const emailHtml = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-              <meta charset="utf-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            </head>
-            <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8fafc;">
-              <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-                <div style="background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%); padding: 40px 20px; text-align: center;">
-                  <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold;">LandLordNoAgent</h1>
-                  <p style="color: #e0e7ff; margin: 8px 0 0 0; font-size: 16px;">KYC Verification Update</p>
-                </div>
-                <div style="padding: 40px 30px;">
-                  <h2 style="color: #dc2626; margin: 0 0 20px 0;">KYC Verification Rejected</h2>
-                  <p style="color: #6b7280; line-height: 1.6;">Dear ${user.firstName || 'User'},</p>
-                  <p style="color: #6b7280; line-height: 1.6;">Your KYC verification has been reviewed and unfortunately, it has been rejected.</p>
-                  <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 20px; margin: 20px 0;">
-                    <h3 style="color: #991b1b; margin: 0 0 10px 0; font-size: 16px;">Reason for Rejection:</h3>
-                    <p style="color: #7f1d1d; margin: 0; line-height: 1.6;">${rejectedReason || 'Please review your documents and resubmit.'}</p>
-                  </div>
-                  <p style="color: #6b7280; line-height: 1.6;">Please review the reason above and resubmit your KYC documents with the necessary corrections.</p>
-                  <div style="text-align: center; margin: 30px 0;">
-                    <a href="${profileUrl}" style="display: inline-block; background-color: #3b82f6; color: #ffffff; text-decoration: none; padding: 16px 32px; border-radius: 8px; font-weight: bold;">Resubmit KYC Documents</a>
-                  </div>
-                  <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">If you have any questions, please contact our support team.</p>
-                </div>
-              </div>
-            </body>
-            </html>
-          `;
-          
-          const emailText = `KYC Verification Rejected
-
-Dear ${user.firstName || 'User'},
-
-Your KYC verification has been reviewed and unfortunately, it has been rejected.
-
-Reason for Rejection:
-${rejectedReason || 'Please review your documents and resubmit.'}
-
-Please review the reason above and resubmit your KYC documents with the necessary corrections.
-
-Resubmit your documents here: ${profileUrl}
-
-If you have any questions, please contact our support team.`;
-          
-          await resend.emails.send({
-            from: fromAddress,
-            to: user.email,
-            subject: 'KYC Verification Rejected - Action Required',
-            html: emailHtml,
-            text: emailText,
-          });
-          
-          console.log(`✅ KYC rejection email sent to ${user.email}`);
-        } else {
-          console.warn('RESEND_API_KEY not set. KYC rejection email not sent.');
-        }
-      } catch (emailError) {
-        console.error('Error sending KYC rejection email:', emailError);
-        // Don't fail the request if email fails
-      }
     } else if (status === 'pending') {
       // When revoking, set back to pending and remove verification
       user.kyc.verifiedAt = undefined;
@@ -541,7 +637,7 @@ If you have any questions, please contact our support team.`;
 
     // Notify user about KYC status change
     try {
-      await notifyKYCStatus(user, status === 'verified');
+      await notifyKYCStatus(user, status === 'verified', status === 'rejected' ? { rejectedReason: rejectedReason || '' } : {});
     } catch (notifError) {
       console.error('Error sending notification:', notifError);
       // Don't fail the request if notification fails
@@ -0,0 +1,184 @@
+const express = require('express');
+const Vendor = require('../models/Vendor');
+const WorkOrder = require('../models/WorkOrder');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { verifyToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const VENDOR_FIELDS = ['name', 'companyName', 'email', 'phone', 'trades', 'notes'];
+
+// Landlords see their own directory; admins can look at any landlord's with ?landlordId=
+const vendorScope = (req) => {
+  if (req.user.role === 'admin') {
+    return req.query.landlordId ? { landlord: req.query.landlordId } : {};
+  }
+  return { landlord: req.user._id };
+};
+
+const validateTrades = (trades) => {
+  if (trades === undefined) return null;
+  if (!Array.isArray(trades)) return 'trades must be an array';
+  const invalid = trades.filter(trade => !MaintenanceRequest.CATEGORIES.includes(trade));
+  return invalid.length
+    ? `Unknown trades: ${invalid.join(', ')}. Use: ${MaintenanceRequest.CATEGORIES.join(', ')}`
+    : null;
+};
+
+// @route   GET /api/vendors
+// @desc    List vendors in your directory (filters: trade, active=true|false, search)
+// @access  Private (Landlord or Admin)
+router.get('/', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const { trade, active, search, page = 1, limit = 20 } = req.query;
+    const filters = vendorScope(req);
+
+    if (trade) filters.trades = trade;
+    if (active !== undefined) filters.isActive = active === 'true';
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filters.$or = [{ name: pattern }, { companyName: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const vendors = await Vendor.find(filters)
+      .sort({ isActive: -1, name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Vendor.countDocuments(filters);
+
+    res.json({
+      vendors,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get vendors error:', error);
+    res.status(500).json({ message: 'Server error while fetching vendors' });
+  }
+});
+
+// @route   POST /api/vendors
+// @desc    Add a vendor to your directory
+// @access  Private (Landlord)
+router.post('/', verifyToken, authorize('landlord'), async (req, res) => {
+  try {
+    const { name, trades } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Vendor name is required', error: 'INVALID_VENDOR' });
+    }
+    const tradesError = validateTrades(trades);
+    if (tradesError) {
+      return res.status(400).json({ message: tradesError, error: 'INVALID_VENDOR' });
+    }
+
+    const data = { landlord: req.user._id };
+    VENDOR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const vendor = await Vendor.create(data);
+
+    res.status(201).json({
+      message: 'Vendor added successfully',
+      vendor
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, error: 'INVALID_VENDOR' });
+    }
+    console.error('Create vendor error:', error);
+    res.status(500).json({ message: 'Server error while adding vendor' });
+  }
+});
+
+// @route   GET /api/vendors/:id
+// @desc    Get a vendor with their recent work orders
+// @access  Private (Landlord or Admin)
+router.get('/:id', verifyToken, authorize('landlord', 'admin'), async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, ...vendorScope(req) });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const workOrders = await WorkOrder.find({ vendor: vendor._id })
+      .populate('maintenanceRequest', 'title category status')
+      .populate('property', 'title address')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ vendor, workOrders });
+  } catch (error) {
+    console.error('Get vendor error:', error);
+    res.status(500).json({ message: 'Server error while fetching vendor' });
+  }
+});
+
+// @route   PUT /api/vendors/:id
+// @desc    Update a vendor's details (isActive=true re-activates a removed vendor)
+// @access  Private (Landlord)
+router.put('/:id', verifyToken, authorize('landlord'), async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, landlord: req.user._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    if (req.body.name !== undefined && !String(req.body.name).trim()) {
+      return res.status(400).json({ message: 'Vendor name cannot be empty', error: 'INVALID_VENDOR' });
+    }
+    const tradesError = validateTrades(req.body.trades);
+    if (tradesError) {
+      return res.status(400).json({ message: tradesError, error: 'INVALID_VENDOR' });
+    }
+
+    VENDOR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) vendor[field] = req.body[field];
+    });
+    if (req.body.isActive !== undefined) vendor.isActive = Boolean(req.body.isActive);
+
+    await vendor.save();
+
+    res.json({
+      message: 'Vendor updated successfully',
+      vendor
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, error: 'INVALID_VENDOR' });
+    }
+    console.error('Update vendor error:', error);
+    res.status(500).json({ message: 'Server error while updating vendor' });
+  }
+});
+
+// @route   DELETE /api/vendors/:id
+// @desc    Remove a vendor from your directory (deactivated, so past work orders keep their vendor)
+// @access  Private (Landlord)
+router.delete('/:id', verifyToken, authorize('landlord'), async (req, res) => {
+  try {
+    const vendor = await Vendor.findOneAndUpdate(
+      { _id: req.params.id, landlord: req.user._id },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    res.json({ message: 'Vendor removed successfully' });
+  } catch (error) {
+    console.error('Delete vendor error:', error);
+    res.status(500).json({ message: 'Server error while removing vendor' });
+  }
+});
+
+module.exports = router;
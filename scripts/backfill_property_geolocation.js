@@ -0,0 +1,62 @@
+/**
+ * Backfill Property.geoLocation
+ *
+ * Populates the GeoJSON geoLocation field (used by radius/bounding-box search)
+ * from address.coordinates for properties created before it existed, and
+ * builds the 2dsphere index.
+ *
+ * Usage:
+ *   MONGODB_URI="mongodb://localhost:27017/landlord-no-agent" node scripts/backfill_property_geolocation.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Property = require('../models/Property');
+const { toGeoPoint } = require('../utils/geo');
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required to run this backfill.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('✅ Connected to MongoDB');
+
+  const cursor = Property.find({
+    'address.coordinates.lat': { $ne: null },
+    'address.coordinates.lng': { $ne: null }
+  })
+    .select('address.coordinates geoLocation')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let skipped = 0;
+
+  for await (const property of cursor) {
+    const point = toGeoPoint(property.address?.coordinates);
+    if (!point) {
+      skipped += 1;
+      continue;
+    }
+    await Property.collection.updateOne({ _id: property._id }, { $set: { geoLocation: point } });
+    updated += 1;
+  }
+
+  await Property.createIndexes();
+
+  console.log(`✅ geoLocation backfill complete: ${updated} updated, ${skipped} skipped (invalid coordinates)`);
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ geoLocation backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    try {
+      await mongoose.disconnect();
+    } catch {}
+  });
@@ -0,0 +1,61 @@
+/**
+ * Make the User provider-identity index unique
+ *
+ * Replaces the old non-unique oauthAccounts.subject/provider index with the unique partial
+ * one declared on the User model. Lists identities linked to more than one account first;
+ * those have to be unlinked by hand before the unique index can be built.
+ *
+ * Usage:
+ *   MONGODB_URI="mongodb://localhost:27017/landlord-no-agent" node scripts/migrate_oauth_identity_index.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+
+const INDEX_NAME = 'oauthAccounts.subject_1_oauthAccounts.provider_1';
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required to run this migration.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('✅ Connected to MongoDB');
+
+  const duplicates = await User.aggregate([
+    { $unwind: '$oauthAccounts' },
+    { $group: { _id: { provider: '$oauthAccounts.provider', subject: '$oauthAccounts.subject' }, users: { $addToSet: '$_id' } } },
+    { $match: { 'users.1': { $exists: true } } }
+  ]);
+  if (duplicates.length > 0) {
+    duplicates.forEach(({ _id, users }) => {
+      console.error(`❌ ${_id.provider}:${_id.subject} is linked to ${users.join(', ')}`);
+    });
+    throw new Error(`${duplicates.length} provider identities are linked to more than one account`);
+  }
+
+  const indexes = await User.collection.indexes();
+  const existing = indexes.find(index => index.name === INDEX_NAME);
+  if (existing && !existing.unique) {
+    await User.collection.dropIndex(INDEX_NAME);
+    console.log(`Dropped non-unique index ${INDEX_NAME}`);
+  }
+
+  await User.createIndexes();
+
+  console.log('✅ Provider identity index is unique');
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Provider identity index migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    try {
+      await mongoose.disconnect();
+    } catch {}
+  });
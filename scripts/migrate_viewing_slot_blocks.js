@@ -0,0 +1,69 @@
+/**
+ * Hold slot blocks for viewings booked before ViewingSlotBlock existed
+ *
+ * Double-booking is only prevented for viewings that hold their time as ViewingSlotBlock
+ * documents. This fills in startsAt/endsAt for upcoming pending and confirmed viewings that
+ * predate them and holds their blocks, so new bookings can't overlap them. Viewings whose
+ * time is already held by another viewing are listed; those double bookings have to be
+ * resolved with the landlord by hand. Safe to run more than once.
+ *
+ * Usage:
+ *   MONGODB_URI="mongodb://localhost:27017/landlord-no-agent" node scripts/migrate_viewing_slot_blocks.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const ViewingAppointment = require('../models/ViewingAppointment');
+const { migrateLegacyAppointment } = require('../services/viewingAvailabilityService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required to run this migration.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('✅ Connected to MongoDB');
+
+  const now = new Date();
+  const cursor = ViewingAppointment.find({
+    status: { $in: ['pending', 'confirmed'] },
+    $or: [
+      { startsAt: { $gte: now } },
+      // Legacy scheduledDate is a calendar day; the time zone is only applied in the migration
+      { startsAt: { $exists: false }, scheduledDate: { $gte: new Date(now.getTime() - DAY_MS) } }
+    ]
+  })
+    .select('property scheduledDate scheduledTime duration startsAt endsAt timezone')
+    .sort({ _id: 1 })
+    .cursor();
+
+  const stats = { checked: 0, timesSet: 0, held: 0, conflicts: 0 };
+  for await (const appointment of cursor) {
+    stats.checked += 1;
+    const result = await migrateLegacyAppointment(appointment);
+    if (result.timesSet) stats.timesSet += 1;
+    if (result.held) {
+      stats.held += 1;
+    } else {
+      stats.conflicts += 1;
+      console.warn(`⚠️  Viewing ${appointment._id} (property ${appointment.property}, ${appointment.scheduledTime}) overlaps another viewing or has no readable time`);
+    }
+  }
+
+  console.log(`✅ Checked ${stats.checked} viewings: ${stats.timesSet} given exact times, ${stats.held} holding their slots, ${stats.conflicts} to resolve by hand`);
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Viewing slot block migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    try {
+      await mongoose.disconnect();
+    } catch {}
+  });
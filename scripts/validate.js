@@ -13,12 +13,18 @@ const routeFiles = [
   'users',
   'properties',
   'applications',
+  'leases',
+  'screening',
+  'bookings',
+  'invoices',
   'payments',
   'maintenance',
   'appointments',
   'messages',
   'admin',
   'moderation',
+  'reports',
+  'disputes',
   'upload',
   'email',
   'notifications',
@@ -26,7 +32,9 @@ const routeFiles = [
   'stripe',
   'landlordAccounts',
   'payouts',
-  'commission'
+  'commission',
+  'calendar',
+  'vendors'
 ];
 
 const routesDir = path.join(__dirname, '../routes');
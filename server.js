@@ -5,6 +5,9 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { logger, requestLogger, logError } = require('./utils/logger');
+const { maintenanceGate } = require('./middleware/platformPolicy');
+const { startBackgroundJobs } = require('./services/backgroundJobs');
+const { attachRealtime, REALTIME_PATH } = require('./services/realtimeGateway');
 require('dotenv').config();
 
 /* ============================
@@ -96,12 +99,12 @@ app.use('/api', apiLimiter);
 /* ============================
    📦 BODY PARSING
 ============================ */
-// Stripe webhooks require the *raw* request body for signature verification.
+// Stripe and screening webhooks require the *raw* request body for signature verification.
 // Because we register JSON parsing globally, we must skip JSON parsing for webhook routes.
 const jsonParser = express.json({ limit: '10mb' });
 app.use((req, res, next) => {
   const url = req.originalUrl || '';
-  if (url.startsWith('/api/payments/webhook') || url.startsWith('/api/stripe/webhook')) {
+  if (url.startsWith('/api/payments/webhook') || url.startsWith('/api/stripe/webhook') || url.startsWith('/api/screening/webhook')) {
     return next();
   }
   return jsonParser(req, res, next);
@@ -139,6 +142,13 @@ const connectDB = async () => {
   }
 };
 
+/* ============================
+   🚧 MAINTENANCE MODE
+============================ */
+// Non-admin traffic gets 503 while PlatformSettings.maintenanceMode is on
+// (Stripe webhooks, health checks and admin login stay reachable)
+app.use('/api', maintenanceGate);
+
 /* ============================
    🛣️ ROUTES
 ============================ */
@@ -146,12 +156,18 @@ app.use('/api/auth', authLimiter, require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/properties', require('./routes/properties'));
 app.use('/api/applications', require('./routes/applications'));
+app.use('/api/leases', require('./routes/leases'));
+app.use('/api/screening', require('./routes/screening'));
+app.use('/api/bookings', require('./routes/bookings'));
+app.use('/api/invoices', require('./routes/invoices'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/maintenance', require('./routes/maintenance'));
 app.use('/api/appointments', require('./routes/appointments'));
 app.use('/api/messages', require('./routes/messages'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/moderation', require('./routes/moderation'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/disputes', require('./routes/disputes'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/email', require('./routes/email'));
 app.use('/api/notifications', require('./routes/notifications'));
@@ -160,6 +176,8 @@ app.use('/api/stripe', require('./routes/stripe'));
 app.use('/api/landlord-accounts', require('./routes/landlordAccounts'));
 app.use('/api/payouts', require('./routes/payouts'));
 app.use('/api/admin/commission', require('./routes/commission'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/vendors', require('./routes/vendors'));
 
 /* ============================
    🩺 HEALTH CHECK
@@ -198,6 +216,7 @@ app.use('*', (req, res) => {
 const startServer = async () => {
   try {
     await connectDB();
+    startBackgroundJobs();
   } catch {
     logger.warn('Continuing without MongoDB (dev mode)');
   }
@@ -209,6 +228,10 @@ const startServer = async () => {
     });
   });
 
+  // WebSocket push for messages and notifications (same JWT as the REST API)
+  attachRealtime(server, { allowedOrigins });
+  logger.info('Realtime gateway attached', { path: REALTIME_PATH });
+
   server.on('error', err => {
     if (err.code === 'EADDRINUSE') {
       logger.error(`❌ Port ${PORT} already in use`);
@@ -0,0 +1,31 @@
+const { registerJob, startJobs } = require('./jobScheduler');
+const { sendSavedSearchDigests } = require('./savedSearchService');
+const { processBookingLifecycle } = require('./bookingService');
+const { processRentSchedules } = require('./rentScheduleService');
+const { processEscrowPayments } = require('./escrowService');
+const { processEmailQueue } = require('./emailService');
+const { processViewingLifecycle } = require('./viewingLifecycleService');
+const { processMaintenanceSla } = require('./maintenanceSlaService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Register every recurring job in one place so server.js only needs startBackgroundJobs()
+registerJob('saved-search-digests', HOUR_MS, sendSavedSearchDigests);
+registerJob('booking-lifecycle', 5 * MINUTE_MS, processBookingLifecycle, { runOnStart: true });
+registerJob('rent-invoices', HOUR_MS, processRentSchedules);
+registerJob('escrow', HOUR_MS, processEscrowPayments);
+registerJob('email-queue', MINUTE_MS, processEmailQueue);
+registerJob('viewing-lifecycle', 5 * MINUTE_MS, processViewingLifecycle);
+registerJob('maintenance-sla', 15 * MINUTE_MS, processMaintenanceSla);
+
+/**
+ * Start background jobs (call once MongoDB is connected)
+ */
+const startBackgroundJobs = () => {
+  startJobs();
+};
+
+module.exports = {
+  startBackgroundJobs
+};
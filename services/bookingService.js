@@ -0,0 +1,483 @@
+const Booking = require('../models/Booking');
+const BookingNight = require('../models/BookingNight');
+const { createNotification } = require('../utils/notifications');
+
+/**
+ * Shortlet booking engine
+ *
+ * Dates are calendar days (YYYY-MM-DD, UTC). A stay covers the nights
+ * [checkIn, checkOut); the checkout day itself stays free for the next guest.
+ * Each occupied night is a BookingNight document with a unique { property, night }
+ * index, so two overlapping reservations can never both succeed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BOOKING_NIGHTS = 90;
+const BOOKING_HORIZON_DAYS = 365;
+const MAX_CALENDAR_DAYS = 366;
+const DEFAULT_CALENDAR_DAYS = 90;
+// Stripe Checkout sessions must stay open for at least 30 minutes
+const BOOKING_HOLD_MINUTES = 45;
+// Cancellation policy: guests get a full refund with this much notice, a partial one after
+const FULL_REFUND_NOTICE_DAYS = 7;
+const LATE_CANCELLATION_REFUND_SHARE = 0.5;
+
+const BOOKING_ERRORS = {
+  INVALID_DATES: 'INVALID_DATES',
+  NOT_SHORTLET: 'NOT_SHORTLET',
+  PROPERTY_UNAVAILABLE: 'PROPERTY_UNAVAILABLE',
+  STAY_TOO_LONG: 'STAY_TOO_LONG',
+  DATES_UNAVAILABLE: 'DATES_UNAVAILABLE',
+  BOOKING_CONFLICT: 'BOOKING_CONFLICT'
+};
+
+const bookingError = (code, message, status = 400, extra = {}) => {
+  return Object.assign(new Error(message), { code, status, ...extra });
+};
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC midnight Date
+ * @param {String} value - Calendar day
+ * @returns {Date|null} Date, or null when the value is not a real calendar day
+ */
+const parseDay = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return null;
+  return date;
+};
+
+const toNightKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const startOfTodayUtc = () => parseDay(toNightKey(new Date()));
+
+const addDaysUtc = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * List the nights in [from, to) as YYYY-MM-DD keys
+ */
+const enumerateNights = (from, to) => {
+  const keys = [];
+  for (let d = new Date(from); d < to; d = addDaysUtc(d, 1)) {
+    keys.push(toNightKey(d));
+  }
+  return keys;
+};
+
+/**
+ * Whether the landlord has opened a night for booking.
+ * Properties without availableDates are open every night; otherwise the night
+ * must fall inside one of the ranges (start and end days inclusive).
+ */
+const isNightOpen = (property, nightKey) => {
+  const ranges = property.availableDates || [];
+  if (!ranges.length) return true;
+  return ranges.some(range => range.start && range.end &&
+    toNightKey(range.start) <= nightKey && nightKey <= toNightKey(range.end));
+};
+
+/**
+ * Validate a requested stay and price it
+ * @param {Object} property - Property document
+ * @param {String} checkInValue - YYYY-MM-DD
+ * @param {String} checkOutValue - YYYY-MM-DD
+ * @returns {Object} { checkIn, checkOut, nightKeys, nights, nightlyRate, totalAmount, currency }
+ * @throws {Error} with code/status when the stay is invalid or outside availableDates
+ */
+const quoteStay = (property, checkInValue, checkOutValue) => {
+  if (property.rentalType !== 'short-term') {
+    throw bookingError(BOOKING_ERRORS.NOT_SHORTLET, 'Only short-term (shortlet) properties can be booked by the night');
+  }
+  if (!property.isVerified || property.isAvailable === false || ['rented', 'inactive'].includes(property.status)) {
+    throw bookingError(BOOKING_ERRORS.PROPERTY_UNAVAILABLE, 'This property is not currently accepting bookings');
+  }
+
+  const checkIn = parseDay(checkInValue);
+  const checkOut = parseDay(checkOutValue);
+  if (!checkIn || !checkOut) {
+    throw bookingError(BOOKING_ERRORS.INVALID_DATES, 'checkIn and checkOut must be dates in YYYY-MM-DD format');
+  }
+  if (checkOut <= checkIn) {
+    throw bookingError(BOOKING_ERRORS.INVALID_DATES, 'checkOut must be after checkIn');
+  }
+  const today = startOfTodayUtc();
+  if (checkIn < today) {
+    throw bookingError(BOOKING_ERRORS.INVALID_DATES, 'checkIn cannot be in the past');
+  }
+  if (checkIn > addDaysUtc(today, BOOKING_HORIZON_DAYS)) {
+    throw bookingError(BOOKING_ERRORS.INVALID_DATES, `Bookings can be made at most ${BOOKING_HORIZON_DAYS} days in advance`);
+  }
+
+  const nightKeys = enumerateNights(checkIn, checkOut);
+  if (nightKeys.length > MAX_BOOKING_NIGHTS) {
+    throw bookingError(BOOKING_ERRORS.STAY_TOO_LONG, `A booking can cover at most ${MAX_BOOKING_NIGHTS} nights`, 400, {
+      maxNights: MAX_BOOKING_NIGHTS
+    });
+  }
+
+  const closedNights = nightKeys.filter(key => !isNightOpen(property, key));
+  if (closedNights.length) {
+    throw bookingError(BOOKING_ERRORS.DATES_UNAVAILABLE, 'Some of the requested nights are not open for booking', 409, {
+      unavailableNights: closedNights
+    });
+  }
+
+  const nightlyRate = property.price;
+  return {
+    checkIn,
+    checkOut,
+    nightKeys,
+    nights: nightKeys.length,
+    nightlyRate,
+    totalAmount: Math.round(nightlyRate * nightKeys.length * 100) / 100,
+    currency: property.currency || 'NGN'
+  };
+};
+
+/**
+ * Nights of a stay already taken by other bookings
+ * @param {String} propertyId - Property ID
+ * @param {String[]} nightKeys - Nights to check
+ * @returns {Promise<String[]>} Taken nights, sorted
+ */
+const findTakenNights = async (propertyId, nightKeys) => {
+  const taken = await BookingNight.find({ property: propertyId, night: { $in: nightKeys } })
+    .select('night')
+    .lean();
+  return taken.map(n => n.night).sort();
+};
+
+/**
+ * Atomically claim nights for a booking.
+ * Inserts stop at the first night someone else holds; anything already inserted is rolled back.
+ * @throws {Error} BOOKING_CONFLICT (409) when a night is taken
+ */
+const reserveNights = async (booking, nightKeys) => {
+  try {
+    await BookingNight.insertMany(
+      nightKeys.map(night => ({ property: booking.property, night, booking: booking._id })),
+      { ordered: true }
+    );
+  } catch (error) {
+    await BookingNight.deleteMany({ booking: booking._id });
+    if (error.code === 11000) {
+      throw bookingError(BOOKING_ERRORS.BOOKING_CONFLICT, 'Some of the requested nights have just been booked by someone else', 409);
+    }
+    throw error;
+  }
+};
+
+const releaseNights = (bookingId) => BookingNight.deleteMany({ booking: bookingId });
+
+/**
+ * Create a booking in pending_payment state and hold its nights
+ * @param {Object} params
+ * @param {Object} params.property - Property document
+ * @param {String} params.guestId - Guest user ID
+ * @param {String} params.checkIn - YYYY-MM-DD
+ * @param {String} params.checkOut - YYYY-MM-DD
+ * @param {Number} [params.guests=1] - Number of guests
+ * @param {String} [params.notes] - Note for the landlord
+ * @returns {Promise<Booking>}
+ */
+const createBooking = async ({ property, guestId, checkIn, checkOut, guests = 1, notes }) => {
+  const quote = quoteStay(property, checkIn, checkOut);
+
+  const taken = await findTakenNights(property._id, quote.nightKeys);
+  if (taken.length) {
+    throw bookingError(BOOKING_ERRORS.BOOKING_CONFLICT, 'Some of the requested nights are already booked', 409, {
+      unavailableNights: taken
+    });
+  }
+
+  const booking = await Booking.create({
+    property: property._id,
+    guest: guestId,
+    landlord: property.landlord._id || property.landlord,
+    checkIn: quote.checkIn,
+    checkOut: quote.checkOut,
+    nights: quote.nights,
+    guests,
+    nightlyRate: quote.nightlyRate,
+    totalAmount: quote.totalAmount,
+    currency: quote.currency,
+    status: 'pending_payment',
+    holdExpiresAt: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000),
+    notes
+  });
+
+  try {
+    await reserveNights(booking, quote.nightKeys);
+  } catch (error) {
+    await Booking.deleteOne({ _id: booking._id });
+    throw error;
+  }
+
+  return booking;
+};
+
+/**
+ * Extend a pending booking's hold so a new Checkout session can be opened
+ * @returns {Promise<Booking|null>} Updated booking, or null when it is no longer pending
+ */
+const extendHold = (bookingId) => {
+  return Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'pending_payment', holdExpiresAt: { $gt: new Date() } },
+    { $set: { holdExpiresAt: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000) } },
+    { new: true }
+  );
+};
+
+/**
+ * Confirm a booking once its payment has completed. Safe to call more than once.
+ * If the hold lapsed before payment arrived, the nights are re-claimed; when that
+ * is no longer possible the booking stays unconfirmed and `conflict` is returned
+ * so the caller can arrange a refund.
+ * @param {String} bookingId - Booking ID
+ * @param {String} paymentId - Payment ID
+ * @param {String} [sessionId] - Stripe Checkout session ID
+ * @returns {Promise<{ booking: Booking|null, confirmed: boolean, alreadyConfirmed: boolean, conflict: boolean }>}
+ */
+const confirmBooking = async (bookingId, paymentId, sessionId) => {
+  const confirmUpdate = {
+    $set: {
+      status: 'confirmed',
+      payment: paymentId,
+      confirmedAt: new Date(),
+      ...(sessionId && { stripeSessionId: sessionId })
+    },
+    $unset: { holdExpiresAt: 1 }
+  };
+
+  let booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'pending_payment' },
+    confirmUpdate,
+    { new: true }
+  );
+  if (booking) {
+    return { booking, confirmed: true, alreadyConfirmed: false, conflict: false };
+  }
+
+  booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return { booking: null, confirmed: false, alreadyConfirmed: false, conflict: false };
+  }
+  if (['confirmed', 'completed'].includes(booking.status)) {
+    return { booking, confirmed: true, alreadyConfirmed: true, conflict: false };
+  }
+
+  // Hold expired (or the booking was cancelled) while the guest was paying
+  if (booking.status === 'expired') {
+    try {
+      await reserveNights(booking, enumerateNights(booking.checkIn, booking.checkOut));
+      const revived = await Booking.findOneAndUpdate(
+        { _id: bookingId, status: 'expired' },
+        confirmUpdate,
+        { new: true }
+      );
+      if (revived) {
+        return { booking: revived, confirmed: true, alreadyConfirmed: false, conflict: false };
+      }
+    } catch (error) {
+      if (error.code !== BOOKING_ERRORS.BOOKING_CONFLICT) throw error;
+    }
+  }
+
+  // A concurrent webhook/confirm call may have revived it in the meantime
+  const current = await Booking.findById(bookingId);
+  if (current && ['confirmed', 'completed'].includes(current.status)) {
+    return { booking: current, confirmed: true, alreadyConfirmed: true, conflict: false };
+  }
+
+  await Booking.updateOne({ _id: bookingId }, { $set: { payment: paymentId } });
+  return { booking: current || booking, confirmed: false, alreadyConfirmed: false, conflict: true };
+};
+
+/**
+ * Cancel a pending or confirmed booking and free its nights
+ * @param {String} bookingId - Booking ID
+ * @param {Object} params
+ * @param {String} params.userId - User cancelling
+ * @param {String} [params.reason] - Cancellation reason
+ * @returns {Promise<Booking|null>} Cancelled booking, or null when it was not active
+ */
+const cancelBooking = async (bookingId, { userId, reason } = {}) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: { $in: Booking.ACTIVE_STATUSES } },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: userId,
+        cancellationReason: reason
+      },
+      $unset: { holdExpiresAt: 1 }
+    },
+    { new: true }
+  );
+  if (booking) {
+    await releaseNights(booking._id);
+  }
+  return booking;
+};
+
+/**
+ * Share of a paid booking refunded when it is cancelled. Guests get everything back with
+ * at least FULL_REFUND_NOTICE_DAYS notice and LATE_CANCELLATION_REFUND_SHARE after that;
+ * cancellations by the landlord or an admin are always refunded in full.
+ * @param {Booking} booking - Booking being cancelled
+ * @param {Object} params
+ * @param {boolean} params.cancelledByGuest - Whether the guest cancelled
+ * @param {Date} [params.now] - Cancellation time
+ * @returns {number} Share of the payment to refund, between 0 and 1
+ */
+const getCancellationRefundShare = (booking, { cancelledByGuest, now = new Date() }) => {
+  if (!cancelledByGuest) return 1;
+  const noticeDays = (new Date(booking.checkIn).getTime() - now.getTime()) / DAY_MS;
+  return noticeDays >= FULL_REFUND_NOTICE_DAYS ? 1 : LATE_CANCELLATION_REFUND_SHARE;
+};
+
+/**
+ * Expire pending bookings whose payment hold has lapsed, and mark finished stays completed.
+ * Each booking is claimed with findOneAndUpdate so concurrent runs never double-process.
+ * @returns {Promise<{ expired: number, completed: number }>}
+ */
+const processBookingLifecycle = async () => {
+  let expired = 0;
+  // Bounded per run; the next run picks up any remainder
+  for (let i = 0; i < 500; i += 1) {
+    const booking = await Booking.findOneAndUpdate(
+      { status: 'pending_payment', holdExpiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+    if (!booking) break;
+    await releaseNights(booking._id);
+    expired += 1;
+  }
+
+  const { modifiedCount } = await Booking.updateMany(
+    { status: 'confirmed', checkOut: { $lte: startOfTodayUtc() } },
+    { $set: { status: 'completed' } }
+  );
+
+  return { expired, completed: modifiedCount || 0 };
+};
+
+/**
+ * Night-by-night calendar for a property
+ * @param {Object} property - Property document
+ * @param {Object} [range]
+ * @param {String} [range.from] - YYYY-MM-DD (default today)
+ * @param {String} [range.to] - YYYY-MM-DD, exclusive (default from + 90 days)
+ * @returns {Promise<Object>} { from, to, nights: [{ date, status }], bookedNights, availableNights }
+ * @throws {Error} INVALID_DATES when the range is malformed or too long
+ */
+const getCalendar = async (property, { from, to } = {}) => {
+  const start = from ? parseDay(from) : startOfTodayUtc();
+  const end = to ? parseDay(to) : (start && addDaysUtc(start, DEFAULT_CALENDAR_DAYS));
+  if (!start || !end) {
+    throw bookingError(BOOKING_ERRORS.INVALID_DATES, 'from and to must be dates in YYYY-MM-DD format');
+  }
+  if (end <= start) {
+    throw bookingError(BOOKING_ERRORS.INVALID_DATES, 'to must be after from');
+  }
+  if ((end - start) / DAY_MS > MAX_CALENDAR_DAYS) {
+    throw bookingError(BOOKING_ERRORS.INVALID_DATES, `Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  const nightKeys = enumerateNights(start, end);
+  const booked = new Set(await findTakenNights(property._id, nightKeys));
+  const today = toNightKey(startOfTodayUtc());
+
+  const nights = nightKeys.map(date => {
+    let status = 'available';
+    if (booked.has(date)) status = 'booked';
+    else if (date < today || !isNightOpen(property, date)) status = 'unavailable';
+    return { date, status };
+  });
+
+  return {
+    from: toNightKey(start),
+    to: toNightKey(end),
+    nights,
+    bookedNights: nights.filter(n => n.status === 'booked').map(n => n.date),
+    availableNights: nights.filter(n => n.status === 'available').map(n => n.date)
+  };
+};
+
+/**
+ * Tell the guest and landlord that a booking is confirmed
+ * @param {Object} booking - Booking populated with property (title)
+ */
+const notifyBookingConfirmed = async (booking) => {
+  const title = booking.property?.title || 'the property';
+  const stay = `${toNightKey(booking.checkIn)} to ${toNightKey(booking.checkOut)}`;
+
+  await createNotification({
+    userId: booking.guest._id || booking.guest,
+    type: 'booking_confirmed',
+    title: 'Booking Confirmed',
+    message: `Your stay at ${title} (${stay}) is confirmed. Payment is held in escrow.`,
+    priority: 'high',
+    relatedEntity: { type: 'booking', id: booking._id },
+    actionUrl: `/dashboard/client/bookings/${booking._id}`
+  });
+
+  await createNotification({
+    userId: booking.landlord._id || booking.landlord,
+    type: 'booking_confirmed',
+    title: 'New Booking',
+    message: `${title} has been booked for ${booking.nights} night${booking.nights === 1 ? '' : 's'} (${stay}).`,
+    priority: 'high',
+    relatedEntity: { type: 'booking', id: booking._id },
+    actionUrl: `/dashboard/landlord/bookings/${booking._id}`
+  });
+};
+
+/**
+ * Tell the other party that a booking was cancelled
+ * @param {Object} booking - Cancelled booking populated with property (title)
+ * @param {String} cancelledById - User who cancelled
+ */
+const notifyBookingCancelled = async (booking, cancelledById) => {
+  const title = booking.property?.title || 'the property';
+  const stay = `${toNightKey(booking.checkIn)} to ${toNightKey(booking.checkOut)}`;
+  const guestId = String(booking.guest._id || booking.guest);
+  const landlordId = String(booking.landlord._id || booking.landlord);
+
+  const recipients = [guestId, landlordId].filter(id => id !== String(cancelledById));
+  for (const userId of recipients) {
+    await createNotification({
+      userId,
+      type: 'booking_cancelled',
+      title: 'Booking Cancelled',
+      message: `The booking for ${title} (${stay}) has been cancelled.${booking.cancellationReason ? ` Reason: ${booking.cancellationReason}` : ''}`,
+      priority: 'medium',
+      relatedEntity: { type: 'booking', id: booking._id },
+      actionUrl: userId === guestId
+        ? `/dashboard/client/bookings/${booking._id}`
+        : `/dashboard/landlord/bookings/${booking._id}`
+    });
+  }
+};
+
+module.exports = {
+  BOOKING_ERRORS,
+  MAX_BOOKING_NIGHTS,
+  FULL_REFUND_NOTICE_DAYS,
+  parseDay,
+  toNightKey,
+  enumerateNights,
+  quoteStay,
+  findTakenNights,
+  createBooking,
+  extendHold,
+  confirmBooking,
+  cancelBooking,
+  getCancellationRefundShare,
+  processBookingLifecycle,
+  getCalendar,
+  notifyBookingConfirmed,
+  notifyBookingCancelled
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const ViewingAppointment = require('../models/ViewingAppointment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Lease = require('../models/Lease');
+const RentSchedule = require('../models/RentSchedule');
+const { buildCalendar, formatDate } = require('../utils/icalendar');
+const { getFromAddress } = require('./emailService');
+
+/**
+ * Calendar feeds and invites
+ *
+ * Every user can create a private feed URL (GET /api/calendar/feed/:token.ics) to subscribe to
+ * from Google Calendar, Outlook or Apple Calendar. It lists their viewings, scheduled
+ * maintenance visits, lease start/end dates and upcoming rent due dates, for both the
+ * landlord and the tenant side.
+ *
+ * Each record always maps to the same event UID, and SEQUENCE grows with the record's
+ * updatedAt, so a reschedule or cancellation updates the event already in the calendar
+ * (from the feed or from an emailed invite) instead of adding a second one.
+ */
+
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+const FEED_MAX_EVENTS_PER_TYPE = 500;
+const MAX_RENT_OCCURRENCES = 12;
+// Maintenance visits booked for a time of day are shown for this long
+const MAINTENANCE_VISIT_MINUTES = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UID_DOMAIN = 'landlordnoagent.com';
+// SEQUENCE must be an integer that increases with every change; seconds since this date do
+const SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const eventUid = (kind, id, suffix) => `${kind}-${id}${suffix ? `-${suffix}` : ''}@${UID_DOMAIN}`;
+
+const sequenceFor = (doc) => {
+  const changedAt = new Date(doc.updatedAt || doc.createdAt || SEQUENCE_EPOCH).getTime();
+  return Math.max(0, Math.floor((changedAt - SEQUENCE_EPOCH) / 1000));
+};
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const getOrganizer = () => {
+  const match = getFromAddress().match(/^\s*"?([^"<]*)"?\s*<([^>]+)>\s*$/);
+  return match
+    ? { name: match[1].trim() || 'LandlordNoAgent', email: match[2].trim() }
+    : { name: 'LandlordNoAgent', email: getFromAddress() };
+};
+
+const personName = (user) => (user?.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : undefined);
+
+const formatAddress = (property) => {
+  const address = property?.address;
+  if (!address) return undefined;
+  return [address.street, address.city, address.state, address.country].filter(Boolean).join(', ') || undefined;
+};
+
+const VIEWING_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  rejected: 'CANCELLED'
+};
+
+const viewingEvent = (appointment, { withAttendees = false } = {}) => {
+  const property = appointment.property;
+  const start = appointment.startsAt || appointment.appointmentDateTime;
+  const end = appointment.endsAt || appointment.endDateTime;
+  const event = {
+    uid: eventUid('viewing', appointment._id),
+    sequence: sequenceFor(appointment),
+    start,
+    end,
+    summary: `Viewing: ${property?.title || 'Property'}`,
+    description: [
+      appointment.status === 'pending' ? 'Awaiting landlord confirmation.' : null,
+      appointment.meetingInstructions,
+      appointment.notes
+    ].filter(Boolean).join('\n\n'),
+    location: formatAddress(property),
+    url: `${getFrontendUrl()}/dashboard/appointments/${appointment._id}`,
+    status: VIEWING_STATUS[appointment.status] || 'TENTATIVE',
+    lastModified: appointment.updatedAt
+  };
+  if (withAttendees) {
+    event.organizer = getOrganizer();
+    event.attendees = [appointment.client, appointment.landlord]
+      .filter(person => person?.email)
+      .map(person => ({ name: personName(person), email: person.email }));
+  }
+  return event;
+};
+
+const isMidnightUtc = (date) => new Date(date).getTime() % DAY_MS === 0;
+
+const maintenanceEvent = (request) => {
+  // Requests scheduled for a day (no time) come in as UTC midnight
+  const allDay = isMidnightUtc(request.scheduledDate);
+  const start = new Date(request.scheduledDate);
+  return {
+    uid: eventUid('maintenance', request._id),
+    sequence: sequenceFor(request),
+    start,
+    end: allDay ? undefined : new Date(start.getTime() + MAINTENANCE_VISIT_MINUTES * 60 * 1000),
+    allDay,
+    summary: `Maintenance: ${request.title}`,
+    description: [
+      `Category: ${request.category.replace(/_/g, ' ')}`,
+      `Priority: ${request.priority}`,
+      request.assignedTo ? `Assigned to: ${request.assignedTo}` : null
+    ].filter(Boolean).join('\n'),
+    location: formatAddress(request.property),
+    url: `${getFrontendUrl()}/dashboard/maintenance/${request._id}`,
+    status: request.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: request.updatedAt
+  };
+};
+
+const leaseEvents = (lease, from, to) => {
+  const title = lease.property?.title || 'Property';
+  const milestones = [
+    { suffix: 'start', date: lease.terms.leaseStartDate, summary: `Lease starts: ${title}` },
+    { suffix: 'end', date: lease.terms.leaseEndDate, summary: `Lease ends: ${title}` }
+  ];
+  return milestones
+    .filter(milestone => milestone.date >= from && milestone.date <= to)
+    .map(milestone => ({
+      uid: eventUid('lease', lease._id, milestone.suffix),
+      sequence: sequenceFor(lease),
+      start: milestone.date,
+      allDay: true,
+      summary: milestone.summary,
+      location: formatAddress(lease.property),
+      url: `${getFrontendUrl()}/dashboard/leases/${lease._id}`,
+      status: 'CONFIRMED',
+      lastModified: lease.updatedAt
+    }));
+};
+
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  return next;
+};
+
+const rentEvents = (schedule, from, to) => {
+  const title = schedule.property?.title || 'Property';
+  const amount = `${schedule.currency} ${Number(schedule.amount).toLocaleString('en-US')}`;
+  const events = [];
+  let due = new Date(schedule.nextPeriodStart);
+  while (due <= to && events.length < MAX_RENT_OCCURRENCES) {
+    if (due >= from) {
+      events.push({
+        // One UID per period: moving the schedule changes which periods exist, not their identity
+        uid: eventUid('rent', schedule._id, formatDate(due)),
+        sequence: sequenceFor(schedule),
+        start: due,
+        allDay: true,
+        summary: `Rent due: ${title}`,
+        description: `${amount} for ${schedule.periodMonths} month${schedule.periodMonths === 1 ? '' : 's'}`,
+        status: 'CONFIRMED',
+        lastModified: schedule.updatedAt
+      });
+    }
+    due = addMonths(due, schedule.periodMonths);
+  }
+  return events;
+};
+
+/**
+ * Calendar feed settings of a user
+ * @param {Object} user - User document
+ * @returns {{ enabled: boolean, createdAt?: Date, lastAccessedAt?: Date }}
+ */
+const getFeedStatus = (user) => ({
+  enabled: Boolean(user.calendarFeed?.createdAt),
+  createdAt: user.calendarFeed?.createdAt,
+  lastAccessedAt: user.calendarFeed?.lastAccessedAt
+});
+
+/**
+ * Create the user's feed token, replacing (and invalidating) any previous one
+ * @param {string} userId
+ * @returns {Promise<string>} Token to put in the feed URL; it is not stored and can't be shown again
+ */
+const issueFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await User.updateOne(
+    { _id: userId },
+    { $set: { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date() } } }
+  );
+  return token;
+};
+
+/**
+ * Turn the user's calendar feed off
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const revokeFeedToken = async (userId) => {
+  await User.updateOne({ _id: userId }, { $unset: { calendarFeed: 1 } });
+};
+
+/**
+ * Owner of a feed token
+ * @param {string} token
+ * @returns {Promise<User|null>} Active user, or null when the token is unknown or revoked
+ */
+const findUserByFeedToken = async (token) => {
+  if (!token) return null;
+  const user = await User.findOneAndUpdate(
+    { 'calendarFeed.tokenHash': hashToken(token), isActive: { $ne: false } },
+    { $set: { 'calendarFeed.lastAccessedAt': new Date() } },
+    { new: true, timestamps: false }
+  ).select('firstName lastName role calendarFeed');
+  return user;
+};
+
+/**
+ * The user's feed as iCalendar text
+ * @param {Object} user - User document
+ * @returns {Promise<string>}
+ */
+const buildUserFeed = async (user) => {
+  const now = Date.now();
+  const from = new Date(now - FEED_PAST_DAYS * DAY_MS);
+  const to = new Date(now + FEED_FUTURE_DAYS * DAY_MS);
+  const party = [{ landlord: user._id }, { tenant: user._id }];
+
+  const [viewings, maintenance, leases, rentSchedules] = await Promise.all([
+    ViewingAppointment.find({
+      $or: [{ landlord: user._id }, { client: user._id }],
+      scheduledDate: { $gte: from, $lte: to }
+    })
+      .populate('property', 'title address')
+      .sort({ scheduledDate: 1 })
+      .limit(FEED_MAX_EVENTS_PER_TYPE),
+    MaintenanceRequest.find({ $or: party, scheduledDate: { $gte: from, $lte: to } })
+      .populate('property', 'title address')
+      .sort({ scheduledDate: 1 })
+      .limit(FEED_MAX_EVENTS_PER_TYPE),
+    Lease.find({
+      $or: party,
+      status: 'executed',
+      current: true,
+      $and: [{ $or: [
+        { 'terms.leaseStartDate': { $gte: from, $lte: to } },
+        { 'terms.leaseEndDate': { $gte: from, $lte: to } }
+      ] }]
+    })
+      .populate('property', 'title address')
+      .limit(FEED_MAX_EVENTS_PER_TYPE),
+    RentSchedule.find({ $or: party, status: 'active', nextPeriodStart: { $lte: to } })
+      .populate('property', 'title')
+      .limit(FEED_MAX_EVENTS_PER_TYPE)
+  ]);
+
+  const events = [
+    ...viewings.map(appointment => viewingEvent(appointment)),
+    ...maintenance.map(maintenanceEvent),
+    ...leases.flatMap(lease => leaseEvents(lease, from, to)),
+    ...rentSchedules.flatMap(schedule => rentEvents(schedule, from, to))
+  ];
+
+  return buildCalendar({ name: 'LandlordNoAgent', events });
+};
+
+/**
+ * Invite (or cancellation) for a viewing, to attach to its email
+ * @param {Object} appointment - ViewingAppointment with property, client and landlord populated
+ * @returns {{ filename: string, content: string, contentType: string }}
+ */
+const buildViewingInvite = (appointment) => {
+  const event = viewingEvent(appointment, { withAttendees: true });
+  const method = event.status === 'CANCELLED' ? 'CANCEL' : 'REQUEST';
+  return {
+    filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+    content: buildCalendar({ method, events: [event] }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+};
+
+module.exports = {
+  getFeedStatus,
+  issueFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken,
+  buildUserFeed,
+  buildViewingInvite
+};
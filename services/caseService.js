@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Dispute = require('../models/Dispute');
+const Property = require('../models/Property');
+const Application = require('../models/Application');
+const Booking = require('../models/Booking');
+const ViewingAppointment = require('../models/ViewingAppointment');
+const Message = require('../models/Message');
+const Payment = require('../models/Payment');
+const { createNotification, notifyAdmins } = require('../utils/notifications');
+const { getPaymentLandlordId, setAutoReleasePaused } = require('./escrowService');
+
+/**
+ * Reports and disputes filed by users
+ *
+ * Filing checks that the reporter actually dealt with the target (a property they applied
+ * to, booked or viewed; an application or message they're part of; a payment they made
+ * or received) and works out the other party from it. Each case keeps a timeline of
+ * updates; disputes are visible to both parties, reports only to the reporter and admins.
+ */
+
+const MAX_EVIDENCE_FILES = 10;
+const DISPUTE_PAUSE_PREFIX = 'Dispute ';
+
+const caseError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+/**
+ * Whether two users have dealt with each other (application, booking, viewing or message)
+ * @returns {Promise<boolean>}
+ */
+const haveInteracted = async (userId, otherUserId) => {
+  const pair = (a, b) => [{ client: a, landlord: b }, { client: b, landlord: a }];
+  const [application, booking, viewing, message] = await Promise.all([
+    Application.exists({ $or: pair(userId, otherUserId) }),
+    Booking.exists({ $or: [{ guest: userId, landlord: otherUserId }, { guest: otherUserId, landlord: userId }] }),
+    ViewingAppointment.exists({ $or: pair(userId, otherUserId) }),
+    Message.exists({ $or: [{ sender: userId, receiver: otherUserId }, { sender: otherUserId, receiver: userId }] })
+  ]);
+  return Boolean(application || booking || viewing || message);
+};
+
+/**
+ * Work out who a report is about, checking the reporter dealt with the content
+ * @param {Object} user - Reporter
+ * @param {Object} params - { contentType, contentId, reportedUserId }
+ * @returns {Promise<{ reportedUser: ObjectId, contentId: string }>}
+ * @throws {Error} with code/status when the target is missing or unrelated to the reporter
+ */
+const resolveReportTarget = async (user, { contentType, contentId, reportedUserId }) => {
+  const notInvolved = () => caseError('NOT_INVOLVED', `You can only report a ${contentType} you have interacted with`, 403);
+
+  if (['property', 'application', 'message'].includes(contentType) && (!contentId || !isValidId(contentId))) {
+    throw caseError('INVALID_TARGET', `A valid contentId is required to report a ${contentType}`);
+  }
+
+  if (contentType === 'property') {
+    const property = await Property.findById(contentId).select('landlord');
+    if (!property) throw caseError('TARGET_NOT_FOUND', 'Property not found', 404);
+    if (sameId(property.landlord, user._id)) throw caseError('CANNOT_REPORT_SELF', 'You cannot report your own property');
+
+    const [application, booking, viewing] = await Promise.all([
+      Application.exists({ property: contentId, client: user._id }),
+      Booking.exists({ property: contentId, guest: user._id }),
+      ViewingAppointment.exists({ property: contentId, client: user._id })
+    ]);
+    if (!application && !booking && !viewing) throw notInvolved();
+    return { reportedUser: property.landlord, contentId: String(contentId) };
+  }
+
+  if (contentType === 'application') {
+    const application = await Application.findById(contentId).select('client landlord');
+    if (!application) throw caseError('TARGET_NOT_FOUND', 'Application not found', 404);
+    if (sameId(application.client, user._id)) return { reportedUser: application.landlord, contentId: String(contentId) };
+    if (sameId(application.landlord, user._id)) return { reportedUser: application.client, contentId: String(contentId) };
+    throw notInvolved();
+  }
+
+  if (contentType === 'message') {
+    const message = await Message.findById(contentId).select('sender receiver');
+    if (!message) throw caseError('TARGET_NOT_FOUND', 'Message not found', 404);
+    // Only the recipient can report a message
+    if (!sameId(message.receiver, user._id)) throw notInvolved();
+    return { reportedUser: message.sender, contentId: String(contentId) };
+  }
+
+  // 'user' and 'other': about a person the reporter has dealt with
+  if (!reportedUserId || !isValidId(reportedUserId)) {
+    throw caseError('INVALID_TARGET', 'A valid reportedUserId is required');
+  }
+  if (sameId(reportedUserId, user._id)) throw caseError('CANNOT_REPORT_SELF', 'You cannot report yourself');
+  if (!(await haveInteracted(user._id, reportedUserId))) {
+    throw caseError('NOT_INVOLVED', 'You can only report users you have interacted with', 403);
+  }
+  return { reportedUser: reportedUserId, contentId: contentId ? String(contentId) : String(reportedUserId) };
+};
+
+/**
+ * Work out the other party of a dispute from its most specific reference
+ * (payment, then application, then property), checking the reporter is part of it
+ * @param {Object} user - Reporter
+ * @param {Object} params - { disputeType, paymentId, applicationId, propertyId }
+ * @returns {Promise<Object>} { reportedUser, payment, applicationId, propertyId }
+ */
+const resolveDisputeTarget = async (user, { disputeType, paymentId, applicationId, propertyId }) => {
+  for (const [name, id] of Object.entries({ paymentId, applicationId, propertyId })) {
+    if (id && !isValidId(id)) throw caseError('INVALID_TARGET', `Invalid ${name}`);
+  }
+  if (disputeType === 'payment' && !paymentId) {
+    throw caseError('INVALID_TARGET', 'paymentId is required for a payment dispute');
+  }
+  if (!paymentId && !applicationId && !propertyId) {
+    throw caseError('INVALID_TARGET', 'A dispute must reference a payment, application or property');
+  }
+
+  if (paymentId) {
+    const payment = await Payment.findById(paymentId).select('user application booking');
+    if (!payment) throw caseError('TARGET_NOT_FOUND', 'Payment not found', 404);
+    const landlordId = await getPaymentLandlordId(payment);
+    let reportedUser = null;
+    if (sameId(payment.user, user._id)) reportedUser = landlordId;
+    else if (sameId(landlordId, user._id)) reportedUser = payment.user;
+    if (!reportedUser) throw caseError('NOT_INVOLVED', 'You can only dispute payments you made or received', 403);
+
+    let resolvedPropertyId = propertyId;
+    if (!resolvedPropertyId && payment.application) {
+      const application = await Application.findById(payment.application).select('property');
+      resolvedPropertyId = application?.property;
+    }
+    return {
+      reportedUser,
+      payment: payment._id,
+      applicationId: payment.application ? String(payment.application) : applicationId,
+      propertyId: resolvedPropertyId ? String(resolvedPropertyId) : undefined
+    };
+  }
+
+  if (applicationId) {
+    const application = await Application.findById(applicationId).select('client landlord property');
+    if (!application) throw caseError('TARGET_NOT_FOUND', 'Application not found', 404);
+    let reportedUser = null;
+    if (sameId(application.client, user._id)) reportedUser = application.landlord;
+    else if (sameId(application.landlord, user._id)) reportedUser = application.client;
+    if (!reportedUser) throw caseError('NOT_INVOLVED', 'You can only dispute applications you are part of', 403);
+    return { reportedUser, applicationId: String(applicationId), propertyId: String(application.property) };
+  }
+
+  // Property only: a tenant/guest disputing with the landlord
+  const { reportedUser } = await resolveReportTarget(user, { contentType: 'property', contentId: propertyId });
+  return { reportedUser, propertyId: String(propertyId) };
+};
+
+/**
+ * Evidence entries for files uploaded through the Cloudinary upload middleware
+ * @param {Array} files - req.files
+ * @param {string} userId - Uploader
+ * @returns {Array}
+ */
+const evidenceFromFiles = (files, userId) => {
+  return (files || []).map(file => ({
+    url: file.path, // Cloudinary URL
+    fileName: file.originalname,
+    mimeType: file.mimetype,
+    uploadedBy: userId,
+    uploadedAt: new Date()
+  }));
+};
+
+/**
+ * Whether a user may see and post to a case
+ * @param {Object} caseDoc - Report or Dispute
+ * @param {Object} user - Requesting user
+ * @param {string} kind - 'report' | 'dispute'
+ */
+const canAccessCase = (caseDoc, user, kind) => {
+  if (user.role === 'admin') return true;
+  if (sameId(caseDoc.reporter, user._id)) return true;
+  return kind === 'dispute' && sameId(caseDoc.reportedUser, user._id);
+};
+
+/**
+ * Case as seen by a user: admin-only timeline notes are removed for non-admins
+ */
+const formatCase = (caseDoc, user) => {
+  const obj = caseDoc.toObject ? caseDoc.toObject() : caseDoc;
+  if (user.role === 'admin') return obj;
+  const { adminNotes, ...visible } = obj;
+  return { ...visible, updates: (obj.updates || []).filter(update => !update.internal) };
+};
+
+/**
+ * Notify everyone on a case except the user who acted
+ * @param {string} kind - 'report' | 'dispute'
+ * @param {Object} caseDoc - Report or Dispute
+ * @param {Object} params - { actorId, title, message, notifyAdminsToo }
+ */
+const notifyCaseParties = async (kind, caseDoc, { actorId, title, message, notifyAdminsToo = false }) => {
+  const recipients = [caseDoc.reporter];
+  if (kind === 'dispute') recipients.push(caseDoc.reportedUser);
+
+  for (const recipient of recipients) {
+    if (!recipient || sameId(recipient, actorId)) continue;
+    await createNotification({
+      userId: recipient._id || recipient,
+      type: `${kind}_update`,
+      title,
+      message,
+      priority: 'medium',
+      relatedEntity: { type: kind, id: caseDoc._id },
+      actionUrl: `/dashboard/${kind}s/${caseDoc._id}`
+    });
+  }
+
+  if (notifyAdminsToo) {
+    await notifyAdmins(title, message, 'medium', `/dashboard/admin/${kind}s`, { source: kind });
+  }
+};
+
+/**
+ * Append an update to a case timeline
+ * @param {string} kind - 'report' | 'dispute'
+ * @param {string} caseId - Case ID
+ * @param {Object} params - { user, message, files, internal }
+ * @returns {Promise<Report|Dispute|null>} Updated case
+ */
+const addCaseUpdate = async (kind, caseId, { user, message, files, internal = false }) => {
+  const Model = kind === 'dispute' ? Dispute : Report;
+  const evidence = evidenceFromFiles(files, user._id);
+  if (!message && evidence.length === 0) {
+    throw caseError('EMPTY_UPDATE', 'An update needs a message or evidence');
+  }
+
+  const existing = await Model.findById(caseId).select('evidenceFiles');
+  if (existing && existing.evidenceFiles.length + evidence.length > MAX_EVIDENCE_FILES) {
+    throw caseError('EVIDENCE_LIMIT_REACHED', `A case can have at most ${MAX_EVIDENCE_FILES} evidence files`);
+  }
+
+  const update = {
+    author: user._id,
+    authorRole: user.role,
+    kind: message ? 'comment' : 'evidence',
+    message,
+    attachments: evidence.map(file => file.url),
+    internal: user.role === 'admin' && Boolean(internal)
+  };
+
+  return Model.findByIdAndUpdate(
+    caseId,
+    { $push: { updates: update, evidenceFiles: { $each: evidence } } },
+    { new: true }
+  );
+};
+
+/**
+ * Hold escrow release for a dispute's payment while the dispute is open. A payment that
+ * is already paused (by an admin, a chargeback or another dispute) keeps that pause;
+ * releaseEscrow refuses payments with open disputes either way.
+ * @param {Object} dispute - Dispute with payment set
+ * @returns {Promise<boolean>} Whether this dispute paused the payment
+ */
+const freezeEscrowForDispute = async (dispute) => {
+  if (!dispute.payment) return false;
+  const payment = await setAutoReleasePaused(dispute.payment, {
+    paused: true,
+    userId: dispute.reporter,
+    reason: `${DISPUTE_PAUSE_PREFIX}${dispute._id}`,
+    ifUnpaused: true
+  });
+  if (!payment) return false;
+  await Dispute.updateOne({ _id: dispute._id }, { $set: { escrowFrozen: true } });
+  return true;
+};
+
+/**
+ * Resume auto-release once no open dispute remains on the payment.
+ * Only a pause made by one of the payment's disputes is lifted; pauses set by an
+ * admin or a Stripe chargeback are left alone.
+ * @param {Object} dispute - Dispute that was resolved or closed
+ */
+const unfreezeEscrowForDispute = async (dispute, userId) => {
+  if (!dispute.payment) return;
+  const stillDisputed = await Dispute.exists({
+    _id: { $ne: dispute._id },
+    payment: dispute.payment,
+    status: { $in: Dispute.OPEN_STATUSES }
+  });
+  if (stillDisputed) return;
+
+  const frozenBy = await Dispute.find({ payment: dispute.payment, escrowFrozen: true }).select('_id').lean();
+  if (!frozenBy.length) return;
+
+  await setAutoReleasePaused(dispute.payment, {
+    paused: false,
+    userId,
+    ifReasonIn: frozenBy.map(({ _id }) => `${DISPUTE_PAUSE_PREFIX}${_id}`)
+  });
+  await Dispute.updateMany({ _id: { $in: frozenBy.map(({ _id }) => _id) } }, { $set: { escrowFrozen: false } });
+};
+
+module.exports = {
+  MAX_EVIDENCE_FILES,
+  resolveReportTarget,
+  resolveDisputeTarget,
+  evidenceFromFiles,
+  canAccessCase,
+  formatCase,
+  notifyCaseParties,
+  addCaseUpdate,
+  freezeEscrowForDispute,
+  unfreezeEscrowForDispute
+};
@@ -0,0 +1,356 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Resend } = require('resend');
+const EmailMessage = require('../models/EmailMessage');
+
+/**
+ * Outbound email
+ *
+ * Every email is written to the EmailMessage queue and then delivered through one
+ * transport, picked by EMAIL_TRANSPORT or, when unset, by what is configured:
+ *   resend - Resend API (RESEND_API_KEY)
+ *   smtp   - any SMTP server (EMAIL_HOST/EMAIL_PORT, EMAIL_USER/EMAIL_PASSWORD optional,
+ *            so a local catcher such as Mailpit or MailHog on port 1025 works too)
+ *   file   - writes each message as JSON under EMAIL_FILE_DIR (default logs/emails);
+ *            the fallback outside production when nothing else is configured
+ * Callers that need to know the outcome (OTP, password reset) get an immediate first
+ * attempt; anything that fails is retried by the email-queue job with backoff.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A message stuck in 'sending' this long (process died mid-send) is picked up again
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+const getRecipientHourlyLimit = () => parseInt(process.env.EMAIL_RECIPIENT_HOURLY_LIMIT, 10) || 20;
+const getSensitiveHourlyLimit = () => parseInt(process.env.EMAIL_SENSITIVE_HOURLY_LIMIT, 10) || 10;
+
+// Resend expects "Display Name <email@domain.com>"; plain addresses are wrapped
+const getFromAddress = () => {
+  const raw = (process.env.EMAIL_FROM || process.env.EMAIL_USER || 'noreply@landlordnoagent.com').trim();
+  if (/<[^>]+>/.test(raw)) return raw;
+  return `LandlordNoAgent <${raw}>`;
+};
+
+const htmlToText = (html) => String(html || '').replace(/<style[\s\S]*?<\/style>/gi, '').replace(/<[^>]*>/g, '').replace(/\n\s*\n\s*\n+/g, '\n\n').trim();
+
+// Attachments in the shape both Resend and nodemailer accept
+const toAttachments = (message) => {
+  if (!message.attachments?.length) return undefined;
+  return message.attachments.map(attachment => ({
+    filename: attachment.filename,
+    content: Buffer.from(attachment.content || '', 'utf8'),
+    contentType: attachment.contentType
+  }));
+};
+
+const createResendTransport = () => {
+  const client = new Resend(process.env.RESEND_API_KEY.trim());
+  return {
+    name: 'resend',
+    send: async (message) => {
+      const { data, error } = await client.emails.send({
+        from: message.from,
+        to: [message.to],
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: toAttachments(message)
+      });
+      if (error) {
+        // Validation/auth errors won't succeed on retry (e.g. unverified sender domain)
+        throw Object.assign(new Error(error.message), { permanent: [400, 401, 403, 422].includes(error.statusCode) });
+      }
+      return { messageId: data?.id };
+    }
+  };
+};
+
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD } : undefined,
+    connectionTimeout: 60000, // 60 seconds
+    greetingTimeout: 30000,   // 30 seconds
+    socketTimeout: 60000,     // 60 seconds
+    pool: true,
+    maxConnections: 5,
+    maxMessages: 100
+  });
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: toAttachments(message)
+      });
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createFileTransport = () => {
+  const dir = process.env.EMAIL_FILE_DIR || path.join(__dirname, '../logs/emails');
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message._id}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: message.attachments?.length ? message.attachments : undefined,
+        category: message.category
+      }, null, 2));
+      console.log(`[Email] ${message.category} to ${message.to} written to ${path.join(dir, fileName)}`);
+      return { messageId: `file:${fileName}` };
+    }
+  };
+};
+
+let transport;
+
+/**
+ * Transport used for delivery (created once)
+ * @returns {Object|null} { name, send(message) } or null when nothing is configured
+ */
+const getTransport = () => {
+  if (transport !== undefined) return transport;
+
+  let name = process.env.EMAIL_TRANSPORT;
+  if (!name) {
+    if (process.env.RESEND_API_KEY?.trim()) name = 'resend';
+    else if (process.env.EMAIL_HOST) name = 'smtp';
+    else if (process.env.NODE_ENV !== 'production') name = 'file';
+  }
+
+  if (name === 'resend' && process.env.RESEND_API_KEY?.trim()) transport = createResendTransport();
+  else if (name === 'smtp' && process.env.EMAIL_HOST) transport = createSmtpTransport();
+  else if (name === 'file') transport = createFileTransport();
+  else transport = null;
+
+  if (!transport) {
+    console.warn('⚠️  No email transport configured (set RESEND_API_KEY, EMAIL_HOST or EMAIL_TRANSPORT=file). Emails will stay queued.');
+  }
+  return transport;
+};
+
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+/**
+ * Attempt delivery of one queued message
+ * @param {string} messageId - EmailMessage ID
+ * @returns {Promise<EmailMessage|null>} Message after the attempt, or null if it couldn't be claimed
+ */
+const deliverMessage = async (messageId) => {
+  const now = new Date();
+  const message = await EmailMessage.findOneAndUpdate(
+    {
+      _id: messageId,
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!message) return null;
+
+  const activeTransport = getTransport();
+  try {
+    if (!activeTransport) {
+      throw new Error('Email transport not configured');
+    }
+    const { messageId: providerMessageId } = await activeTransport.send(message);
+
+    const update = {
+      $set: { status: 'sent', sentAt: new Date(), transport: activeTransport.name, providerMessageId },
+      $unset: { lastError: 1 }
+    };
+    if (message.sensitive) {
+      update.$unset.html = 1;
+      update.$unset.text = 1;
+    }
+    return EmailMessage.findByIdAndUpdate(message._id, update, { new: true });
+  } catch (error) {
+    const exhausted = error.permanent || message.attempts >= message.maxAttempts;
+    console.error(`[Email] Delivery of ${message._id} to ${message.to} failed (attempt ${message.attempts}):`, error.message);
+    const update = {
+      $set: {
+        status: exhausted ? 'failed' : 'queued',
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(message.attempts)),
+        lastError: error.message,
+        transport: activeTransport?.name
+      }
+    };
+    // A code that will never be delivered shouldn't stay readable in the queue either
+    if (message.sensitive && exhausted) {
+      update.$unset = { html: 1, text: 1 };
+    }
+    return EmailMessage.findByIdAndUpdate(message._id, update, { new: true });
+  }
+};
+
+/**
+ * Add an email to the outbound queue
+ * @param {Object} params
+ * @param {string} params.to - Recipient address
+ * @param {string} params.subject
+ * @param {string} params.html
+ * @param {string} [params.text] - Derived from html when omitted
+ * @param {Object[]} [params.attachments] - { filename, content (text), contentType }
+ * @param {string} [params.category='general'] - Template/notification type
+ * @param {string} [params.userId] - Recipient user, when known
+ * @param {boolean} [params.sensitive=false] - Drop the body once delivered (OTP, reset codes)
+ * @param {string} [params.requestedBy] - Admin who sent it through the API
+ * @param {boolean} [params.sendNow=false] - Make the first delivery attempt before returning
+ * @returns {Promise<EmailMessage>} Queued (or, with sendNow, attempted) message
+ */
+const queueEmail = async ({ to, subject, html, text, attachments, category = 'general', userId, sensitive = false, requestedBy, sendNow = false }) => {
+  const recipient = String(to || '').trim().toLowerCase();
+  const fields = {
+    to: recipient,
+    from: getFromAddress(),
+    subject,
+    html,
+    text: text || htmlToText(html),
+    attachments,
+    category,
+    user: userId,
+    sensitive,
+    requestedBy,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS
+  };
+
+  // Per-recipient cap so a loop or an abused endpoint can't flood one inbox. Sensitive
+  // messages (OTP, reset codes) are counted per category and apart from everything else,
+  // so repeated OTP resends can't hold back a password reset or vice versa.
+  const recentCount = await EmailMessage.countDocuments({
+    to: recipient,
+    createdAt: { $gte: new Date(Date.now() - RATE_LIMIT_WINDOW_MS) },
+    status: { $ne: 'rate_limited' },
+    ...(sensitive ? { sensitive: true, category } : { sensitive: { $ne: true } })
+  });
+  const limit = sensitive ? getSensitiveHourlyLimit() : getRecipientHourlyLimit();
+  if (recentCount >= limit) {
+    console.warn(`[Email] Rate limit reached for ${recipient}; ${category} email not sent`);
+    return EmailMessage.create({
+      ...fields,
+      html: sensitive ? undefined : html,
+      text: sensitive ? undefined : fields.text,
+      status: 'rate_limited',
+      lastError: 'Recipient hourly limit reached'
+    });
+  }
+
+  const message = await EmailMessage.create(fields);
+  if (!sendNow) return message;
+  return (await deliverMessage(message._id)) || message;
+};
+
+/**
+ * Send an email now, leaving it queued for retry if the first attempt fails
+ * @param {string|string[]} to - Recipient address(es)
+ * @param {string} subject
+ * @param {string} html
+ * @param {string} [text]
+ * @param {Object} [options] - category, userId, sensitive, requestedBy, attachments (see queueEmail)
+ * @returns {Promise<{ success: boolean, messageId?: string, queued?: boolean, error?: string }>}
+ */
+const sendEmail = async (to, subject, html, text, options = {}) => {
+  const recipients = Array.isArray(to) ? to : [to];
+  const results = [];
+  for (const recipient of recipients) {
+    try {
+      results.push(await queueEmail({ ...options, to: recipient, subject, html, text, sendNow: true }));
+    } catch (error) {
+      console.error('[Email] Could not queue email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  const failed = results.find(message => message.status !== 'sent');
+  if (failed) {
+    return {
+      success: false,
+      queued: failed.status === 'queued',
+      emailId: failed._id,
+      error: failed.lastError || failed.status
+    };
+  }
+  return { success: true, messageId: results[0]?.providerMessageId, emailId: results[0]?._id };
+};
+
+/**
+ * Deliver due queued messages (background job)
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Max messages per run
+ * @returns {Promise<{ attempted: number, sent: number, failed: number }>}
+ */
+const processEmailQueue = async ({ limit = 50 } = {}) => {
+  const now = new Date();
+  const due = await EmailMessage.find({
+    $or: [
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } }
+    ]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  const summary = { attempted: 0, sent: 0, failed: 0 };
+  for (const { _id } of due) {
+    const message = await deliverMessage(_id);
+    if (!message) continue;
+    summary.attempted += 1;
+    if (message.status === 'sent') summary.sent += 1;
+    else if (message.status === 'failed') summary.failed += 1;
+  }
+  return summary;
+};
+
+/**
+ * Put a failed or rate-limited message back on the queue and try it now (admin)
+ * @param {string} messageId
+ * @returns {Promise<EmailMessage|null>} null if the message doesn't exist or can't be retried
+ */
+const retryMessage = async (messageId) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['failed', 'rate_limited'] }, sensitive: false },
+    [{
+      $set: {
+        status: 'queued',
+        nextAttemptAt: '$$NOW',
+        maxAttempts: { $add: ['$attempts', DEFAULT_MAX_ATTEMPTS] }
+      }
+    }],
+    { new: true }
+  );
+  if (!message) return null;
+  return (await deliverMessage(message._id)) || message;
+};
+
+module.exports = {
+  getFromAddress,
+  getTransport,
+  queueEmail,
+  sendEmail,
+  deliverMessage,
+  processEmailQueue,
+  retryMessage
+};
@@ -0,0 +1,523 @@
+const Payment = require('../models/Payment');
+const Application = require('../models/Application');
+const PlatformSettings = require('../models/PlatformSettings');
+const AuditLog = require('../models/AuditLog');
+const Dispute = require('../models/Dispute');
+const User = require('../models/User');
+const commissionService = require('./commissionService');
+const landlordAccountService = require('./landlordAccountService');
+const ledgerService = require('./ledgerService');
+const { createAuditLog } = require('../utils/auditLogger');
+const { createNotification } = require('../utils/notifications');
+
+/**
+ * Escrow release and interest
+ *
+ * Rent and booking payments are held in escrow. Once a payment has been held longer
+ * than escrowInterestThresholdDays, interest accrues daily at escrowInterestRate and is
+ * deducted from the landlord's net amount on release. Payments are released by an admin
+ * or automatically once the tenant confirms both the visit and the documents and the
+ * grace period has passed. All knobs live in PlatformSettings.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const escrowError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+/**
+ * Current escrow settings from PlatformSettings
+ * @returns {Promise<Object>} { interestRate, thresholdDays, warningDays, autoReleaseEnabled, graceHours }
+ */
+const getEscrowSettings = async () => {
+  const settings = await PlatformSettings.getCurrent();
+  return {
+    interestRate: settings.escrowInterestRate ?? 0.02,
+    thresholdDays: settings.escrowInterestThresholdDays ?? 10,
+    warningDays: settings.escrowWarningDays ?? 2,
+    autoReleaseEnabled: settings.escrowAutoReleaseEnabled !== false,
+    graceHours: settings.escrowAutoReleaseGraceHours ?? 48
+  };
+};
+
+const getDaysHeld = (payment, now = new Date()) => {
+  if (!payment.escrowHeldAt) return 0;
+  return Math.max(0, Math.floor((now - payment.escrowHeldAt) / DAY_MS));
+};
+
+/**
+ * Record any days of interest not yet accrued for a held payment.
+ * Conditional on escrowInterestAccruedDays so concurrent runs can't double-count.
+ * Interest stops once the tenant has confirmed the visit and documents. Days spent paused
+ * or disputed are counted as accrued without charging, so they aren't billed on resume.
+ * @param {Object} payment - Held escrow payment
+ * @param {Object} settings - Result of getEscrowSettings
+ * @param {Date} [now]
+ * @param {Object} [options] - { suspended: true while paused or disputed }
+ * @returns {Promise<number>} Days accrued by this call
+ */
+const accrueInterest = async (payment, settings, now = new Date(), { suspended = false } = {}) => {
+  const until = payment.escrowConditionsMetAt && payment.escrowConditionsMetAt < now
+    ? payment.escrowConditionsMetAt
+    : now;
+  const dueDays = Math.max(0, getDaysHeld(payment, until) - settings.thresholdDays);
+  const accruedDays = payment.escrowInterestAccruedDays || 0;
+  if (dueDays <= accruedDays) return 0;
+
+  if (suspended) {
+    await Payment.updateOne(
+      { _id: payment._id, escrowStatus: 'held', escrowInterestAccruedDays: payment.escrowInterestAccruedDays },
+      { $set: { escrowInterestAccruedDays: dueDays } }
+    );
+    return 0;
+  }
+
+  const dailyAmount = Math.round(payment.amount * settings.interestRate * 100) / 100;
+  let total = payment.escrowInterest || 0;
+  const entries = [];
+  for (let day = accruedDays + 1; day <= dueDays; day += 1) {
+    const amount = Math.min(dailyAmount, Math.max(0, payment.amount - total));
+    total = Math.round((total + amount) * 100) / 100;
+    entries.push({
+      day: settings.thresholdDays + day,
+      rate: settings.interestRate,
+      amount,
+      accruedAt: now
+    });
+  }
+
+  const result = await Payment.updateOne(
+    { _id: payment._id, escrowStatus: 'held', escrowInterestAccruedDays: accruedDays },
+    {
+      $push: { escrowInterestAccruals: { $each: entries } },
+      $set: { escrowInterest: total, escrowInterestAccruedDays: dueDays }
+    }
+  );
+  return result.modifiedCount ? entries.length : 0;
+};
+
+/**
+ * Release a held escrow payment to the landlord's account.
+ * The payment is claimed atomically (held -> released) before balances change, so
+ * concurrent admin and worker releases can't credit the landlord twice.
+ * @param {string} paymentId - Payment ID
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Admin releasing manually (omit for automatic release)
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<Object>} { payment, alreadyReleased, grossAmount, commissionRate, commissionAmount, landlordNetAmount, interest, daysHeld }
+ * @throws {Error} with code/status when the payment can't be released
+ */
+const releaseEscrow = async (paymentId, { actorId = null, ipAddress = null, userAgent = null } = {}) => {
+  const automatic = !actorId;
+  let payment = await Payment.findById(paymentId)
+    .populate({ path: 'application', select: 'property client landlord', populate: { path: 'property', select: 'title' } })
+    .populate({ path: 'booking', select: 'property guest landlord', populate: { path: 'property', select: 'title' } });
+
+  if (!payment) {
+    throw escrowError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+  }
+  if (!payment.isEscrow) {
+    throw escrowError('NOT_ESCROW', 'Payment is not an escrow payment');
+  }
+  if (payment.escrowStatus === 'released') {
+    return { payment, alreadyReleased: true };
+  }
+  if (payment.escrowStatus !== 'held') {
+    throw escrowError('ESCROW_NOT_HELD', `Payment escrow status is '${payment.escrowStatus}', cannot release`);
+  }
+  if (await Dispute.exists({ payment: payment._id, status: { $in: Dispute.OPEN_STATUSES } })) {
+    throw escrowError('ESCROW_DISPUTED', 'Payment has an open dispute; resolve it before releasing escrow', 409);
+  }
+
+  // Validate escrow was actually held (escrowHeldAt should exist)
+  if (!payment.escrowHeldAt) {
+    console.error(`Payment ${payment._id} marked as escrow but escrowHeldAt is missing`);
+    payment.escrowHeldAt = new Date();
+  }
+
+  // Get landlord ID from application (or shortlet booking)
+  const landlordId = payment.application
+    ? (payment.application.landlord?._id || payment.application.landlord)
+    : payment.booking?.landlord;
+  if (!landlordId) {
+    throw escrowError('LANDLORD_NOT_FOUND', 'Landlord information not found in application');
+  }
+
+  // Verify landlord exists and is actually a landlord
+  const landlord = await User.findById(landlordId).select('role email firstName');
+  if (!landlord) {
+    throw escrowError('LANDLORD_NOT_FOUND', 'Landlord not found', 404);
+  }
+  if (landlord.role !== 'landlord') {
+    throw escrowError('NOT_A_LANDLORD', 'User is not a landlord');
+  }
+
+  // Bring day-by-day interest up to date, then charge what has been recorded
+  const settings = await getEscrowSettings();
+  await accrueInterest(payment, settings);
+  const accrued = await Payment.findById(payment._id).select('escrowInterest');
+  const daysHeld = getDaysHeld(payment);
+  const interest = accrued?.escrowInterest || 0;
+
+  const commissionRate = await commissionService.getCurrentCommissionRate();
+  // Anything already refunded to the tenant isn't paid out
+  const grossAmount = Math.round((payment.amount - (payment.refundAmount || 0)) * 100) / 100;
+
+  // Validate amounts before calculation
+  if (grossAmount <= 0) {
+    throw escrowError('INVALID_AMOUNT', 'Invalid payment amount');
+  }
+  if (commissionRate < 0 || commissionRate > 1) {
+    throw escrowError('INVALID_COMMISSION_RATE', 'Invalid commission rate configuration', 500);
+  }
+
+  const commissionAmount = commissionService.calculateCommission(grossAmount, commissionRate);
+  const landlordNetAmount = commissionService.calculateNetAmount(grossAmount, commissionRate, interest);
+  if (commissionAmount < 0 || landlordNetAmount < 0) {
+    console.error(`Invalid commission calculation for payment ${payment._id}:`, {
+      grossAmount,
+      commissionRate,
+      commissionAmount,
+      interest,
+      landlordNetAmount
+    });
+    throw escrowError('COMMISSION_CALCULATION_ERROR', 'Commission calculation error', 500);
+  }
+
+  const landlordAccount = await landlordAccountService.createOrGetAccount(landlordId);
+
+  // Claim the release
+  const released = await Payment.findOneAndUpdate(
+    { _id: payment._id, escrowStatus: 'held' },
+    {
+      $set: {
+        escrowStatus: 'released',
+        escrowReleasedAt: new Date(),
+        escrowHeldAt: payment.escrowHeldAt,
+        escrowInterest: interest,
+        commission_rate: commissionRate,
+        commission_amount: commissionAmount,
+        landlordNetAmount,
+        landlordAccount: landlordAccount._id
+      }
+    },
+    { new: true }
+  );
+  if (!released) {
+    payment = await Payment.findById(payment._id);
+    if (payment?.escrowStatus === 'released') {
+      return { payment, alreadyReleased: true };
+    }
+    throw escrowError('ESCROW_NOT_HELD', `Payment escrow status is '${payment?.escrowStatus}', cannot release`);
+  }
+
+  try {
+    await ledgerService.recordEscrowRelease({
+      payment,
+      landlordId,
+      grossAmount,
+      commissionAmount,
+      netAmount: landlordNetAmount,
+      createdBy: actorId
+    });
+  } catch (error) {
+    // Put the payment back so it can be retried
+    await Payment.updateOne(
+      { _id: payment._id, escrowStatus: 'released' },
+      { $set: { escrowStatus: 'held' }, $unset: { escrowReleasedAt: 1 } }
+    );
+    throw error;
+  }
+
+  // The audit trail needs a user; automatic releases are attributed to the landlord credited
+  const auditUserId = actorId || landlordId;
+  try {
+    await AuditLog.logCommissionCalculation(
+      auditUserId,
+      payment._id,
+      grossAmount,
+      commissionRate,
+      commissionAmount,
+      landlordNetAmount,
+      landlordId,
+      ipAddress,
+      userAgent
+    );
+  } catch (auditError) {
+    console.error('Error logging commission calculation:', auditError);
+  }
+
+  await createAuditLog({
+    action: 'escrow_released',
+    entityType: 'Payment',
+    entityId: payment._id,
+    userId: auditUserId,
+    details: {
+      paymentId: payment._id.toString(),
+      applicationId: payment.application?._id.toString(),
+      bookingId: payment.booking?._id.toString(),
+      grossAmount,
+      commissionRate,
+      commissionAmount,
+      landlordNetAmount,
+      escrowInterest: interest,
+      daysHeld,
+      automatic
+    },
+    ipAddress,
+    userAgent
+  });
+
+  // Update application lease dates from rent period (for rent payment tracking)
+  if (payment.type === 'rent' && payment.application && payment.rentPeriodStart && payment.rentPeriodEnd) {
+    const appUpdate = {};
+    const app = await Application.findById(payment.application._id || payment.application).select('decision');
+    if (app && (!app.decision || !app.decision.leaseStartDate)) {
+      appUpdate['decision.leaseStartDate'] = payment.rentPeriodStart;
+    }
+    if (app && (!app.decision || !app.decision.leaseEndDate)) {
+      appUpdate['decision.leaseEndDate'] = payment.rentPeriodEnd;
+    }
+    if (Object.keys(appUpdate).length > 0) {
+      await Application.findByIdAndUpdate(payment.application._id || payment.application, { $set: appUpdate });
+    }
+  }
+
+  console.log(`✅ Escrow released${automatic ? ' (auto)' : ''}: Payment ${payment._id}, Gross: ₦${grossAmount}, Commission: ₦${commissionAmount} (${(commissionRate * 100)}%), Net: ₦${landlordNetAmount}`);
+
+  // Send escrow released email notification to landlord
+  try {
+    const { sendEmail, getEmailTemplate } = require('../utils/emailNotifications');
+    if (landlord.email) {
+      const template = getEmailTemplate('escrowReleased', {
+        landlordName: landlord.firstName || 'Landlord',
+        propertyTitle: (payment.application || payment.booking)?.property?.title || 'Property',
+        grossAmount,
+        commissionRate,
+        commissionAmount,
+        landlordNetAmount,
+        interestCharged: interest,
+        currency: payment.currency || 'NGN',
+        paymentId: payment._id.toString()
+      });
+      if (template) {
+        await sendEmail(landlord.email, template.subject, template.html, template.text);
+        console.log(`Escrow released email sent to ${landlord.email} for payment ${payment._id}`);
+      }
+    }
+  } catch (emailError) {
+    // Don't fail the release if email fails
+    console.error('Error sending escrow released email:', emailError);
+  }
+
+  return {
+    payment: released,
+    alreadyReleased: false,
+    grossAmount,
+    commissionRate,
+    commissionAmount,
+    landlordNetAmount,
+    interest,
+    daysHeld
+  };
+};
+
+/**
+ * Record that the tenant confirmed visit/documents; starts the grace period once both are true
+ * @param {Object} payment - Payment document (saved by the caller)
+ */
+const markConditionsIfMet = (payment) => {
+  if (payment.propertyVisited && payment.documentsReceived && !payment.escrowConditionsMetAt) {
+    payment.escrowConditionsMetAt = new Date();
+  }
+};
+
+/**
+ * Pause or resume automatic release for a held payment
+ * @param {string} paymentId - Payment ID
+ * @param {Object} params
+ * @param {boolean} params.paused - Pause (true) or resume (false)
+ * @param {string} params.userId - Admin making the change
+ * @param {string} [params.reason] - Why (e.g. dispute reference)
+ * @param {boolean} [params.ifUnpaused] - Only pause a payment that isn't paused already
+ * @param {string[]} [params.ifReasonIn] - Only resume a pause made for one of these reasons
+ * @returns {Promise<Payment|null>} Updated payment, or null when it is not a held escrow payment
+ *   (or the ifUnpaused/ifReasonIn condition did not hold)
+ */
+const setAutoReleasePaused = (paymentId, { paused, userId, reason, ifUnpaused = false, ifReasonIn = null }) => {
+  const update = paused
+    ? { $set: { escrowAutoReleasePaused: true, escrowPausedAt: new Date(), escrowPausedBy: userId, escrowPauseReason: reason } }
+    : { $set: { escrowAutoReleasePaused: false }, $unset: { escrowPausedAt: 1, escrowPausedBy: 1, escrowPauseReason: 1 } };
+  return Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      isEscrow: true,
+      escrowStatus: 'held',
+      ...(ifUnpaused && { escrowAutoReleasePaused: { $ne: true } }),
+      ...(ifReasonIn && { escrowAutoReleasePaused: true, escrowPauseReason: { $in: ifReasonIn } })
+    },
+    update,
+    { new: true }
+  );
+};
+
+/**
+ * Landlord who is paid for a payment (from its application or shortlet booking)
+ * @param {Object} payment - Payment document (application/booking populated or not)
+ * @returns {Promise<ObjectId|null>}
+ */
+const getPaymentLandlordId = async (payment) => {
+  if (payment.application) {
+    if (payment.application.landlord) return payment.application.landlord._id || payment.application.landlord;
+    const app = await Application.findById(payment.application).select('landlord');
+    return app?.landlord || null;
+  }
+  if (payment.booking) {
+    if (payment.booking.landlord) return payment.booking.landlord._id || payment.booking.landlord;
+    const Booking = require('../models/Booking');
+    const booking = await Booking.findById(payment.booking).select('landlord');
+    return booking?.landlord || null;
+  }
+  return null;
+};
+
+/**
+ * Send the same in-app notification to the payer and the landlord of a payment
+ * @param {Object} payment - Payment document
+ * @param {Object} params - { type, title, message, landlordMessage, priority }
+ */
+const notifyPaymentParties = async (payment, { type, title, message, landlordMessage, priority = 'high' }) => {
+  const landlordId = await getPaymentLandlordId(payment);
+
+  await createNotification({
+    userId: payment.user._id || payment.user,
+    type,
+    title,
+    message,
+    priority,
+    relatedEntity: { type: 'payment', id: payment._id },
+    actionUrl: '/dashboard/client/payments'
+  });
+  if (landlordId) {
+    await createNotification({
+      userId: landlordId,
+      type,
+      title,
+      message: landlordMessage || message,
+      priority,
+      relatedEntity: { type: 'payment', id: payment._id },
+      actionUrl: '/dashboard/landlord/payments'
+    });
+  }
+};
+
+/**
+ * Background job: accrue interest, warn before the interest threshold, auto-release.
+ * Every step claims its payment with a conditional update, so overlapping runs are safe.
+ * @returns {Promise<Object>} Run statistics
+ */
+const processEscrowPayments = async () => {
+  const settings = await getEscrowSettings();
+  const now = new Date();
+  const stats = { accrued: 0, warned: 0, released: 0, failed: 0 };
+
+  // 1. Day-by-day interest for payments past the threshold
+  const overdue = await Payment.find({
+    isEscrow: true,
+    escrowStatus: 'held',
+    escrowHeldAt: { $lte: new Date(now - (settings.thresholdDays + 1) * DAY_MS) }
+  })
+    .select('amount escrowHeldAt escrowInterest escrowInterestAccruedDays escrowConditionsMetAt escrowAutoReleasePaused')
+    .limit(BATCH_SIZE);
+  const disputed = new Set((await Dispute.distinct('payment', {
+    payment: { $in: overdue.map(payment => payment._id) },
+    status: { $in: Dispute.OPEN_STATUSES }
+  })).map(String));
+  for (const payment of overdue) {
+    const suspended = payment.escrowAutoReleasePaused === true || disputed.has(String(payment._id));
+    stats.accrued += await accrueInterest(payment, settings, now, { suspended });
+  }
+
+  // 2. Warn once when interest is about to start and the tenant hasn't confirmed everything
+  const warnFrom = new Date(now - Math.max(0, settings.thresholdDays - settings.warningDays) * DAY_MS);
+  for (let i = 0; i < BATCH_SIZE; i += 1) {
+    const payment = await Payment.findOneAndUpdate(
+      {
+        isEscrow: true,
+        escrowStatus: 'held',
+        escrowWarningSentAt: null,
+        escrowHeldAt: { $lte: warnFrom },
+        $or: [{ propertyVisited: { $ne: true } }, { documentsReceived: { $ne: true } }]
+      },
+      { $set: { escrowWarningSentAt: now } },
+      { new: true }
+    );
+    if (!payment) break;
+
+    const interestStartsAt = new Date(payment.escrowHeldAt.getTime() + settings.thresholdDays * DAY_MS);
+    const ratePct = Math.round(settings.interestRate * 10000) / 100;
+    await notifyPaymentParties(payment, {
+      type: 'escrow_warning',
+      title: 'Escrow Interest Approaching',
+      message: `Please confirm your property visit and document handover for payment ${payment._id}. From ${interestStartsAt.toDateString()} escrow interest of ${ratePct}% per day will accrue.`,
+      landlordMessage: `Escrow payment ${payment._id} has not been confirmed by the tenant. From ${interestStartsAt.toDateString()} interest of ${ratePct}% per day will be deducted from your payout.`
+    });
+    stats.warned += 1;
+  }
+
+  if (!settings.autoReleaseEnabled) {
+    return stats;
+  }
+
+  // 3. Start the grace period for payments confirmed before it was tracked
+  await Payment.updateMany(
+    { isEscrow: true, escrowStatus: 'held', propertyVisited: true, documentsReceived: true, escrowConditionsMetAt: null },
+    { $set: { escrowConditionsMetAt: now } }
+  );
+
+  // 4. Auto-release once both confirmations are in and the grace period has passed
+  const releasable = await Payment.find({
+    isEscrow: true,
+    escrowStatus: 'held',
+    propertyVisited: true,
+    documentsReceived: true,
+    escrowAutoReleasePaused: { $ne: true },
+    escrowConditionsMetAt: { $lte: new Date(now - settings.graceHours * HOUR_MS) }
+  })
+    .select('_id')
+    .limit(BATCH_SIZE);
+
+  for (const { _id } of releasable) {
+    try {
+      const result = await releaseEscrow(_id);
+      if (result.alreadyReleased) continue;
+      stats.released += 1;
+      await notifyPaymentParties(result.payment, {
+        type: 'escrow_released',
+        title: 'Escrow Released',
+        message: `Escrow payment ${result.payment._id} has been released to the landlord.`,
+        landlordMessage: `Escrow payment ${result.payment._id} was released automatically. ${result.payment.currency || 'NGN'} ${result.landlordNetAmount.toLocaleString()} has been added to your available balance.`,
+        priority: 'medium'
+      });
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`Auto-release failed for payment ${_id}:`, error.message);
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  getEscrowSettings,
+  getDaysHeld,
+  accrueInterest,
+  releaseEscrow,
+  markConditionsIfMet,
+  setAutoReleasePaused,
+  getPaymentLandlordId,
+  notifyPaymentParties,
+  processEscrowPayments
+};
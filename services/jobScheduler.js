@@ -0,0 +1,95 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Minimal in-process job scheduler
+ * Jobs run on a fixed interval; a run is skipped if the previous one is still going.
+ * Jobs must be idempotent: every API instance runs its own scheduler, so handlers
+ * claim work atomically in the database rather than relying on a single runner.
+ * Set DISABLE_BACKGROUND_JOBS=true to turn scheduling off (e.g. for one-off scripts).
+ */
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name (used in logs)
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} handler - Async function to run
+ * @param {Object} [options]
+ * @param {boolean} [options.runOnStart=false] - Run once as soon as the scheduler starts
+ */
+const registerJob = (name, intervalMs, handler, { runOnStart = false } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+  jobs.set(name, { name, intervalMs, handler, runOnStart, timer: null, running: false, lastRunAt: null });
+};
+
+const runJob = async (job) => {
+  if (job.running) {
+    logger.warn('Skipping job run; previous run still in progress', { job: job.name });
+    return;
+  }
+  job.running = true;
+  const start = Date.now();
+  try {
+    const result = await job.handler();
+    job.lastRunAt = new Date();
+    logger.debug('Job completed', { job: job.name, duration: `${Date.now() - start}ms`, result });
+  } catch (error) {
+    logger.error('Job failed', { job: job.name, error: error.message, stack: error.stack });
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all registered jobs
+ */
+const startJobs = () => {
+  if (started) return;
+  if (process.env.DISABLE_BACKGROUND_JOBS === 'true') {
+    logger.info('Background jobs disabled (DISABLE_BACKGROUND_JOBS=true)');
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Don't keep the process alive just for scheduled jobs
+    if (job.timer.unref) job.timer.unref();
+    if (job.runOnStart) runJob(job);
+  }
+  started = true;
+  logger.info('Background jobs started', { jobs: [...jobs.keys()] });
+};
+
+/**
+ * Stop all registered jobs
+ */
+const stopJobs = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) clearInterval(job.timer);
+    job.timer = null;
+  }
+  started = false;
+};
+
+/**
+ * Run a registered job immediately (e.g. from an admin endpoint or script)
+ * @param {string} name - Job name
+ */
+const runJobNow = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  return runJob(job);
+};
+
+module.exports = {
+  registerJob,
+  startJobs,
+  stopJobs,
+  runJobNow
+};
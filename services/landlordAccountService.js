@@ -31,33 +31,6 @@ const createOrGetAccount = async (landlordId) => {
   return account;
 };
 
-/**
- * Update landlord account balance
- * @param {string} landlordId - Landlord user ID
- * @param {number} grossAmount - Gross amount (before commission)
- * @param {number} commissionAmount - Commission amount deducted
- * @param {number} netAmount - Net amount (after commission)
- * @param {string} type - Balance type: 'available' or 'pending'
- * @returns {Promise<LandlordAccount>} Updated account
- */
-const updateBalance = async (landlordId, grossAmount, commissionAmount, netAmount, type = 'available') => {
-  const account = await createOrGetAccount(landlordId);
-  
-  account.totalGrossEarnings += grossAmount;
-  account.totalCommissionPaid += commissionAmount;
-  account.totalNetEarnings += netAmount;
-  
-  if (type === 'available') {
-    account.availableBalance += netAmount;
-  } else if (type === 'pending') {
-    account.pendingBalance += netAmount;
-  }
-  
-  await account.save();
-  
-  return account;
-};
-
 /**
  * Get landlord account balance with commission breakdown
  * @param {string} landlordId - Landlord user ID
@@ -165,13 +138,19 @@ const allocatePaymentToPayout = async (paymentId, payoutRequestId) => {
 const getEarningsBreakdown = async (landlordId, startDate, endDate) => {
   const Payment = require('../models/Payment');
   const Application = require('../models/Application');
+  const Booking = require('../models/Booking');
   
-  // Get all payments for landlord's properties through applications
+  // Get all payments for landlord's properties through applications and shortlet bookings
   const applications = await Application.find({ landlord: landlordId }).select('_id');
   const applicationIds = applications.map(app => app._id);
+  const bookings = await Booking.find({ landlord: landlordId }).select('_id');
+  const bookingIds = bookings.map(booking => booking._id);
   
   const query = {
-    application: { $in: applicationIds },
+    $or: [
+      { application: { $in: applicationIds } },
+      { booking: { $in: bookingIds } }
+    ],
     status: 'completed',
     landlordAccount: await createOrGetAccount(landlordId).then(acc => acc._id)
   };
@@ -210,7 +189,6 @@ const getEarningsBreakdown = async (landlordId, startDate, endDate) => {
 
 module.exports = {
   createOrGetAccount,
-  updateBalance,
   getAccountBalance,
   canRequestPayout,
   allocatePaymentToPayout,
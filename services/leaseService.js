@@ -0,0 +1,600 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Lease = require('../models/Lease');
+const LeaseTemplate = require('../models/LeaseTemplate');
+const Application = require('../models/Application');
+const Property = require('../models/Property');
+const { uploadBufferToCloudinary } = require('../config/cloudinary');
+const { createNotification } = require('../utils/notifications');
+
+/**
+ * Lease generation and e-signature
+ *
+ * A lease is rendered from a landlord template when an application is approved. The text
+ * and terms are frozen and hashed at generation; each party signs by typing their name,
+ * and every signature hashes the previous link (the content hash for the first), so the
+ * final hash covers the text, the terms and both signatures. Once both parties have
+ * signed, the signed PDF is uploaded and recorded on the property next to houseDocuments.
+ */
+
+const PLACEHOLDERS = {
+  'property.title': 'Property title',
+  'property.address': 'Full property address',
+  'property.type': 'Property type (apartment, house, ...)',
+  'landlord.name': 'Landlord full name',
+  'landlord.email': 'Landlord email',
+  'landlord.phone': 'Landlord phone',
+  'tenant.name': 'Tenant full name',
+  'tenant.email': 'Tenant email',
+  'tenant.phone': 'Tenant phone',
+  'lease.startDate': 'Lease start date',
+  'lease.endDate': 'Lease end date',
+  'lease.durationMonths': 'Lease length in months',
+  'rent.monthly': 'Monthly rent',
+  'rent.currency': 'Rent currency',
+  'rent.deposit': 'Security deposit',
+  'terms.petsAllowed': '"Yes" or "No"',
+  'terms.utilitiesIncluded': '"Yes" or "No"',
+  'date.today': 'Date the lease was generated'
+};
+
+const DEFAULT_TEMPLATE = `RESIDENTIAL LEASE AGREEMENT
+
+This Lease Agreement is made on {{date.today}} between {{landlord.name}} ("Landlord") and {{tenant.name}} ("Tenant").
+
+1. PREMISES
+The Landlord lets to the Tenant the property known as "{{property.title}}", located at {{property.address}} (the "Premises").
+
+2. TERM
+The lease runs for {{lease.durationMonths}} months, from {{lease.startDate}} to {{lease.endDate}}.
+
+3. RENT
+The Tenant shall pay rent of {{rent.currency}} {{rent.monthly}} per month through the platform, on or before the due date shown on each invoice.
+
+4. SECURITY DEPOSIT
+The Tenant shall pay a security deposit of {{rent.currency}} {{rent.deposit}}, refundable at the end of the lease less any amounts lawfully deducted for unpaid rent or damage beyond normal wear and tear.
+
+5. UTILITIES
+Utilities included in rent: {{terms.utilitiesIncluded}}.
+
+6. PETS
+Pets allowed: {{terms.petsAllowed}}.
+
+7. MAINTENANCE
+The Tenant shall keep the Premises clean and report needed repairs through the platform. The Landlord shall carry out repairs within a reasonable time.
+
+8. ENTRY
+The Landlord may enter the Premises for inspection or repairs with reasonable prior notice, except in an emergency.
+
+9. TERMINATION
+Either party may end this lease as permitted by applicable law. The Tenant shall return the Premises in the condition received, normal wear and tear excepted.
+
+Contact details
+Landlord: {{landlord.email}} {{landlord.phone}}
+Tenant: {{tenant.email}} {{tenant.phone}}`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const leaseError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Works for both ObjectIds and populated documents
+const idOf = (value) => String(value?._id || value);
+
+const sameId = (a, b) => Boolean(a && b) && idOf(a) === idOf(b);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+
+const fullName = (user) => [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Placeholders used in a template body that aren't in PLACEHOLDERS
+ * @param {string} body - Template body
+ * @returns {string[]}
+ */
+const findUnknownPlaceholders = (body) => {
+  const unknown = new Set();
+  for (const [, key] of String(body).matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS[key]) unknown.add(key);
+  }
+  return [...unknown];
+};
+
+/**
+ * Fill in a template body. Unknown placeholders are left as written.
+ * @param {string} body - Template body
+ * @param {Object} values - Placeholder key -> value
+ * @returns {string}
+ */
+const renderTemplate = (body, values) => {
+  return String(body).replace(PLACEHOLDER_PATTERN, (match, key) => (
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  ));
+};
+
+/**
+ * Lease terms from the application decision, falling back to the property listing
+ * @returns {Object|null} Terms, or null when there is no lease start date yet
+ */
+const resolveTerms = (application) => {
+  const decision = application.decision || {};
+  const property = application.property;
+  if (!decision.leaseStartDate) return null;
+
+  const leaseStartDate = new Date(decision.leaseStartDate);
+  let leaseEndDate = decision.leaseEndDate ? new Date(decision.leaseEndDate) : null;
+  if (!leaseEndDate) {
+    const months = property?.leaseTerms?.minLease || 12;
+    leaseEndDate = new Date(leaseStartDate);
+    leaseEndDate.setMonth(leaseEndDate.getMonth() + months);
+    leaseEndDate.setDate(leaseEndDate.getDate() - 1);
+  }
+
+  return {
+    leaseStartDate,
+    leaseEndDate,
+    monthlyRent: decision.monthlyRent ?? property?.price,
+    securityDeposit: decision.securityDeposit ?? property?.leaseTerms?.deposit ?? 0,
+    currency: property?.currency || 'NGN'
+  };
+};
+
+/**
+ * Placeholder values for an application (populated with property, client and landlord)
+ */
+const buildPlaceholderValues = (application, terms, generatedAt = new Date()) => {
+  const { property, client, landlord } = application;
+  const start = new Date(terms.leaseStartDate);
+  const end = new Date(terms.leaseEndDate);
+  const durationMonths = Math.max(1, Math.round((end - start) / (1000 * 60 * 60 * 24 * 30.4375)));
+  const address = property?.address
+    ? [property.address.street, property.address.city, property.address.state, property.address.zipCode].filter(Boolean).join(', ')
+    : '';
+
+  return {
+    'property.title': property?.title || '',
+    'property.address': address,
+    'property.type': property?.propertyType || '',
+    'landlord.name': fullName(landlord),
+    'landlord.email': landlord?.email || '',
+    'landlord.phone': landlord?.phone || '',
+    'tenant.name': fullName(client),
+    'tenant.email': client?.email || '',
+    'tenant.phone': client?.phone || '',
+    'lease.startDate': formatDate(start),
+    'lease.endDate': formatDate(end),
+    'lease.durationMonths': durationMonths,
+    'rent.monthly': formatAmount(terms.monthlyRent),
+    'rent.currency': terms.currency,
+    'rent.deposit': formatAmount(terms.securityDeposit),
+    'terms.petsAllowed': property?.leaseTerms?.petAllowed ? 'Yes' : 'No',
+    'terms.utilitiesIncluded': property?.leaseTerms?.utilitiesIncluded ? 'Yes' : 'No',
+    'date.today': formatDate(generatedAt)
+  };
+};
+
+/**
+ * Hash of everything the parties agree to: the parties, the terms and the rendered text
+ * @param {Object} lease - Lease (or the fields it will be created with)
+ * @returns {string} hex SHA-256
+ */
+const computeContentHash = (lease) => {
+  return sha256(JSON.stringify({
+    application: idOf(lease.application),
+    property: idOf(lease.property),
+    landlord: idOf(lease.landlord),
+    tenant: idOf(lease.tenant),
+    terms: {
+      leaseStartDate: new Date(lease.terms.leaseStartDate).toISOString(),
+      leaseEndDate: new Date(lease.terms.leaseEndDate).toISOString(),
+      monthlyRent: lease.terms.monthlyRent,
+      securityDeposit: lease.terms.securityDeposit,
+      currency: lease.terms.currency
+    },
+    content: lease.content
+  }));
+};
+
+/**
+ * Hash of one signature, chained to the previous link
+ * @param {string} previousHash - Previous signature hash, or the content hash for the first signature
+ * @param {Object} signature - { party, user, signatureName, signedAt, ipAddress, userAgent }
+ * @returns {string} hex SHA-256
+ */
+const computeSignatureHash = (previousHash, signature) => {
+  return sha256(JSON.stringify({
+    previousHash,
+    party: signature.party,
+    user: idOf(signature.user),
+    signatureName: signature.signatureName,
+    signedAt: new Date(signature.signedAt).toISOString(),
+    ipAddress: signature.ipAddress || null,
+    userAgent: signature.userAgent || null
+  }));
+};
+
+/**
+ * Recompute the content hash and signature chain and compare with what's stored
+ * @param {Lease} lease
+ * @returns {{ valid: boolean, contentHashValid: boolean, signaturesValid: boolean, finalHashValid: boolean|null }}
+ */
+const verifyLease = (lease) => {
+  const contentHashValid = computeContentHash(lease) === lease.contentHash;
+
+  let previousHash = lease.contentHash;
+  let signaturesValid = true;
+  for (const signature of lease.signatures) {
+    if (computeSignatureHash(previousHash, signature) !== signature.hash) {
+      signaturesValid = false;
+      break;
+    }
+    previousHash = signature.hash;
+  }
+
+  const finalHashValid = lease.status === 'executed' ? lease.finalHash === previousHash : null;
+  return {
+    valid: contentHashValid && signaturesValid && finalHashValid !== false,
+    contentHashValid,
+    signaturesValid,
+    finalHashValid
+  };
+};
+
+/**
+ * Notify a lease party, never throwing
+ */
+const notifyLeaseParty = (userId, lease, { type, title, message }) => {
+  return createNotification({
+    userId,
+    type,
+    title,
+    message,
+    priority: 'high',
+    relatedEntity: { type: 'lease', id: lease._id },
+    actionUrl: `/dashboard/leases/${lease._id}`
+  });
+};
+
+/**
+ * Generate (or regenerate) the lease for an approved application.
+ * Regenerating voids the current lease unless it has already been executed.
+ * @param {string} applicationId - Application ID
+ * @param {Object} params
+ * @param {Object} params.user - Landlord of the application or admin
+ * @param {string} [params.templateId] - Landlord's template; defaults to their default template or the built-in one
+ * @returns {Promise<Lease>}
+ * @throws {Error} with code/status when the lease can't be generated
+ */
+const generateLease = async (applicationId, { user, templateId }) => {
+  const application = await Application.findById(applicationId)
+    .populate('property', 'title address propertyType price currency leaseTerms')
+    .populate('client', 'firstName lastName email phone')
+    .populate('landlord', 'firstName lastName email phone');
+  if (!application) {
+    throw leaseError('APPLICATION_NOT_FOUND', 'Application not found', 404);
+  }
+  if (user.role !== 'admin' && !sameId(application.landlord, user._id)) {
+    throw leaseError('NOT_AUTHORIZED', 'Only the landlord can generate this lease', 403);
+  }
+  if (application.status !== 'approved') {
+    throw leaseError('APPLICATION_NOT_APPROVED', 'A lease can only be generated for an approved application', 409);
+  }
+
+  const terms = resolveTerms(application);
+  if (!terms) {
+    throw leaseError('LEASE_TERMS_MISSING', 'Set decision.leaseStartDate on the application before generating a lease');
+  }
+  if (terms.monthlyRent === undefined || terms.monthlyRent === null) {
+    throw leaseError('LEASE_TERMS_MISSING', 'Set decision.monthlyRent on the application before generating a lease');
+  }
+  if (terms.leaseEndDate <= terms.leaseStartDate) {
+    throw leaseError('INVALID_LEASE_TERMS', 'Lease end date must be after the start date');
+  }
+
+  let template = null;
+  if (templateId) {
+    template = await LeaseTemplate.findOne({ _id: templateId, landlord: application.landlord._id });
+    if (!template) throw leaseError('TEMPLATE_NOT_FOUND', 'Lease template not found', 404);
+  } else {
+    template = await LeaseTemplate.findOne({ landlord: application.landlord._id, isDefault: true });
+  }
+
+  const existing = await Lease.findOne({ application: application._id, current: true });
+  if (existing?.status === 'executed') {
+    throw leaseError('LEASE_ALREADY_EXECUTED', 'The lease for this application has already been signed by both parties', 409);
+  }
+
+  const generatedAt = new Date();
+  const content = renderTemplate(template?.body || DEFAULT_TEMPLATE, buildPlaceholderValues(application, terms, generatedAt));
+  const fields = {
+    application: application._id,
+    property: application.property._id,
+    landlord: application.landlord._id,
+    tenant: application.client._id,
+    template: template?._id,
+    terms,
+    content,
+    generatedBy: user._id
+  };
+  fields.contentHash = computeContentHash(fields);
+
+  if (existing) {
+    const voided = await Lease.findOneAndUpdate(
+      { _id: existing._id, status: { $ne: 'executed' } },
+      { $set: { status: 'voided', current: false, voidedAt: generatedAt, voidedBy: user._id, voidReason: 'Regenerated' } }
+    );
+    if (!voided) {
+      throw leaseError('LEASE_ALREADY_EXECUTED', 'The lease for this application has already been signed by both parties', 409);
+    }
+  }
+
+  let lease;
+  try {
+    lease = await Lease.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw leaseError('LEASE_GENERATION_CONFLICT', 'A lease for this application was generated at the same time; reload and try again', 409);
+    }
+    throw error;
+  }
+
+  await notifyLeaseParty(application.client._id, lease, {
+    type: 'lease_ready',
+    title: 'Lease Ready to Sign',
+    message: `Your lease for ${application.property.title} is ready. Review and sign it to activate your tenancy.`
+  });
+  if (!sameId(application.landlord, user._id)) {
+    await notifyLeaseParty(application.landlord._id, lease, {
+      type: 'lease_ready',
+      title: 'Lease Ready to Sign',
+      message: `A lease for ${application.property.title} was generated and needs your signature.`
+    });
+  }
+
+  return lease;
+};
+
+/**
+ * Render a lease as a PDF, including the signature block and hashes
+ * @param {Lease} lease - Lease populated with landlord, tenant and property
+ * @returns {Promise<Buffer>}
+ */
+const renderLeasePdf = (lease) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: {
+        Title: `Lease ${lease._id}`,
+        Author: 'Landlord No Agent',
+        Subject: lease.property?.title || 'Residential lease',
+        // Fixed date keeps the file reproducible for the same lease
+        CreationDate: lease.executedAt || lease.createdAt || new Date()
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica').fontSize(11).text(lease.content, { align: 'left', lineGap: 2 });
+
+    doc.moveDown(2).font('Helvetica-Bold').fontSize(12).text('SIGNATURES');
+    doc.font('Helvetica').fontSize(10);
+    for (const party of ['landlord', 'tenant']) {
+      const signature = lease.signatures.find(s => s.party === party);
+      const label = party === 'landlord' ? 'Landlord' : 'Tenant';
+      doc.moveDown(0.8);
+      if (signature) {
+        doc.font('Helvetica-Oblique').fontSize(14).text(signature.signatureName);
+        doc.font('Helvetica').fontSize(9).text(
+          `${label}, signed electronically on ${new Date(signature.signedAt).toISOString()}` +
+          `${signature.ipAddress ? ` from ${signature.ipAddress}` : ''}`
+        );
+        doc.text(`Signature hash: ${signature.hash}`);
+      } else {
+        doc.fontSize(10).text(`${label}: not yet signed`);
+      }
+    }
+
+    doc.moveDown(2).fontSize(8).fillColor('#555555');
+    doc.text(`Lease ID: ${lease._id}`);
+    doc.text(`Content hash (SHA-256): ${lease.contentHash}`);
+    if (lease.finalHash) doc.text(`Final hash (SHA-256): ${lease.finalHash}`);
+
+    doc.end();
+  });
+};
+
+/**
+ * Upload the signed PDF and record it on the lease and the property (idempotent)
+ * @param {string} leaseId - Executed lease
+ * @returns {Promise<Lease>}
+ */
+const storeSignedDocument = async (leaseId) => {
+  const lease = await Lease.findById(leaseId).populate('property', 'title');
+  if (!lease || lease.status !== 'executed' || lease.signedDocument?.url) return lease;
+
+  const pdf = await renderLeasePdf(lease);
+  const checksum = sha256(pdf);
+  const result = await uploadBufferToCloudinary(pdf, 'documents/leases', {
+    resource_type: 'raw',
+    public_id: `lease-${lease._id}.pdf`,
+    overwrite: true
+  });
+
+  const uploadedAt = new Date();
+  const updated = await Lease.findOneAndUpdate(
+    { _id: lease._id, 'signedDocument.url': { $exists: false } },
+    { $set: { signedDocument: { url: result.secure_url, sha256: checksum, uploadedAt } } },
+    { new: true }
+  );
+  if (!updated) return Lease.findById(lease._id);
+
+  await Property.updateOne(
+    { _id: lease.property._id },
+    {
+      $push: {
+        leaseDocuments: {
+          url: result.secure_url,
+          name: `Signed lease - ${lease.property.title || lease.property._id}`,
+          lease: lease._id,
+          tenant: lease.tenant,
+          sha256: checksum,
+          uploadedAt
+        }
+      }
+    }
+  );
+  return updated;
+};
+
+/**
+ * Sign a lease as the landlord or tenant with a typed signature
+ * @param {string} leaseId - Lease ID
+ * @param {Object} params
+ * @param {Object} params.user - Signing user
+ * @param {string} params.signatureName - Typed full name; must match the user's name on file
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<{ lease: Lease, executed: boolean }>}
+ * @throws {Error} with code/status when the user can't sign
+ */
+const signLease = async (leaseId, { user, signatureName, ipAddress, userAgent }) => {
+  const lease = await Lease.findById(leaseId).populate('property', 'title');
+  if (!lease) {
+    throw leaseError('LEASE_NOT_FOUND', 'Lease not found', 404);
+  }
+
+  let party = null;
+  if (sameId(lease.landlord, user._id)) party = 'landlord';
+  else if (sameId(lease.tenant, user._id)) party = 'tenant';
+  if (!party) {
+    throw leaseError('NOT_A_PARTY', 'Only the landlord and tenant can sign this lease', 403);
+  }
+  if (lease.status === 'voided') {
+    throw leaseError('LEASE_VOIDED', 'This lease has been voided', 409);
+  }
+  if (lease.status === 'executed' || lease.hasSigned(party)) {
+    throw leaseError('ALREADY_SIGNED', 'You have already signed this lease', 409);
+  }
+  if (!signatureName || normalizeName(signatureName) !== normalizeName(fullName(user))) {
+    throw leaseError('SIGNATURE_NAME_MISMATCH', 'Type your full name exactly as it appears on your account to sign');
+  }
+
+  const integrity = verifyLease(lease);
+  if (!integrity.contentHashValid || !integrity.signaturesValid) {
+    throw leaseError('LEASE_INTEGRITY_FAILED', 'This lease failed its integrity check and cannot be signed; ask the landlord to regenerate it', 409);
+  }
+
+  const signature = {
+    party,
+    user: user._id,
+    signatureName: String(signatureName).trim().replace(/\s+/g, ' '),
+    signedAt: new Date(),
+    ipAddress,
+    userAgent
+  };
+  const previousHash = lease.signatures.length ? lease.signatures[lease.signatures.length - 1].hash : lease.contentHash;
+  signature.hash = computeSignatureHash(previousHash, signature);
+
+  // The other party has already signed
+  const executed = lease.signatures.length === 1;
+  const set = { status: executed ? 'executed' : 'partially_signed' };
+  if (executed) {
+    set.executedAt = signature.signedAt;
+    set.finalHash = signature.hash;
+  }
+
+  // Matching on the signature count keeps the chain linear if both parties sign at once
+  const updated = await Lease.findOneAndUpdate(
+    {
+      _id: lease._id,
+      status: { $in: ['pending_signatures', 'partially_signed'] },
+      signatures: { $size: lease.signatures.length }
+    },
+    { $push: { signatures: signature }, $set: set },
+    { new: true }
+  );
+  if (!updated) {
+    throw leaseError('LEASE_SIGN_CONFLICT', 'The lease changed while you were signing; reload and try again', 409);
+  }
+
+  const otherParty = party === 'landlord' ? lease.tenant : lease.landlord;
+  await notifyLeaseParty(otherParty, updated, {
+    type: 'lease_signed',
+    title: executed ? 'Lease Fully Signed' : 'Lease Signed',
+    message: executed
+      ? `The lease for ${lease.property.title} has been signed by both parties.`
+      : `The ${party} signed the lease for ${lease.property.title}. Your signature is needed to complete it.`
+  });
+
+  if (!executed) return { lease: updated, executed };
+
+  try {
+    return { lease: await storeSignedDocument(updated._id), executed };
+  } catch (error) {
+    // The lease is executed either way; the PDF upload is retried when the document is next requested
+    console.error(`Signed lease upload failed for ${updated._id}:`, error);
+    return { lease: updated, executed };
+  }
+};
+
+/**
+ * Void a lease that hasn't been executed
+ * @param {string} leaseId - Lease ID
+ * @param {Object} params - { user, reason }
+ * @returns {Promise<Lease>}
+ */
+const voidLease = async (leaseId, { user, reason }) => {
+  const lease = await Lease.findById(leaseId).select('landlord status');
+  if (!lease) {
+    throw leaseError('LEASE_NOT_FOUND', 'Lease not found', 404);
+  }
+  if (user.role !== 'admin' && !sameId(lease.landlord, user._id)) {
+    throw leaseError('NOT_AUTHORIZED', 'Only the landlord can void this lease', 403);
+  }
+
+  const voided = await Lease.findOneAndUpdate(
+    { _id: lease._id, status: { $in: ['pending_signatures', 'partially_signed'] } },
+    { $set: { status: 'voided', current: false, voidedAt: new Date(), voidedBy: user._id, voidReason: reason } },
+    { new: true }
+  );
+  if (!voided) {
+    throw leaseError('LEASE_NOT_VOIDABLE', `A lease that is ${lease.status} cannot be voided`, 409);
+  }
+  return voided;
+};
+
+/**
+ * Current lease status per application, for tenancy listings
+ * @param {Array} applicationIds
+ * @returns {Promise<Map<string, { leaseId: ObjectId, status: string }>>}
+ */
+const getLeaseStatusByApplication = async (applicationIds) => {
+  const leases = await Lease.find({ application: { $in: applicationIds }, current: true })
+    .select('application status')
+    .lean();
+  return new Map(leases.map(lease => [String(lease.application), { leaseId: lease._id, status: lease.status }]));
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  findUnknownPlaceholders,
+  renderTemplate,
+  computeContentHash,
+  computeSignatureHash,
+  verifyLease,
+  generateLease,
+  renderLeasePdf,
+  storeSignedDocument,
+  signLease,
+  voidLease,
+  getLeaseStatusByApplication
+};
@@ -0,0 +1,472 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const LandlordAccount = require('../models/LandlordAccount');
+
+/**
+ * Ledger posting and reconciliation
+ *
+ * Money movements are posted here as balanced LedgerEntry documents first; the running
+ * totals on LandlordAccount are then updated as a cache of the ledger. If that cache
+ * update fails or is retried, the ledger still holds the truth and reconcileAccounts()
+ * reports (and can repair) the difference.
+ */
+
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const debit = (account, amount, landlord = null) => ({ account, landlord, debit: round2(amount), credit: 0 });
+const credit = (account, amount, landlord = null) => ({ account, landlord, debit: 0, credit: round2(amount) });
+
+// Positive amounts credit the account, negative ones debit it
+const signed = (account, amount, landlord = null) => (
+  amount >= 0 ? credit(account, amount, landlord) : debit(account, -amount, landlord)
+);
+
+// Zero-amount lines carry no information and would fail validation
+const nonZero = (lines) => lines.filter(line => line.debit > 0 || line.credit > 0);
+
+/**
+ * Net effect of an entry's lines on each landlord's cached balances
+ * @returns {Map<string, Object>} landlordId -> { availableBalance, pendingBalance, totalPayouts }
+ */
+const balanceChanges = (lines) => {
+  const changes = new Map();
+  for (const line of lines) {
+    if (!line.landlord) continue;
+    const key = line.landlord.toString();
+    const change = changes.get(key) || { availableBalance: 0, pendingBalance: 0, totalPayouts: 0 };
+    const amount = line.credit - line.debit;
+    if (line.account === 'landlord_available') change.availableBalance += amount;
+    if (line.account === 'landlord_pending') change.pendingBalance += amount;
+    if (line.account === 'payouts') change.totalPayouts += amount;
+    changes.set(key, change);
+  }
+  return changes;
+};
+
+/**
+ * Carry a landlord's pre-ledger balances into the ledger as an opening entry.
+ * No-op once the landlord has any ledger entry.
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Promise<LedgerEntry|null>} The opening entry, if one was posted
+ */
+const openLandlordLedger = async (landlordId) => {
+  const hasEntries = await LedgerEntry.exists({ 'lines.landlord': landlordId });
+  if (hasEntries) return null;
+
+  const account = await LandlordAccount.findOne({ landlord: landlordId });
+  if (!account) return null;
+
+  const lines = nonZero([
+    signed('landlord_available', account.availableBalance || 0, landlordId),
+    signed('landlord_pending', account.pendingBalance || 0, landlordId),
+    signed('payouts', account.totalPayouts || 0, landlordId)
+  ]);
+  if (lines.length === 0) return null;
+
+  const total = lines.reduce((sum, line) => sum + line.credit - line.debit, 0);
+  lines.push(signed('opening_balance', -total));
+
+  try {
+    return await LedgerEntry.create({
+      key: `opening_balance:${landlordId}`,
+      type: 'opening_balance',
+      lines,
+      description: 'Balances carried over from LandlordAccount'
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Take an amount off a landlord's cached available balance, only if the balance covers it.
+ * The entry that spends it is then posted with `reserved` so the cache isn't charged twice.
+ * @returns {Promise<boolean>} Whether the amount was reserved
+ */
+const reserveAvailable = async (landlordId, amount) => {
+  // The opening entry is built from the cached balances, so it has to exist before they change
+  await openLandlordLedger(landlordId);
+  const account = await LandlordAccount.findOneAndUpdate(
+    { landlord: landlordId, availableBalance: { $gte: round2(amount) } },
+    { $inc: { availableBalance: -round2(amount) } }
+  );
+  return Boolean(account);
+};
+
+const releaseAvailable = (landlordId, amount) => LandlordAccount.updateOne(
+  { landlord: landlordId },
+  { $inc: { availableBalance: round2(amount) } }
+);
+
+/**
+ * Post a journal entry and update the affected LandlordAccount caches.
+ * Idempotent per key: a repeated key returns the existing entry without touching balances.
+ * @param {Object} params
+ * @param {string} params.key - Idempotency key
+ * @param {string} params.type - One of LedgerEntry.ENTRY_TYPES
+ * @param {Array} params.lines - Balanced debit/credit lines
+ * @param {Object} [params.earnings] - { landlordId, gross, commission, net } to add to the account's earnings totals
+ * @param {Object} [params.reserved] - { landlordId, amount } already taken off the available balance by reserveAvailable
+ * @returns {Promise<{ entry: LedgerEntry, duplicate: boolean }>}
+ */
+const postEntry = async ({ key, type, lines, currency, payment, payoutRequest, description, createdBy, earnings, reserved }) => {
+  const entryLines = nonZero(lines);
+  const changes = balanceChanges(entryLines);
+
+  // Landlords with balances from before the ledger get their opening entry first
+  for (const landlordId of changes.keys()) {
+    await openLandlordLedger(landlordId);
+  }
+
+  let entry;
+  try {
+    entry = await LedgerEntry.create({
+      key,
+      type,
+      lines: entryLines,
+      currency,
+      payment,
+      payoutRequest,
+      description,
+      createdBy
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { entry: await LedgerEntry.findOne({ key }), duplicate: true };
+    }
+    throw error;
+  }
+
+  // Cache update; a failure here is picked up by reconciliation rather than failing the caller
+  for (const [landlordId, change] of changes) {
+    const reservedAmount = reserved && String(reserved.landlordId) === landlordId ? reserved.amount : 0;
+    const inc = {
+      availableBalance: round2(change.availableBalance + reservedAmount),
+      pendingBalance: round2(change.pendingBalance),
+      totalPayouts: round2(change.totalPayouts)
+    };
+    if (earnings && String(earnings.landlordId) === landlordId) {
+      inc.totalGrossEarnings = round2(earnings.gross || 0);
+      inc.totalCommissionPaid = round2(earnings.commission || 0);
+      inc.totalNetEarnings = round2(earnings.net || 0);
+    }
+    try {
+      await LandlordAccount.updateOne({ landlord: landlordId }, { $inc: inc });
+    } catch (error) {
+      console.error(`Ledger entry ${key} posted but account cache update failed for landlord ${landlordId}:`, error);
+    }
+  }
+
+  return { entry, duplicate: false };
+};
+
+/**
+ * Escrow payment received through Stripe
+ * @param {Object} payment - Payment document
+ */
+const recordEscrowFunding = (payment) => {
+  return postEntry({
+    key: `escrow_funded:${payment._id}`,
+    type: 'escrow_funded',
+    lines: [
+      debit('stripe_clearing', payment.amount),
+      credit('escrow', payment.amount)
+    ],
+    currency: payment.currency,
+    payment: payment._id,
+    description: `Escrow payment ${payment._id} received`
+  });
+};
+
+/**
+ * Escrow released to a landlord: commission and interest are split off the gross amount
+ * @param {Object} params - { payment, landlordId, grossAmount, commissionAmount, netAmount, createdBy }
+ */
+const recordEscrowRelease = ({ payment, landlordId, grossAmount, commissionAmount, netAmount, createdBy }) => {
+  // Whatever isn't net or commission is the interest actually deducted (keeps the entry balanced)
+  const interest = round2(grossAmount - commissionAmount - netAmount);
+  return postEntry({
+    key: `escrow_release:${payment._id}`,
+    type: 'escrow_release',
+    lines: [
+      debit('escrow', grossAmount),
+      credit('landlord_available', netAmount, landlordId),
+      credit('platform_commission', commissionAmount),
+      signed('platform_interest', interest)
+    ],
+    currency: payment.currency,
+    payment: payment._id,
+    description: `Escrow release for payment ${payment._id}`,
+    createdBy,
+    earnings: { landlordId, gross: grossAmount, commission: commissionAmount, net: netAmount }
+  });
+};
+
+/**
+ * Landlord's share of a refund on a payment already released to them. The split follows the
+ * payment's escrow_release entry, whose gross excludes anything refunded before release.
+ * @param {Object} payment - Payment document
+ * @param {number} amount - Amount being refunded
+ * @returns {Promise<Object|null>} { landlordId, gross, net, commission }, or null when nothing was released
+ */
+const getRefundReversal = async (payment, amount) => {
+  if (payment.escrowStatus !== 'released') return null;
+
+  let released;
+  const release = await LedgerEntry.findOne({ key: `escrow_release:${payment._id}` }).select('lines').lean();
+  if (release) {
+    const line = (account) => release.lines.find(l => l.account === account) || {};
+    released = {
+      landlordId: line('landlord_available').landlord || null,
+      gross: line('escrow').debit || 0,
+      net: line('landlord_available').credit || 0,
+      commission: line('platform_commission').credit || 0
+    };
+  } else if (payment.landlordNetAmount != null) {
+    // Released before the ledger existed: the figures stored at release add up to the released gross
+    const net = payment.landlordNetAmount;
+    const commission = payment.commission_amount || 0;
+    released = { landlordId: null, gross: net + commission + (payment.escrowInterest || 0), net, commission };
+  } else {
+    return null;
+  }
+  if (!(released.gross > 0)) return null;
+
+  const share = Math.min(1, amount / released.gross);
+  return {
+    landlordId: released.landlordId,
+    gross: round2(amount),
+    net: round2(released.net * share),
+    commission: round2(released.commission * share)
+  };
+};
+
+/**
+ * Refund to a tenant. Before release it comes out of escrow; after release the landlord's
+ * share (and the platform's commission/interest) is reversed. Payments that never went
+ * through escrow (e.g. application fees) have no ledger balance behind them, so nothing is posted.
+ * @param {Object} params - { payment, amount, totalRefunded, landlordId, reversal: { net, commission } from getRefundReversal, createdBy }
+ * @returns {Promise<Object|null>} postEntry result, or null when there was nothing to post
+ */
+const recordRefund = async ({ payment, amount, totalRefunded, landlordId, reversal, createdBy }) => {
+  let lines;
+  if (reversal) {
+    lines = [
+      debit('landlord_available', reversal.net, landlordId),
+      debit('platform_commission', reversal.commission),
+      signed('platform_interest', -round2(amount - reversal.net - reversal.commission)),
+      credit('refunds', amount)
+    ];
+  } else {
+    const funded = payment.isEscrow && await LedgerEntry.exists({ key: `escrow_funded:${payment._id}` });
+    if (!funded) return null;
+    lines = [
+      debit('escrow', amount),
+      credit('refunds', amount)
+    ];
+  }
+
+  return postEntry({
+    key: `refund:${payment._id}:${totalRefunded}`,
+    type: 'refund',
+    lines,
+    currency: payment.currency,
+    payment: payment._id,
+    description: `Refund of ${amount} on payment ${payment._id}`,
+    createdBy,
+    earnings: reversal
+      ? { landlordId, gross: -amount, commission: -reversal.commission, net: -reversal.net }
+      : null
+  });
+};
+
+/**
+ * Completed payout to a landlord
+ * @param {Object} payoutRequest - PayoutRequest document
+ */
+const recordPayout = (payoutRequest, createdBy = null) => {
+  const landlordId = payoutRequest.landlord._id || payoutRequest.landlord;
+  return postEntry({
+    key: `payout:${payoutRequest._id}`,
+    type: 'payout',
+    lines: [
+      debit('landlord_available', payoutRequest.amount, landlordId),
+      credit('payouts', payoutRequest.amount, landlordId)
+    ],
+    currency: payoutRequest.currency,
+    payoutRequest: payoutRequest._id,
+    description: `Payout ${payoutRequest._id}`,
+    createdBy
+  });
+};
+
+/**
+ * Manual correction of a landlord's available balance
+ * @param {Object} params - { landlordId, amount (positive credits the landlord), reason, createdBy }
+ */
+const recordAdjustment = ({ landlordId, amount, reason, createdBy }) => {
+  return postEntry({
+    key: `adjustment:${new mongoose.Types.ObjectId()}`,
+    type: 'adjustment',
+    lines: [
+      signed('landlord_available', amount, landlordId),
+      signed('adjustments', -amount)
+    ],
+    description: reason,
+    createdBy
+  });
+};
+
+/**
+ * Maintenance work charged to the landlord's earnings (one entry per work order). The balance
+ * check and the deduction are one conditional update, so concurrent charges can't overdraw it.
+ * @param {Object} params - { workOrder, landlordId, amount, currency, createdBy }
+ * @returns {Promise<{ entry: LedgerEntry, duplicate: boolean }|null>} null when the available
+ *   balance doesn't cover the amount
+ */
+const recordMaintenanceDeduction = async ({ workOrder, landlordId, amount, currency, createdBy }) => {
+  if (!(await reserveAvailable(landlordId, amount))) return null;
+
+  let result;
+  try {
+    result = await postEntry({
+      key: `maintenance_deduction:${workOrder._id}`,
+      type: 'maintenance_deduction',
+      lines: [
+        debit('landlord_available', amount, landlordId),
+        credit('maintenance_payables', amount)
+      ],
+      currency,
+      description: `Maintenance work order ${workOrder._id}`,
+      createdBy,
+      earnings: { landlordId, gross: 0, commission: 0, net: -amount },
+      reserved: { landlordId, amount }
+    });
+  } catch (error) {
+    await releaseAvailable(landlordId, amount);
+    throw error;
+  }
+  // Already posted earlier: the balance was charged then
+  if (result.duplicate) await releaseAvailable(landlordId, amount);
+  return result;
+};
+
+/**
+ * Maintenance charge the tenant paid through Stripe, owed to the landlord who covered the work
+ * @param {Object} params - { payment, landlordId }
+ */
+const recordMaintenanceCharge = ({ payment, landlordId }) => {
+  return postEntry({
+    key: `maintenance_charge:${payment._id}`,
+    type: 'maintenance_charge',
+    lines: [
+      debit('stripe_clearing', payment.amount),
+      credit('landlord_available', payment.amount, landlordId)
+    ],
+    currency: payment.currency,
+    payment: payment._id,
+    description: `Maintenance charge ${payment._id} paid by tenant`,
+    earnings: { landlordId, gross: 0, commission: 0, net: payment.amount }
+  });
+};
+
+/**
+ * Landlord balances as recorded in the ledger
+ * @param {string} [landlordId] - Restrict to one landlord
+ * @returns {Promise<Map<string, Object>>} landlordId -> { availableBalance, pendingBalance, totalPayouts }
+ */
+const getLedgerBalances = async (landlordId = null) => {
+  const match = { 'lines.landlord': { $ne: null } };
+  if (landlordId) match['lines.landlord'] = new mongoose.Types.ObjectId(String(landlordId));
+
+  const groups = await LedgerEntry.aggregate([
+    { $unwind: '$lines' },
+    { $match: match },
+    {
+      $group: {
+        _id: { landlord: '$lines.landlord', account: '$lines.account' },
+        balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+      }
+    }
+  ]);
+
+  const balances = new Map();
+  for (const group of groups) {
+    const key = group._id.landlord.toString();
+    const balance = balances.get(key) || { availableBalance: 0, pendingBalance: 0, totalPayouts: 0 };
+    if (group._id.account === 'landlord_available') balance.availableBalance = round2(group.balance);
+    if (group._id.account === 'landlord_pending') balance.pendingBalance = round2(group.balance);
+    if (group._id.account === 'payouts') balance.totalPayouts = round2(group.balance);
+    balances.set(key, balance);
+  }
+  return balances;
+};
+
+/**
+ * Compare every LandlordAccount's stored balances with the ledger
+ * @param {Object} [options]
+ * @param {boolean} [options.fix=false] - Open ledgers for pre-ledger accounts and overwrite mismatched balances with the ledger's
+ * @param {string} [options.landlordId] - Restrict to one landlord
+ * @returns {Promise<Object>} { checked, mismatched, notOnLedger, fixed, accounts }
+ */
+const reconcileAccounts = async ({ fix = false, landlordId = null } = {}) => {
+  const filter = landlordId ? { landlord: landlordId } : {};
+  const accounts = await LandlordAccount.find(filter)
+    .populate('landlord', 'firstName lastName email');
+  const ledger = await getLedgerBalances(landlordId);
+
+  const report = { checked: accounts.length, mismatched: 0, notOnLedger: 0, fixed: 0, accounts: [] };
+  for (const account of accounts) {
+    const id = (account.landlord?._id || account.landlord).toString();
+    const stored = {
+      availableBalance: round2(account.availableBalance || 0),
+      pendingBalance: round2(account.pendingBalance || 0),
+      totalPayouts: round2(account.totalPayouts || 0)
+    };
+    const derived = ledger.get(id);
+
+    if (!derived) {
+      const hasBalance = Object.values(stored).some(value => Math.abs(value) >= TOLERANCE);
+      if (!hasBalance) continue;
+      report.notOnLedger += 1;
+      const opened = fix ? await openLandlordLedger(id) : null;
+      if (opened) report.fixed += 1;
+      report.accounts.push({ landlord: account.landlord, status: 'not_on_ledger', stored, fixed: Boolean(opened) });
+      continue;
+    }
+
+    const differences = {};
+    for (const field of Object.keys(stored)) {
+      const difference = round2(stored[field] - derived[field]);
+      if (Math.abs(difference) >= TOLERANCE) differences[field] = difference;
+    }
+    if (Object.keys(differences).length === 0) continue;
+
+    report.mismatched += 1;
+    if (fix) {
+      await LandlordAccount.updateOne({ _id: account._id }, { $set: derived });
+      report.fixed += 1;
+    }
+    report.accounts.push({ landlord: account.landlord, status: 'mismatch', stored, ledger: derived, differences, fixed: fix });
+  }
+
+  return report;
+};
+
+module.exports = {
+  postEntry,
+  openLandlordLedger,
+  recordEscrowFunding,
+  recordEscrowRelease,
+  getRefundReversal,
+  recordRefund,
+  recordPayout,
+  recordAdjustment,
+  recordMaintenanceDeduction,
+  recordMaintenanceCharge,
+  getLedgerBalances,
+  reconcileAccounts
+};
@@ -0,0 +1,348 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const PlatformSettings = require('../models/PlatformSettings');
+const User = require('../models/User');
+const { createNotification, notifyAdmins } = require('../utils/notifications');
+
+/**
+ * Maintenance SLA tracking (maintenance-sla job)
+ *
+ * Every request gets two deadlines from PlatformSettings.maintenanceSla for its priority:
+ * acknowledge (the landlord acts on it in any way) and resolve (status completed). When a
+ * deadline passes the landlord is alerted by email; if the breach is still open after
+ * maintenanceSlaAdminEscalationHours, admins are alerted too. Each alert is claimed with
+ * findOneAndUpdate and appended to the request's slaBreaches history. Open requests raised
+ * before SLAs existed get their deadlines on the job's first passes, counted from then rather
+ * than from createdAt so old requests aren't all reported as breached at once; those the
+ * landlord already moved to in_progress count as acknowledged.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_PER_RUN = 200;
+
+const DEFAULT_TARGETS = {
+  urgent: { acknowledgeHours: 4, resolveHours: 24 },
+  high: { acknowledgeHours: 24, resolveHours: 72 },
+  medium: { acknowledgeHours: 48, resolveHours: 168 },
+  low: { acknowledgeHours: 72, resolveHours: 336 }
+};
+
+const BREACH_KINDS = [
+  {
+    kind: 'acknowledge',
+    deadline: 'sla.acknowledgeBy',
+    breachedAt: 'sla.acknowledgeBreachedAt',
+    escalatedAt: 'sla.acknowledgeEscalatedAt',
+    // Still counts as breached only while nobody has acknowledged it
+    stillOpen: { acknowledgedAt: { $exists: false } },
+    label: 'acknowledged'
+  },
+  {
+    kind: 'resolve',
+    deadline: 'sla.resolveBy',
+    breachedAt: 'sla.resolveBreachedAt',
+    escalatedAt: 'sla.resolveEscalatedAt',
+    stillOpen: {},
+    label: 'resolved'
+  }
+];
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Current SLA targets and escalation delay
+ * @returns {Promise<{ targets: Object, adminEscalationHours: number }>}
+ */
+const getSlaSettings = async () => {
+  const settings = await PlatformSettings.getCurrent();
+  const targets = {};
+  for (const [priority, defaults] of Object.entries(DEFAULT_TARGETS)) {
+    const configured = settings.maintenanceSla?.[priority] || {};
+    targets[priority] = {
+      acknowledgeHours: configured.acknowledgeHours ?? defaults.acknowledgeHours,
+      resolveHours: configured.resolveHours ?? defaults.resolveHours
+    };
+  }
+  return { targets, adminEscalationHours: settings.maintenanceSlaAdminEscalationHours ?? 24 };
+};
+
+/**
+ * Validate a partial maintenanceSla update from the admin settings endpoint
+ * @param {Object} input - e.g. { urgent: { acknowledgeHours: 2 } }
+ * @returns {{ updates: Object, error?: string }} updates maps setting paths to values
+ */
+const normalizeSlaTargets = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { updates: {}, error: 'maintenanceSla must be an object keyed by priority' };
+  }
+  const updates = {};
+  for (const [priority, target] of Object.entries(input)) {
+    if (!DEFAULT_TARGETS[priority] || !target || typeof target !== 'object') {
+      return { updates: {}, error: `maintenanceSla priorities are: ${Object.keys(DEFAULT_TARGETS).join(', ')}` };
+    }
+    for (const field of ['acknowledgeHours', 'resolveHours']) {
+      if (target[field] === undefined) continue;
+      const hours = Number(target[field]);
+      if (!Number.isFinite(hours) || hours < 0.25) {
+        return { updates: {}, error: `maintenanceSla.${priority}.${field} must be at least 0.25 hours` };
+      }
+      updates[`maintenanceSla.${priority}.${field}`] = hours;
+    }
+  }
+  return { updates };
+};
+
+const deadlinesFor = (targets, priority, createdAt) => {
+  const target = targets[priority] || targets.medium;
+  const start = new Date(createdAt).getTime();
+  return {
+    acknowledgeBy: new Date(start + target.acknowledgeHours * HOUR_MS),
+    resolveBy: new Date(start + target.resolveHours * HOUR_MS)
+  };
+};
+
+/**
+ * SLA deadlines for a request of the given priority, counted from when it was raised
+ * @param {string} priority
+ * @param {Date} [createdAt]
+ * @returns {Promise<{ acknowledgeBy: Date, resolveBy: Date }>}
+ */
+const computeDeadlines = async (priority, createdAt = new Date()) => {
+  const { targets } = await getSlaSettings();
+  return deadlinesFor(targets, priority, createdAt);
+};
+
+// Give open requests raised before SLAs existed their deadlines, counted from now
+const backfillDeadlines = async (targets) => {
+  const requests = await MaintenanceRequest.find({
+    status: { $in: MaintenanceRequest.OPEN_STATUSES },
+    'sla.acknowledgeBy': { $exists: false }
+  })
+    .select('priority status acknowledgedAt updatedAt')
+    .sort({ _id: 1 })
+    .limit(MAX_PER_RUN)
+    .lean();
+
+  const now = new Date();
+  let backfilled = 0;
+  for (const request of requests) {
+    const { acknowledgeBy, resolveBy } = deadlinesFor(targets, request.priority, now);
+    const update = { 'sla.acknowledgeBy': acknowledgeBy, 'sla.resolveBy': resolveBy };
+    // The landlord already acted on it; its last update is the closest time we have
+    if (request.status !== 'pending' && !request.acknowledgedAt) {
+      update.acknowledgedAt = request.updatedAt || now;
+    }
+    const result = await MaintenanceRequest.updateOne(
+      { _id: request._id, 'sla.acknowledgeBy': { $exists: false } },
+      { $set: update }
+    );
+    backfilled += result.modifiedCount;
+  }
+  return backfilled;
+};
+
+/**
+ * Record the landlord's first response to a request (no-op once acknowledged)
+ * @param {string|ObjectId} requestId
+ * @param {string|ObjectId} userId
+ */
+const acknowledge = (requestId, userId) => MaintenanceRequest.updateOne(
+  { _id: requestId, acknowledgedAt: { $exists: false } },
+  { $set: { acknowledgedAt: new Date(), acknowledgedBy: userId } }
+);
+
+// Claim the next open breach of one kind and append it to the history
+const claimBreach = (breach, extraFilter, escalatedTo, stampField) => {
+  const now = new Date();
+  return MaintenanceRequest.findOneAndUpdate(
+    {
+      status: { $in: MaintenanceRequest.OPEN_STATUSES },
+      ...breach.stillOpen,
+      ...extraFilter,
+      [stampField]: { $exists: false }
+    },
+    [{
+      $set: {
+        [stampField]: now,
+        slaBreaches: {
+          $concatArrays: [
+            { $ifNull: ['$slaBreaches', []] },
+            [{ kind: breach.kind, escalatedTo, dueAt: `$${breach.deadline}`, recordedAt: now }]
+          ]
+        }
+      }
+    }],
+    { new: true }
+  ).populate('property', 'title').populate('landlord', 'firstName lastName');
+};
+
+const describeBreach = (request, breach) => {
+  const dueAt = breach.kind === 'acknowledge' ? request.sla.acknowledgeBy : request.sla.resolveBy;
+  return `The ${request.priority} maintenance request "${request.title}" for ${request.property?.title || 'your property'} ` +
+    `should have been ${breach.label} by ${dueAt.toUTCString()}.`;
+};
+
+const alertLandlords = async (breach) => {
+  let alerted = 0;
+  for (let i = 0; i < MAX_PER_RUN; i += 1) {
+    const request = await claimBreach(breach, { [breach.deadline]: { $lte: new Date() } }, 'landlord', breach.breachedAt);
+    if (!request) break;
+
+    const landlordId = request.landlord._id || request.landlord;
+    const message = describeBreach(request, breach);
+    await createNotification({
+      userId: landlordId,
+      type: 'maintenance_sla_breach',
+      title: 'Maintenance Request Overdue',
+      message,
+      priority: request.priority === 'urgent' ? 'urgent' : 'high',
+      relatedEntity: { type: 'maintenance', id: request._id },
+      actionUrl: `/dashboard/maintenance/${request._id}`,
+      sendEmail: true,
+      emailTemplate: 'maintenanceRequest',
+      emailData: {
+        type: 'sla_breach',
+        message,
+        userName: request.landlord?.firstName
+          ? `${request.landlord.firstName} ${request.landlord.lastName || ''}`.trim()
+          : undefined,
+        propertyTitle: request.property?.title || 'your property',
+        requestId: request._id.toString()
+      }
+    });
+    alerted += 1;
+  }
+  return alerted;
+};
+
+const alertAdmins = async (breach, adminEscalationHours) => {
+  let escalated = 0;
+  const cutoff = new Date(Date.now() - adminEscalationHours * HOUR_MS);
+  for (let i = 0; i < MAX_PER_RUN; i += 1) {
+    const request = await claimBreach(breach, { [breach.breachedAt]: { $lte: cutoff } }, 'admin', breach.escalatedAt);
+    if (!request) break;
+
+    const landlordName = request.landlord?.firstName
+      ? `${request.landlord.firstName} ${request.landlord.lastName || ''}`.trim()
+      : 'The landlord';
+    await notifyAdmins(
+      'Maintenance SLA breach',
+      `${describeBreach(request, breach)} ${landlordName} was alerted more than ${adminEscalationHours} hours ago and it is still open.`,
+      request.priority === 'urgent' ? 'urgent' : 'high',
+      `/dashboard/maintenance/${request._id}`,
+      { source: 'maintenance_sla' }
+    );
+    escalated += 1;
+  }
+  return escalated;
+};
+
+/**
+ * Backfill missing deadlines, then alert landlords and admins about SLA breaches (background job)
+ * @returns {Promise<Object>} Requests backfilled and counts per breach kind
+ */
+const processMaintenanceSla = async () => {
+  const { targets, adminEscalationHours } = await getSlaSettings();
+  const result = { backfilled: await backfillDeadlines(targets) };
+  for (const breach of BREACH_KINDS) {
+    result[breach.kind] = {
+      landlordAlerts: await alertLandlords(breach),
+      adminEscalations: await alertAdmins(breach, adminEscalationHours)
+    };
+  }
+  return result;
+};
+
+const formatStats = (row) => ({
+  requests: row.requests,
+  acknowledged: row.acknowledged,
+  acknowledgedOnTimeRate: row.acknowledged ? round(row.acknowledgedOnTime / row.acknowledged, 2) : null,
+  averageHoursToAcknowledge: row.acknowledged ? round(row.acknowledgeMs / row.acknowledged / HOUR_MS, 1) : null,
+  resolved: row.resolved,
+  resolvedOnTimeRate: row.resolved ? round(row.resolvedOnTime / row.resolved, 2) : null,
+  averageHoursToResolve: row.resolved ? round(row.resolveMs / row.resolved / HOUR_MS, 1) : null,
+  acknowledgeBreaches: row.acknowledgeBreaches,
+  resolveBreaches: row.resolveBreaches,
+  escalatedToAdmin: row.escalatedToAdmin,
+  openBreaches: row.openBreaches
+});
+
+const EMPTY_STATS = formatStats({
+  requests: 0, acknowledged: 0, acknowledgedOnTime: 0, acknowledgeMs: 0, resolved: 0, resolvedOnTime: 0,
+  resolveMs: 0, acknowledgeBreaches: 0, resolveBreaches: 0, escalatedToAdmin: 0, openBreaches: 0
+});
+
+const has = (path) => ({ $gt: [path, null] });
+
+/**
+ * SLA performance of requests that have deadlines
+ * @param {Object} [match] - Extra MaintenanceRequest filter (e.g. { landlord } or a createdAt range)
+ * @param {Object} [options] - { byLandlord: group per landlord, limit: landlords returned (worst first) }
+ * @returns {Promise<Object|Array<Object>>} One stats object, or [{ landlord, ...stats }] when byLandlord
+ */
+const getSlaStats = async (match = {}, { byLandlord = false, limit = 20 } = {}) => {
+  const isResolved = { $and: [{ $eq: ['$status', 'completed'] }, has('$completedAt')] };
+  const pipeline = [
+    { $match: { ...match, 'sla.acknowledgeBy': { $exists: true } } },
+    {
+      $group: {
+        _id: byLandlord ? '$landlord' : null,
+        requests: { $sum: 1 },
+        acknowledged: { $sum: { $cond: [has('$acknowledgedAt'), 1, 0] } },
+        acknowledgedOnTime: {
+          $sum: { $cond: [{ $and: [has('$acknowledgedAt'), { $lte: ['$acknowledgedAt', '$sla.acknowledgeBy'] }] }, 1, 0] }
+        },
+        acknowledgeMs: {
+          $sum: { $cond: [has('$acknowledgedAt'), { $subtract: ['$acknowledgedAt', '$createdAt'] }, 0] }
+        },
+        resolved: { $sum: { $cond: [isResolved, 1, 0] } },
+        resolvedOnTime: {
+          $sum: { $cond: [{ $and: [isResolved, { $lte: ['$completedAt', '$sla.resolveBy'] }] }, 1, 0] }
+        },
+        resolveMs: { $sum: { $cond: [isResolved, { $subtract: ['$completedAt', '$createdAt'] }, 0] } },
+        acknowledgeBreaches: { $sum: { $cond: [has('$sla.acknowledgeBreachedAt'), 1, 0] } },
+        resolveBreaches: { $sum: { $cond: [has('$sla.resolveBreachedAt'), 1, 0] } },
+        escalatedToAdmin: {
+          $sum: { $cond: [{ $or: [has('$sla.acknowledgeEscalatedAt'), has('$sla.resolveEscalatedAt')] }, 1, 0] }
+        },
+        openBreaches: {
+          $sum: {
+            $cond: [{
+              $and: [
+                { $in: ['$status', MaintenanceRequest.OPEN_STATUSES] },
+                { $or: [has('$sla.acknowledgeBreachedAt'), has('$sla.resolveBreachedAt')] }
+              ]
+            }, 1, 0]
+          }
+        }
+      }
+    }
+  ];
+
+  if (!byLandlord) {
+    const [row] = await MaintenanceRequest.aggregate(pipeline);
+    return row ? formatStats(row) : EMPTY_STATS;
+  }
+
+  pipeline.push(
+    { $addFields: { breaches: { $add: ['$acknowledgeBreaches', '$resolveBreaches'] } } },
+    { $sort: { openBreaches: -1, breaches: -1, requests: -1 } },
+    { $limit: limit }
+  );
+  const rows = await MaintenanceRequest.aggregate(pipeline);
+  const landlords = await User.find({ _id: { $in: rows.map(row => row._id) } }).select('firstName lastName email');
+  const byId = new Map(landlords.map(landlord => [String(landlord._id), landlord]));
+
+  return rows.map(row => ({
+    landlord: byId.get(String(row._id)) || { _id: row._id },
+    ...formatStats(row)
+  }));
+};
+
+module.exports = {
+  getSlaSettings,
+  normalizeSlaTargets,
+  computeDeadlines,
+  acknowledge,
+  processMaintenanceSla,
+  getSlaStats
+};
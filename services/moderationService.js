@@ -0,0 +1,296 @@
+const ModerationRule = require('../models/ModerationRule');
+const ModerationViolation = require('../models/ModerationViolation');
+const User = require('../models/User');
+const { getPolicySettings } = require('../middleware/platformPolicy');
+const { createAuditLog } = require('../utils/auditLogger');
+const { notifyAdmins } = require('../utils/notifications');
+const { revokeAllSessions } = require('./sessionService');
+
+/**
+ * Server-side content moderation
+ *
+ * Every message and review is screened against the enabled ModerationRules before it is
+ * saved. Each matching rule contributes its action; the strongest one wins:
+ *   block  content is rejected and never saved
+ *   flag   content is saved and queued for admin review: messages are still delivered
+ *          (moderationAction 'flagged'), reviews stay unpublished (moderationStatus 'flagged')
+ *   warn   content is saved and delivered; the sender is shown the rule's reason
+ * Every decision is recorded as a ModerationViolation (source 'server'). Blocked and flagged
+ * content counts towards escalation: at moderationReviewThreshold within moderationWindowDays
+ * the user is put under admin review, at moderationSuspendThreshold the account is suspended.
+ */
+
+const DECISION_RANK = { allow: 0, warn: 1, flag: 2, block: 3 };
+const ESCALATING_ACTIONS = ['block', 'flag'];
+const RULE_CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALLOW = Object.freeze({ decision: 'allow', matches: [], reasons: [] });
+
+let cachedRules = null;
+let cachedAt = 0;
+let defaultsEnsured = false;
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileRule = (rule) => {
+  try {
+    if (rule.category === 'keyword') {
+      if (!rule.keywords?.length) return null;
+      const alternatives = rule.keywords.map(keyword => escapeRegExp(keyword).replace(/\s+/g, '\\s+'));
+      return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'i');
+    }
+    return new RegExp(rule.pattern, rule.flags || 'i');
+  } catch (error) {
+    console.error(`Moderation rule ${rule._id} has an invalid pattern:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Drop the cached rules (after an admin edits them; other instances refresh within a minute)
+ */
+const clearRuleCache = () => {
+  cachedRules = null;
+  cachedAt = 0;
+};
+
+/**
+ * Enabled rules with compiled regexes (seeds the built-in rules on first use)
+ * @returns {Promise<Array>}
+ */
+const getActiveRules = async () => {
+  if (cachedRules && Date.now() - cachedAt < RULE_CACHE_TTL_MS) {
+    return cachedRules;
+  }
+  if (!defaultsEnsured) {
+    await ModerationRule.ensureDefaults();
+    defaultsEnsured = true;
+  }
+
+  const rules = await ModerationRule.find({ enabled: true }).lean();
+  cachedRules = rules
+    .map(rule => ({ ...rule, regex: compileRule(rule) }))
+    .filter(rule => rule.regex);
+  cachedAt = Date.now();
+  return cachedRules;
+};
+
+/**
+ * Run text through the rules without recording anything
+ * @param {string} text
+ * @param {string} contentType - 'message' | 'review'
+ * @returns {Promise<{ decision: string, matches: Array, reasons: string[] }>}
+ */
+const evaluateContent = async (text, contentType) => {
+  const content = String(text || '');
+  if (!content.trim()) return ALLOW;
+
+  const rules = await getActiveRules();
+  const matches = rules
+    .filter(rule => (rule.appliesTo || []).includes(contentType) && rule.regex.test(content))
+    .map(rule => ({
+      rule: rule._id,
+      name: rule.name,
+      category: rule.category,
+      action: rule.action,
+      severity: rule.severity,
+      reason: rule.reason
+    }));
+
+  if (matches.length === 0) return ALLOW;
+
+  const decision = matches.reduce(
+    (strongest, match) => (DECISION_RANK[match.action] > DECISION_RANK[strongest] ? match.action : strongest),
+    'allow'
+  );
+  return {
+    decision,
+    matches,
+    reasons: [...new Set(matches.filter(match => match.action === decision).map(match => match.reason))]
+  };
+};
+
+const VIOLATION_TYPES = { block: 'blocked', flag: 'suspicious', warn: 'warning' };
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };
+
+/**
+ * Move a repeat offender to admin review or suspend them, based on their recent violations
+ * @param {string} userId
+ * @returns {Promise<string|null>} 'under_review' | 'suspended' when the standing changed
+ */
+const escalateOffender = async (userId) => {
+  const user = await User.findById(userId).select('role email firstName lastName moderation');
+  if (!user || user.role === 'admin' || user.moderation?.status === 'suspended') return null;
+
+  const settings = await getPolicySettings();
+  const windowStart = new Date(Date.now() - settings.moderationWindowDays * DAY_MS);
+  const clearedAt = user.moderation?.clearedAt;
+  const since = clearedAt && clearedAt > windowStart ? clearedAt : windowStart;
+
+  const count = await ModerationViolation.countDocuments({
+    user: userId,
+    source: 'server',
+    action: { $in: ESCALATING_ACTIONS },
+    createdAt: { $gte: since }
+  });
+
+  const name = `${user.firstName} ${user.lastName}`.trim() || user.email;
+  const now = new Date();
+
+  if (count >= settings.moderationSuspendThreshold) {
+    const suspended = await User.findOneAndUpdate(
+      { _id: userId, 'moderation.status': { $ne: 'suspended' } },
+      { $set: { isActive: false, 'moderation.status': 'suspended', 'moderation.suspendedAt': now } },
+      { new: true }
+    );
+    if (!suspended) return null;
+    await revokeAllSessions(user._id, 'account_suspended');
+
+    await createAuditLog({
+      action: 'user_suspended_by_moderation',
+      entityType: 'User',
+      entityId: user._id,
+      userId: user._id,
+      details: { violations: count, since }
+    });
+    await notifyAdmins(
+      'User suspended by moderation',
+      `${name} was suspended automatically after ${count} blocked or flagged messages/reviews.`,
+      'high',
+      `/admin/users/${user._id}`,
+      { source: 'moderation' }
+    );
+    return 'suspended';
+  }
+
+  if (count >= settings.moderationReviewThreshold) {
+    const flagged = await User.findOneAndUpdate(
+      { _id: userId, 'moderation.status': { $nin: ['under_review', 'suspended'] } },
+      { $set: { 'moderation.status': 'under_review', 'moderation.reviewRequestedAt': now } },
+      { new: true }
+    );
+    if (!flagged) return null;
+
+    await createAuditLog({
+      action: 'user_moderation_review_requested',
+      entityType: 'User',
+      entityId: user._id,
+      userId: user._id,
+      details: { violations: count, since }
+    });
+    await notifyAdmins(
+      'User needs moderation review',
+      `${name} has had ${count} blocked or flagged messages/reviews recently.`,
+      'medium',
+      `/admin/users/${user._id}`,
+      { source: 'moderation' }
+    );
+    return 'under_review';
+  }
+
+  return null;
+};
+
+/**
+ * Record a server-side decision and escalate if needed. Never throws: logging must not
+ * stop a message from being sent (blocking is decided before this runs).
+ * @param {Object} params
+ * @param {Object} params.result - From evaluateContent
+ * @param {Object} params.user - Author
+ * @param {string} params.contentType - 'message' | 'review'
+ * @param {string} params.text - Original content
+ * @param {string} [params.applicationId]
+ * @param {string} [params.contentId] - Saved Message/Review
+ * @returns {Promise<{ violation: ModerationViolation|null, escalation: string|null }>}
+ */
+const recordViolation = async ({ result, user, contentType, text, applicationId, contentId }) => {
+  if (!result || result.decision === 'allow') return { violation: null, escalation: null };
+
+  try {
+    const severity = result.matches.reduce(
+      (highest, match) => (SEVERITY_RANK[match.severity] > SEVERITY_RANK[highest] ? match.severity : highest),
+      'low'
+    );
+    const violation = await ModerationViolation.create({
+      user: user._id,
+      application: applicationId,
+      source: 'server',
+      contentType,
+      contentId,
+      originalMessage: String(text).slice(0, 5000),
+      violationType: VIOLATION_TYPES[result.decision],
+      violationReason: result.reasons.join(' ').slice(0, 500),
+      severity,
+      action: result.decision,
+      rules: result.matches.map(({ rule, name, category, action }) => ({ rule, name, category, action }))
+    });
+
+    const escalation = ESCALATING_ACTIONS.includes(result.decision)
+      ? await escalateOffender(user._id)
+      : null;
+    return { violation, escalation };
+  } catch (error) {
+    console.error('Record moderation violation error:', error);
+    return { violation: null, escalation: null };
+  }
+};
+
+/**
+ * Screen content before it is saved. Blocked content is recorded here; for flag/warn the
+ * caller saves the content with moderationFields() and then calls recordViolation.
+ * Admin-authored content is not screened.
+ * @param {Object} params
+ * @param {string} params.text
+ * @param {Object} params.user
+ * @param {string} params.contentType - 'message' | 'review'
+ * @param {string} [params.applicationId]
+ * @returns {Promise<{ decision: string, matches: Array, reasons: string[], escalation?: string }>}
+ */
+const screenContent = async ({ text, user, contentType, applicationId }) => {
+  if (user.role === 'admin') return ALLOW;
+
+  const result = await evaluateContent(text, contentType);
+  if (result.decision === 'block') {
+    const { escalation } = await recordViolation({ result, user, contentType, text, applicationId });
+    return { ...result, escalation };
+  }
+  return result;
+};
+
+/**
+ * Moderation fields to save on a Message or Review for a flag/warn decision
+ * @param {Object} result - From screenContent
+ * @param {string} contentType - 'message' | 'review'
+ * @returns {Object}
+ */
+const moderationFields = (result, contentType) => {
+  if (!result || !['flag', 'warn'].includes(result.decision)) return {};
+  const status = result.decision === 'flag' ? 'flagged' : 'approved';
+  return {
+    isModerated: true,
+    moderatedAt: new Date(),
+    moderationReason: result.reasons.join(' '),
+    [contentType === 'review' ? 'moderationStatus' : 'moderationAction']: status
+  };
+};
+
+/**
+ * Shape of the moderation outcome returned to the author
+ * @param {Object} result
+ * @returns {Object|undefined}
+ */
+const toClientResult = (result) => {
+  if (!result || result.decision === 'allow') return undefined;
+  return { decision: result.decision, reasons: result.reasons };
+};
+
+module.exports = {
+  clearRuleCache,
+  evaluateContent,
+  screenContent,
+  recordViolation,
+  moderationFields,
+  toClientResult,
+  escalateOffender
+};
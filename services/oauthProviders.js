@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Sign-in providers (OAuth 2.0 authorization code flow with PKCE + OpenID Connect)
+ *
+ * Every provider is described by its OIDC issuer; endpoints and signing keys come from the
+ * issuer's discovery document, so adding one is configuration only:
+ *   google   GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET
+ *   generic  OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_PROVIDER_NAME (default 'oidc'),
+ *            e.g. another identity provider, or a local mock issuer in development
+ * A provider is enabled when its client id and secret are set.
+ *
+ * Interface:
+ *   name, label
+ *   getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri })
+ *   exchangeCode({ code, codeVerifier, redirectUri, nonce })
+ *                  Resolves to the verified identity:
+ *                  { subject, email, emailVerified, firstName, lastName, picture }
+ */
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+const providerError = (message, code = 'OAUTH_PROVIDER_ERROR', status = 502) => Object.assign(new Error(message), { code, status });
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = providerError(body.error_description || body.error || `Provider request failed (${response.status})`);
+    error.providerStatus = response.status;
+    throw error;
+  }
+  return body;
+};
+
+/**
+ * Build an OIDC provider
+ * @param {Object} config
+ * @param {string} config.name
+ * @param {string} config.label - Shown on the sign-in button
+ * @param {string} config.issuer
+ * @param {string[]} [config.acceptedIssuers] - `iss` values to accept (defaults to [issuer])
+ * @param {string} config.clientId
+ * @param {string} config.clientSecret
+ * @param {string} [config.scope]
+ * @returns {Object}
+ */
+const createOidcProvider = ({ name, label, issuer, acceptedIssuers, clientId, clientSecret, scope = 'openid email profile' }) => {
+  let discovery = null;
+  let discoveredAt = 0;
+  const keys = new Map();
+
+  const discover = async () => {
+    if (discovery && Date.now() - discoveredAt < DISCOVERY_TTL_MS) return discovery;
+    discovery = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    discoveredAt = Date.now();
+    keys.clear();
+    return discovery;
+  };
+
+  const getSigningKey = async (kid) => {
+    if (!keys.has(kid)) {
+      // Unknown key id: the provider may have rotated its keys
+      const { jwks_uri: jwksUri } = await discover();
+      const { keys: jwks = [] } = await fetchJson(jwksUri);
+      for (const jwk of jwks) {
+        if (jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+          keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+      }
+    }
+    const key = keys.get(kid);
+    if (!key) throw providerError('Unknown signing key in ID token', 'OAUTH_INVALID_TOKEN', 401);
+    return key;
+  };
+
+  const verifyIdToken = async (idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw providerError('Malformed ID token', 'OAUTH_INVALID_TOKEN', 401);
+    }
+    const key = await getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'ES256', 'PS256'],
+        issuer: acceptedIssuers || [issuer],
+        audience: clientId
+      });
+    } catch (error) {
+      throw providerError(`Invalid ID token: ${error.message}`, 'OAUTH_INVALID_TOKEN', 401);
+    }
+    if (claims.nonce !== nonce) {
+      throw providerError('ID token nonce mismatch', 'OAUTH_INVALID_TOKEN', 401);
+    }
+    return claims;
+  };
+
+  return {
+    name,
+    label,
+
+    getAuthorizationUrl: async ({ state, nonce, codeChallenge, redirectUri }) => {
+      const { authorization_endpoint: endpoint } = await discover();
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        prompt: 'select_account'
+      });
+      return `${endpoint}?${params.toString()}`;
+    },
+
+    exchangeCode: async ({ code, codeVerifier, redirectUri, nonce }) => {
+      const { token_endpoint: tokenEndpoint } = await discover();
+      const tokens = await fetchJson(tokenEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          client_secret: clientSecret,
+          code_verifier: codeVerifier
+        })
+      });
+      if (!tokens.id_token) {
+        throw providerError('Provider did not return an ID token');
+      }
+
+      const claims = await verifyIdToken(tokens.id_token, nonce);
+      const [nameFirst, ...nameRest] = String(claims.name || '').trim().split(/\s+/);
+      return {
+        subject: String(claims.sub),
+        email: claims.email ? String(claims.email).toLowerCase() : null,
+        // Some providers send the flag as a string
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        firstName: claims.given_name || nameFirst || null,
+        lastName: claims.family_name || nameRest.join(' ') || null,
+        picture: claims.picture || null
+      };
+    }
+  };
+};
+
+const buildProviders = () => {
+  const providers = {};
+
+  if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+    providers.google = createOidcProvider({
+      name: 'google',
+      label: 'Google',
+      issuer: 'https://accounts.google.com',
+      acceptedIssuers: ['https://accounts.google.com', 'accounts.google.com'],
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET
+    });
+  }
+
+  if (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_CLIENT_SECRET) {
+    const name = (process.env.OIDC_PROVIDER_NAME || 'oidc').toLowerCase();
+    providers[name] = createOidcProvider({
+      name,
+      label: process.env.OIDC_PROVIDER_LABEL || name,
+      issuer: process.env.OIDC_ISSUER,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      scope: process.env.OIDC_SCOPE || undefined
+    });
+  }
+
+  return providers;
+};
+
+let providers = null;
+
+/**
+ * Provider by name, or null when it isn't configured
+ * @param {string} name
+ * @returns {Object|null}
+ */
+const getProvider = (name) => {
+  if (!providers) providers = buildProviders();
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+};
+
+/**
+ * Configured providers, for the sign-in buttons
+ * @returns {Array<{ name: string, label: string }>}
+ */
+const listProviders = () => {
+  if (!providers) providers = buildProviders();
+  return Object.values(providers).map(({ name, label }) => ({ name, label }));
+};
+
+module.exports = {
+  createOidcProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { getProvider } = require('./oauthProviders');
+
+/**
+ * Provider sign-in and account linking
+ *
+ * 1. The frontend asks for an authorization URL (GET /api/auth/oauth/:provider/start, or
+ *    POST /api/auth/oauth/:provider/link when signed in) and redirects the browser there.
+ * 2. The provider redirects back to OAUTH_REDIRECT_URI on the frontend, which posts
+ *    { code, state } to POST /api/auth/oauth/callback.
+ * 3. Sign-in resolves the identity to a user: an account already linked to it; else an
+ *    account with the same email when both sides have verified it (it gets linked); else a
+ *    new account with the role the user picked. When the role or name is still missing the
+ *    callback returns a signup token for POST /api/auth/oauth/complete-signup instead.
+ * New accounts get isEmailVerified only when the provider asserts the email is verified.
+ */
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const SIGNUP_TOKEN_TTL = '15m';
+const SIGNUP_TOKEN_PURPOSE = 'oauth_signup';
+const SIGNUP_ROLES = ['landlord', 'client'];
+
+const oauthError = (message, code, status = 400) => Object.assign(new Error(message), { code, status });
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const hashState = (state) => crypto.createHash('sha256').update(String(state)).digest('hex');
+
+const getRedirectUri = () => {
+  if (process.env.OAUTH_REDIRECT_URI) return process.env.OAUTH_REDIRECT_URI;
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${frontendUrl}/auth/oauth/callback`;
+};
+
+const requireProvider = (name) => {
+  const provider = getProvider(String(name || '').toLowerCase());
+  if (!provider) {
+    throw oauthError('Sign-in provider is not available', 'OAUTH_PROVIDER_NOT_FOUND', 404);
+  }
+  return provider;
+};
+
+const identityFilter = (provider, subject) => ({ oauthAccounts: { $elemMatch: { provider, subject } } });
+
+// Save a user carrying a provider identity; losing a race for that identity against another
+// account trips the unique index on oauthAccounts
+const saveWithIdentity = async (user) => {
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000 && Object.keys(error.keyPattern || {}).some(key => key.startsWith('oauthAccounts.'))) {
+      throw oauthError('This account is already linked to another user', 'OAUTH_ACCOUNT_IN_USE', 409);
+    }
+    throw error;
+  }
+  return user;
+};
+
+/**
+ * Authorization URL for a provider
+ * @param {string} providerName
+ * @param {Object} params
+ * @param {string} params.intent - 'login' | 'link'
+ * @param {string} [params.role] - Role for a new account ('landlord' | 'client')
+ * @param {string} [params.userId] - Account to link (intent 'link')
+ * @returns {Promise<{ authorizationUrl: string }>}
+ */
+const startAuthorization = async (providerName, { intent, role, userId }) => {
+  const provider = requireProvider(providerName);
+  if (role && !SIGNUP_ROLES.includes(role)) {
+    throw oauthError('Invalid role. Must be landlord or client', 'INVALID_ROLE');
+  }
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const redirectUri = getRedirectUri();
+
+  await OAuthState.create({
+    stateHash: hashState(state),
+    provider: provider.name,
+    intent,
+    role: role || undefined,
+    user: userId,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  const authorizationUrl = await provider.getAuthorizationUrl({
+    state,
+    nonce,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    redirectUri
+  });
+  return { authorizationUrl };
+};
+
+/**
+ * Attach a provider identity to an account
+ * @param {string} userId
+ * @param {string} providerName
+ * @param {Object} identity - From provider.exchangeCode
+ * @returns {Promise<User>}
+ */
+const linkIdentity = async (userId, providerName, identity) => {
+  const owner = await User.findOne(identityFilter(providerName, identity.subject)).select('_id');
+  if (owner && !owner._id.equals(userId)) {
+    throw oauthError('This account is already linked to another user', 'OAUTH_ACCOUNT_IN_USE', 409);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) throw oauthError('User not found', 'USER_NOT_FOUND', 404);
+  if (owner) return user;
+
+  if ((user.oauthAccounts || []).some(account => account.provider === providerName)) {
+    throw oauthError('Unlink your current account for this provider first', 'OAUTH_PROVIDER_ALREADY_LINKED', 409);
+  }
+
+  user.oauthAccounts.push({ provider: providerName, subject: identity.subject, email: identity.email, linkedAt: new Date() });
+  return saveWithIdentity(user);
+};
+
+const createUserFromIdentity = async (providerName, identity, { role, firstName, lastName, phone }) => {
+  if (await User.exists({ email: identity.email })) {
+    throw oauthError('An account with this email already exists. Sign in with your password and link the provider from your profile.', 'OAUTH_ACCOUNT_EXISTS', 409);
+  }
+  const user = new User({
+    email: identity.email,
+    role,
+    firstName,
+    lastName,
+    phone,
+    isEmailVerified: identity.emailVerified,
+    profile: identity.picture ? { avatar: identity.picture } : undefined,
+    oauthAccounts: [{ provider: providerName, subject: identity.subject, email: identity.email, lastUsedAt: new Date() }]
+  });
+  return saveWithIdentity(user);
+};
+
+const createSignupToken = (providerName, identity, role) => jwt.sign(
+  { purpose: SIGNUP_TOKEN_PURPOSE, provider: providerName, identity, role },
+  process.env.JWT_SECRET,
+  { expiresIn: SIGNUP_TOKEN_TTL }
+);
+
+const resolveLogin = async (providerName, identity, role) => {
+  const linked = await User.findOneAndUpdate(
+    identityFilter(providerName, identity.subject),
+    { $set: { 'oauthAccounts.$.lastUsedAt': new Date() } },
+    { new: true }
+  );
+  if (linked) return { user: linked, created: false, linked: false };
+
+  if (!identity.email) {
+    throw oauthError('The provider did not share an email address', 'OAUTH_EMAIL_REQUIRED');
+  }
+
+  const existing = await User.findOne({ email: identity.email });
+  if (existing) {
+    // Only merge when both sides proved they own the address; otherwise whoever registered
+    // the email first (or the provider account) could take over the other
+    if (!identity.emailVerified || !existing.isEmailVerified) {
+      throw oauthError('An account with this email already exists. Sign in with your password and link the provider from your profile.', 'OAUTH_ACCOUNT_EXISTS', 409);
+    }
+    const user = await linkIdentity(existing._id, providerName, identity);
+    return { user, created: false, linked: true };
+  }
+
+  if (!role || !identity.firstName || !identity.lastName) {
+    return {
+      signupRequired: true,
+      signupToken: createSignupToken(providerName, identity, role),
+      missing: [!role && 'role', !identity.firstName && 'firstName', !identity.lastName && 'lastName'].filter(Boolean),
+      profile: { email: identity.email, firstName: identity.firstName, lastName: identity.lastName }
+    };
+  }
+
+  const user = await createUserFromIdentity(providerName, identity, {
+    role,
+    firstName: identity.firstName,
+    lastName: identity.lastName
+  });
+  return { user, created: true, linked: false };
+};
+
+/**
+ * Finish the provider redirect
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string} params.state
+ * @param {string} [params.userId] - Signed-in caller; a link only completes for the account that started it
+ * @returns {Promise<Object>} { intent, provider, user, created, linked } or, for a new account
+ *   that still needs details, { intent: 'login', provider, signupRequired, signupToken, missing, profile }
+ */
+const handleCallback = async ({ code, state, userId }) => {
+  if (!code || !state) {
+    throw oauthError('Authorization code and state are required', 'OAUTH_CALLBACK_INVALID');
+  }
+
+  // Single use: the state is deleted as it is read
+  const pending = await OAuthState.findOneAndDelete({ stateHash: hashState(state), expiresAt: { $gt: new Date() } });
+  if (!pending) {
+    throw oauthError('Sign-in request expired, please try again', 'OAUTH_STATE_INVALID');
+  }
+
+  // Checked before the code is redeemed, so a leaked callback URL can't link into someone else's account
+  if (pending.intent === 'link') {
+    if (!userId) {
+      throw oauthError('Sign in to link this account', 'OAUTH_LINK_AUTH_REQUIRED', 401);
+    }
+    if (String(userId) !== String(pending.user)) {
+      throw oauthError('This link was started from a different account', 'OAUTH_LINK_USER_MISMATCH', 403);
+    }
+  }
+
+  const provider = requireProvider(pending.provider);
+  const identity = await provider.exchangeCode({
+    code,
+    codeVerifier: pending.codeVerifier,
+    redirectUri: pending.redirectUri,
+    nonce: pending.nonce
+  });
+
+  if (pending.intent === 'link') {
+    const user = await linkIdentity(pending.user, provider.name, identity);
+    return { intent: 'link', provider: provider.name, user, created: false, linked: true };
+  }
+
+  return { intent: 'login', provider: provider.name, ...(await resolveLogin(provider.name, identity, pending.role)) };
+};
+
+/**
+ * Create the account for a signup token once the missing details are known
+ * @param {Object} params
+ * @param {string} params.signupToken
+ * @param {string} [params.role]
+ * @param {string} [params.firstName]
+ * @param {string} [params.lastName]
+ * @param {string} [params.phone]
+ * @returns {Promise<{ provider: string, user: User }>}
+ */
+const completeSignup = async ({ signupToken, role, firstName, lastName, phone }) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(signupToken || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    payload = null;
+  }
+  if (!payload || payload.purpose !== SIGNUP_TOKEN_PURPOSE) {
+    throw oauthError('Sign-up expired, please sign in with the provider again', 'OAUTH_SIGNUP_EXPIRED', 401);
+  }
+
+  const { provider, identity } = payload;
+  const chosenRole = role || payload.role;
+  if (!SIGNUP_ROLES.includes(chosenRole)) {
+    throw oauthError('Invalid role. Must be landlord or client', 'INVALID_ROLE');
+  }
+  const first = String(firstName || identity.firstName || '').trim();
+  const last = String(lastName || identity.lastName || '').trim();
+  if (!first || !last) {
+    throw oauthError('First and last name are required', 'NAME_REQUIRED');
+  }
+  if (await User.exists(identityFilter(provider, identity.subject))) {
+    throw oauthError('This account is already linked to another user', 'OAUTH_ACCOUNT_IN_USE', 409);
+  }
+
+  const user = await createUserFromIdentity(provider, identity, { role: chosenRole, firstName: first, lastName: last, phone });
+  return { provider, user };
+};
+
+/**
+ * Remove a linked provider. Refused when it is the account's only way to sign in.
+ * @param {string} userId
+ * @param {string} providerName
+ * @returns {Promise<User>}
+ */
+const unlinkProvider = async (userId, providerName) => {
+  const user = await User.findById(userId);
+  if (!user) throw oauthError('User not found', 'USER_NOT_FOUND', 404);
+
+  const accounts = user.oauthAccounts || [];
+  if (!accounts.some(account => account.provider === providerName)) {
+    throw oauthError('This provider is not linked to your account', 'OAUTH_PROVIDER_NOT_LINKED', 404);
+  }
+  if (!user.password && accounts.length === 1) {
+    throw oauthError('Set a password (use "Forgot password") before unlinking your only sign-in method', 'OAUTH_LAST_SIGN_IN_METHOD');
+  }
+
+  await User.updateOne({ _id: userId }, { $pull: { oauthAccounts: { provider: providerName } } });
+  user.oauthAccounts = accounts.filter(account => account.provider !== providerName);
+  return user;
+};
+
+module.exports = {
+  startAuthorization,
+  handleCallback,
+  completeSignup,
+  unlinkProvider
+};
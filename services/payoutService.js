@@ -2,7 +2,9 @@ const PayoutRequest = require('../models/PayoutRequest');
 const LandlordAccount = require('../models/LandlordAccount');
 const Payment = require('../models/Payment');
 const Application = require('../models/Application');
+const Booking = require('../models/Booking');
 const landlordAccountService = require('./landlordAccountService');
+const ledgerService = require('./ledgerService');
 
 /**
  * Create a payout request
@@ -26,9 +28,14 @@ const createPayoutRequest = async (landlordId, amount, paymentMethod, bankDetail
   // Find available payments that haven't been allocated
   const applications = await Application.find({ landlord: landlordId }).select('_id');
   const applicationIds = applications.map(app => app._id);
+  const bookings = await Booking.find({ landlord: landlordId }).select('_id');
+  const bookingIds = bookings.map(booking => booking._id);
   
   const availablePayments = await Payment.find({
-    application: { $in: applicationIds },
+    $or: [
+      { application: { $in: applicationIds } },
+      { booking: { $in: bookingIds } }
+    ],
     landlordAccount: account._id,
     status: 'completed',
     allocatedToPayout: false,
@@ -127,12 +134,9 @@ const processStripePayout = async (payoutRequestId) => {
     payoutRequest.status = 'completed';
     payoutRequest.completedAt = new Date();
     
-    // Update landlord account
-    const account = payoutRequest.landlordAccount;
-    account.totalPayouts += payoutRequest.amount;
-    account.availableBalance -= payoutRequest.amount;
-    account.lastPayoutAt = new Date();
-    await account.save();
+    // Update landlord account (via the ledger; keyed by payout, so it's only counted once)
+    await ledgerService.recordPayout(payoutRequest);
+    await LandlordAccount.updateOne({ _id: payoutRequest.landlordAccount._id }, { $set: { lastPayoutAt: new Date() } });
     
     await payoutRequest.save();
     
@@ -239,11 +243,8 @@ const updatePayoutStatus = async (payoutRequestId, status, adminId, notes = '',
     
     // Update landlord account if not already updated
     if (oldStatus !== 'completed') {
-      const account = payoutRequest.landlordAccount;
-      account.totalPayouts += payoutRequest.amount;
-      account.availableBalance -= payoutRequest.amount;
-      account.lastPayoutAt = new Date();
-      await account.save();
+      await ledgerService.recordPayout(payoutRequest, adminId);
+      await LandlordAccount.updateOne({ _id: payoutRequest.landlordAccount._id }, { $set: { lastPayoutAt: new Date() } });
     }
   } else if (status === 'failed') {
     payoutRequest.failureReason = reason;
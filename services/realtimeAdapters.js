@@ -0,0 +1,95 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Realtime pub/sub adapters
+ *
+ * Events are published to the adapter rather than straight to sockets so that, with more
+ * than one API instance, every instance hears every event and delivers it to the sockets it
+ * holds. Selected by REALTIME_ADAPTER (default 'memory'):
+ *
+ *   memory   In-process only; correct for a single instance
+ *   redis    Redis pub/sub on REDIS_URL, channel REALTIME_CHANNEL (default 'lna:realtime')
+ *
+ * Every adapter implements:
+ *   name
+ *   publish(envelope)      Resolves once the envelope has been handed off
+ *   subscribe(onEnvelope)  Calls onEnvelope for every envelope, from any instance
+ *   close()
+ */
+
+const createMemoryAdapter = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  return {
+    name: 'memory',
+    publish: async (envelope) => {
+      // Deliver asynchronously, like a real broker, so publishers never run socket code inline
+      setImmediate(() => emitter.emit('envelope', envelope));
+    },
+    subscribe: async (onEnvelope) => {
+      emitter.on('envelope', onEnvelope);
+    },
+    close: async () => {
+      emitter.removeAllListeners();
+    }
+  };
+};
+
+const createRedisAdapter = () => {
+  if (!process.env.REDIS_URL) {
+    throw new Error('REALTIME_ADAPTER=redis requires REDIS_URL');
+  }
+  // Only loaded when selected so single-instance deployments don't need Redis at all
+  const { createClient } = require('redis');
+  const channel = process.env.REALTIME_CHANNEL || 'lna:realtime';
+  const publisher = createClient({ url: process.env.REDIS_URL });
+  const subscriber = publisher.duplicate();
+  publisher.on('error', error => console.error('Realtime Redis publisher error:', error.message));
+  subscriber.on('error', error => console.error('Realtime Redis subscriber error:', error.message));
+  const ready = Promise.all([publisher.connect(), subscriber.connect()]);
+  // publish/subscribe still reject for their callers; this keeps the failure from going unhandled
+  ready.catch(error => console.error('Realtime Redis connection failed:', error.message));
+
+  return {
+    name: 'redis',
+    publish: async (envelope) => {
+      await ready;
+      await publisher.publish(channel, JSON.stringify(envelope));
+    },
+    subscribe: async (onEnvelope) => {
+      await ready;
+      await subscriber.subscribe(channel, (raw) => {
+        try {
+          onEnvelope(JSON.parse(raw));
+        } catch (error) {
+          console.error('Realtime Redis message error:', error.message);
+        }
+      });
+    },
+    close: async () => {
+      await Promise.allSettled([publisher.quit(), subscriber.quit()]);
+    }
+  };
+};
+
+const ADAPTERS = {
+  memory: createMemoryAdapter,
+  redis: createRedisAdapter
+};
+
+/**
+ * Create the configured adapter
+ * @returns {Object}
+ */
+const createAdapter = () => {
+  const name = process.env.REALTIME_ADAPTER || 'memory';
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown REALTIME_ADAPTER: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createAdapter
+};
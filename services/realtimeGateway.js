@@ -0,0 +1,274 @@
+const { URL } = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Session = require('../models/Session');
+const { authenticateToken } = require('../middleware/auth');
+const realtime = require('./realtimeService');
+
+/**
+ * WebSocket gateway
+ *
+ * Connect to ws(s)://<api host>/api/realtime with the same JWT used for the REST API, either
+ * as ?token=<jwt> (browsers can't set headers on WebSocket requests) or an Authorization header.
+ *
+ * Server -> client: { type: <event>, data }
+ *   message:new         New message in one of the user's conversations
+ *   message:read        Read receipt ({ applicationId, messageIds | all, readBy, readAt })
+ *   typing              { applicationId, userId, isTyping } from the other participant
+ *   notification:new    New notification for the user
+ *   session:revoked     { sessionIds }; the socket is closed (code 4001) if its own session is among them
+ *   subscribed / unsubscribed / pong / error
+ *
+ * Client -> server: { type, ... }
+ *   subscribe     { applicationId }            Join a conversation (participants and admins only)
+ *   unsubscribe   { applicationId }
+ *   typing        { applicationId, isTyping }  Only in a subscribed conversation
+ *   ping
+ *
+ * User-addressed events reach every socket of the user; conversation-scoped ones (typing) only
+ * reach sockets that subscribed. Sockets that stop answering pings are dropped.
+ *
+ * A socket lives no longer than the token it was opened with: it is closed with code 4002 once
+ * the token expires (reconnect with a refreshed one), and with 4001 when its session is revoked,
+ * which is also re-checked periodically in case the session:revoked event was missed.
+ */
+
+const REALTIME_PATH = '/api/realtime';
+const HEARTBEAT_MS = 30 * 1000;
+const SESSION_CHECK_MS = 60 * 1000;
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+const send = (socket, type, data) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, data }));
+  }
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+};
+
+const getUpgradeToken = (req, url) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return url.searchParams.get('token');
+};
+
+const canAccessConversation = async (user, applicationId) => {
+  if (!mongoose.Types.ObjectId.isValid(applicationId)) return false;
+  if (user.role === 'admin') {
+    return Boolean(await Application.exists({ _id: applicationId }));
+  }
+  return Boolean(await Application.exists({
+    _id: applicationId,
+    $or: [{ client: user._id }, { landlord: user._id }]
+  }));
+};
+
+/**
+ * Attach the gateway to the HTTP server
+ * @param {http.Server} server
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedOrigins] - Browser origins allowed to connect (same list as CORS)
+ * @returns {{ wss: WebSocketServer, close: Function }}
+ */
+const attachRealtime = (server, { allowedOrigins = [] } = {}) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+  // target -> Set<socket>
+  const targets = new Map();
+
+  const addTarget = (target, socket) => {
+    if (!targets.has(target)) targets.set(target, new Set());
+    targets.get(target).add(socket);
+    socket.targets.add(target);
+  };
+
+  const removeTarget = (target, socket) => {
+    const sockets = targets.get(target);
+    if (sockets) {
+      sockets.delete(socket);
+      if (sockets.size === 0) targets.delete(target);
+    }
+    socket.targets.delete(target);
+  };
+
+  const deliver = ({ targets: envelopeTargets = [], event, data, excludeUserId }) => {
+    const recipients = new Set();
+    for (const target of envelopeTargets) {
+      for (const socket of targets.get(target) || []) {
+        if (excludeUserId && socket.userId === excludeUserId) continue;
+        recipients.add(socket);
+      }
+    }
+    for (const socket of recipients) {
+      send(socket, event, data);
+      // Signed-out sessions lose their sockets too
+      if (event === 'session:revoked' && data?.sessionIds?.includes(socket.sessionId)) {
+        socket.close(4001, 'Session revoked');
+      }
+    }
+  };
+
+  realtime.subscribe(deliver)
+    .then(subscribed => {
+      if (!subscribed) console.warn('⚠️  Realtime adapter not available; WebSocket clients will not receive events');
+    })
+    .catch(error => console.error('Realtime subscribe error:', error));
+
+  const handleClientMessage = async (socket, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString('utf8'));
+    } catch (parseError) {
+      return send(socket, 'error', { message: 'Invalid JSON' });
+    }
+
+    const applicationId = message.applicationId ? String(message.applicationId) : null;
+    const target = applicationId ? realtime.conversationTarget(applicationId) : null;
+
+    switch (message.type) {
+      case 'ping':
+        return send(socket, 'pong', { at: new Date().toISOString() });
+
+      case 'subscribe':
+        if (!applicationId) return send(socket, 'error', { message: 'applicationId is required' });
+        if (socket.targets.has(target)) return send(socket, 'subscribed', { applicationId });
+        if (socket.targets.size > MAX_SUBSCRIPTIONS) {
+          return send(socket, 'error', { message: 'Too many subscriptions' });
+        }
+        if (!(await canAccessConversation(socket.user, applicationId))) {
+          return send(socket, 'error', { message: 'Not authorized for this conversation', applicationId });
+        }
+        addTarget(target, socket);
+        return send(socket, 'subscribed', { applicationId });
+
+      case 'unsubscribe':
+        if (target) removeTarget(target, socket);
+        return send(socket, 'unsubscribed', { applicationId });
+
+      case 'typing':
+        if (!target || !socket.targets.has(target)) {
+          return send(socket, 'error', { message: 'Subscribe to the conversation first', applicationId });
+        }
+        return realtime.publish({
+          targets: [target],
+          event: 'typing',
+          data: { applicationId, userId: socket.userId, isTyping: message.isTyping !== false },
+          excludeUserId: socket.userId
+        });
+
+      default:
+        return send(socket, 'error', { message: `Unknown message type: ${message.type}` });
+    }
+  };
+
+  wss.on('connection', (socket, req, { user, sessionId, tokenExpiresAt }) => {
+    socket.user = user;
+    socket.sessionId = sessionId;
+    socket.tokenExpiresAt = tokenExpiresAt;
+    socket.userId = user._id.toString();
+    socket.targets = new Set();
+    socket.isAlive = true;
+    addTarget(realtime.userTarget(socket.userId), socket);
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', raw => {
+      handleClientMessage(socket, raw).catch(error => {
+        console.error('Realtime message error:', error);
+        send(socket, 'error', { message: 'Server error' });
+      });
+    });
+    socket.on('close', () => {
+      for (const target of [...socket.targets]) removeTarget(target, socket);
+    });
+    socket.on('error', error => console.error('Realtime socket error:', error.message));
+  });
+
+  server.on('upgrade', async (req, socket, head) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (urlError) {
+      return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+    if (url.pathname !== REALTIME_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const origin = req.headers.origin;
+    if (origin && allowedOrigins.length && !allowedOrigins.includes(origin)) {
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    const token = getUpgradeToken(req, url);
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    let auth;
+    try {
+      auth = await authenticateToken(token, { ipAddress: req.socket.remoteAddress });
+    } catch (error) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      wss.emit('connection', ws, req, auth);
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    const now = Date.now();
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      if (socket.tokenExpiresAt && socket.tokenExpiresAt.getTime() <= now) {
+        socket.close(4002, 'Token expired');
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  // Catch revocations whose session:revoked event never arrived (e.g. the adapter was down)
+  const closeRevokedSockets = async () => {
+    const sockets = [...wss.clients].filter(socket => socket.sessionId);
+    if (!sockets.length) return;
+    const active = new Set((await Session.distinct('_id', {
+      _id: { $in: [...new Set(sockets.map(socket => socket.sessionId))] },
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })).map(String));
+    for (const socket of sockets) {
+      if (!active.has(socket.sessionId)) socket.close(4001, 'Session revoked');
+    }
+  };
+  const sessionCheck = setInterval(() => {
+    closeRevokedSockets().catch(error => console.error('Realtime session check error:', error.message));
+  }, SESSION_CHECK_MS);
+  sessionCheck.unref();
+
+  const close = async () => {
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    for (const socket of wss.clients) socket.close(1001, 'Server shutting down');
+    await new Promise(resolve => wss.close(resolve));
+    await realtime.close();
+  };
+
+  return { wss, close };
+};
+
+module.exports = {
+  REALTIME_PATH,
+  attachRealtime
+};
@@ -0,0 +1,81 @@
+const { createAdapter } = require('./realtimeAdapters');
+
+/**
+ * Realtime event publishing
+ *
+ * Producers (model hooks, routes) call publish(); the WebSocket gateway subscribes and pushes
+ * each event to the sockets it matches. An event is addressed to one or more targets:
+ *   user:<userId>                  every socket of that user
+ *   conversation:<applicationId>   sockets that subscribed to that application's conversation
+ * A socket matching several targets still receives the event once.
+ */
+
+let adapter;
+
+const getAdapter = () => {
+  if (adapter === undefined) {
+    try {
+      adapter = createAdapter();
+    } catch (error) {
+      console.error('Realtime adapter unavailable:', error.message);
+      adapter = null;
+    }
+  }
+  return adapter;
+};
+
+const userTarget = (userId) => `user:${userId}`;
+const conversationTarget = (applicationId) => `conversation:${applicationId}`;
+
+/**
+ * Publish an event to connected clients. Never throws; realtime delivery is best-effort and
+ * clients re-sync over REST when they reconnect.
+ * @param {Object} params
+ * @param {string[]} params.targets - user:<id> / conversation:<id>
+ * @param {string} params.event - e.g. 'message:new'
+ * @param {Object} params.data - JSON-serialisable payload
+ * @param {string} [params.excludeUserId] - Don't deliver to this user's sockets (e.g. typing sender)
+ * @returns {Promise<void>}
+ */
+const publish = async ({ targets, event, data, excludeUserId }) => {
+  const activeAdapter = getAdapter();
+  if (!activeAdapter || !targets?.length) return;
+  try {
+    await activeAdapter.publish({
+      targets: [...new Set(targets.map(String))],
+      event,
+      data,
+      excludeUserId: excludeUserId ? String(excludeUserId) : undefined
+    });
+  } catch (error) {
+    console.error(`Realtime publish of ${event} failed:`, error.message);
+  }
+};
+
+/**
+ * Receive every published event (used by the WebSocket gateway)
+ * @param {Function} onEnvelope - ({ targets, event, data, excludeUserId }) => void
+ * @returns {Promise<boolean>} false when no adapter is available
+ */
+const subscribe = async (onEnvelope) => {
+  const activeAdapter = getAdapter();
+  if (!activeAdapter) return false;
+  await activeAdapter.subscribe(onEnvelope);
+  return true;
+};
+
+/**
+ * Close the adapter (graceful shutdown)
+ */
+const close = async () => {
+  if (adapter) await adapter.close();
+  adapter = undefined;
+};
+
+module.exports = {
+  userTarget,
+  conversationTarget,
+  publish,
+  subscribe,
+  close
+};
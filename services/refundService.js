@@ -0,0 +1,327 @@
+const Payment = require('../models/Payment');
+const { createAuditLog } = require('../utils/auditLogger');
+const { notifyAdmins } = require('../utils/notifications');
+const { notifyPaymentParties, getPaymentLandlordId } = require('./escrowService');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Refunds and chargebacks
+ *
+ * Refunds are recorded against the cumulative refunded total, the same figure Stripe
+ * reports as charge.amount_refunded. The admin refund route and the charge.refunded
+ * webhook both move refundAmount forward with a conditional update, so whichever
+ * arrives second is a no-op. If escrow was already released, the landlord's share of
+ * the refunded amount is reversed through the ledger.
+ */
+
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+const MAX_APPLY_ATTEMPTS = 3;
+
+const refundError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const getRefundableAmount = (payment) => round2(payment.amount - (payment.refundAmount || 0));
+
+/**
+ * Find the payment a Stripe charge/dispute belongs to
+ * @param {Object} params - { paymentIntentId, chargeId }
+ * @returns {Promise<Payment|null>}
+ */
+const findPaymentForCharge = async ({ paymentIntentId, chargeId }) => {
+  if (paymentIntentId) {
+    const payment = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
+    if (payment) return payment;
+  }
+  if (chargeId) {
+    return Payment.findOne({ stripeChargeId: chargeId });
+  }
+  return null;
+};
+
+/**
+ * Move a payment's refunded total forward to newTotal, reversing the landlord's share
+ * when escrow was already released. Notifies both parties and writes an audit entry.
+ * @param {Object} payment - Payment document as last read
+ * @param {Object} params
+ * @param {number} params.newTotal - Cumulative refunded amount after this refund
+ * @param {string} [params.reason]
+ * @param {string} params.source - 'admin' or 'stripe'
+ * @param {string} [params.stripeRefundId]
+ * @param {string} [params.refundedBy] - Admin user ID
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<Payment|null>} Updated payment, or null if the total had already moved
+ */
+const applyRefund = async (payment, { newTotal, reason, source, stripeRefundId, refundedBy, ipAddress = null, userAgent = null }) => {
+  const previous = payment.refundAmount || 0;
+  const total = Math.min(payment.amount, round2(newTotal));
+  const delta = round2(total - previous);
+  if (delta <= 0) return null;
+
+  const fullyRefunded = total >= payment.amount;
+  const now = new Date();
+
+  // Landlord was already credited: take back their share of the refunded amount
+  const reversal = await ledgerService.getRefundReversal(payment, delta);
+
+  const set = {
+    refundAmount: total,
+    refundReason: reason || payment.refundReason,
+    refundedAt: now
+  };
+  if (fullyRefunded) {
+    set.status = 'refunded';
+    if (payment.isEscrow) set.escrowStatus = 'refunded';
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      refundAmount: previous ? previous : { $in: [null, 0] }
+    },
+    {
+      $set: set,
+      $push: {
+        refunds: {
+          amount: delta,
+          reason,
+          stripeRefundId,
+          source,
+          refundedBy,
+          landlordReversal: reversal ? reversal.net : 0,
+          createdAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  // After release the landlord's share comes back out of their balance; it may go
+  // negative if they've already been paid out, and future earnings make it up
+  const landlordId = reversal ? (reversal.landlordId || await getPaymentLandlordId(payment)) : null;
+  await ledgerService.recordRefund({
+    payment,
+    amount: delta,
+    totalRefunded: total,
+    landlordId,
+    reversal,
+    createdBy: refundedBy
+  });
+
+  await createAuditLog({
+    action: 'payment_refunded',
+    entityType: 'Payment',
+    entityId: payment._id,
+    userId: refundedBy || payment.user,
+    details: {
+      paymentId: payment._id.toString(),
+      amount: delta,
+      totalRefunded: total,
+      fullyRefunded,
+      currency: payment.currency,
+      reason,
+      source,
+      stripeRefundId,
+      landlordReversal: reversal
+    },
+    ipAddress,
+    userAgent
+  });
+
+  const amountText = `${payment.currency || 'NGN'} ${delta.toLocaleString()}`;
+  await notifyPaymentParties(updated, {
+    type: 'payment_refunded',
+    title: fullyRefunded ? 'Payment Refunded' : 'Payment Partially Refunded',
+    message: `${amountText} of your payment ${payment._id} has been refunded${reason ? `: ${reason}` : ''}. Refunds usually reach your card within 5-10 business days.`,
+    landlordMessage: reversal
+      ? `${amountText} of payment ${payment._id} was refunded to the tenant. ${payment.currency || 'NGN'} ${reversal.net.toLocaleString()} has been deducted from your balance.`
+      : `${amountText} of payment ${payment._id} was refunded to the tenant before release from escrow.`
+  });
+
+  return updated;
+};
+
+/**
+ * Refund a payment through Stripe (admin action). Omit amount for a full refund.
+ * @param {string} paymentId - Payment ID
+ * @param {Object} params
+ * @param {number} [params.amount] - Amount to refund (defaults to everything not yet refunded)
+ * @param {string} params.reason - Why the payment is being refunded
+ * @param {string} [params.stripeReason] - duplicate | fraudulent | requested_by_customer
+ * @param {string} params.refundedBy - Admin user ID
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<Object>} { payment, refund, amount }
+ * @throws {Error} with code/status when the refund can't be issued
+ */
+const refundPayment = async (paymentId, { amount, reason, stripeReason = 'requested_by_customer', refundedBy, ipAddress = null, userAgent = null }) => {
+  if (!STRIPE_REFUND_REASONS.includes(stripeReason)) {
+    throw refundError('INVALID_REFUND_REASON', `stripeReason must be one of: ${STRIPE_REFUND_REASONS.join(', ')}`);
+  }
+
+  let payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw refundError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+  }
+  if (payment.status !== 'completed') {
+    throw refundError('PAYMENT_NOT_REFUNDABLE', `Cannot refund a payment with status: ${payment.status}`);
+  }
+
+  const refundable = getRefundableAmount(payment);
+  const refundAmount = amount === undefined || amount === null ? refundable : round2(Number(amount));
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw refundError('INVALID_REFUND_AMOUNT', `Refund amount must be greater than 0 and at most ${refundable}`);
+  }
+
+  const stripeReference = payment.stripeChargeId || payment.stripePaymentIntentId;
+  if (!stripeReference) {
+    throw refundError('NO_STRIPE_REFERENCE', 'Payment has no Stripe charge to refund');
+  }
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw refundError('STRIPE_NOT_CONFIGURED', 'Payment processing is currently unavailable', 503);
+  }
+
+  const previous = payment.refundAmount || 0;
+  const { createRefund } = require('../utils/stripe');
+  const result = await createRefund(stripeReference, refundAmount, stripeReason, {
+    metadata: { paymentId: payment._id.toString(), refundedBy: String(refundedBy), reason },
+    // Same payment state + amount = same Stripe refund, so a double submit can't refund twice
+    idempotencyKey: `refund-${payment._id}-${previous}-${refundAmount}`
+  });
+  if (!result.success) {
+    throw refundError('STRIPE_REFUND_FAILED', `Stripe refund failed: ${result.error}`, 502);
+  }
+
+  // The charge.refunded webhook may record this refund first; either way it's applied once
+  const newTotal = round2(previous + refundAmount);
+  for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS; attempt += 1) {
+    const updated = await applyRefund(payment, {
+      newTotal,
+      reason,
+      source: 'admin',
+      stripeRefundId: result.refund.id,
+      refundedBy,
+      ipAddress,
+      userAgent
+    });
+    if (updated) {
+      payment = updated;
+      break;
+    }
+    payment = await Payment.findById(payment._id);
+    if ((payment.refundAmount || 0) >= newTotal) break;
+  }
+
+  return { payment, refund: result.refund, amount: refundAmount };
+};
+
+/**
+ * Record a refund reported by Stripe (charge.refunded), including ones issued from the dashboard
+ * @param {Object} charge - Stripe charge object
+ * @returns {Promise<Payment|null>}
+ */
+const recordStripeRefund = async (charge) => {
+  let payment = await findPaymentForCharge({ paymentIntentId: charge.payment_intent, chargeId: charge.id });
+  if (!payment) {
+    console.warn(`charge.refunded for unknown charge ${charge.id}`);
+    return null;
+  }
+  if (!payment.stripeChargeId) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { stripeChargeId: charge.id } });
+  }
+
+  const newTotal = (charge.amount_refunded || 0) / 100; // Stripe uses cents
+  const latestRefund = charge.refunds?.data?.[0];
+  for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS; attempt += 1) {
+    if ((payment.refundAmount || 0) >= newTotal) return payment;
+    const updated = await applyRefund(payment, {
+      newTotal,
+      reason: latestRefund?.metadata?.reason || latestRefund?.reason || 'Refunded in Stripe',
+      source: 'stripe',
+      stripeRefundId: latestRefund?.id
+    });
+    if (updated) return updated;
+    payment = await Payment.findById(payment._id);
+  }
+  return payment;
+};
+
+/**
+ * Record a chargeback (charge.dispute.created): flag the payment, freeze escrow auto-release
+ * and alert admins and both parties. Idempotent per Stripe dispute ID.
+ * @param {Object} dispute - Stripe dispute object
+ * @returns {Promise<Payment|null>}
+ */
+const recordStripeDispute = async (dispute) => {
+  const existing = await findPaymentForCharge({ paymentIntentId: dispute.payment_intent, chargeId: dispute.charge });
+  if (!existing) {
+    console.warn(`charge.dispute.created for unknown charge ${dispute.charge}`);
+    return null;
+  }
+
+  const set = {
+    stripeDisputeId: dispute.id,
+    disputeStatus: dispute.status,
+    disputeReason: dispute.reason,
+    disputeAmount: (dispute.amount || 0) / 100,
+    disputedAt: new Date()
+  };
+  if (existing.escrowStatus === 'held') {
+    set.escrowAutoReleasePaused = true;
+    set.escrowPausedAt = new Date();
+    set.escrowPauseReason = `Stripe dispute ${dispute.id} (${dispute.reason})`;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, stripeDisputeId: { $ne: dispute.id } },
+    { $set: set },
+    { new: true }
+  );
+  if (!payment) return existing;
+
+  await createAuditLog({
+    action: 'payment_disputed',
+    entityType: 'Payment',
+    entityId: payment._id,
+    userId: payment.user,
+    details: {
+      paymentId: payment._id.toString(),
+      stripeDisputeId: dispute.id,
+      reason: dispute.reason,
+      amount: set.disputeAmount,
+      escrowStatus: payment.escrowStatus
+    }
+  });
+
+  const amountText = `${payment.currency || 'NGN'} ${set.disputeAmount.toLocaleString()}`;
+  await notifyAdmins(
+    'Payment Disputed',
+    `A chargeback of ${amountText} (${dispute.reason}) was opened on payment ${payment._id}. ` +
+      (payment.escrowStatus === 'held'
+        ? 'Escrow auto-release has been paused.'
+        : 'Escrow was already released; the landlord balance may need to be adjusted.'),
+    'urgent',
+    '/dashboard/admin/payments',
+    { source: 'stripe_dispute' }
+  );
+  await notifyPaymentParties(payment, {
+    type: 'payment_disputed',
+    title: 'Payment Disputed',
+    message: `A dispute of ${amountText} was opened with your card issuer on payment ${payment._id}. Our team will review it.`,
+    landlordMessage: payment.escrowStatus === 'held'
+      ? `The tenant's card issuer opened a dispute of ${amountText} on payment ${payment._id}. Release of this payment is on hold while it is reviewed.`
+      : `The tenant's card issuer opened a dispute of ${amountText} on payment ${payment._id}. Our team will contact you if your balance is affected.`
+  });
+
+  return payment;
+};
+
+module.exports = {
+  STRIPE_REFUND_REASONS,
+  getRefundableAmount,
+  refundPayment,
+  recordStripeRefund,
+  recordStripeDispute
+};
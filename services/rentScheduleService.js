@@ -0,0 +1,349 @@
+const RentSchedule = require('../models/RentSchedule');
+const Invoice = require('../models/Invoice');
+const Application = require('../models/Application');
+const Payment = require('../models/Payment');
+const { createNotification } = require('../utils/notifications');
+
+/**
+ * Recurring rent schedules and invoices
+ *
+ * A RentSchedule tracks the next unpaid period of an approved tenancy. It is created on
+ * approval from the agreed lease terms (or from the first rent payment for older tenancies).
+ * Invoices are issued RENT_INVOICE_LEAD_DAYS before a period starts and fall due on its first day.
+ * Rent payments (via the Stripe webhook) mark the matching invoice paid and move the
+ * schedule forward, so paying early or without an invoice never double-bills.
+ */
+
+const RENT_INVOICE_LEAD_DAYS = 14;
+const TENANCY_STATUSES = ['approved', 'accepted'];
+const BATCH_SIZE = 500;
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() + months);
+  return d;
+};
+
+// Same convention as computeRentPeriod: the period ends the day before the next one starts
+const periodEndFor = (periodStart, months) => addDays(addMonths(periodStart, months), -1);
+
+/**
+ * Lease length in months for a tenancy (application preferences, then property lease terms)
+ * @param {Object} application - Application, optionally with property populated
+ * @returns {number}
+ */
+const leaseMonthsFor = (application) => {
+  const candidates = [
+    application.preferences?.leaseLength,
+    application.preferences?.leaseDuration,
+    application.property?.leaseTerms?.minLease,
+    application.property?.leaseTerms?.maxLease
+  ];
+  const months = candidates.find(v => v != null && Number(v) > 0);
+  return months != null ? Math.round(Number(months)) : 12;
+};
+
+const invoicePaymentUrl = (invoiceId) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/dashboard/client/invoices/${invoiceId}/pay`;
+};
+
+const buildInvoiceNumber = (applicationId, periodStart) => {
+  const d = new Date(periodStart);
+  const stamp = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+  return `INV-${stamp}-${applicationId.toString().slice(-8).toUpperCase()}`;
+};
+
+/**
+ * Create the schedule for a tenancy, or move it past a paid period
+ * @param {Object} application - Application document (property populated for lease terms)
+ * @param {Object} payment - Completed rent Payment with rentPeriodEnd
+ * @returns {Promise<RentSchedule|null>}
+ */
+const upsertScheduleFromPayment = async (application, payment) => {
+  if (!payment.rentPeriodEnd) return null;
+
+  return RentSchedule.findOneAndUpdate(
+    { application: application._id },
+    {
+      $setOnInsert: {
+        property: application.property?._id || application.property,
+        tenant: application.client?._id || application.client,
+        landlord: application.landlord?._id || application.landlord,
+        amount: payment.amount,
+        currency: payment.currency || 'NGN',
+        periodMonths: leaseMonthsFor(application),
+        status: 'active'
+      },
+      // Never move backwards if an older payment is processed late
+      $max: { nextPeriodStart: addDays(payment.rentPeriodEnd, 1) }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Create the schedule for an approved tenancy from its agreed terms, so the first invoice
+ * goes out before the lease starts. Lease terms win over the application decision; the
+ * monthly rent falls back to the listing price. An existing schedule is left alone.
+ * @param {Object} application - Application with decision (property populated with leaseTerms, price, currency)
+ * @param {Object} [terms] - Lease terms { leaseStartDate, monthlyRent, currency }
+ * @returns {Promise<RentSchedule|null>} Schedule, or null when the start date or rent is not set yet
+ */
+const upsertScheduleFromTerms = async (application, terms) => {
+  const decision = application.decision || {};
+  const startDate = terms?.leaseStartDate || decision.leaseStartDate;
+  const monthlyRent = terms?.monthlyRent ?? decision.monthlyRent ?? application.property?.price;
+  if (!startDate || monthlyRent == null) return null;
+
+  const periodMonths = leaseMonthsFor(application);
+  return RentSchedule.findOneAndUpdate(
+    { application: application._id },
+    {
+      $setOnInsert: {
+        property: application.property?._id || application.property,
+        tenant: application.client?._id || application.client,
+        landlord: application.landlord?._id || application.landlord,
+        // Each invoice covers a whole period
+        amount: Math.round(monthlyRent * periodMonths * 100) / 100,
+        currency: terms?.currency || application.property?.currency || 'NGN',
+        periodMonths,
+        nextPeriodStart: new Date(startDate),
+        status: 'active'
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Create the schedule when an application is approved
+ * @param {String} applicationId - Application ID
+ * @param {Object} [terms] - Terms of the lease generated on approval, if any
+ * @returns {Promise<RentSchedule|null>}
+ */
+const scheduleApprovedTenancy = async (applicationId, terms) => {
+  const application = await Application.findById(applicationId)
+    .select('status property client landlord preferences decision')
+    .populate('property', 'leaseTerms price currency');
+  if (!application || !TENANCY_STATUSES.includes(application.status)) return null;
+  return upsertScheduleFromTerms(application, terms);
+};
+
+/**
+ * Record a completed rent payment against the tenancy's invoices and schedule.
+ * Marks the given invoice (or the oldest open one for the application) paid. Idempotent.
+ * @param {Object} params
+ * @param {Object} params.payment - Completed rent Payment
+ * @param {Object} params.application - Application document
+ * @param {String} [params.invoiceId] - Invoice the checkout was opened for
+ * @returns {Promise<{ invoice: Invoice|null, schedule: RentSchedule|null }>}
+ */
+const recordRentPayment = async ({ payment, application, invoiceId }) => {
+  const filter = invoiceId
+    ? { _id: invoiceId, application: application._id }
+    : { application: application._id };
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { ...filter, status: { $in: Invoice.OPEN_STATUSES } },
+    { $set: { status: 'paid', paidAt: new Date(), payment: payment._id } },
+    { new: true, sort: { periodStart: 1 } }
+  );
+
+  const schedule = await upsertScheduleFromPayment(application, payment);
+  return { invoice, schedule };
+};
+
+/**
+ * Find the open invoice a checkout is being opened for
+ * @param {String} invoiceId - Invoice ID
+ * @param {String} applicationId - Application the payment is for
+ * @returns {Promise<Invoice|null>}
+ */
+const getPayableInvoice = (invoiceId, applicationId) => {
+  return Invoice.findOne({
+    _id: invoiceId,
+    application: applicationId,
+    status: { $in: Invoice.OPEN_STATUSES }
+  });
+};
+
+/**
+ * Create schedules for approved tenancies that predate the schedule subsystem: from the latest
+ * rent payment, or from the agreed terms when the lease has yet to start. Each tenancy is checked
+ * once; one that has already started without paying gets its schedule from its first payment
+ * (recordRentPayment) rather than billing the months already gone.
+ * @returns {Promise<number>} Schedules created
+ */
+const syncRentSchedules = async () => {
+  const scheduled = await RentSchedule.distinct('application');
+  const applications = await Application.find({
+    status: { $in: TENANCY_STATUSES },
+    _id: { $nin: scheduled },
+    rentScheduleCheckedAt: { $exists: false }
+  })
+    .select('property client landlord preferences decision')
+    .populate('property', 'leaseTerms price currency')
+    .sort({ _id: 1 })
+    .limit(BATCH_SIZE);
+
+  let created = 0;
+  for (const application of applications) {
+    const lastRent = await Payment.findOne({
+      application: application._id,
+      type: 'rent',
+      status: 'completed',
+      rentPeriodEnd: { $exists: true, $ne: null }
+    })
+      .sort({ rentPeriodEnd: -1 })
+      .select('amount currency rentPeriodEnd');
+
+    if (lastRent) {
+      await upsertScheduleFromPayment(application, lastRent);
+      created += 1;
+    } else if (application.decision?.leaseStartDate && new Date(application.decision.leaseStartDate) >= new Date()) {
+      if (await upsertScheduleFromTerms(application)) created += 1;
+    }
+    // Checked either way, so unpaid tenancies don't take up the batch on every run
+    await Application.updateOne({ _id: application._id }, { $set: { rentScheduleCheckedAt: new Date() } });
+  }
+  return created;
+};
+
+/**
+ * Issue invoices for schedules whose next period starts within the lead window.
+ * The invoice is upserted on { application, periodStart } before the schedule is advanced,
+ * so overlapping runs or a crash in between never create duplicates.
+ * @returns {Promise<{ issued: number, ended: number }>}
+ */
+const generateRentInvoices = async () => {
+  const stats = { issued: 0, ended: 0 };
+  const horizon = addDays(new Date(), RENT_INVOICE_LEAD_DAYS);
+
+  const schedules = await RentSchedule.find({ status: 'active', nextPeriodStart: { $lte: horizon } })
+    .sort({ nextPeriodStart: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const schedule of schedules) {
+    const application = await Application.findById(schedule.application).select('status');
+    if (!application || !TENANCY_STATUSES.includes(application.status)) {
+      await RentSchedule.updateOne(
+        { _id: schedule._id, status: 'active' },
+        { $set: { status: 'ended', endedAt: new Date() } }
+      );
+      stats.ended += 1;
+      continue;
+    }
+
+    const periodStart = schedule.nextPeriodStart;
+    const periodEnd = periodEndFor(periodStart, schedule.periodMonths);
+
+    const result = await Invoice.findOneAndUpdate(
+      { application: schedule.application, periodStart },
+      {
+        $setOnInsert: {
+          invoiceNumber: buildInvoiceNumber(schedule.application, periodStart),
+          rentSchedule: schedule._id,
+          property: schedule.property,
+          tenant: schedule.tenant,
+          landlord: schedule.landlord,
+          periodEnd,
+          amount: schedule.amount,
+          currency: schedule.currency,
+          dueDate: periodStart,
+          status: 'due'
+        }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    await RentSchedule.updateOne(
+      { _id: schedule._id, nextPeriodStart: periodStart },
+      { $set: { nextPeriodStart: addDays(periodEnd, 1), lastInvoicedAt: new Date() } }
+    );
+
+    const invoice = result.value;
+    if (!result.lastErrorObject?.updatedExisting) {
+      stats.issued += 1;
+      await createNotification({
+        userId: invoice.tenant,
+        type: 'rent_invoice_due',
+        title: 'Rent Invoice Issued',
+        message: `Your rent of ${invoice.currency} ${invoice.amount.toLocaleString()} for ${periodStart.toDateString()} to ${periodEnd.toDateString()} is due on ${invoice.dueDate.toDateString()}.`,
+        priority: 'high',
+        relatedEntity: { type: 'invoice', id: invoice._id },
+        actionUrl: invoicePaymentUrl(invoice._id)
+      });
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Flag unpaid invoices past their due date and notify tenant and landlord once
+ * @returns {Promise<number>} Invoices marked overdue
+ */
+const markOverdueInvoices = async () => {
+  let marked = 0;
+  for (let i = 0; i < BATCH_SIZE; i += 1) {
+    const invoice = await Invoice.findOneAndUpdate(
+      { status: 'due', dueDate: { $lt: new Date() } },
+      { $set: { status: 'overdue', overdueNotifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!invoice) break;
+    marked += 1;
+
+    const amount = `${invoice.currency} ${invoice.amount.toLocaleString()}`;
+    await createNotification({
+      userId: invoice.tenant,
+      type: 'rent_invoice_overdue',
+      title: 'Rent Overdue',
+      message: `Invoice ${invoice.invoiceNumber} for ${amount} was due on ${invoice.dueDate.toDateString()}. Please pay as soon as possible.`,
+      priority: 'urgent',
+      relatedEntity: { type: 'invoice', id: invoice._id },
+      actionUrl: invoicePaymentUrl(invoice._id)
+    });
+    await createNotification({
+      userId: invoice.landlord,
+      type: 'rent_invoice_overdue',
+      title: 'Tenant Rent Overdue',
+      message: `Invoice ${invoice.invoiceNumber} for ${amount} is overdue (due ${invoice.dueDate.toDateString()}).`,
+      priority: 'high',
+      relatedEntity: { type: 'invoice', id: invoice._id },
+      actionUrl: '/dashboard/landlord/rent'
+    });
+  }
+  return marked;
+};
+
+/**
+ * Background job: backfill schedules, issue upcoming invoices, flag overdue ones
+ * @returns {Promise<Object>} Run statistics
+ */
+const processRentSchedules = async () => {
+  const schedulesCreated = await syncRentSchedules();
+  const { issued, ended } = await generateRentInvoices();
+  const overdue = await markOverdueInvoices();
+  return { schedulesCreated, issued, ended, overdue };
+};
+
+module.exports = {
+  RENT_INVOICE_LEAD_DAYS,
+  periodEndFor,
+  invoicePaymentUrl,
+  recordRentPayment,
+  scheduleApprovedTenancy,
+  getPayableInvoice,
+  syncRentSchedules,
+  generateRentInvoices,
+  markOverdueInvoices,
+  processRentSchedules
+};
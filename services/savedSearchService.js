@@ -0,0 +1,337 @@
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { createNotification } = require('../utils/notifications');
+const { sendEmailNotification, checkNotificationPreference } = require('../utils/emailNotifications');
+const { toGeoPoint, parseLatLng, parseRadiusKm, haversineKm } = require('../utils/geo');
+
+const PROPERTY_TYPES = ['apartment', 'house', 'condo', 'studio', 'townhouse', 'other'];
+const RENTAL_TYPES = ['short-term', 'long-term'];
+const NUMERIC_FILTERS = ['minPrice', 'maxPrice', 'bedrooms', 'bathrooms', 'duration'];
+const TEXT_FILTERS = ['city', 'state', 'location', 'zipCode'];
+// Same statuses GET /api/properties shows to clients
+const LISTED_STATUSES = ['active', 'draft', 'published', 'live'];
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MAX_DIGEST_PROPERTIES_PER_SEARCH = 10;
+
+/**
+ * Validate and normalise a saved search filter set.
+ * Accepts the same parameter names (and string formats) as GET /api/properties.
+ * @param {Object} input - Raw filters from the request body
+ * @returns {{ filters?: Object, error?: string }}
+ */
+const normalizeFilters = (input = {}) => {
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'filters must be an object' };
+  }
+
+  const filters = {};
+
+  if (input.q !== undefined && input.q !== null && input.q !== '') {
+    const q = String(input.q).trim();
+    if (!q || q.length > 100) return { error: 'q must be between 1 and 100 characters' };
+    filters.q = q;
+  }
+
+  for (const key of NUMERIC_FILTERS) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < 0) return { error: `${key} must be a non-negative number` };
+    filters[key] = value;
+  }
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+
+  if (input.propertyType) {
+    if (!PROPERTY_TYPES.includes(input.propertyType)) return { error: 'Invalid propertyType' };
+    filters.propertyType = input.propertyType;
+  }
+  if (input.rentalType) {
+    if (!RENTAL_TYPES.includes(input.rentalType)) return { error: 'Invalid rentalType' };
+    filters.rentalType = input.rentalType;
+  }
+
+  for (const key of TEXT_FILTERS) {
+    if (input[key] === undefined || input[key] === null) continue;
+    const value = String(input[key]).trim();
+    if (value) filters[key] = value;
+  }
+
+  // 'amenities' is accepted as an alias, like the listings endpoint
+  const rawFeatures = input.features ?? input.amenities;
+  if (rawFeatures) {
+    const list = Array.isArray(rawFeatures) ? rawFeatures : String(rawFeatures).split(',');
+    const features = list.map(f => String(f).trim()).filter(Boolean);
+    if (features.length) filters.features = features;
+  }
+
+  if (input.near) {
+    const near = typeof input.near === 'string'
+      ? parseLatLng(input.near)
+      : (toGeoPoint(input.near) ? { lat: Number(input.near.lat), lng: Number(input.near.lng) } : null);
+    if (!near) return { error: 'near must be "lat,lng" or { lat, lng } with valid coordinates' };
+    const radiusKm = parseRadiusKm(input.radiusKm);
+    if (radiusKm === null) return { error: 'radiusKm must be a positive number' };
+    filters.near = near;
+    filters.radiusKm = radiusKm;
+  } else if (input.radiusKm !== undefined && input.radiusKm !== null && input.radiusKm !== '') {
+    return { error: 'radiusKm requires near' };
+  }
+
+  return { filters };
+};
+
+/**
+ * Convert saved filters back into a GET /api/properties query string
+ * @param {Object} filters - Normalised filters
+ * @returns {string}
+ */
+const toSearchParams = (filters = {}) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined || value === null) continue;
+    if (key === 'near') {
+      if (value.lat != null && value.lng != null) params.set('near', `${value.lat},${value.lng}`);
+    } else if (Array.isArray(value)) {
+      if (value.length) params.set(key, value.join(','));
+    } else {
+      params.set(key, String(value));
+    }
+  }
+  return params.toString();
+};
+
+const containsText = (haystack, needle) => {
+  return typeof haystack === 'string' && haystack.toLowerCase().includes(needle.toLowerCase());
+};
+
+/**
+ * Check whether a property matches a saved filter set.
+ * Mirrors GET /api/properties semantics; q is approximated as "any term appears"
+ * because the text index is not available in memory.
+ * @param {Object} property - Property document or plain object
+ * @param {Object} filters - Normalised saved search filters
+ * @returns {boolean}
+ */
+const propertyMatchesFilters = (property, filters = {}) => {
+  if (!property) return false;
+  const address = property.address || {};
+
+  if (filters.minPrice !== undefined && property.price < filters.minPrice) return false;
+  if (filters.maxPrice !== undefined && property.price > filters.maxPrice) return false;
+  if (filters.bedrooms !== undefined && property.bedrooms !== filters.bedrooms) return false;
+  if (filters.bathrooms !== undefined && property.bathrooms !== filters.bathrooms) return false;
+  if (filters.propertyType && property.propertyType !== filters.propertyType) return false;
+  if (filters.rentalType && property.rentalType !== filters.rentalType) return false;
+
+  if (filters.duration !== undefined) {
+    const minLease = property.leaseTerms?.minLease;
+    if (minLease == null || minLease > filters.duration) return false;
+  }
+
+  // Location priority matches the listings endpoint: city > state > general location
+  if (filters.city) {
+    if (!containsText(address.city, filters.city)) return false;
+  } else if (filters.state) {
+    if (!containsText(address.state, filters.state)) return false;
+  } else if (filters.location) {
+    const inAddress = ['city', 'state', 'street'].some(field => containsText(address[field], filters.location));
+    if (!inAddress) return false;
+  }
+
+  if (filters.zipCode && address.zipCode !== filters.zipCode) return false;
+
+  if (filters.features?.length) {
+    const offered = new Set([...(property.features || []), ...(property.amenities || [])]);
+    if (!filters.features.some(f => offered.has(f))) return false;
+  }
+
+  if (filters.q) {
+    const haystack = [
+      property.title,
+      property.description,
+      ...(property.features || []),
+      ...(property.amenities || []),
+      address.street,
+      address.city,
+      address.state
+    ].filter(Boolean).join(' ').toLowerCase();
+    const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.some(term => haystack.includes(term))) return false;
+  }
+
+  if (filters.near?.lat != null && filters.near?.lng != null) {
+    const coords = property.geoLocation?.coordinates;
+    if (!coords || coords.length !== 2) return false;
+    const distance = haversineKm([filters.near.lng, filters.near.lat], [coords[0], coords[1]]);
+    if (distance > (filters.radiusKm || parseRadiusKm())) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Match a newly verified listing against saved searches.
+ * Sends one in-app notification per client (listing every matching search), unless they turned
+ * off newPropertyListed notifications, and queues the listing for the daily email digest where
+ * enabled.
+ * @param {Object} property - Verified property document
+ * @returns {Promise<{ matched: number, notified: number }>}
+ */
+const notifySavedSearchMatches = async (property) => {
+  const result = { matched: 0, notified: 0 };
+  if (!property || !property.isVerified || property.isAvailable === false) return result;
+  if (property.status && !LISTED_STATUSES.includes(property.status)) return result;
+
+  const cursor = SavedSearch.find({ $or: [{ alertsEnabled: true }, { emailDigest: true }] })
+    .populate('user', 'role isActive')
+    .cursor();
+
+  const matchesByUser = new Map();
+  const now = new Date();
+
+  for await (const search of cursor) {
+    const user = search.user;
+    if (!user || user.role !== 'client' || !user.isActive) continue;
+    if (!propertyMatchesFilters(property, search.filters || {})) continue;
+
+    result.matched += 1;
+
+    const update = { $set: { lastMatchedAt: now }, $inc: { matchCount: 1 } };
+    if (search.emailDigest) {
+      update.$addToSet = { pendingDigestProperties: property._id };
+    }
+    await SavedSearch.updateOne({ _id: search._id }, update);
+
+    if (search.alertsEnabled) {
+      const key = user._id.toString();
+      if (!matchesByUser.has(key)) matchesByUser.set(key, []);
+      matchesByUser.get(key).push(search.name);
+    }
+  }
+
+  for (const [userId, searchNames] of matchesByUser) {
+    // Same opt-out as the new-listing emails
+    if (!(await checkNotificationPreference(userId, 'newPropertyListed'))) continue;
+
+    const notification = await createNotification({
+      userId,
+      type: 'saved_search_match',
+      title: 'New Listing Matches Your Saved Search',
+      message: `"${property.title}" matches your saved search${searchNames.length > 1 ? 'es' : ''} ${searchNames.map(n => `"${n}"`).join(', ')}.`,
+      priority: 'medium',
+      relatedEntity: {
+        type: 'property',
+        id: property._id
+      },
+      actionUrl: `/property/${property._id}`,
+      metadata: { source: 'saved_search' }
+    });
+    if (notification) result.notified += 1;
+  }
+
+  return result;
+};
+
+/**
+ * Send the daily saved search digest emails.
+ * Each search is claimed atomically (pending list cleared, lastDigestSentAt set) so
+ * concurrent runs on several instances never send the same digest twice.
+ * @returns {Promise<{ users: number, sent: number, failed: number }>}
+ */
+const sendSavedSearchDigests = async () => {
+  const stats = { users: 0, sent: 0, failed: 0 };
+  const dueFilter = () => ({
+    emailDigest: true,
+    'pendingDigestProperties.0': { $exists: true },
+    $or: [
+      { lastDigestSentAt: null },
+      { lastDigestSentAt: { $lte: new Date(Date.now() - DIGEST_INTERVAL_MS) } }
+    ]
+  });
+
+  const due = await SavedSearch.find(dueFilter()).select('_id user').lean();
+  const searchIdsByUser = new Map();
+  for (const s of due) {
+    const key = s.user.toString();
+    if (!searchIdsByUser.has(key)) searchIdsByUser.set(key, []);
+    searchIdsByUser.get(key).push(s._id);
+  }
+
+  for (const [userId, searchIds] of searchIdsByUser) {
+    const claimed = [];
+    for (const searchId of searchIds) {
+      const previous = await SavedSearch.findOneAndUpdate(
+        { _id: searchId, ...dueFilter() },
+        { $set: { pendingDigestProperties: [], lastDigestSentAt: new Date() } },
+        { new: false }
+      ).lean();
+      if (previous) claimed.push(previous);
+    }
+    if (!claimed.length) continue;
+
+    stats.users += 1;
+
+    // Only include listings that are still live
+    const propertyIds = [...new Set(claimed.flatMap(s => s.pendingDigestProperties.map(String)))];
+    const properties = await Property.find({
+      _id: { $in: propertyIds },
+      isVerified: true,
+      isAvailable: true
+    }).select('title price currency address propertyType bedrooms');
+    const byId = new Map(properties.map(p => [p._id.toString(), p]));
+
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    const searches = claimed.map(s => ({
+      name: s.name,
+      properties: s.pendingDigestProperties
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .slice(0, MAX_DIGEST_PROPERTIES_PER_SEARCH)
+        .map(p => ({
+          title: p.title,
+          location: [p.address?.city, p.address?.state].filter(Boolean).join(', '),
+          price: p.price,
+          currency: p.currency || 'NGN',
+          url: `${frontendUrl}/property/${p._id}`
+        }))
+    })).filter(s => s.properties.length);
+
+    if (!searches.length) continue;
+
+    const user = await User.findById(userId).select('firstName email');
+    const emailResult = await sendEmailNotification('savedSearchDigest', {
+      userId,
+      clientName: user?.firstName || user?.email?.split('@')[0],
+      searches
+    });
+
+    if (emailResult.success || emailResult.skipped) {
+      if (emailResult.success) stats.sent += 1;
+      continue;
+    }
+
+    // Put the matches back so the next run retries them
+    stats.failed += 1;
+    for (const s of claimed) {
+      await SavedSearch.updateOne(
+        { _id: s._id },
+        {
+          $addToSet: { pendingDigestProperties: { $each: s.pendingDigestProperties } },
+          $set: { lastDigestSentAt: s.lastDigestSentAt || null }
+        }
+      );
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  normalizeFilters,
+  toSearchParams,
+  propertyMatchesFilters,
+  notifySavedSearchMatches,
+  sendSavedSearchDigests
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * Tenant screening providers
+ *
+ * Every provider implements the same interface so the screening service doesn't care
+ * which one is configured (SCREENING_PROVIDER, default 'mock' outside production):
+ *
+ *   name                                   Identifier used in webhook URLs and stored on the application
+ *   requestCheck(applicant, { checkId, onResult })
+ *                                          Start a check; resolves to { externalId }. Results arrive later
+ *                                          through POST /api/screening/webhook/:provider, or through
+ *                                          onResult(payload) for providers that run in-process.
+ *   verifyCallback(rawBody, headers)       Whether a webhook request really came from the provider
+ *   parseCallback(payload)                 Normalise a callback body to
+ *                                          { externalId, checkId, status: 'completed'|'failed', reportUrl, result, failureReason }
+ */
+
+const MOCK_DELAY_MS = 5000;
+
+const timingSafeEqualHex = (a, b) => {
+  const left = Buffer.from(String(a || ''), 'hex');
+  const right = Buffer.from(String(b || ''), 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Development provider: produces a deterministic result from the applicant's details a few
+ * seconds after the request. Callbacks to the webhook must be signed with SCREENING_WEBHOOK_SECRET
+ * (HMAC-SHA256 of the raw body, hex, in X-Screening-Signature) so the endpoint can be exercised too;
+ * without the secret the webhook rejects everything except under NODE_ENV=test.
+ */
+const mockProvider = {
+  name: 'mock',
+
+  requestCheck: async (applicant, { checkId, onResult } = {}) => {
+    const externalId = `mock_${crypto.randomBytes(8).toString('hex')}`;
+    // Same applicant always gets the same outcome, which keeps manual testing predictable
+    const seed = crypto.createHash('sha256').update(`${applicant.email}|${applicant.lastName}`).digest();
+    const failed = /fail/i.test(applicant.email || '');
+
+    const payload = failed
+      ? { externalId, checkId, status: 'failed', failureReason: 'Applicant could not be matched to a record' }
+      : {
+        externalId,
+        checkId,
+        status: 'completed',
+        reportUrl: null,
+        result: {
+          identityVerified: true,
+          creditScore: 550 + (seed[0] % 300),
+          criminalRecordsFound: seed[1] % 10 === 0,
+          evictionsFound: seed[2] % 12 === 0,
+          summary: 'Mock screening result for development'
+        }
+      };
+
+    if (onResult) {
+      const timer = setTimeout(() => {
+        Promise.resolve(onResult(payload)).catch(error => console.error('Mock screening callback failed:', error));
+      }, MOCK_DELAY_MS);
+      timer.unref();
+    }
+    return { externalId };
+  },
+
+  verifyCallback: (rawBody, headers) => {
+    const secret = process.env.SCREENING_WEBHOOK_SECRET;
+    // Unsigned callbacks are only trusted under the test runner; a deploy with a missing secret
+    // (or a mis-set NODE_ENV) must not accept forged results. In-process results use onResult.
+    if (!secret) return process.env.NODE_ENV === 'test';
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return timingSafeEqualHex(headers['x-screening-signature'], expected);
+  },
+
+  parseCallback: (payload) => ({
+    externalId: payload.externalId,
+    checkId: payload.checkId,
+    status: payload.status === 'completed' ? 'completed' : 'failed',
+    reportUrl: payload.reportUrl || undefined,
+    result: payload.result,
+    failureReason: payload.failureReason
+  })
+};
+
+const PROVIDERS = {
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Provider by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+const getProvider = (name) => PROVIDERS[name] || null;
+
+/**
+ * The configured provider. The mock provider is refused in production unless explicitly selected.
+ * @returns {Object|null}
+ */
+const getActiveProvider = () => {
+  const name = process.env.SCREENING_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'mock');
+  return name ? getProvider(name) : null;
+};
+
+module.exports = {
+  getProvider,
+  getActiveProvider
+};
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Review = require('../models/Review');
+const { getActiveProvider, getProvider } = require('./screeningProviders');
+const { createNotification } = require('../utils/notifications');
+const { createAuditLog } = require('../utils/auditLogger');
+
+/**
+ * Tenant screening
+ *
+ * A landlord asks for a background check on an application; the tenant must consent
+ * before anything is sent to the provider. The provider reports back through a callback
+ * that fills in Application.backgroundCheck and notifies the landlord. The screening
+ * summary combines that result with identity (KYC), affordability and reviews from
+ * previous landlords.
+ */
+
+// Bump when the consent wording shown to tenants changes
+const CONSENT_STATEMENT_VERSION = '2026-01';
+// Common affordability rule: gross monthly income of at least three times the rent
+const INCOME_TO_RENT_TARGET = 3;
+
+const screeningError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+/**
+ * Send the check to the configured provider. The application must already carry consent.
+ * @param {Object} application - Application document populated with client
+ * @param {string} requestedBy - User ID of the landlord/admin who asked for it
+ * @returns {Promise<Application>}
+ */
+const startCheck = async (application, requestedBy) => {
+  const provider = getActiveProvider();
+  if (!provider) {
+    throw screeningError('SCREENING_NOT_CONFIGURED', 'No screening provider is configured', 503);
+  }
+
+  // Claim the check so two requests can't both reach the provider
+  const claimed = await Application.findOneAndUpdate(
+    { _id: application._id, 'backgroundCheck.status': { $nin: ['in_progress', 'completed'] } },
+    {
+      $set: {
+        'backgroundCheck.status': 'in_progress',
+        'backgroundCheck.provider': provider.name,
+        'backgroundCheck.requestedAt': new Date(),
+        'backgroundCheck.requestedBy': requestedBy
+      },
+      $unset: { 'backgroundCheck.failureReason': 1, 'backgroundCheck.externalId': 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw screeningError('SCREENING_ALREADY_REQUESTED', 'A background check is already in progress or completed', 409);
+  }
+
+  const client = application.client;
+  const applicant = {
+    firstName: application.personalInfo?.firstName || client.firstName,
+    lastName: application.personalInfo?.lastName || client.lastName,
+    email: application.personalInfo?.email || client.email,
+    phone: application.personalInfo?.phone || client.phone,
+    dateOfBirth: application.personalInfo?.dateOfBirth
+  };
+
+  try {
+    const { externalId } = await provider.requestCheck(applicant, {
+      checkId: String(application._id),
+      onResult: payload => handleCallback(provider.name, payload)
+    });
+    return Application.findByIdAndUpdate(
+      application._id,
+      { $set: { 'backgroundCheck.externalId': externalId } },
+      { new: true }
+    );
+  } catch (error) {
+    await Application.updateOne(
+      { _id: application._id },
+      { $set: { 'backgroundCheck.status': 'failed', 'backgroundCheck.failureReason': error.message } }
+    );
+    throw screeningError('SCREENING_REQUEST_FAILED', `Screening provider error: ${error.message}`, 502);
+  }
+};
+
+/**
+ * Landlord asks for a background check. Without consent the tenant is asked first and the
+ * check starts as soon as they give it.
+ * @param {string} applicationId
+ * @param {Object} user - Landlord of the application or admin
+ * @returns {Promise<{ application: Application, started: boolean }>}
+ */
+const requestScreening = async (applicationId, user) => {
+  const application = await Application.findById(applicationId)
+    .populate('client', 'firstName lastName email phone')
+    .populate('property', 'title');
+  if (!application) {
+    throw screeningError('APPLICATION_NOT_FOUND', 'Application not found', 404);
+  }
+  if (user.role !== 'admin' && !sameId(application.landlord, user._id)) {
+    throw screeningError('NOT_AUTHORIZED', 'Only the landlord can request screening for this application', 403);
+  }
+  if (['rejected', 'withdrawn'].includes(application.status)) {
+    throw screeningError('APPLICATION_CLOSED', `Application is ${application.status}`, 409);
+  }
+  if (['in_progress', 'completed'].includes(application.backgroundCheck?.status)) {
+    throw screeningError('SCREENING_ALREADY_REQUESTED', 'A background check is already in progress or completed', 409);
+  }
+
+  if (!application.backgroundCheck?.consent?.givenAt) {
+    const updated = await Application.findByIdAndUpdate(
+      application._id,
+      {
+        $set: {
+          'backgroundCheck.status': 'awaiting_consent',
+          'backgroundCheck.consentRequestedAt': new Date(),
+          'backgroundCheck.requestedBy': user._id
+        }
+      },
+      { new: true }
+    );
+    await createNotification({
+      userId: application.client._id,
+      type: 'screening_consent_requested',
+      title: 'Background Check Consent Needed',
+      message: `The landlord for ${application.property?.title || 'your application'} would like to run a background check. Please review and give your consent.`,
+      priority: 'high',
+      relatedEntity: { type: 'application', id: application._id },
+      actionUrl: `/dashboard/applications/${application._id}`
+    });
+    return { application: updated, started: false };
+  }
+
+  return { application: await startCheck(application, user._id), started: true };
+};
+
+/**
+ * Record the tenant's consent (and start the check if the landlord already asked for it)
+ * @param {string} applicationId
+ * @param {Object} user - Applicant
+ * @param {Object} meta - { ipAddress, userAgent }
+ * @returns {Promise<{ application: Application, started: boolean }>}
+ */
+const giveConsent = async (applicationId, user, { ipAddress, userAgent }) => {
+  const application = await Application.findById(applicationId)
+    .populate('client', 'firstName lastName email phone');
+  if (!application) {
+    throw screeningError('APPLICATION_NOT_FOUND', 'Application not found', 404);
+  }
+  if (!sameId(application.client, user._id)) {
+    throw screeningError('NOT_AUTHORIZED', 'Only the applicant can consent to screening', 403);
+  }
+  if (application.backgroundCheck?.consent?.givenAt) {
+    throw screeningError('CONSENT_ALREADY_GIVEN', 'Consent has already been given for this application', 409);
+  }
+
+  const consent = { givenAt: new Date(), ipAddress, userAgent, statementVersion: CONSENT_STATEMENT_VERSION };
+  const updated = await Application.findOneAndUpdate(
+    { _id: application._id, 'backgroundCheck.consent.givenAt': { $exists: false } },
+    { $set: { 'backgroundCheck.consent': consent } },
+    { new: true }
+  ).populate('client', 'firstName lastName email phone');
+  if (!updated) {
+    throw screeningError('CONSENT_ALREADY_GIVEN', 'Consent has already been given for this application', 409);
+  }
+
+  await createAuditLog({
+    action: 'screening_consent_given',
+    entityType: 'Application',
+    entityId: application._id,
+    userId: user._id,
+    details: { statementVersion: CONSENT_STATEMENT_VERSION, givenAt: consent.givenAt },
+    ipAddress,
+    userAgent
+  });
+
+  if (updated.backgroundCheck.status === 'awaiting_consent') {
+    return { application: await startCheck(updated, updated.backgroundCheck.requestedBy), started: true };
+  }
+  return { application: updated, started: false };
+};
+
+/**
+ * Apply a provider callback to the application it belongs to
+ * @param {string} providerName - Provider that sent the callback
+ * @param {Object} payload - Callback body
+ * @returns {Promise<Application|null>} Updated application, or null if the callback matched nothing
+ */
+const handleCallback = async (providerName, payload) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw screeningError('UNKNOWN_PROVIDER', `Unknown screening provider: ${providerName}`, 404);
+  }
+
+  const parsed = provider.parseCallback(payload);
+  if (!parsed.externalId && !parsed.checkId) {
+    throw screeningError('INVALID_CALLBACK', 'Callback has no check reference');
+  }
+
+  // Prefer our own reference: a fast provider may call back before externalId is stored
+  const match = parsed.checkId && mongoose.Types.ObjectId.isValid(parsed.checkId)
+    ? { _id: parsed.checkId }
+    : { 'backgroundCheck.externalId': parsed.externalId };
+
+  const set = {
+    'backgroundCheck.status': parsed.status,
+    'backgroundCheck.completedAt': new Date()
+  };
+  if (parsed.reportUrl) set['backgroundCheck.reportUrl'] = parsed.reportUrl;
+  if (parsed.result) set['backgroundCheck.result'] = parsed.result;
+  if (parsed.failureReason) set['backgroundCheck.failureReason'] = parsed.failureReason;
+  if (parsed.externalId) set['backgroundCheck.externalId'] = parsed.externalId;
+
+  // Only an in-progress check for this provider/reference is updated, so replays are no-ops
+  const application = await Application.findOneAndUpdate(
+    { ...match, 'backgroundCheck.provider': provider.name, 'backgroundCheck.status': 'in_progress' },
+    { $set: set },
+    { new: true }
+  ).populate('client', 'firstName lastName');
+  if (!application) return null;
+
+  const applicantName = [application.client?.firstName, application.client?.lastName].filter(Boolean).join(' ') || 'the applicant';
+  await createNotification({
+    userId: application.landlord,
+    type: 'screening_completed',
+    title: parsed.status === 'completed' ? 'Background Check Complete' : 'Background Check Failed',
+    message: parsed.status === 'completed'
+      ? `The background check for ${applicantName} is ready to review.`
+      : `The background check for ${applicantName} could not be completed${parsed.failureReason ? `: ${parsed.failureReason}` : ''}.`,
+    priority: 'medium',
+    relatedEntity: { type: 'application', id: application._id },
+    actionUrl: `/dashboard/applications/${application._id}/screening`
+  });
+
+  await createAuditLog({
+    action: 'screening_completed',
+    entityType: 'Application',
+    entityId: application._id,
+    userId: application.backgroundCheck.requestedBy || application.landlord,
+    details: { provider: provider.name, externalId: parsed.externalId, status: parsed.status }
+  });
+
+  return application;
+};
+
+/**
+ * Everything a landlord needs to assess an applicant in one place
+ * @param {string} applicationId
+ * @param {Object} user - Landlord of the application or admin
+ * @returns {Promise<Object>}
+ */
+const getScreeningSummary = async (applicationId, user) => {
+  const application = await Application.findById(applicationId)
+    .populate('client', 'firstName lastName email phone isVerified kyc.status kyc.verifiedAt')
+    .populate('property', 'title price currency');
+  if (!application) {
+    throw screeningError('APPLICATION_NOT_FOUND', 'Application not found', 404);
+  }
+  if (user.role !== 'admin' && !sameId(application.landlord, user._id)) {
+    throw screeningError('NOT_AUTHORIZED', 'Only the landlord can view screening for this application', 403);
+  }
+
+  const client = application.client;
+  const personal = application.personalInfo || {};
+  const check = application.backgroundCheck || {};
+  const nameOnApplication = [personal.firstName, personal.lastName].filter(Boolean).join(' ');
+  const nameOnAccount = [client.firstName, client.lastName].filter(Boolean).join(' ');
+
+  const financial = application.financialInfo || {};
+  const monthlyIncome = (financial.monthlyIncome ?? application.employment?.monthlyIncome ?? 0) + (financial.otherIncome || 0);
+  const monthlyDebtPayments = (financial.debts || []).reduce((sum, debt) => sum + (debt.monthlyPayment || 0), 0);
+  const monthlyRent = application.decision?.monthlyRent ?? application.property?.price ?? null;
+  const incomeToRentRatio = monthlyRent && monthlyIncome ? Math.round((monthlyIncome / monthlyRent) * 100) / 100 : null;
+
+  // Client reviews store the reviewing landlord in `reviewer` and the client in `landlord`
+  const reviews = (await Review.find({ landlord: client._id, status: 'published' })
+    .sort({ createdAt: -1 })
+    .populate({ path: 'reviewer', select: 'firstName lastName role' })
+    .populate('property', 'title')
+    .lean())
+    .filter(review => review.reviewer?.role === 'landlord');
+  const averageRating = reviews.length
+    ? Math.round((reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length) * 10) / 10
+    : null;
+
+  return {
+    applicationId: application._id,
+    applicant: {
+      id: client._id,
+      name: nameOnAccount,
+      email: client.email,
+      phone: client.phone
+    },
+    identity: {
+      emailVerified: Boolean(client.isVerified),
+      kycStatus: client.kyc?.status || null,
+      kycVerifiedAt: client.kyc?.verifiedAt || null,
+      nameMatchesAccount: nameOnApplication
+        ? nameOnApplication.toLowerCase() === nameOnAccount.toLowerCase()
+        : null,
+      verifiedByScreening: check.result?.identityVerified ?? null
+    },
+    affordability: {
+      monthlyIncome,
+      monthlyDebtPayments,
+      monthlyRent,
+      currency: application.property?.currency || 'NGN',
+      incomeToRentRatio,
+      target: INCOME_TO_RENT_TARGET,
+      meetsTarget: incomeToRentRatio === null ? null : incomeToRentRatio >= INCOME_TO_RENT_TARGET,
+      creditScore: check.result?.creditScore ?? financial.creditScore ?? null
+    },
+    landlordReviews: {
+      count: reviews.length,
+      averageRating,
+      reviews: reviews.map(review => ({
+        id: review._id,
+        rating: review.rating,
+        title: review.title,
+        comment: review.comment,
+        property: review.property?.title,
+        reviewer: [review.reviewer.firstName, review.reviewer.lastName].filter(Boolean).join(' '),
+        createdAt: review.createdAt
+      }))
+    },
+    backgroundCheck: {
+      status: check.status || 'pending',
+      consentGivenAt: check.consent?.givenAt || null,
+      requestedAt: check.requestedAt || null,
+      completedAt: check.completedAt || null,
+      reportUrl: check.reportUrl || null,
+      result: check.result || null,
+      failureReason: check.failureReason || null
+    }
+  };
+};
+
+module.exports = {
+  CONSENT_STATEMENT_VERSION,
+  INCOME_TO_RENT_TARGET,
+  requestScreening,
+  giveConsent,
+  handleCallback,
+  getScreeningSummary
+};
@@ -0,0 +1,344 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const { queueEmail } = require('./emailService');
+const { describeDevice } = require('./sessionService');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const { getEmailTemplate } = require('../utils/emailNotifications');
+const { notifyAdmins } = require('../utils/notifications');
+
+/**
+ * Security events and suspicious-login detection
+ *
+ * Every sign-in related event is stored as a SecurityEvent. Two kinds are analysed:
+ *   login         compared with the user's successful logins of the last LOOKBACK_DAYS:
+ *                 new_device / new_ip when neither was seen before, impossible_travel when the
+ *                 distance from the previous login's location can't be covered in the time
+ *                 between them, credential_stuffing when the IP was recently flagged.
+ *                 The user is emailed about flagged logins (not about their very first one).
+ *   login_failed  credential_stuffing when one IP fails against many different accounts in a
+ *                 short window; admins are notified once per IP and window.
+ * Locations come from the edge proxy's geolocation headers (SECURITY_GEO_HEADERS=cloudflare or
+ * vercel); without them only IP and device are compared.
+ */
+
+const LOOKBACK_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Faster than a commercial flight, with some slack for inaccurate IP geolocation
+const MAX_TRAVEL_KMH = 900;
+const MIN_TRAVEL_KM = 300;
+// Without coordinates: a country change within this long counts as impossible travel
+const COUNTRY_CHANGE_WINDOW_MS = 2 * HOUR_MS;
+const STUFFING_WINDOW_MS = 15 * 60 * 1000;
+const getStuffingThreshold = () => parseInt(process.env.CREDENTIAL_STUFFING_THRESHOLD, 10) || 5;
+const MAX_CLIENT_DETAILS_BYTES = 4 * 1024;
+
+const RISK_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+
+const parseCoordinate = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const decodeHeader = (value) => {
+  if (!value) return undefined;
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Location from trusted geolocation headers set by the edge proxy
+ * @param {Object} req - Express request
+ * @returns {Object|undefined} { country, region, city, latitude, longitude }
+ */
+const getRequestLocation = (req) => {
+  const provider = (process.env.SECURITY_GEO_HEADERS || '').toLowerCase();
+  const header = (name) => req.get(name) || undefined;
+
+  let location;
+  if (provider === 'cloudflare') {
+    location = {
+      country: header('cf-ipcountry'),
+      region: header('cf-region'),
+      city: header('cf-ipcity'),
+      latitude: parseCoordinate(header('cf-iplatitude')),
+      longitude: parseCoordinate(header('cf-iplongitude'))
+    };
+  } else if (provider === 'vercel') {
+    location = {
+      country: header('x-vercel-ip-country'),
+      region: header('x-vercel-ip-country-region'),
+      city: decodeHeader(header('x-vercel-ip-city')),
+      latitude: parseCoordinate(header('x-vercel-ip-latitude')),
+      longitude: parseCoordinate(header('x-vercel-ip-longitude'))
+    };
+  }
+  // Cloudflare uses XX for unknown and T1 for Tor
+  if (!location?.country || location.country === 'XX') return undefined;
+  return location;
+};
+
+/**
+ * IP, user agent, device and location of a request, for recordSecurityEvent
+ * @param {Object} req - Express request
+ * @returns {{ ipAddress, userAgent, device, location }}
+ */
+const getSecurityContext = (req) => {
+  const { ipAddress, userAgent } = getRequestMetadata(req);
+  return {
+    ipAddress,
+    userAgent,
+    device: describeDevice(userAgent),
+    location: getRequestLocation(req)
+  };
+};
+
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const hasCoordinates = (location) => Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+
+const describeLocation = (location) => {
+  if (!location) return null;
+  return [location.city, location.region, location.country].filter(Boolean).join(', ') || null;
+};
+
+/**
+ * Whether getting from the previous login to this one was physically possible
+ * @returns {Object|null} Travel details when it was not
+ */
+const checkImpossibleTravel = (previous, current) => {
+  if (!previous?.location?.country || !current.location?.country) return null;
+  const elapsedMs = Math.max(current.createdAt - previous.createdAt, 60 * 1000);
+
+  if (hasCoordinates(previous.location) && hasCoordinates(current.location)) {
+    const km = distanceKm(previous.location, current.location);
+    const kmh = km / (elapsedMs / HOUR_MS);
+    if (km >= MIN_TRAVEL_KM && kmh > MAX_TRAVEL_KMH) {
+      return { from: describeLocation(previous.location), to: describeLocation(current.location), km: Math.round(km), kmh: Math.round(kmh) };
+    }
+    return null;
+  }
+
+  if (previous.location.country !== current.location.country && elapsedMs < COUNTRY_CHANGE_WINDOW_MS) {
+    return { from: previous.location.country, to: current.location.country, minutes: Math.round(elapsedMs / 60000) };
+  }
+  return null;
+};
+
+const raiseRisk = (current, next) => (RISK_RANK[next] > RISK_RANK[current] ? next : current);
+
+const sendNewLoginAlert = async (event) => {
+  const user = await User.findById(event.user).select('email firstName');
+  if (!user) return;
+
+  const template = getEmailTemplate('newLoginAlert', {
+    name: user.firstName,
+    device: event.device,
+    ipAddress: event.ipAddress,
+    location: describeLocation(event.location),
+    loginAt: event.createdAt,
+    unusual: event.flags.includes('impossible_travel') || event.flags.includes('credential_stuffing')
+  });
+  // Queued rather than sent inline so the alert doesn't slow down the login response
+  await queueEmail({
+    to: user.email,
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+    category: 'newLoginAlert',
+    userId: user._id
+  });
+  event.userNotifiedAt = new Date();
+};
+
+const analyzeLogin = async (event) => {
+  const since = new Date(Date.now() - LOOKBACK_DAYS * DAY_MS);
+  const history = await SecurityEvent.find({
+    user: event.user,
+    type: 'login',
+    _id: { $ne: event._id },
+    createdAt: { $gte: since }
+  })
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .select('ipAddress device location createdAt')
+    .lean();
+
+  const flags = [];
+  let risk = 'none';
+  const details = {};
+
+  if (history.length > 0) {
+    if (event.ipAddress && !history.some(previous => previous.ipAddress === event.ipAddress)) {
+      flags.push('new_ip');
+      risk = raiseRisk(risk, 'low');
+    }
+    if (event.device && !history.some(previous => previous.device === event.device)) {
+      flags.push('new_device');
+      risk = raiseRisk(risk, 'low');
+    }
+    if (flags.length === 2) risk = raiseRisk(risk, 'medium');
+
+    const travel = checkImpossibleTravel(history.find(previous => previous.location?.country), event);
+    if (travel) {
+      flags.push('impossible_travel');
+      details.travel = travel;
+      risk = raiseRisk(risk, 'high');
+    }
+  }
+
+  // Succeeding from an IP that was just trying many accounts
+  if (event.ipAddress && await SecurityEvent.exists({
+    ipAddress: event.ipAddress,
+    type: 'login_failed',
+    flags: 'credential_stuffing',
+    createdAt: { $gte: new Date(Date.now() - STUFFING_WINDOW_MS) }
+  })) {
+    flags.push('credential_stuffing');
+    risk = raiseRisk(risk, 'high');
+  }
+
+  if (flags.length === 0) return;
+
+  event.flags = flags;
+  event.risk = risk;
+  event.details = { ...event.details, ...details };
+  await sendNewLoginAlert(event);
+  await event.save();
+
+  if (risk === 'high') {
+    const user = await User.findById(event.user).select('email');
+    await notifyAdmins(
+      'Suspicious login',
+      `High-risk login to ${user?.email || 'an account'} (${flags.join(', ')}) from ${event.ipAddress || 'unknown IP'}.`,
+      'high',
+      `/admin/security-events?userId=${event.user}`,
+      { source: 'security', securityEventId: event._id }
+    );
+  }
+};
+
+const analyzeFailedLogin = async (event) => {
+  if (!event.ipAddress) return;
+  const since = new Date(Date.now() - STUFFING_WINDOW_MS);
+  const emails = await SecurityEvent.distinct('email', {
+    ipAddress: event.ipAddress,
+    type: 'login_failed',
+    createdAt: { $gte: since }
+  });
+  if (emails.filter(Boolean).length < getStuffingThreshold()) return;
+
+  const alreadyFlagged = await SecurityEvent.exists({
+    ipAddress: event.ipAddress,
+    flags: 'credential_stuffing',
+    _id: { $ne: event._id },
+    createdAt: { $gte: since }
+  });
+
+  event.flags = ['credential_stuffing'];
+  event.risk = 'high';
+  event.details = { ...event.details, accountsTried: emails.length };
+  await event.save();
+
+  if (!alreadyFlagged) {
+    await notifyAdmins(
+      'Possible credential stuffing',
+      `${emails.length} different accounts failed to sign in from ${event.ipAddress} in the last ${STUFFING_WINDOW_MS / 60000} minutes.`,
+      'high',
+      `/admin/security-events?ipAddress=${encodeURIComponent(event.ipAddress)}`,
+      { source: 'security', securityEventId: event._id }
+    );
+  }
+};
+
+/**
+ * Store a security event and run detection on it. Never throws: security logging must not
+ * block a sign-in.
+ * @param {string} type - SecurityEvent type
+ * @param {Object} params
+ * @param {Object|string} [params.user] - User or user id
+ * @param {string} [params.email]
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ * @param {string} [params.device]
+ * @param {Object} [params.location]
+ * @param {string} [params.sessionId]
+ * @param {Object} [params.details]
+ * @param {string} [params.source='server']
+ * @returns {Promise<SecurityEvent|null>}
+ */
+const recordSecurityEvent = async (type, {
+  user,
+  email,
+  ipAddress,
+  userAgent,
+  device,
+  location,
+  sessionId,
+  details = {},
+  source = 'server'
+} = {}) => {
+  try {
+    const event = await SecurityEvent.create({
+      type,
+      user: user?._id || user,
+      email: email || user?.email,
+      source,
+      ipAddress,
+      userAgent,
+      device: device || (userAgent ? describeDevice(userAgent) : undefined),
+      location,
+      session: sessionId,
+      details
+    });
+
+    if (type === 'login' && event.user) await analyzeLogin(event);
+    else if (type === 'login_failed') await analyzeFailedLogin(event);
+
+    return event;
+  } catch (error) {
+    console.error('Record security event error:', error);
+    return null;
+  }
+};
+
+/**
+ * Store an event reported by the frontend (POST /api/auth/security-log)
+ * @param {Object} user - Signed-in user
+ * @param {Object} req - Express request
+ * @returns {Promise<SecurityEvent|null>}
+ */
+const recordClientEvent = (user, req) => {
+  const { event, details, timestamp } = req.body || {};
+  let clientDetails = details;
+  if (clientDetails !== undefined && JSON.stringify(clientDetails).length > MAX_CLIENT_DETAILS_BYTES) {
+    clientDetails = { truncated: true };
+  }
+  return recordSecurityEvent('client_reported', {
+    ...getSecurityContext(req),
+    user,
+    sessionId: req.sessionId,
+    source: 'client',
+    details: {
+      event: String(event || 'unknown').slice(0, 100),
+      reportedAt: timestamp,
+      data: clientDetails
+    }
+  });
+};
+
+module.exports = {
+  getSecurityContext,
+  recordSecurityEvent,
+  recordClientEvent
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken } = require('../middleware/auth');
+const realtime = require('./realtimeService');
+
+/**
+ * Sessions and refresh tokens
+ *
+ * Signing in creates a Session and returns a short-lived access token (JWT with the session
+ * id) plus an opaque refresh token. POST /api/auth/refresh swaps the refresh token for a new
+ * pair; the old refresh token stops working. Presenting an already-rotated refresh token after
+ * the grace period means it was copied, so the whole session is revoked.
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Two tabs refreshing at the same moment both present the same token; don't treat that as theft
+const ROTATION_GRACE_MS = 30 * 1000;
+// Wrong two-factor codes a session may send for step-ups before it is revoked
+const MAX_STEP_UP_FAILURES = 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const describeDevice = (userAgent = '') => {
+  const ua = String(userAgent);
+  const browser = (/Edg\//.test(ua) && 'Edge')
+    || (/OPR\//.test(ua) && 'Opera')
+    || (/Chrome\//.test(ua) && 'Chrome')
+    || (/Firefox\//.test(ua) && 'Firefox')
+    || (/Safari\//.test(ua) && 'Safari')
+    || null;
+  const os = (/Windows/.test(ua) && 'Windows')
+    || (/Android/.test(ua) && 'Android')
+    || (/iPhone|iPad|iPod/.test(ua) && 'iOS')
+    || (/Mac OS X/.test(ua) && 'macOS')
+    || (/Linux/.test(ua) && 'Linux')
+    || null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+const sessionError = (message, code) => Object.assign(new Error(message), { code, status: 401 });
+
+const tokenResponse = (session, refreshToken) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session._id
+});
+
+// Tell the realtime gateway to drop sockets opened with these sessions
+const announceRevocation = (userId, sessionIds) => {
+  realtime.publish({
+    targets: [realtime.userTarget(userId)],
+    event: 'session:revoked',
+    data: { sessionIds: sessionIds.map(String) }
+  });
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user
+ * @param {Object} [metadata] - { ipAddress, userAgent } from getRequestMetadata
+ * @returns {Promise<{ token, refreshToken, refreshTokenExpiresAt, sessionId }>}
+ */
+const createSession = async (user, { ipAddress, userAgent } = {}) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress,
+    lastIpAddress: ipAddress,
+    lastSeenAt: new Date(),
+    expiresAt: refreshExpiry()
+  });
+  return tokenResponse(session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken
+ * @param {Object} [metadata] - { ipAddress, userAgent }
+ * @returns {Promise<{ token, refreshToken, refreshTokenExpiresAt, sessionId }>}
+ */
+const refreshSession = async (refreshToken, { ipAddress } = {}) => {
+  if (!refreshToken) {
+    throw sessionError('Refresh token is required', 'REFRESH_TOKEN_REQUIRED');
+  }
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const nextToken = newRefreshToken();
+
+  // Atomic swap, so the same token can't be rotated twice
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousRefreshTokenHash: tokenHash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        lastIpAddress: ipAddress,
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  ).populate('user', 'isActive');
+
+  if (session) {
+    if (!session.user?.isActive) {
+      await revokeSession(session._id, session.user?._id || session.user, 'account_suspended');
+      throw sessionError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
+    }
+    session.depopulate('user');
+    return tokenResponse(session, nextToken);
+  }
+
+  const rotated = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+  if (rotated) {
+    if (rotated.rotatedAt && now - rotated.rotatedAt < ROTATION_GRACE_MS) {
+      throw sessionError('Refresh token was already used; use the latest one', 'REFRESH_TOKEN_ROTATED');
+    }
+    await revokeSession(rotated._id, rotated.user, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected for session ${rotated._id}; session revoked`);
+  }
+  throw sessionError('Session expired, please sign in again', 'SESSION_EXPIRED');
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId
+ * @returns {Promise<Session[]>}
+ */
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('device userAgent ipAddress lastIpAddress lastSeenAt createdAt expiresAt')
+  .sort({ lastSeenAt: -1 });
+
+/**
+ * Revoke one session
+ * @param {string} sessionId
+ * @param {string} userId - Owner (sessions of other users are never touched)
+ * @param {string} reason - Session.revokedReason
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, userId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.modifiedCount > 0) {
+    announceRevocation(userId, [sessionId]);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Revoke every session of a user (log out everywhere, password reset, suspension)
+ * @param {string} userId
+ * @param {string} reason - Session.revokedReason
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Keep this one (e.g. the caller's own)
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessionIds = await Session.find(filter).distinct('_id');
+  if (sessionIds.length === 0) return 0;
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  announceRevocation(userId, sessionIds);
+  return result.modifiedCount;
+};
+
+/**
+ * Mark a session as freshly stepped up (and forget earlier wrong codes)
+ * @param {string} sessionId
+ * @returns {Promise<Date>} The step-up time
+ */
+const recordStepUp = async (sessionId) => {
+  const stepUpAt = new Date();
+  await Session.updateOne({ _id: sessionId }, { $set: { stepUpAt }, $unset: { stepUpFailures: 1 } });
+  return stepUpAt;
+};
+
+/**
+ * Count a wrong step-up code against the session; revokes it after MAX_STEP_UP_FAILURES
+ * @param {string} sessionId
+ * @param {string} userId - Owner
+ * @returns {Promise<{ failures: number, revoked: boolean }>}
+ */
+const recordStepUpFailure = async (sessionId, userId) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $inc: { stepUpFailures: 1 } },
+    { new: true, projection: { stepUpFailures: 1 } }
+  );
+  if (!session) return { failures: 0, revoked: false };
+
+  const revoked = session.stepUpFailures >= MAX_STEP_UP_FAILURES
+    && await revokeSession(sessionId, userId, 'step_up_failed');
+  return { failures: session.stepUpFailures, revoked: Boolean(revoked) };
+};
+
+module.exports = {
+  MAX_STEP_UP_FAILURES,
+  describeDevice,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  recordStepUp,
+  recordStepUpFailure
+};
@@ -0,0 +1,170 @@
+const StripeEvent = require('../models/StripeEvent');
+const {
+  handleCheckoutSessionCompleted,
+  handlePaymentIntentSucceeded,
+  handlePaymentIntentFailed,
+  handleChargeRefunded,
+  handleChargeDisputeCreated
+} = require('./stripeWebhookHandlers');
+
+/**
+ * Stripe webhook event store
+ *
+ * Every verified webhook event is persisted before it is handled, keyed by Stripe's event
+ * ID. Redeliveries of an event that was already processed are acknowledged without running
+ * the handlers again; failed events keep their error and can be replayed by an admin.
+ */
+
+// An event stuck in 'processing' this long (e.g. the process died mid-handler) can be retried
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+const EVENT_HANDLERS = {
+  'checkout.session.completed': handleCheckoutSessionCompleted,
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleChargeDisputeCreated
+};
+
+const eventError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+/**
+ * Persist a verified Stripe event (no-op if it was already stored)
+ * @param {Object} event - Event returned by stripe.webhooks.constructEvent
+ * @param {string} source - Receiving endpoint: 'payments' or 'stripe'
+ * @returns {Promise<{ record: StripeEvent, duplicate: boolean }>}
+ */
+const recordEvent = async (event, source) => {
+  const result = await StripeEvent.findOneAndUpdate(
+    { eventId: event.id },
+    {
+      $setOnInsert: {
+        eventId: event.id,
+        type: event.type,
+        livemode: event.livemode,
+        apiVersion: event.api_version,
+        stripeCreatedAt: event.created ? new Date(event.created * 1000) : undefined,
+        data: event.data,
+        source,
+        status: 'received'
+      }
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  return { record: result.value, duplicate: Boolean(result.lastErrorObject?.updatedExisting) };
+};
+
+/**
+ * Claim a stored event and run it through its handler, recording the outcome
+ * @param {string} eventId - Stripe event ID
+ * @param {Object} [options]
+ * @param {string[]} [options.fromStatuses] - Statuses the event may be claimed from
+ * @returns {Promise<StripeEvent|null>} Event with its final status, or null if it couldn't be claimed
+ */
+const processEvent = async (eventId, { fromStatuses = ['received', 'failed'] } = {}) => {
+  const record = await StripeEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: fromStatuses } },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lastAttemptAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) return null;
+
+  const handler = EVENT_HANDLERS[record.type];
+  if (!handler) {
+    console.log(`Unhandled event type ${record.type}`);
+    return StripeEvent.findByIdAndUpdate(
+      record._id,
+      { $set: { status: 'ignored', processedAt: new Date() }, $unset: { lastError: 1 } },
+      { new: true }
+    );
+  }
+
+  try {
+    await handler(record.data.object, { rethrow: true });
+    return StripeEvent.findByIdAndUpdate(
+      record._id,
+      { $set: { status: 'processed', processedAt: new Date() }, $unset: { lastError: 1 } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`Stripe event ${eventId} (${record.type}) failed:`, error);
+    return StripeEvent.findByIdAndUpdate(
+      record._id,
+      { $set: { status: 'failed', lastError: error.message || String(error) }, $unset: { processedAt: 1 } },
+      { new: true }
+    );
+  }
+};
+
+/**
+ * Store and handle an incoming webhook event. Used by both webhook endpoints.
+ * @param {Object} event - Verified Stripe event
+ * @param {string} source - 'payments' or 'stripe'
+ * @returns {Promise<{ status: string, duplicate: boolean }>} status is the event's stored status
+ */
+const handleWebhookEvent = async (event, source) => {
+  const { record, duplicate } = await recordEvent(event, source);
+  if (duplicate && ['processed', 'ignored'].includes(record.status)) {
+    return { status: record.status, duplicate: true };
+  }
+
+  const processed = await processEvent(event.id);
+  // Someone else is handling it right now; Stripe will redeliver if that attempt fails
+  if (!processed) {
+    return { status: 'processing', duplicate: true };
+  }
+  return { status: processed.status, duplicate };
+};
+
+/**
+ * Re-run a stored event through its handler (admin recovery)
+ * @param {string} id - StripeEvent document ID or Stripe event ID
+ * @param {Object} params
+ * @param {string} params.replayedBy - Admin user ID
+ * @param {boolean} [params.force=false] - Also replay events that were processed or ignored
+ * @returns {Promise<StripeEvent>}
+ * @throws {Error} with code/status when the event can't be replayed
+ */
+const replayEvent = async (id, { replayedBy, force = false }) => {
+  const filter = id.startsWith('evt_') ? { eventId: id } : { _id: id };
+  const record = await StripeEvent.findOne(filter);
+  if (!record) {
+    throw eventError('EVENT_NOT_FOUND', 'Stripe event not found', 404);
+  }
+
+  const fromStatuses = force ? ['received', 'failed', 'processed', 'ignored'] : ['received', 'failed'];
+  if (!fromStatuses.includes(record.status)) {
+    throw eventError(
+      record.status === 'processing' ? 'EVENT_PROCESSING' : 'EVENT_ALREADY_PROCESSED',
+      record.status === 'processing'
+        ? 'Event is currently being processed'
+        : `Event is already ${record.status}; pass force to replay it anyway`,
+      409
+    );
+  }
+
+  await StripeEvent.updateOne(
+    { _id: record._id },
+    { $push: { replays: { replayedBy, replayedAt: new Date(), previousStatus: record.status } } }
+  );
+
+  const processed = await processEvent(record.eventId, { fromStatuses });
+  if (!processed) {
+    throw eventError('EVENT_PROCESSING', 'Event is currently being processed', 409);
+  }
+  return processed;
+};
+
+module.exports = {
+  EVENT_HANDLERS,
+  recordEvent,
+  processEvent,
+  handleWebhookEvent,
+  replayEvent
+};
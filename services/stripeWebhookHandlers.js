@@ -1,7 +1,14 @@
 const Payment = require('../models/Payment');
 const Application = require('../models/Application');
 const Property = require('../models/Property');
+const Booking = require('../models/Booking');
+const WorkOrder = require('../models/WorkOrder');
 const commissionService = require('./commissionService');
+const bookingService = require('./bookingService');
+const rentScheduleService = require('./rentScheduleService');
+const { getEscrowSettings } = require('./escrowService');
+const refundService = require('./refundService');
+const ledgerService = require('./ledgerService');
 const { sendEmail, getUserEmail, getEmailTemplate } = require('../utils/emailNotifications');
 const { createAuditLog } = require('../utils/auditLogger');
 
@@ -12,10 +19,15 @@ const { createAuditLog } = require('../utils/auditLogger');
  * - We currently have Stripe logic duplicated across `routes/payments.js` and `routes/stripe.js`.
  * - Webhooks can be delivered more than once, and "confirm" endpoints can race with webhooks.
  * - These handlers are written to be idempotent (safe to run multiple times).
+ * - Errors are logged and swallowed unless called with `{ rethrow: true }`, which the
+ *   webhook event store (services/stripeEventService.js) uses to mark events failed.
+ *   Events that can't be applied as delivered (missing metadata, unknown application or
+ *   charge) throw too, so they are stored as failed and can be replayed once fixed.
  */
 
-// 10 days escrow hold window (used across flows)
-const ESCROW_HOLD_DAYS = 10;
+const unprocessable = (message, details = {}) => (
+  Object.assign(new Error(message), { code: 'WEBHOOK_UNPROCESSABLE', details })
+);
 
 const addDays = (date, days) => {
   const d = new Date(date);
@@ -82,7 +94,7 @@ const normalizeCurrency = (currency) => {
  * @param {object} session Stripe checkout.session object
  * @returns {Promise<import('mongoose').Document|null>}
  */
-async function handleCheckoutSessionCompleted(session) {
+async function handleCheckoutSessionCompleted(session, options = {}) {
   try {
     const sessionId = session?.id;
     const paymentIntentId = session?.payment_intent;
@@ -93,16 +105,24 @@ async function handleCheckoutSessionCompleted(session) {
     const type = metadata.type; // 'rent' | 'application_fee' | etc
 
     if (!sessionId) {
-      console.error('handleCheckoutSessionCompleted: missing session.id');
-      return null;
+      throw unprocessable('Checkout session has no id');
+    }
+
+    // Shortlet bookings carry bookingId instead of applicationId
+    if (metadata.bookingId) {
+      return handleBookingCheckoutCompleted(session, options);
+    }
+
+    // Maintenance charges pay an existing pending Payment
+    if (metadata.maintenancePaymentId) {
+      return handleMaintenanceCheckoutCompleted(session, options);
     }
 
     if (!applicationId) {
-      console.error('handleCheckoutSessionCompleted: missing metadata.applicationId', {
+      throw unprocessable('Checkout session metadata has no applicationId', {
         sessionId,
         metadataKeys: Object.keys(metadata || {})
       });
-      return null;
     }
 
     // Idempotency guard: if we already have a Payment for this session or intent, do nothing.
@@ -116,19 +136,17 @@ async function handleCheckoutSessionCompleted(session) {
 
     // Load application (needed to determine escrow, rent period, and to infer userId if metadata is missing).
     const application = await Application.findById(applicationId)
-      .populate('property', 'title rentalType')
+      .populate('property', 'title rentalType leaseTerms')
       .populate('client', '_id email firstName lastName')
       .populate('landlord', '_id email firstName lastName')
 
     if (!application) {
-      console.error('handleCheckoutSessionCompleted: application not found', { applicationId, sessionId });
-      return null;
+      throw unprocessable(`Application ${applicationId} not found`, { applicationId, sessionId });
     }
 
     const userId = userIdFromMetadata || application.client?._id;
     if (!userId) {
-      console.error('handleCheckoutSessionCompleted: cannot determine userId', { applicationId, sessionId });
-      return null;
+      throw unprocessable(`Cannot determine the paying user for application ${applicationId}`, { applicationId, sessionId });
     }
 
     const isRentPayment =
@@ -136,12 +154,22 @@ async function handleCheckoutSessionCompleted(session) {
       application.status === 'approved' ||
       application.status === 'accepted';
 
-    const escrowExpiresAt = addDays(new Date(), ESCROW_HOLD_DAYS);
+    // Escrow interest starts after the configured hold window
+    const { thresholdDays } = await getEscrowSettings();
+    const escrowExpiresAt = addDays(new Date(), thresholdDays);
+
+    // Rent paid against an issued invoice covers exactly that invoice's period
+    const invoice = isRentPayment && metadata.invoiceId
+      ? await rentScheduleService.getPayableInvoice(metadata.invoiceId, applicationId)
+      : null;
 
     // Compute rent period for rent payments (used for expiration tracking)
     let rentPeriodStart = null;
     let rentPeriodEnd = null;
-    if (isRentPayment) {
+    if (invoice) {
+      rentPeriodStart = invoice.periodStart;
+      rentPeriodEnd = invoice.periodEnd;
+    } else if (isRentPayment) {
       try {
         const period = await computeRentPeriod(applicationId, application);
         rentPeriodStart = period.periodStart;
@@ -192,6 +220,14 @@ async function handleCheckoutSessionCompleted(session) {
       { upsert: true, new: true }
     );
 
+    if (payment.isEscrow) {
+      try {
+        await ledgerService.recordEscrowFunding(payment);
+      } catch (ledgerError) {
+        console.error('Error posting escrow funding to ledger:', ledgerError);
+      }
+    }
+
     // Update application payment status for application fees.
     if (type === 'application_fee') {
       await Application.findByIdAndUpdate(applicationId, {
@@ -208,6 +244,19 @@ async function handleCheckoutSessionCompleted(session) {
       });
     }
 
+    // Settle the matching rent invoice and keep the tenancy's rent schedule in step
+    if (isRentPayment) {
+      try {
+        await rentScheduleService.recordRentPayment({
+          payment,
+          application,
+          invoiceId: metadata.invoiceId
+        });
+      } catch (invoiceError) {
+        console.error('Error recording rent payment against invoice:', invoiceError);
+      }
+    }
+
     // Send payment success email notification to client
     try {
       const clientEmail = application.client?.email;
@@ -376,6 +425,290 @@ async function handleCheckoutSessionCompleted(session) {
     return payment;
   } catch (error) {
     console.error('handleCheckoutSessionCompleted error:', error);
+    if (options.rethrow) throw error;
+    return null;
+  }
+}
+
+/**
+ * A booking payment that can't be kept (a second payment for a confirmed booking, or one
+ * that arrived after the nights went to someone else). Hold it back from escrow release and
+ * refund it in full; admins are alerted if the refund can't be issued.
+ *
+ * @param {import('mongoose').Document} payment
+ * @param {import('mongoose').Document} booking
+ * @param {object} params
+ * @param {string} params.reason Recorded on the pause and the refund
+ * @param {string} params.stripeReason duplicate | requested_by_customer
+ * @param {string} params.title Admin alert title when the refund fails
+ */
+async function refundBookingPayment(payment, booking, { reason, stripeReason, title }) {
+  const current = await Payment.findById(payment._id).select('status');
+  // Already refunded by an earlier delivery of the same event
+  if (!current || current.status !== 'completed') return;
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        escrowAutoReleasePaused: true,
+        escrowPausedAt: new Date(),
+        escrowPauseReason: reason
+      }
+    }
+  );
+
+  try {
+    await refundService.refundPayment(payment._id, {
+      reason,
+      stripeReason,
+      refundedBy: null
+    });
+  } catch (refundError) {
+    console.error('Error refunding booking payment:', refundError);
+    try {
+      const { notifyAdmins } = require('../utils/notifications');
+      await notifyAdmins(
+        title,
+        `Payment ${payment._id} for booking ${booking._id} (${booking.property?.title || 'property'}) could not be refunded automatically (${refundError.message}): ${reason}. Escrow release is paused; please refund the guest.`,
+        'urgent',
+        '/dashboard/admin/transactions',
+        { paymentId: payment._id.toString(), bookingId: booking._id.toString() }
+      );
+    } catch (notifyError) {
+      console.error('Error notifying admins about booking refund:', notifyError);
+    }
+  }
+}
+
+/**
+ * Act on the outcome of confirmBooking for a paid checkout: refund payments that can't be
+ * kept, otherwise tell both parties the booking is confirmed (first confirmation only).
+ *
+ * @param {import('mongoose').Document} payment
+ * @param {import('mongoose').Document} booking Booking as loaded before confirming
+ * @param {object} result confirmBooking result
+ */
+async function settleBookingPayment(payment, booking, result) {
+  if (!result.booking || result.conflict) {
+    // Booking was cancelled, its nights went to someone else after the hold expired, or it is gone
+    const why = result.booking?.status === 'cancelled'
+      ? 'it was cancelled before payment arrived'
+      : 'its nights were no longer available when payment arrived';
+    await refundBookingPayment(payment, booking, {
+      reason: `Booking ${booking._id} could not be confirmed: ${why}`,
+      stripeReason: 'requested_by_customer',
+      title: 'Booking Payment Needs Refund'
+    });
+  } else if (result.alreadyConfirmed && result.booking.payment && String(result.booking.payment) !== String(payment._id)) {
+    await refundBookingPayment(payment, booking, {
+      reason: `Duplicate payment for booking ${booking._id}`,
+      stripeReason: 'duplicate',
+      title: 'Duplicate Booking Payment'
+    });
+  } else if (result.confirmed && !result.alreadyConfirmed) {
+    try {
+      await bookingService.notifyBookingConfirmed(await result.booking.populate('property', 'title'));
+    } catch (notifyError) {
+      console.error('Error sending booking confirmation notifications:', notifyError);
+    }
+  }
+}
+
+/**
+ * Process a completed Checkout Session for a shortlet booking.
+ * Creates the escrow Payment exactly once and confirms the booking. If the booking's
+ * nights were released before payment arrived the payment is refunded.
+ *
+ * @param {object} session Stripe checkout.session object with metadata.bookingId
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+async function handleBookingCheckoutCompleted(session, options = {}) {
+  try {
+    const sessionId = session.id;
+    const paymentIntentId = session.payment_intent;
+    const bookingId = session.metadata.bookingId;
+
+    const existing = await Payment.findOne({
+      $or: [
+        { stripeSessionId: sessionId },
+        ...(paymentIntentId ? [{ stripePaymentIntentId: paymentIntentId }] : [])
+      ]
+    });
+    if (existing) {
+      // Finish confirmation (or the refund) if a previous run stopped after creating the payment
+      if (existing.booking) {
+        const existingBooking = await Booking.findById(existing.booking).populate('property', 'title');
+        const result = existingBooking
+          ? await bookingService.confirmBooking(existingBooking._id, existing._id, sessionId)
+          : { booking: null };
+        await settleBookingPayment(existing, existingBooking || { _id: existing.booking }, result);
+      }
+      return existing;
+    }
+
+    const booking = await Booking.findById(bookingId).populate('property', 'title');
+    if (!booking) {
+      throw unprocessable(`Booking ${bookingId} not found`, { bookingId, sessionId });
+    }
+
+    const amount = (session.amount_total || 0) / 100; // Stripe uses cents
+    const commissionRate = await commissionService.getCurrentCommissionRate();
+    const { thresholdDays } = await getEscrowSettings();
+    const commissionAmount = commissionService.calculateCommission(amount, commissionRate);
+
+    const payment = await Payment.findOneAndUpdate(
+      { stripeSessionId: sessionId },
+      {
+        $setOnInsert: {
+          booking: booking._id,
+          user: session.metadata.userId || booking.guest,
+          amount,
+          currency: normalizeCurrency(session.currency),
+          stripePaymentIntentId: paymentIntentId,
+          stripeSessionId: sessionId,
+          status: 'completed',
+          type: 'booking',
+          description: `Shortlet booking for ${booking.property?.title || 'property'} (${booking.nights} night${booking.nights === 1 ? '' : 's'}). Payment will be held in escrow.`,
+          isEscrow: true,
+          escrowStatus: 'held',
+          escrowHeldAt: new Date(),
+          escrowExpiresAt: addDays(new Date(), thresholdDays),
+          rentPeriodStart: booking.checkIn,
+          rentPeriodEnd: booking.checkOut,
+          commission_rate: commissionRate,
+          commission_amount: commissionAmount
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    try {
+      await ledgerService.recordEscrowFunding(payment);
+    } catch (ledgerError) {
+      console.error('Error posting escrow funding to ledger:', ledgerError);
+    }
+
+    const result = await bookingService.confirmBooking(booking._id, payment._id, sessionId);
+
+    await settleBookingPayment(payment, booking, result);
+
+    try {
+      await createAuditLog({
+        action: 'payment_created',
+        entityType: 'Payment',
+        entityId: payment._id,
+        userId: payment.user,
+        details: {
+          paymentId: payment._id.toString(),
+          bookingId: booking._id.toString(),
+          amount: payment.amount,
+          currency: payment.currency,
+          type: payment.type,
+          status: payment.status,
+          isEscrow: payment.isEscrow,
+          bookingConfirmed: result.confirmed,
+          stripeSessionId: sessionId
+        },
+        ipAddress: null,
+        userAgent: null
+      });
+    } catch (auditError) {
+      console.error('Error creating payment audit log:', auditError);
+    }
+
+    return payment;
+  } catch (error) {
+    console.error('handleBookingCheckoutCompleted error:', error);
+    if (options.rethrow) throw error;
+    return null;
+  }
+}
+
+/**
+ * Process a completed Checkout Session for a tenant's maintenance charge.
+ * Completes the pending Payment once and credits the landlord who covered the work. A
+ * charge the landlord already marked as paid offline is left alone and admins are asked
+ * to refund the card payment.
+ *
+ * @param {object} session Stripe checkout.session object with metadata.maintenancePaymentId
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+async function handleMaintenanceCheckoutCompleted(session, options = {}) {
+  try {
+    const sessionId = session.id;
+    const paymentIntentId = session.payment_intent;
+    const paymentId = session.metadata.maintenancePaymentId;
+
+    let payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, type: 'maintenance', status: 'pending' },
+      {
+        $set: {
+          status: 'completed',
+          paymentMethod: 'card',
+          stripeSessionId: sessionId,
+          stripePaymentIntentId: paymentIntentId,
+          processedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!payment) {
+      const current = await Payment.findById(paymentId);
+      if (!current) {
+        throw unprocessable(`Maintenance payment ${paymentId} not found`, { paymentId, sessionId });
+      }
+      if (current.stripeSessionId !== sessionId) {
+        // Settled some other way before this card payment arrived
+        try {
+          const { notifyAdmins } = require('../utils/notifications');
+          await notifyAdmins(
+            'Maintenance Charge Paid Twice',
+            `Maintenance charge ${current._id} was already ${current.status} when card payment ${paymentIntentId || sessionId} arrived. Please refund the tenant through Stripe.`,
+            'urgent',
+            '/dashboard/admin/transactions',
+            { paymentId: current._id.toString(), stripeSessionId: sessionId, stripePaymentIntentId: paymentIntentId }
+          );
+        } catch (notifyError) {
+          console.error('Error notifying admins about duplicate maintenance payment:', notifyError);
+        }
+        return current;
+      }
+      // Earlier delivery of the same event: finish the ledger posting below if it didn't happen
+      payment = current;
+    }
+
+    const workOrder = await WorkOrder.findById(payment.metadata?.workOrderId).select('landlord maintenanceRequest');
+    const landlordId = workOrder?.landlord;
+    if (landlordId) {
+      try {
+        await ledgerService.recordMaintenanceCharge({ payment, landlordId });
+      } catch (ledgerError) {
+        console.error('Error posting maintenance charge to ledger:', ledgerError);
+      }
+    }
+
+    try {
+      const { createNotification } = require('../utils/notifications');
+      if (landlordId) {
+        await createNotification({
+          userId: landlordId,
+          type: 'payment_received',
+          title: 'Maintenance Charge Paid',
+          message: `The tenant paid ${payment.currency || 'NGN'} ${payment.amount.toLocaleString()} for ${payment.description || 'maintenance work'}. It has been added to your available earnings.`,
+          priority: 'medium',
+          relatedEntity: { type: 'maintenance', id: workOrder.maintenanceRequest },
+          actionUrl: `/dashboard/maintenance/${workOrder.maintenanceRequest}`
+        });
+      }
+    } catch (notifyError) {
+      console.error('Error notifying landlord about maintenance payment:', notifyError);
+    }
+
+    return payment;
+  } catch (error) {
+    console.error('handleMaintenanceCheckoutCompleted error:', error);
+    if (options.rethrow) throw error;
     return null;
   }
 }
@@ -384,27 +717,28 @@ async function handleCheckoutSessionCompleted(session) {
  * Mark a payment completed if we can find it by payment intent.
  * Note: we can't upsert here because Payment requires application/user/type.
  */
-async function handlePaymentIntentSucceeded(paymentIntent) {
+async function handlePaymentIntentSucceeded(paymentIntent, options = {}) {
   try {
     const id = paymentIntent?.id;
-    if (!id) return;
+    if (!id) throw unprocessable('Payment intent has no id');
     await Payment.findOneAndUpdate(
       { stripePaymentIntentId: id },
       { status: 'completed' }
     );
   } catch (error) {
     console.error('handlePaymentIntentSucceeded error:', error);
+    if (options.rethrow) throw error;
   }
 }
 
 /**
  * Mark a payment failed if we can find it by payment intent.
  */
-async function handlePaymentIntentFailed(paymentIntent) {
+async function handlePaymentIntentFailed(paymentIntent, options = {}) {
   try {
     const id = paymentIntent?.id;
-    if (!id) return;
-    
+    if (!id) throw unprocessable('Payment intent has no id');
+
     const payment = await Payment.findOneAndUpdate(
       { stripePaymentIntentId: id },
       {
@@ -462,12 +796,45 @@ async function handlePaymentIntentFailed(paymentIntent) {
     }
   } catch (error) {
     console.error('handlePaymentIntentFailed error:', error);
+    if (options.rethrow) throw error;
+  }
+}
+
+/**
+ * Record refunds reported by Stripe, including ones issued from the Stripe dashboard.
+ * Refunds made through POST /api/payments/:id/refund are already recorded and are skipped.
+ */
+async function handleChargeRefunded(charge, options = {}) {
+  try {
+    if (!charge?.id) throw unprocessable('Charge has no id');
+    // Unknown until the checkout webhook has created the payment; fail so it can be replayed
+    const payment = await refundService.recordStripeRefund(charge);
+    if (!payment) throw unprocessable(`No payment found for charge ${charge.id}`, { chargeId: charge.id });
+  } catch (error) {
+    console.error('handleChargeRefunded error:', error);
+    if (options.rethrow) throw error;
+  }
+}
+
+/**
+ * Flag a chargeback on the payment and pause escrow auto-release.
+ */
+async function handleChargeDisputeCreated(dispute, options = {}) {
+  try {
+    if (!dispute?.id) throw unprocessable('Dispute has no id');
+    const payment = await refundService.recordStripeDispute(dispute);
+    if (!payment) throw unprocessable(`No payment found for disputed charge ${dispute.charge}`, { disputeId: dispute.id });
+  } catch (error) {
+    console.error('handleChargeDisputeCreated error:', error);
+    if (options.rethrow) throw error;
   }
 }
 
 module.exports = {
   handleCheckoutSessionCompleted,
   handlePaymentIntentSucceeded,
-  handlePaymentIntentFailed
+  handlePaymentIntentFailed,
+  handleChargeRefunded,
+  handleChargeDisputeCreated
 };
 
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Two-factor authentication
+ *
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30 s steps, one step of clock drift either way) with ten
+ * single-use backup codes, and an optional code-by-email fallback. Secrets are encrypted with
+ * AES-256-GCM under TWO_FACTOR_ENCRYPTION_KEY (falls back to a key derived from JWT_SECRET).
+ *
+ * Sign-in: when 2FA is on, POST /api/auth/login returns a short-lived challenge token instead
+ * of a session; POST /api/auth/2fa/login exchanges it plus a code for the session.
+ * Sensitive actions additionally need a recent step-up on the session (middleware/stepUp.js).
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'LandlordNoAgent';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+const EMAIL_CODE_TTL_MS = 10 * 60 * 1000;
+const EMAIL_CODE_MAX_ATTEMPTS = 5;
+const LOGIN_CHALLENGE_TTL = '5m';
+const LOGIN_CHALLENGE_PURPOSE = '2fa_login';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message, code, status = 400) => Object.assign(new Error(message), { code, status });
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa:${process.env.JWT_SECRET}`)
+  .digest();
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Time step matched by a TOTP code, or null
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ * @returns {number|null}
+ */
+const matchTotp = (secret, code) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift += 1) {
+    const step = currentStep + drift;
+    if (safeEqual(generateTotp(secret, step), normalized)) return step;
+  }
+  return null;
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashCode(normalizeBackupCode(code)) }))
+  };
+};
+
+/**
+ * Whether the user's role must use 2FA under the current PlatformSettings
+ * @param {Object} user
+ * @param {Object} settings - PlatformSettings
+ * @returns {boolean}
+ */
+const isRequiredForUser = (user, settings) => (settings?.twoFactorRequiredRoles || []).includes(user.role);
+
+/**
+ * Start (or restart) enrolment: a new pending secret and its provisioning URI
+ * @param {Object} user
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const startEnrollment = async (user) => {
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+  }
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return { secret, otpauthUrl: `otpauth://totp/${label}?${params.toString()}` };
+};
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @param {string} userId
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {boolean} [options.emailFallback=false]
+ * @returns {Promise<{ backupCodes: string[] }>} Backup codes, shown to the user once
+ */
+const confirmEnrollment = async (userId, code, { emailFallback = false } = {}) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  if (!user?.twoFactor?.pendingSecret) {
+    throw twoFactorError('Start two-factor setup first', 'TWO_FACTOR_SETUP_NOT_STARTED');
+  }
+  if (user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = matchTotp(secret, code);
+  if (step === null) {
+    throw twoFactorError('Invalid verification code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const { codes, stored } = generateBackupCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': encryptSecret(secret),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.backupCodes': stored,
+        'twoFactor.emailFallback': emailFallback === true
+      },
+      $unset: { 'twoFactor.pendingSecret': 1, 'twoFactor.emailCode': 1 }
+    }
+  );
+  return { backupCodes: codes };
+};
+
+const verifyTotpCode = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+  const step = matchTotp(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  // Claim the step atomically so the same code can't be used twice
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const verifyBackupCode = async (userId, code) => {
+  const normalized = normalizeBackupCode(code);
+  if (!normalized) return false;
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      'twoFactor.enabled': true,
+      'twoFactor.backupCodes': { $elemMatch: { hash: hashCode(normalized), usedAt: null } }
+    },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const verifyEmailCode = async (userId, code) => {
+  const user = await User.findById(userId)
+    .select('+twoFactor.emailCode.hash +twoFactor.emailCode.expiresAt +twoFactor.emailCode.attempts');
+  const emailCode = user?.twoFactor?.emailCode;
+  if (!user?.twoFactor?.enabled || !user.twoFactor.emailFallback || !emailCode?.hash) return false;
+  if (emailCode.expiresAt < new Date() || (emailCode.attempts || 0) >= EMAIL_CODE_MAX_ATTEMPTS) return false;
+
+  if (!safeEqual(emailCode.hash, hashCode(String(code || '').trim()))) {
+    await User.updateOne({ _id: userId }, { $inc: { 'twoFactor.emailCode.attempts': 1 } });
+    return false;
+  }
+  // Single use
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.emailCode.hash': emailCode.hash },
+    { $unset: { 'twoFactor.emailCode': 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check a second-factor code
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string} [params.method] - 'totp' | 'backup_code' | 'email'; guessed from the code when omitted
+ * @returns {Promise<string|null>} Method that accepted the code, or null
+ */
+const verifySecondFactor = async (userId, { code, method }) => {
+  if (!code) return null;
+  const methods = method
+    ? [method]
+    : (/^\s*\d{6}\s*$/.test(String(code)) ? ['totp', 'email'] : ['backup_code']);
+
+  for (const candidate of methods) {
+    let accepted = false;
+    if (candidate === 'totp') accepted = await verifyTotpCode(userId, code);
+    else if (candidate === 'backup_code') accepted = await verifyBackupCode(userId, code);
+    else if (candidate === 'email') accepted = await verifyEmailCode(userId, code);
+    if (accepted) return candidate;
+  }
+  return null;
+};
+
+/**
+ * Create a one-time email code (the caller sends it)
+ * @param {string} userId
+ * @returns {Promise<string>} The code
+ */
+const issueEmailCode = async (userId) => {
+  const user = await User.findById(userId).select('twoFactor');
+  if (!user?.twoFactor?.enabled || !user.twoFactor.emailFallback) {
+    throw twoFactorError('Email codes are not enabled for this account', 'EMAIL_FALLBACK_DISABLED');
+  }
+  const code = String(crypto.randomInt(100000, 1000000));
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'twoFactor.emailCode': {
+          hash: hashCode(code),
+          expiresAt: new Date(Date.now() + EMAIL_CODE_TTL_MS),
+          attempts: 0
+        }
+      }
+    }
+  );
+  return code;
+};
+
+/**
+ * Replace the backup codes
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+const regenerateBackupCodes = async (userId) => {
+  const { codes, stored } = generateBackupCodes();
+  await User.updateOne({ _id: userId, 'twoFactor.enabled': true }, { $set: { 'twoFactor.backupCodes': stored } });
+  return codes;
+};
+
+/**
+ * Turn 2FA off and remove the secret and codes
+ * @param {string} userId
+ */
+const disable = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.emailFallback': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.emailCode': 1
+      }
+    }
+  );
+};
+
+/**
+ * Remaining unused backup codes
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+const countBackupCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.backupCodes');
+  return (user?.twoFactor?.backupCodes || []).filter(entry => !entry.usedAt).length;
+};
+
+/**
+ * Short-lived token proving the password step of a sign-in succeeded
+ * @param {Object} user
+ * @returns {string}
+ */
+const createLoginChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: LOGIN_CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_TTL }
+);
+
+/**
+ * User id from a login challenge token
+ * @param {string} token
+ * @returns {string}
+ */
+const readLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    if (decoded.purpose !== LOGIN_CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+    return decoded.userId;
+  } catch (error) {
+    throw twoFactorError('Sign-in challenge expired, please sign in again', 'TWO_FACTOR_CHALLENGE_EXPIRED', 401);
+  }
+};
+
+module.exports = {
+  isRequiredForUser,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  issueEmailCode,
+  regenerateBackupCodes,
+  disable,
+  countBackupCodes,
+  createLoginChallenge,
+  readLoginChallenge
+};
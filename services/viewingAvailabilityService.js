@@ -0,0 +1,458 @@
+const ViewingAvailability = require('../models/ViewingAvailability');
+const ViewingAppointment = require('../models/ViewingAppointment');
+const ViewingSlotBlock = require('../models/ViewingSlotBlock');
+
+/**
+ * Viewing availability and slot booking
+ *
+ * Landlords publish weekly windows per property (local time in the availability's time zone).
+ * Each window is cut into slots of slotMinutes, with bufferMinutes kept free after each one;
+ * blackout dates, minimum notice and the booking horizon are applied on top.
+ *
+ * A booked viewing holds every 5-minute block from its start to the end of its buffer as a
+ * ViewingSlotBlock with a unique { property, block } index, so two overlapping bookings can
+ * never both succeed, even after the landlord changes slot length or windows.
+ * Properties without published availability still accept free-form requests (pending until
+ * the landlord confirms); those hold their blocks the same way.
+ */
+
+const BLOCK_MINUTES = 5;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DEFAULT_RANGE_DAYS = 14;
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_REQUEST_MINUTES = 60;
+const MAX_WINDOWS = 50;
+const MAX_BLACKOUT_DATES = 366;
+
+const VIEWING_ERRORS = {
+  INVALID_AVAILABILITY: 'INVALID_AVAILABILITY',
+  INVALID_DATES: 'INVALID_DATES',
+  PROPERTY_UNAVAILABLE: 'PROPERTY_UNAVAILABLE',
+  SLOT_UNAVAILABLE: 'SLOT_UNAVAILABLE',
+  SLOT_TAKEN: 'SLOT_TAKEN'
+};
+
+const viewingError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+const getDefaultTimezone = () => process.env.VIEWING_DEFAULT_TIMEZONE || 'Africa/Lagos';
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const parseTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const parseDayKey = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return null;
+  return date;
+};
+
+const addDaysToKey = (dayKey, days) => new Date(parseDayKey(dayKey).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {{ dayKey: string, minutes: number, offsetMinutes: number }}
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return {
+    dayKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    offsetMinutes: Math.round((wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS)
+  };
+};
+
+/**
+ * Instant of a local wall-clock time in a time zone
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dayKey, minutes, timeZone) => {
+  const wallClockAsUtc = parseDayKey(dayKey).getTime() + minutes * MINUTE_MS;
+  let offset = getZonedParts(new Date(wallClockAsUtc), timeZone).offsetMinutes;
+  let instant = wallClockAsUtc - offset * MINUTE_MS;
+  // Second pass settles instants near a DST change
+  const corrected = getZonedParts(new Date(instant), timeZone).offsetMinutes;
+  if (corrected !== offset) {
+    offset = corrected;
+    instant = wallClockAsUtc - offset * MINUTE_MS;
+  }
+  return new Date(instant);
+};
+
+const enumerateBlocks = (startsAt, minutes) => {
+  const blocks = [];
+  for (let offset = 0; offset < minutes; offset += BLOCK_MINUTES) {
+    blocks.push(new Date(startsAt.getTime() + offset * MINUTE_MS));
+  }
+  return blocks;
+};
+
+const isAlignedToBlock = (date) => date.getTime() % (BLOCK_MINUTES * MINUTE_MS) === 0;
+
+/**
+ * Published availability of a property
+ * @param {string} propertyId
+ * @returns {Promise<ViewingAvailability|null>}
+ */
+const getAvailability = (propertyId) => ViewingAvailability.findOne({ property: propertyId });
+
+/**
+ * Validate and save a property's availability (replaces the previous one)
+ * @param {Object} property - Property document
+ * @param {Object} input - { timezone, weeklyWindows, slotMinutes, bufferMinutes, minNoticeHours,
+ *                           maxAdvanceDays, blackoutDates, autoConfirm, isActive }
+ * @returns {Promise<ViewingAvailability>}
+ * @throws {Error} INVALID_AVAILABILITY (400)
+ */
+const saveAvailability = async (property, input = {}) => {
+  const invalid = (message) => viewingError(VIEWING_ERRORS.INVALID_AVAILABILITY, message);
+
+  const timezone = input.timezone || getDefaultTimezone();
+  if (!isValidTimezone(timezone)) throw invalid(`Unknown time zone: ${timezone}`);
+
+  const slotMinutes = input.slotMinutes === undefined ? 30 : Number(input.slotMinutes);
+  const bufferMinutes = input.bufferMinutes === undefined ? 15 : Number(input.bufferMinutes);
+  for (const [name, value] of [['slotMinutes', slotMinutes], ['bufferMinutes', bufferMinutes]]) {
+    if (!Number.isInteger(value) || value % BLOCK_MINUTES !== 0) {
+      throw invalid(`${name} must be a whole number of minutes in steps of ${BLOCK_MINUTES}`);
+    }
+  }
+
+  const windows = Array.isArray(input.weeklyWindows) ? input.weeklyWindows : [];
+  if (windows.length > MAX_WINDOWS) throw invalid(`At most ${MAX_WINDOWS} weekly windows are allowed`);
+  const weeklyWindows = windows.map((window, index) => {
+    const dayOfWeek = Number(window.dayOfWeek);
+    const start = parseTime(window.startTime);
+    const end = parseTime(window.endTime);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw invalid(`weeklyWindows[${index}].dayOfWeek must be 0 (Sunday) to 6 (Saturday)`);
+    }
+    if (start === null || end === null || end <= start) {
+      throw invalid(`weeklyWindows[${index}] needs startTime before endTime (HH:mm)`);
+    }
+    if (start % BLOCK_MINUTES !== 0 || end % BLOCK_MINUTES !== 0) {
+      throw invalid(`weeklyWindows[${index}] times must be on ${BLOCK_MINUTES}-minute boundaries`);
+    }
+    return { dayOfWeek, startTime: window.startTime, endTime: window.endTime };
+  });
+
+  // Overlapping windows on the same day would offer overlapping slots
+  for (let day = 0; day <= 6; day += 1) {
+    const sameDay = weeklyWindows
+      .filter(window => window.dayOfWeek === day)
+      .sort((a, b) => parseTime(a.startTime) - parseTime(b.startTime));
+    for (let i = 1; i < sameDay.length; i += 1) {
+      if (parseTime(sameDay[i].startTime) < parseTime(sameDay[i - 1].endTime)) {
+        throw invalid('Weekly windows on the same day must not overlap');
+      }
+    }
+  }
+
+  const blackouts = Array.isArray(input.blackoutDates) ? input.blackoutDates : [];
+  if (blackouts.length > MAX_BLACKOUT_DATES) throw invalid(`At most ${MAX_BLACKOUT_DATES} blackout dates are allowed`);
+  const blackoutDates = blackouts.map(entry => {
+    const date = typeof entry === 'string' ? entry : entry?.date;
+    if (!parseDayKey(date)) throw invalid(`Invalid blackout date: ${date}`);
+    return { date, reason: typeof entry === 'object' ? entry.reason : undefined };
+  });
+
+  const fields = {
+    property: property._id,
+    landlord: property.landlord,
+    timezone,
+    weeklyWindows,
+    slotMinutes,
+    bufferMinutes,
+    blackoutDates
+  };
+  for (const key of ['minNoticeHours', 'maxAdvanceDays']) {
+    if (input[key] !== undefined) fields[key] = Number(input[key]);
+  }
+  for (const key of ['autoConfirm', 'isActive']) {
+    if (input[key] !== undefined) fields[key] = input[key] === true || input[key] === 'true';
+  }
+
+  try {
+    return await ViewingAvailability.findOneAndUpdate(
+      { property: property._id },
+      { $set: fields },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.name === 'ValidationError') throw invalid(error.message);
+    throw error;
+  }
+};
+
+/**
+ * Every slot the availability offers in a range of local days, ignoring bookings
+ */
+const generateSlots = (availability, fromKey, toKey) => {
+  const blackout = new Set((availability.blackoutDates || []).map(entry => entry.date));
+  const slots = [];
+
+  for (let dayKey = fromKey; dayKey < toKey; dayKey = addDaysToKey(dayKey, 1)) {
+    if (blackout.has(dayKey)) continue;
+    const dayOfWeek = parseDayKey(dayKey).getUTCDay();
+
+    for (const window of availability.weeklyWindows.filter(w => w.dayOfWeek === dayOfWeek)) {
+      const end = parseTime(window.endTime);
+      for (let start = parseTime(window.startTime); start + availability.slotMinutes <= end; start += availability.slotMinutes + availability.bufferMinutes) {
+        const startsAt = zonedTimeToUtc(dayKey, start, availability.timezone);
+        slots.push({
+          startsAt,
+          endsAt: new Date(startsAt.getTime() + availability.slotMinutes * MINUTE_MS),
+          date: dayKey,
+          time: formatTime(start)
+        });
+      }
+    }
+  }
+  return slots.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Open viewing slots of a property
+ * @param {Object} property - Property document
+ * @param {Object} [range]
+ * @param {string} [range.from] - First local day (YYYY-MM-DD), default today
+ * @param {string} [range.to] - Last local day, exclusive; default from + 14 days (at most 31)
+ * @returns {Promise<Object>} { enabled, timezone, slotMinutes, bufferMinutes, from, to, slots }
+ * @throws {Error} INVALID_DATES (400)
+ */
+const listOpenSlots = async (property, { from, to } = {}) => {
+  const availability = await getAvailability(property._id);
+  if (!availability || !availability.isActive || !availability.weeklyWindows.length) {
+    return { enabled: false, slots: [] };
+  }
+
+  const { timezone } = availability;
+  const todayKey = getZonedParts(new Date(), timezone).dayKey;
+  const fromKey = from || todayKey;
+  if (!parseDayKey(fromKey) || (to && !parseDayKey(to))) {
+    throw viewingError(VIEWING_ERRORS.INVALID_DATES, 'from and to must be dates in YYYY-MM-DD format');
+  }
+  const toKey = to || addDaysToKey(fromKey, DEFAULT_RANGE_DAYS);
+  const rangeDays = (parseDayKey(toKey) - parseDayKey(fromKey)) / DAY_MS;
+  if (rangeDays <= 0 || rangeDays > MAX_RANGE_DAYS) {
+    throw viewingError(VIEWING_ERRORS.INVALID_DATES, `to must be after from and at most ${MAX_RANGE_DAYS} days later`);
+  }
+
+  const earliest = Date.now() + availability.minNoticeHours * 60 * MINUTE_MS;
+  const latest = Date.now() + availability.maxAdvanceDays * DAY_MS;
+  const candidates = generateSlots(availability, fromKey, toKey)
+    .filter(slot => slot.startsAt.getTime() >= earliest && slot.startsAt.getTime() <= latest);
+
+  const holdMinutes = availability.slotMinutes + availability.bufferMinutes;
+  let taken = new Set();
+  if (candidates.length) {
+    const blocks = await ViewingSlotBlock.find({
+      property: property._id,
+      block: {
+        $gte: candidates[0].startsAt,
+        $lt: new Date(candidates[candidates.length - 1].startsAt.getTime() + holdMinutes * MINUTE_MS)
+      }
+    }).select('block').lean();
+    taken = new Set(blocks.map(entry => entry.block.getTime()));
+  }
+
+  const slots = candidates.filter(slot => enumerateBlocks(slot.startsAt, holdMinutes)
+    .every(block => !taken.has(block.getTime())));
+
+  return {
+    enabled: true,
+    timezone,
+    slotMinutes: availability.slotMinutes,
+    bufferMinutes: availability.bufferMinutes,
+    from: fromKey,
+    to: toKey,
+    slots
+  };
+};
+
+/**
+ * Atomically hold the blocks of a viewing.
+ * Inserts stop at the first block someone else holds; anything already inserted is rolled back.
+ * @throws {Error} SLOT_TAKEN (409)
+ */
+const reserveBlocks = async (appointment, holdMinutes) => {
+  try {
+    await ViewingSlotBlock.insertMany(
+      enumerateBlocks(appointment.startsAt, holdMinutes)
+        .map(block => ({ property: appointment.property, block, appointment: appointment._id })),
+      { ordered: true }
+    );
+  } catch (error) {
+    await ViewingSlotBlock.deleteMany({ appointment: appointment._id });
+    if (error.code === 11000) {
+      throw viewingError(VIEWING_ERRORS.SLOT_TAKEN, 'This time has just been booked by someone else', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Free a viewing's time (cancelled or rejected)
+ * @param {string} appointmentId
+ */
+const releaseViewing = (appointmentId) => ViewingSlotBlock.deleteMany({ appointment: appointmentId });
+
+/**
+ * Book a viewing. With published availability the time must be one of the open slots;
+ * without it the request is free-form and waits for the landlord.
+ * @param {Object} params
+ * @param {Object} params.property - Property document
+ * @param {string} params.clientId
+ * @param {string} [params.startsAt] - ISO instant of a slot
+ * @param {string} [params.scheduledDate] - YYYY-MM-DD local day (with scheduledTime, older clients)
+ * @param {string} [params.scheduledTime] - HH:mm local time
+ * @param {number} [params.duration] - Minutes, free-form requests only
+ * @param {string} [params.notes]
+ * @returns {Promise<ViewingAppointment>}
+ * @throws {Error} PROPERTY_UNAVAILABLE, INVALID_DATES, SLOT_UNAVAILABLE (400) or SLOT_TAKEN (409)
+ */
+const bookViewing = async ({ property, clientId, startsAt, scheduledDate, scheduledTime, duration, notes }) => {
+  if (!property.viewingsEnabled || !property.isAvailable) {
+    throw viewingError(VIEWING_ERRORS.PROPERTY_UNAVAILABLE, 'Property is not available for viewings');
+  }
+
+  const availability = await getAvailability(property._id);
+  const published = Boolean(availability && availability.isActive && availability.weeklyWindows.length);
+  const timezone = published ? availability.timezone : getDefaultTimezone();
+
+  let start;
+  if (startsAt) {
+    start = new Date(startsAt);
+  } else if (parseDayKey(scheduledDate) && parseTime(scheduledTime) !== null) {
+    start = zonedTimeToUtc(scheduledDate, parseTime(scheduledTime), timezone);
+  } else if (scheduledDate && parseTime(scheduledTime) !== null && !Number.isNaN(new Date(scheduledDate).getTime())) {
+    // Older clients send a full date string
+    start = zonedTimeToUtc(new Date(scheduledDate).toISOString().slice(0, 10), parseTime(scheduledTime), timezone);
+  }
+  if (!start || Number.isNaN(start.getTime())) {
+    throw viewingError(VIEWING_ERRORS.INVALID_DATES, 'Choose a viewing time (startsAt, or scheduledDate and scheduledTime as HH:mm)');
+  }
+  if (start.getTime() <= Date.now()) {
+    throw viewingError(VIEWING_ERRORS.INVALID_DATES, 'Viewing time must be in the future');
+  }
+
+  let minutes;
+  let holdMinutes;
+  if (published) {
+    const local = getZonedParts(start, timezone);
+    const { slots } = await listOpenSlots(property, { from: local.dayKey, to: addDaysToKey(local.dayKey, 1) });
+    if (!slots.some(slot => slot.startsAt.getTime() === start.getTime())) {
+      throw viewingError(VIEWING_ERRORS.SLOT_UNAVAILABLE, 'This time is not an open viewing slot');
+    }
+    minutes = availability.slotMinutes;
+    holdMinutes = availability.slotMinutes + availability.bufferMinutes;
+  } else {
+    minutes = Number(duration) || DEFAULT_REQUEST_MINUTES;
+    if (!Number.isInteger(minutes) || minutes < 15 || minutes > 240 || minutes % BLOCK_MINUTES !== 0 || !isAlignedToBlock(start)) {
+      throw viewingError(VIEWING_ERRORS.INVALID_DATES, `Viewing times and lengths must be on ${BLOCK_MINUTES}-minute steps (15 to 240 minutes)`);
+    }
+    holdMinutes = minutes;
+  }
+
+  const local = getZonedParts(start, timezone);
+  const appointment = await ViewingAppointment.create({
+    property: property._id,
+    client: clientId,
+    landlord: property.landlord,
+    scheduledDate: start,
+    scheduledTime: formatTime(local.minutes),
+    startsAt: start,
+    endsAt: new Date(start.getTime() + minutes * MINUTE_MS),
+    timezone,
+    duration: minutes,
+    bookedFromSlot: published,
+    notes,
+    status: published && availability.autoConfirm ? 'confirmed' : 'pending'
+  });
+
+  try {
+    await reserveBlocks(appointment, holdMinutes);
+  } catch (error) {
+    await ViewingAppointment.deleteOne({ _id: appointment._id });
+    throw error;
+  }
+  return appointment;
+};
+
+/**
+ * Give a viewing booked before slot blocks existed its exact times and hold its blocks.
+ * The legacy scheduledTime is read as local time in the default viewing time zone; times
+ * off the 5-minute grid hold every block they touch. Safe to run more than once.
+ * @param {ViewingAppointment} appointment - Pending or confirmed viewing
+ * @returns {Promise<{ timesSet: boolean, held: boolean }>} held is false when another viewing
+ *   already holds part of the time (a double booking to resolve by hand) or the time is unreadable
+ */
+const migrateLegacyAppointment = async (appointment) => {
+  let { startsAt, endsAt } = appointment;
+  let timesSet = false;
+  if (!startsAt) {
+    const timezone = appointment.timezone || getDefaultTimezone();
+    const minutes = parseTime(appointment.scheduledTime);
+    if (minutes === null || !appointment.scheduledDate) return { timesSet, held: false };
+    // Legacy scheduledDate is the chosen day at UTC midnight, as older clients send it to bookViewing
+    startsAt = zonedTimeToUtc(new Date(appointment.scheduledDate).toISOString().slice(0, 10), minutes, timezone);
+    endsAt = new Date(startsAt.getTime() + (appointment.duration || DEFAULT_REQUEST_MINUTES) * MINUTE_MS);
+    await ViewingAppointment.updateOne(
+      { _id: appointment._id, startsAt: { $exists: false } },
+      { $set: { startsAt, endsAt, timezone } }
+    );
+    timesSet = true;
+  }
+  endsAt = endsAt || new Date(startsAt.getTime() + (appointment.duration || DEFAULT_REQUEST_MINUTES) * MINUTE_MS);
+
+  if (await ViewingSlotBlock.exists({ appointment: appointment._id })) return { timesSet, held: true };
+
+  const blockMs = BLOCK_MINUTES * MINUTE_MS;
+  const from = new Date(Math.floor(startsAt.getTime() / blockMs) * blockMs);
+  const holdMinutes = Math.ceil((endsAt.getTime() - from.getTime()) / blockMs) * BLOCK_MINUTES;
+  try {
+    await reserveBlocks({ _id: appointment._id, property: appointment.property, startsAt: from }, holdMinutes);
+  } catch (error) {
+    if (error.code !== VIEWING_ERRORS.SLOT_TAKEN) throw error;
+    return { timesSet, held: false };
+  }
+  return { timesSet, held: true };
+};
+
+module.exports = {
+  VIEWING_ERRORS,
+  getAvailability,
+  saveAvailability,
+  listOpenSlots,
+  bookViewing,
+  releaseViewing,
+  migrateLegacyAppointment
+};
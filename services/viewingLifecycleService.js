@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const ViewingAppointment = require('../models/ViewingAppointment');
+const Application = require('../models/Application');
+const { createNotification } = require('../utils/notifications');
+
+/**
+ * Viewing reminders, outcomes and follow-ups (viewing-lifecycle job)
+ *
+ * - Confirmed viewings get a reminder 24 hours and 1 hour before they start, for the client
+ *   and the landlord. A reminder only goes out close to its offset (REMINDER_WINDOW_MS); one
+ *   that was missed, because the viewing was confirmed later or the job didn't run, is skipped.
+ * - Once a confirmed viewing has ended the landlord is asked to mark it completed or no-show.
+ * - A completed viewing sends the client an invitation to apply, unless they already have.
+ * Every step is claimed with findOneAndUpdate, so concurrent runs never send anything twice.
+ *
+ * Clients' completed / no-show history is shown to landlords next to their booking requests.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const MAX_PER_RUN = 200;
+// Time between the landlord marking a viewing completed and the client's follow-up
+const FOLLOW_UP_DELAY_MS = HOUR_MS;
+
+// How late a reminder may still go out (three runs of the 5-minute viewing-lifecycle job)
+const REMINDER_WINDOW_MS = 15 * MINUTE_MS;
+
+const REMINDERS = [
+  { kind: '24h', offsetMs: 24 * HOUR_MS },
+  { kind: '1h', offsetMs: HOUR_MS }
+];
+
+const getTimeZone = (appointment) => appointment.timezone || process.env.VIEWING_DEFAULT_TIMEZONE || 'Africa/Lagos';
+
+const formatLocalTime = (appointment) => {
+  const start = appointment.startsAt;
+  const timeZone = getTimeZone(appointment);
+  return `${start.toLocaleString('en-GB', { timeZone, dateStyle: 'medium', timeStyle: 'short' })} (${timeZone})`;
+};
+
+// "in 50 minutes, ...", "today, ...", "tomorrow, ..." or "on ...", going by the viewing's time zone
+const describeStart = (appointment, now) => {
+  const startsAt = formatLocalTime(appointment);
+  const minutes = Math.round((appointment.startsAt.getTime() - now) / MINUTE_MS);
+  if (minutes < 90) return `in ${minutes} minutes, ${startsAt}`;
+
+  const localDate = (date) => date.toLocaleDateString('en-CA', { timeZone: getTimeZone(appointment) });
+  const startDate = localDate(appointment.startsAt);
+  if (startDate === localDate(new Date(now))) return `today, ${startsAt}`;
+  if (startDate === localDate(new Date(now + 24 * HOUR_MS))) return `tomorrow, ${startsAt}`;
+  return `on ${startsAt}`;
+};
+
+const notifyParty = (appointment, userId, { type, title, message, priority = 'medium', emailType, actionUrl }) => createNotification({
+  userId,
+  type,
+  title,
+  message,
+  priority,
+  relatedEntity: { type: 'property', id: appointment.property._id || appointment.property },
+  actionUrl: actionUrl || `/dashboard/appointments/${appointment._id}`,
+  sendEmail: true,
+  emailTemplate: 'viewingReminder',
+  emailData: {
+    type: emailType,
+    message,
+    propertyTitle: appointment.property?.title || 'the property',
+    propertyId: String(appointment.property._id || appointment.property),
+    appointmentId: appointment._id.toString(),
+    startsAt: formatLocalTime(appointment)
+  }
+});
+
+const sendDueReminders = async (reminder) => {
+  const now = Date.now();
+  let sent = 0;
+  for (let i = 0; i < MAX_PER_RUN; i += 1) {
+    const sentAt = new Date();
+    const appointment = await ViewingAppointment.findOneAndUpdate(
+      {
+        status: 'confirmed',
+        // Only while the reminder is still on time: a viewing confirmed 3 hours ahead gets no
+        // 24-hour reminder
+        startsAt: {
+          $gt: new Date(now + reminder.offsetMs - REMINDER_WINDOW_MS),
+          $lte: new Date(now + reminder.offsetMs)
+        },
+        'remindersSent.kind': { $ne: reminder.kind }
+      },
+      [{
+        $set: {
+          remindersSent: {
+            $concatArrays: [
+              { $ifNull: ['$remindersSent', []] },
+              [
+                { kind: reminder.kind, type: 'email', sentAt, recipient: '$client' },
+                { kind: reminder.kind, type: 'email', sentAt, recipient: '$landlord' }
+              ]
+            ]
+          }
+        }
+      }],
+      { new: true }
+    ).populate('property', 'title');
+    if (!appointment) break;
+
+    const when = describeStart(appointment, now);
+    await notifyParty(appointment, appointment.client, {
+      type: 'viewing_reminder',
+      title: 'Viewing Reminder',
+      message: `Your viewing of ${appointment.property?.title || 'the property'} is ${when}.`,
+      emailType: 'reminder'
+    });
+    await notifyParty(appointment, appointment.landlord, {
+      type: 'viewing_reminder',
+      title: 'Viewing Reminder',
+      message: `You have a viewing of ${appointment.property?.title || 'your property'} ${when}.`,
+      emailType: 'reminder'
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+// Ask landlords how viewings that have ended went
+const sendOutcomePrompts = async () => {
+  let prompted = 0;
+  for (let i = 0; i < MAX_PER_RUN; i += 1) {
+    const appointment = await ViewingAppointment.findOneAndUpdate(
+      { status: 'confirmed', endsAt: { $lte: new Date() }, outcomePromptSentAt: { $exists: false } },
+      { $set: { outcomePromptSentAt: new Date() } },
+      { new: true }
+    ).populate('property', 'title');
+    if (!appointment) break;
+
+    await notifyParty(appointment, appointment.landlord, {
+      type: 'viewing_outcome_required',
+      title: 'How Did the Viewing Go?',
+      message: `Please mark the viewing of ${appointment.property?.title || 'your property'} on ${formatLocalTime(appointment)} as completed or no-show.`,
+      priority: 'low',
+      emailType: 'outcome'
+    });
+    prompted += 1;
+  }
+  return prompted;
+};
+
+// Invite clients to apply after a completed viewing
+const sendFollowUps = async () => {
+  let sent = 0;
+  let skipped = 0;
+  for (let i = 0; i < MAX_PER_RUN; i += 1) {
+    const appointment = await ViewingAppointment.findOneAndUpdate(
+      { status: 'completed', followUpRequired: true, followUpCompleted: false, followUpDate: { $lte: new Date() } },
+      { $set: { followUpCompleted: true } },
+      { new: true }
+    ).populate('property', 'title isAvailable');
+    if (!appointment) break;
+
+    const alreadyApplied = await Application.exists({
+      client: appointment.client,
+      property: appointment.property._id || appointment.property,
+      status: { $ne: 'withdrawn' }
+    });
+    if (alreadyApplied || appointment.property?.isAvailable === false) {
+      skipped += 1;
+      continue;
+    }
+
+    await notifyParty(appointment, appointment.client, {
+      type: 'viewing_follow_up',
+      title: 'Ready to Apply?',
+      message: `Thanks for viewing ${appointment.property?.title || 'the property'}. If you liked it, you can apply now before someone else does.`,
+      emailType: 'follow_up',
+      actionUrl: `/property/${appointment.property._id || appointment.property}`
+    });
+    sent += 1;
+  }
+  return { sent, skipped };
+};
+
+/**
+ * Send due reminders, outcome prompts and follow-ups (background job)
+ * @returns {Promise<Object>} Counts per step
+ */
+const processViewingLifecycle = async () => {
+  const reminders = {};
+  for (const reminder of REMINDERS) {
+    reminders[reminder.kind] = await sendDueReminders(reminder);
+  }
+  const outcomePrompts = await sendOutcomePrompts();
+  const followUps = await sendFollowUps();
+  return { reminders, outcomePrompts, followUps };
+};
+
+/**
+ * Fields to set when a viewing's outcome is recorded
+ * @param {string} status - 'completed' | 'no_show'
+ * @returns {Object} Update for the appointment
+ */
+const outcomeUpdates = (status) => {
+  const now = new Date();
+  if (status === 'completed') {
+    return {
+      completedAt: now,
+      followUpRequired: true,
+      followUpDate: new Date(now.getTime() + FOLLOW_UP_DELAY_MS),
+      followUpCompleted: false
+    };
+  }
+  if (status === 'no_show') {
+    return { noShowAt: now, followUpRequired: false };
+  }
+  return {};
+};
+
+/**
+ * Past viewing attendance of clients, for landlords reviewing their requests
+ * @param {Array<string|ObjectId>} clientIds
+ * @returns {Promise<Map<string, { completed: number, noShows: number, cancelledByClient: number, noShowRate: number|null }>>}
+ *   noShowRate is noShows / (completed + noShows), or null with no finished viewings yet
+ */
+const getClientViewingStats = async (clientIds) => {
+  const ids = [...new Set(clientIds.filter(Boolean).map(String))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+  const stats = new Map();
+  if (!ids.length) return stats;
+
+  const rows = await ViewingAppointment.aggregate([
+    { $match: { client: { $in: ids }, status: { $in: ['completed', 'no_show', 'cancelled'] } } },
+    {
+      $group: {
+        _id: '$client',
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } },
+        cancelledByClient: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'cancelled'] }, { $eq: ['$cancelledBy', '$client'] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+  const byClient = new Map(rows.map(row => [String(row._id), row]));
+
+  for (const id of ids) {
+    const row = byClient.get(String(id)) || { completed: 0, noShows: 0, cancelledByClient: 0 };
+    const finished = row.completed + row.noShows;
+    stats.set(String(id), {
+      completed: row.completed,
+      noShows: row.noShows,
+      cancelledByClient: row.cancelledByClient,
+      noShowRate: finished ? Math.round((row.noShows / finished) * 100) / 100 : null
+    });
+  }
+  return stats;
+};
+
+module.exports = {
+  processViewingLifecycle,
+  outcomeUpdates,
+  getClientViewingStats
+};
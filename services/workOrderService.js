@@ -0,0 +1,464 @@
+const WorkOrder = require('../models/WorkOrder');
+const Vendor = require('../models/Vendor');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Application = require('../models/Application');
+const Payment = require('../models/Payment');
+const ledgerService = require('./ledgerService');
+const { createNotification } = require('../utils/notifications');
+
+/**
+ * Maintenance work orders
+ *
+ * The landlord assigns one or more vendors from their directory to a maintenance request and
+ * records each vendor's quote. Approving a quote cancels the other open orders, makes that
+ * vendor the request's assignee and moves the request to in_progress. The landlord then
+ * records the visit and the completion (with photos); the tenant signs the work off or
+ * disputes it, which reopens the request and sends the order back to scheduled so the work can
+ * be completed again.
+ *
+ * The cost of completed work is recovered once per order: deducted from the landlord's
+ * earnings through the ledger, billed to the tenant as a pending 'maintenance' Payment (only
+ * once they have signed the work off), or recorded as absorbed ('none'). The tenant pays the
+ * charge by card through Stripe Checkout, which credits the landlord's earnings, or the
+ * landlord marks it paid when it was settled with them directly.
+ */
+
+const WORK_ORDER_ERRORS = {
+  VENDOR_NOT_FOUND: 'VENDOR_NOT_FOUND',
+  VENDOR_ALREADY_ASSIGNED: 'VENDOR_ALREADY_ASSIGNED',
+  REQUEST_CLOSED: 'REQUEST_CLOSED',
+  INVALID_STATUS: 'INVALID_WORK_ORDER_STATUS',
+  INVALID_QUOTE: 'INVALID_QUOTE',
+  QUOTE_EXPIRED: 'QUOTE_EXPIRED',
+  INVALID_SCHEDULE: 'INVALID_SCHEDULE',
+  INVALID_COST: 'INVALID_COST',
+  COST_ALREADY_RECOVERED: 'COST_ALREADY_RECOVERED',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  NO_TENANCY: 'NO_TENANCY',
+  PAYMENT_NOT_PENDING: 'PAYMENT_NOT_PENDING'
+};
+
+const COST_RECOVERY_METHODS = ['landlord_earnings', 'tenant', 'none'];
+const OFFLINE_PAYMENT_METHODS = ['cash', 'bank_transfer', 'other'];
+
+const workOrderError = (code, message, status = 400) => Object.assign(new Error(message), { code, status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const parseAmount = (value) => {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? round2(amount) : null;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Move a work order to a new status if it is still in one of the expected ones
+ * (atomic, so two landlord tabs can't both approve or complete it)
+ */
+const transition = async (workOrder, fromStatuses, update) => {
+  const updated = await WorkOrder.findOneAndUpdate(
+    { _id: workOrder._id, status: { $in: fromStatuses } },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw workOrderError(
+      WORK_ORDER_ERRORS.INVALID_STATUS,
+      `Work order is ${workOrder.status}; this step needs it to be ${fromStatuses.join(' or ')}`,
+      409
+    );
+  }
+  return updated;
+};
+
+const notify = (userId, workOrder, title, message, priority = 'medium') => createNotification({
+  userId,
+  type: 'maintenance_request',
+  title,
+  message,
+  priority,
+  relatedEntity: { type: 'maintenance', id: workOrder.maintenanceRequest },
+  actionUrl: `/dashboard/maintenance/${workOrder.maintenanceRequest}`
+});
+
+/**
+ * Work orders of a maintenance request, newest first
+ * @param {string} requestId
+ * @returns {Promise<WorkOrder[]>}
+ */
+const listWorkOrders = (requestId) => WorkOrder.find({ maintenanceRequest: requestId })
+  .populate('vendor', 'name companyName email phone trades')
+  .sort({ createdAt: -1 });
+
+/**
+ * Ask a vendor from the landlord's directory to take on (or quote for) a request
+ * @param {Object} request - MaintenanceRequest document
+ * @param {Object} params - { vendorId, instructions }
+ * @returns {Promise<WorkOrder>}
+ */
+const assignVendor = async (request, { vendorId, instructions }) => {
+  if (['completed', 'cancelled'].includes(request.status)) {
+    throw workOrderError(WORK_ORDER_ERRORS.REQUEST_CLOSED, `This maintenance request is ${request.status}`);
+  }
+
+  const vendor = await Vendor.findOne({ _id: vendorId, landlord: request.landlord, isActive: true });
+  if (!vendor) {
+    throw workOrderError(WORK_ORDER_ERRORS.VENDOR_NOT_FOUND, 'Vendor not found in your directory', 404);
+  }
+
+  const existing = await WorkOrder.exists({
+    maintenanceRequest: request._id,
+    vendor: vendor._id,
+    status: { $in: WorkOrder.OPEN_STATUSES }
+  });
+  if (existing) {
+    throw workOrderError(WORK_ORDER_ERRORS.VENDOR_ALREADY_ASSIGNED, 'This vendor already has an open work order for this request', 409);
+  }
+
+  return WorkOrder.create({
+    maintenanceRequest: request._id,
+    property: request.property._id || request.property,
+    landlord: request.landlord._id || request.landlord,
+    tenant: request.tenant._id || request.tenant,
+    vendor: vendor._id,
+    instructions
+  });
+};
+
+/**
+ * Record (or revise) the vendor's quote
+ * @param {Object} workOrder
+ * @param {Object} params - { amount, currency, description, validUntil }
+ * @returns {Promise<WorkOrder>}
+ */
+const recordQuote = async (workOrder, { amount, currency, description, validUntil }) => {
+  const quoteAmount = parseAmount(amount);
+  if (quoteAmount === null) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_QUOTE, 'Quote amount must be a number of zero or more');
+  }
+  const expiry = validUntil ? parseDate(validUntil) : null;
+  if (validUntil && (!expiry || expiry <= new Date())) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_QUOTE, 'validUntil must be a future date');
+  }
+
+  return transition(workOrder, ['assigned', 'quoted'], {
+    $set: {
+      status: 'quoted',
+      quote: {
+        amount: quoteAmount,
+        currency: (currency || workOrder.quote?.currency || 'NGN').toUpperCase(),
+        description,
+        validUntil: expiry || undefined,
+        submittedAt: new Date()
+      }
+    }
+  });
+};
+
+/**
+ * Approve the quote: this vendor gets the job and every other open order is cancelled
+ * @param {Object} workOrder
+ * @param {Object} user - Approving landlord/admin
+ * @returns {Promise<WorkOrder>}
+ */
+const approveQuote = async (workOrder, user) => {
+  if (workOrder.quote?.validUntil && workOrder.quote.validUntil < new Date()) {
+    throw workOrderError(WORK_ORDER_ERRORS.QUOTE_EXPIRED, 'This quote has expired; record a new one first');
+  }
+
+  const approved = await transition(workOrder, ['quoted'], {
+    $set: { status: 'approved', approvedAt: new Date(), approvedBy: user._id }
+  });
+
+  await WorkOrder.updateMany(
+    { maintenanceRequest: approved.maintenanceRequest, _id: { $ne: approved._id }, status: { $in: WorkOrder.OPEN_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: 'Another quote was approved' } }
+  );
+
+  const vendor = await Vendor.findById(approved.vendor).select('name companyName');
+  await MaintenanceRequest.updateOne(
+    { _id: approved.maintenanceRequest },
+    {
+      $set: {
+        status: 'in_progress',
+        vendor: approved.vendor,
+        assignedTo: vendor?.companyName || vendor?.name,
+        estimatedCost: approved.quote.amount,
+        approvedAt: approved.approvedAt,
+        approvedBy: user._id
+      }
+    }
+  );
+
+  await notify(approved.tenant, approved, 'Maintenance Approved',
+    `${vendor?.companyName || vendor?.name || 'A vendor'} will handle your maintenance request. You'll be told when the visit is booked.`);
+  return approved;
+};
+
+/**
+ * Turn down the vendor's quote
+ * @param {Object} workOrder
+ * @param {string} [reason]
+ * @returns {Promise<WorkOrder>}
+ */
+const declineQuote = (workOrder, reason) => transition(workOrder, ['assigned', 'quoted'], {
+  $set: { status: 'declined', declineReason: reason }
+});
+
+/**
+ * Book (or move) the vendor's visit; the request's scheduledDate follows it
+ * @param {Object} workOrder
+ * @param {Object} params - { scheduledStart, scheduledEnd }
+ * @returns {Promise<WorkOrder>}
+ */
+const scheduleVisit = async (workOrder, { scheduledStart, scheduledEnd }) => {
+  const start = parseDate(scheduledStart);
+  const end = scheduledEnd ? parseDate(scheduledEnd) : null;
+  if (!start || (scheduledEnd && !end)) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_SCHEDULE, 'scheduledStart (and scheduledEnd, if given) must be valid dates');
+  }
+  if (end && end <= start) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_SCHEDULE, 'scheduledEnd must be after scheduledStart');
+  }
+
+  const scheduled = await transition(workOrder, ['approved', 'scheduled'], {
+    $set: { status: 'scheduled', scheduledStart: start, scheduledEnd: end || undefined }
+  });
+  await MaintenanceRequest.updateOne({ _id: scheduled.maintenanceRequest }, { $set: { scheduledDate: start } });
+
+  await notify(scheduled.tenant, scheduled, 'Maintenance Visit Scheduled',
+    `A maintenance visit is booked for ${start.toUTCString()}.`);
+  return scheduled;
+};
+
+/**
+ * Record that the work is done; the tenant is asked to sign it off
+ * @param {Object} workOrder
+ * @param {Object} params - { notes, finalCost, photos: [{ url, caption }] }
+ * @param {Object} user - Landlord/admin recording it
+ * @returns {Promise<WorkOrder>}
+ */
+const completeWork = async (workOrder, { notes, finalCost, photos = [] }, user) => {
+  const cost = finalCost === undefined || finalCost === '' ? workOrder.quote?.amount : parseAmount(finalCost);
+  if (cost === null || cost === undefined) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_COST, 'finalCost must be a number of zero or more');
+  }
+
+  const now = new Date();
+  const completed = await transition(workOrder, ['approved', 'scheduled'], {
+    $set: {
+      status: 'completed',
+      'completion.completedAt': now,
+      'completion.notes': notes,
+      'completion.finalCost': cost
+    },
+    $push: {
+      'completion.photos': {
+        $each: photos.map(photo => ({ url: photo.url, caption: photo.caption, uploadedBy: user._id, uploadedAt: now }))
+      }
+    }
+  });
+
+  await MaintenanceRequest.updateOne(
+    { _id: completed.maintenanceRequest },
+    { $set: { status: 'completed', completedDate: now, completedAt: now, completedBy: user._id, actualCost: cost } }
+  );
+
+  await notify(completed.tenant, completed, 'Please Confirm the Repair',
+    'The maintenance work has been marked as done. Please confirm it or let your landlord know if something is still wrong.');
+  return completed;
+};
+
+/**
+ * Tenant confirms the work, or disputes it (the request goes back to in_progress and the order
+ * to scheduled, ready to be completed again)
+ * @param {Object} workOrder
+ * @param {Object} params - { accepted: boolean, comments }
+ * @returns {Promise<WorkOrder>}
+ */
+const signOff = async (workOrder, { accepted, comments }) => {
+  const signOffUpdate = { status: accepted ? 'accepted' : 'disputed', comments, signedAt: new Date() };
+  const updated = await transition(workOrder, ['completed'], {
+    $set: { tenantSignOff: signOffUpdate, status: accepted ? 'signed_off' : 'scheduled' }
+  });
+
+  if (!accepted) {
+    await MaintenanceRequest.updateOne(
+      { _id: updated.maintenanceRequest },
+      { $set: { status: 'in_progress', followUpRequired: true, followUpNotes: comments } }
+    );
+  }
+
+  await notify(updated.landlord, updated,
+    accepted ? 'Repair Confirmed' : 'Repair Disputed',
+    accepted
+      ? 'The tenant confirmed the maintenance work is done.'
+      : `The tenant says the maintenance work isn't finished${comments ? `: ${comments}` : '.'}`,
+    accepted ? 'low' : 'high');
+  return updated;
+};
+
+/**
+ * Cancel an open work order
+ * @param {Object} workOrder
+ * @param {string} [reason]
+ * @returns {Promise<WorkOrder>}
+ */
+const cancelWorkOrder = (workOrder, reason) => transition(workOrder, WorkOrder.OPEN_STATUSES, {
+  $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason }
+});
+
+/**
+ * Decide who pays for completed work (once per work order)
+ * @param {Object} workOrder
+ * @param {Object} params - { method: 'landlord_earnings' | 'tenant' | 'none', amount (defaults to the final cost) }
+ * @param {Object} user - Landlord/admin recording it
+ * @returns {Promise<{ workOrder: WorkOrder, payment?: Payment, ledgerEntry?: LedgerEntry }>}
+ */
+const recoverCost = async (workOrder, { method, amount }, user) => {
+  if (!COST_RECOVERY_METHODS.includes(method)) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_COST, `method must be one of: ${COST_RECOVERY_METHODS.join(', ')}`);
+  }
+  const cost = amount === undefined || amount === '' ? workOrder.completion?.finalCost : parseAmount(amount);
+  if (cost === null || cost === undefined || (method !== 'none' && cost <= 0)) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_COST, 'Amount must be greater than zero');
+  }
+  const currency = workOrder.quote?.currency || 'NGN';
+  const landlordId = workOrder.landlord._id || workOrder.landlord;
+
+  let application = null;
+  if (method === 'tenant') {
+    application = await Application.findOne({
+      client: workOrder.tenant,
+      property: workOrder.property,
+      status: 'approved'
+    }).sort({ createdAt: -1 });
+    if (!application) {
+      throw workOrderError(WORK_ORDER_ERRORS.NO_TENANCY, 'The tenant has no approved application for this property to bill against');
+    }
+  }
+
+  // Tenants are only billed for work they have signed off
+  const chargeableStatuses = method === 'tenant' ? ['signed_off'] : ['completed', 'signed_off'];
+
+  // Claim first so the cost can't be recovered twice
+  const claimed = await WorkOrder.findOneAndUpdate(
+    { _id: workOrder._id, status: { $in: chargeableStatuses }, 'costRecovery.method': { $exists: false } },
+    { $set: { costRecovery: { method, amount: cost, currency, recordedAt: new Date(), recordedBy: user._id } } },
+    { new: true }
+  );
+  if (!claimed) {
+    if (workOrder.costRecovery?.method) {
+      throw workOrderError(WORK_ORDER_ERRORS.COST_ALREADY_RECOVERED, 'The cost of this work order has already been recorded', 409);
+    }
+    if (method === 'tenant' && workOrder.status === 'completed') {
+      throw workOrderError(WORK_ORDER_ERRORS.INVALID_STATUS, 'The tenant has to sign off the work before it can be billed to them', 409);
+    }
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_STATUS, 'Only completed work can be charged', 409);
+  }
+
+  let payment = null;
+  try {
+    if (method === 'landlord_earnings') {
+      const posted = await ledgerService.recordMaintenanceDeduction({
+        workOrder: claimed,
+        landlordId,
+        amount: cost,
+        currency,
+        createdBy: user._id
+      });
+      if (!posted) {
+        throw workOrderError(WORK_ORDER_ERRORS.INSUFFICIENT_BALANCE, 'Available earnings are too low to cover this cost');
+      }
+      const { entry } = posted;
+      claimed.costRecovery.ledgerEntry = entry._id;
+      await claimed.save();
+      return { workOrder: claimed, ledgerEntry: entry };
+    }
+
+    if (method === 'tenant') {
+      const request = await MaintenanceRequest.findById(claimed.maintenanceRequest).select('title');
+      payment = await Payment.create({
+        application: application._id,
+        user: claimed.tenant,
+        amount: cost,
+        currency,
+        status: 'pending',
+        type: 'maintenance',
+        description: `Maintenance: ${request?.title || 'repair'}`,
+        metadata: { workOrderId: claimed._id.toString(), maintenanceRequestId: claimed.maintenanceRequest.toString() }
+      });
+      claimed.costRecovery.payment = payment._id;
+      await claimed.save();
+
+      await notify(claimed.tenant, claimed, 'Maintenance Charge',
+        `You've been billed ${currency} ${cost.toLocaleString()} for ${request?.title || 'a repair'}. Pay it by card from the maintenance request, or settle it with your landlord directly.`, 'high');
+      return { workOrder: claimed, payment };
+    }
+
+    return { workOrder: claimed };
+  } catch (error) {
+    // Don't leave a charge behind that no work order points to
+    if (payment) await Payment.deleteOne({ _id: payment._id });
+    await WorkOrder.updateOne({ _id: claimed._id }, { $unset: { costRecovery: 1 } });
+    throw error;
+  }
+};
+
+/**
+ * The tenant's unpaid maintenance charge on a work order, to pay by card
+ * @param {Object} workOrder
+ * @returns {Promise<Payment>}
+ */
+const getPayableTenantCharge = async (workOrder) => {
+  const paymentId = workOrder.costRecovery?.method === 'tenant' && workOrder.costRecovery.payment;
+  const payment = paymentId && await Payment.findOne({ _id: paymentId, type: 'maintenance', status: 'pending' });
+  if (!payment) {
+    throw workOrderError(WORK_ORDER_ERRORS.PAYMENT_NOT_PENDING, 'There is no unpaid tenant charge on this work order', 409);
+  }
+  return payment;
+};
+
+/**
+ * Landlord records that the tenant paid a maintenance charge outside the platform
+ * @param {Object} workOrder
+ * @param {Object} params - { paymentMethod: 'cash' | 'bank_transfer' | 'other' }
+ * @returns {Promise<Payment>}
+ */
+const markTenantChargePaid = async (workOrder, { paymentMethod = 'bank_transfer' }) => {
+  if (!OFFLINE_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw workOrderError(WORK_ORDER_ERRORS.INVALID_COST, `paymentMethod must be one of: ${OFFLINE_PAYMENT_METHODS.join(', ')}`);
+  }
+  const paymentId = workOrder.costRecovery?.method === 'tenant' && workOrder.costRecovery.payment;
+  const payment = paymentId && await Payment.findOneAndUpdate(
+    { _id: paymentId, type: 'maintenance', status: 'pending' },
+    { $set: { status: 'completed', paymentMethod, processedAt: new Date() } },
+    { new: true }
+  );
+  if (!payment) {
+    throw workOrderError(WORK_ORDER_ERRORS.PAYMENT_NOT_PENDING, 'There is no unpaid tenant charge on this work order', 409);
+  }
+  return payment;
+};
+
+module.exports = {
+  WORK_ORDER_ERRORS,
+  COST_RECOVERY_METHODS,
+  listWorkOrders,
+  assignVendor,
+  recordQuote,
+  approveQuote,
+  declineQuote,
+  scheduleVisit,
+  completeWork,
+  signOff,
+  cancelWorkOrder,
+  recoverCost,
+  getPayableTenantCharge,
+  markTenantChargePaid
+};
@@ -0,0 +1,119 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const BookingNight = require('../models/BookingNight');
+const bookingService = require('../services/bookingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+const dayKey = (offsetDays) => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+// BookingNight with its unique { property, night } index
+const mockNightIndex = () => {
+  const nights = new Map();
+  mock.method(BookingNight, 'find', () => {
+    const chain = { select: () => chain, lean: () => Promise.resolve([]) };
+    return chain;
+  });
+  mock.method(BookingNight, 'insertMany', async (docs) => {
+    for (const doc of docs) {
+      const key = `${doc.property}:${doc.night}`;
+      if (nights.has(key)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      nights.set(key, doc.booking);
+    }
+    return docs;
+  });
+  mock.method(BookingNight, 'deleteMany', async ({ booking }) => {
+    for (const [key, owner] of nights) {
+      if (String(owner) === String(booking)) nights.delete(key);
+    }
+    return { deletedCount: 0 };
+  });
+  return nights;
+};
+
+test('two overlapping bookings racing past the availability check: only one holds the nights', async () => {
+  const property = {
+    _id: new mongoose.Types.ObjectId(),
+    landlord: new mongoose.Types.ObjectId(),
+    rentalType: 'short-term',
+    isVerified: true,
+    price: 100
+  };
+  const nights = mockNightIndex();
+  const deleted = [];
+  mock.method(Booking, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+  mock.method(Booking, 'deleteOne', async ({ _id }) => {
+    deleted.push(String(_id));
+    return { deletedCount: 1 };
+  });
+
+  const results = await Promise.allSettled([
+    bookingService.createBooking({ property, guestId: new mongoose.Types.ObjectId(), checkIn: dayKey(10), checkOut: dayKey(13) }),
+    bookingService.createBooking({ property, guestId: new mongoose.Types.ObjectId(), checkIn: dayKey(12), checkOut: dayKey(14) })
+  ]);
+
+  const [won, lost] = results;
+  assert.equal(won.status, 'fulfilled');
+  assert.equal(lost.status, 'rejected');
+  assert.equal(lost.reason.code, bookingService.BOOKING_ERRORS.BOOKING_CONFLICT);
+  assert.equal(lost.reason.status, 409);
+  // The loser's booking is removed and none of its nights stay claimed
+  assert.equal(deleted.length, 1);
+  assert.notEqual(deleted[0], String(won.value._id));
+  assert.deepEqual([...new Set(nights.values())].map(String), [String(won.value._id)]);
+  assert.equal(nights.size, 3);
+});
+
+test('payment for an expired hold whose nights were rebooked is reported as a conflict', async () => {
+  const propertyId = new mongoose.Types.ObjectId();
+  const expired = {
+    _id: new mongoose.Types.ObjectId(),
+    property: propertyId,
+    status: 'expired',
+    checkIn: new Date(`${dayKey(5)}T00:00:00Z`),
+    checkOut: new Date(`${dayKey(7)}T00:00:00Z`)
+  };
+  const nights = mockNightIndex();
+  // Another guest booked the same nights after the hold lapsed
+  const other = new mongoose.Types.ObjectId();
+  nights.set(`${propertyId}:${dayKey(6)}`, other);
+
+  const confirmFilters = [];
+  mock.method(Booking, 'findOneAndUpdate', async (filter) => {
+    confirmFilters.push(filter);
+    return null;
+  });
+  mock.method(Booking, 'findById', async () => expired);
+  const updates = [];
+  mock.method(Booking, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+
+  const paymentId = new mongoose.Types.ObjectId();
+  const result = await bookingService.confirmBooking(expired._id, paymentId, 'cs_test');
+
+  assert.deepEqual(result, { booking: expired, confirmed: false, alreadyConfirmed: false, conflict: true });
+  // Never confirmed: only the pending_payment claim was tried
+  assert.deepEqual(confirmFilters, [{ _id: expired._id, status: 'pending_payment' }]);
+  // The partly inserted nights were rolled back, the other guest keeps theirs
+  assert.deepEqual([...nights.values()], [other]);
+  // The payment is linked so it can be refunded
+  assert.deepEqual(updates, [{ filter: { _id: expired._id }, update: { $set: { payment: paymentId } } }]);
+});
+
+test('guests get a partial refund for late cancellations, landlords always refund in full', () => {
+  const now = new Date();
+  const soon = { checkIn: new Date(now.getTime() + 2 * DAY_MS) };
+  const later = { checkIn: new Date(now.getTime() + (bookingService.FULL_REFUND_NOTICE_DAYS + 1) * DAY_MS) };
+
+  assert.equal(bookingService.getCancellationRefundShare(later, { cancelledByGuest: true, now }), 1);
+  assert.equal(bookingService.getCancellationRefundShare(soon, { cancelledByGuest: true, now }), 0.5);
+  assert.equal(bookingService.getCancellationRefundShare(soon, { cancelledByGuest: false, now }), 1);
+});
@@ -0,0 +1,78 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Dispute = require('../models/Dispute');
+const PlatformSettings = require('../models/PlatformSettings');
+const escrowService = require('../services/escrowService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+const heldPayment = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  amount: 500000,
+  isEscrow: true,
+  escrowStatus: 'held',
+  escrowHeldAt: new Date(Date.now() - 5 * DAY_MS),
+  propertyVisited: true,
+  documentsReceived: true
+});
+
+// Payment.findById(...).populate(...).populate(...)
+const mockFindById = (payment) => {
+  mock.method(Payment, 'findById', () => {
+    const chain = { populate: () => chain, select: () => chain, then: (resolve, reject) => Promise.resolve(payment).then(resolve, reject) };
+    return chain;
+  });
+};
+
+test('releasing escrow with an open dispute is refused before anything is claimed', async () => {
+  const payment = heldPayment();
+  mockFindById(payment);
+  let disputeFilter;
+  mock.method(Dispute, 'exists', async (filter) => {
+    disputeFilter = filter;
+    return { _id: new mongoose.Types.ObjectId() };
+  });
+  const claim = mock.method(Payment, 'findOneAndUpdate', async () => {
+    throw new Error('escrow must not be claimed while disputed');
+  });
+
+  await assert.rejects(
+    escrowService.releaseEscrow(payment._id, { actorId: new mongoose.Types.ObjectId() }),
+    { code: 'ESCROW_DISPUTED', status: 409 }
+  );
+  assert.deepEqual(disputeFilter, { payment: payment._id, status: { $in: Dispute.OPEN_STATUSES } });
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test('the escrow worker does not auto-release a payment with an open dispute', async () => {
+  const payment = heldPayment();
+  mock.method(PlatformSettings, 'getCurrent', async () => ({}));
+  mock.method(Payment, 'find', (filter) => {
+    // Only the auto-release query (both confirmations in) returns the disputed payment
+    const rows = filter.propertyVisited === true ? [{ _id: payment._id }] : [];
+    const chain = { select: () => chain, limit: () => Promise.resolve(rows) };
+    return chain;
+  });
+  mock.method(Payment, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Dispute, 'distinct', async () => []);
+  const disputeCheck = mock.method(Dispute, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  mockFindById(payment);
+  const claims = [];
+  mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+    claims.push(update);
+    return null;
+  });
+  mock.method(console, 'error', () => {});
+
+  const stats = await escrowService.processEscrowPayments();
+
+  assert.equal(stats.released, 0);
+  assert.equal(stats.failed, 1);
+  assert.equal(disputeCheck.mock.callCount(), 1);
+  // Only the warning query ran; nothing was moved to released
+  assert.ok(claims.every(update => update.$set?.escrowStatus !== 'released'));
+});
@@ -0,0 +1,131 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const LandlordAccount = require('../models/LandlordAccount');
+const ledgerService = require('../services/ledgerService');
+
+const landlordId = new mongoose.Types.ObjectId();
+let account;
+let entries;
+
+const deduct = (amount) => ledgerService.recordMaintenanceDeduction({
+  workOrder: { _id: new mongoose.Types.ObjectId() },
+  landlordId,
+  amount,
+  currency: 'NGN',
+  createdBy: landlordId
+});
+
+beforeEach(() => {
+  account = { availableBalance: 100, totalNetEarnings: 100 };
+  entries = [];
+  mock.method(LedgerEntry, 'exists', () => Promise.resolve({ _id: 'existing' }));
+  mock.method(LedgerEntry, 'create', (doc) => {
+    entries.push(doc);
+    return Promise.resolve(doc);
+  });
+  // Applies $gte guards and $inc like MongoDB would, on the one account
+  const apply = (filter, update) => {
+    const guard = filter.availableBalance?.$gte;
+    if (guard !== undefined && account.availableBalance < guard) return null;
+    Object.entries(update.$inc || {}).forEach(([field, value]) => {
+      account[field] = (account[field] || 0) + value;
+    });
+    return account;
+  };
+  mock.method(LandlordAccount, 'findOneAndUpdate', (filter, update) => Promise.resolve(apply(filter, update)));
+  mock.method(LandlordAccount, 'updateOne', (filter, update) => Promise.resolve({ modifiedCount: apply(filter, update) ? 1 : 0 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a maintenance deduction takes the amount off the available balance once', async () => {
+  const { entry, duplicate } = await deduct(60);
+
+  assert.equal(duplicate, false);
+  assert.equal(entry.type, 'maintenance_deduction');
+  assert.equal(account.availableBalance, 40);
+  assert.equal(account.totalNetEarnings, 40);
+});
+
+test('concurrent deductions cannot overdraw the available balance', async () => {
+  const results = await Promise.all([deduct(60), deduct(60)]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(entries.length, 1);
+  assert.equal(account.availableBalance, 40);
+});
+
+test('a deduction larger than the available balance posts nothing', async () => {
+  assert.equal(await deduct(150), null);
+  assert.equal(entries.length, 0);
+  assert.equal(account.availableBalance, 100);
+});
+
+test('the reserved amount is released when posting fails', async () => {
+  LedgerEntry.create.mock.mockImplementation(() => Promise.reject(new Error('write failed')));
+
+  await assert.rejects(deduct(60), /write failed/);
+  assert.equal(account.availableBalance, 100);
+});
+
+const sumLines = (entry, side) => Math.round(entry.lines.reduce((total, line) => total + line[side], 0) * 100) / 100;
+
+test('a refund after release is split like the release entry and keeps the ledger balanced', async () => {
+  // 1000 paid, 200 refunded while held, 800 released: 80 commission, 20 interest, 700 to the landlord
+  const payment = { _id: new mongoose.Types.ObjectId(), amount: 1000, refundAmount: 200, escrowStatus: 'released', isEscrow: true, currency: 'NGN' };
+  mock.method(LedgerEntry, 'findOne', () => {
+    const chain = {
+      select: () => chain,
+      lean: () => Promise.resolve({
+        lines: [
+          { account: 'escrow', debit: 800, credit: 0 },
+          { account: 'landlord_available', landlord: landlordId, debit: 0, credit: 700 },
+          { account: 'platform_commission', debit: 0, credit: 80 },
+          { account: 'platform_interest', debit: 0, credit: 20 }
+        ]
+      })
+    };
+    return chain;
+  });
+
+  const reversal = await ledgerService.getRefundReversal(payment, 400);
+  assert.deepEqual(reversal, { landlordId, gross: 400, net: 350, commission: 40 });
+
+  await ledgerService.recordRefund({ payment, amount: 400, totalRefunded: 600, landlordId, reversal });
+
+  const [entry] = entries;
+  assert.equal(entry.type, 'refund');
+  assert.equal(sumLines(entry, 'debit'), sumLines(entry, 'credit'));
+  assert.deepEqual(entry.lines.map(({ account, debit, credit }) => [account, debit, credit]), [
+    ['landlord_available', 350, 0],
+    ['platform_commission', 40, 0],
+    ['platform_interest', 10, 0],
+    ['refunds', 0, 400]
+  ]);
+  assert.equal(account.availableBalance, -250);
+  assert.equal(account.totalNetEarnings, -250);
+});
+
+test('a refund before release comes out of funded escrow; other payments post nothing', async () => {
+  const held = { _id: new mongoose.Types.ObjectId(), amount: 1000, escrowStatus: 'held', isEscrow: true, currency: 'NGN' };
+  assert.equal(await ledgerService.getRefundReversal(held, 300), null);
+
+  await ledgerService.recordRefund({ payment: held, amount: 300, totalRefunded: 300 });
+  assert.deepEqual(entries[0].lines.map(({ account, debit, credit }) => [account, debit, credit]), [
+    ['escrow', 300, 0],
+    ['refunds', 0, 300]
+  ]);
+
+  // Application fee: never went through escrow
+  const fee = { _id: new mongoose.Types.ObjectId(), amount: 50, isEscrow: false, currency: 'NGN' };
+  assert.equal(await ledgerService.recordRefund({ payment: fee, amount: 50, totalRefunded: 50 }), null);
+
+  // Escrow payment whose funding never reached the ledger
+  LedgerEntry.exists.mock.mockImplementation(() => Promise.resolve(null));
+  assert.equal(await ledgerService.recordRefund({ payment: { ...held, _id: new mongoose.Types.ObjectId() }, amount: 300, totalRefunded: 300 }), null);
+
+  assert.equal(entries.length, 1);
+  assert.equal(account.availableBalance, 100);
+});
@@ -0,0 +1,69 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const PlatformSettings = require('../models/PlatformSettings');
+const maintenanceSlaService = require('../services/maintenanceSlaService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+test('the SLA job gives open requests without deadlines ones counted from the backfill', async () => {
+  const createdAt = new Date('2026-01-10T08:00:00Z');
+  const updatedAt = new Date('2026-01-11T09:30:00Z');
+  const legacy = [
+    { _id: new mongoose.Types.ObjectId(), priority: 'urgent', status: 'pending', createdAt, updatedAt },
+    { _id: new mongoose.Types.ObjectId(), priority: 'low', status: 'in_progress', createdAt, updatedAt }
+  ];
+  let findFilter;
+  const updates = [];
+
+  mock.method(PlatformSettings, 'getCurrent', () => Promise.resolve({ maintenanceSla: { urgent: { acknowledgeHours: 2 } } }));
+  mock.method(MaintenanceRequest, 'find', (filter) => {
+    findFilter = filter;
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: () => chain,
+      lean: () => Promise.resolve(legacy)
+    };
+    return chain;
+  });
+  mock.method(MaintenanceRequest, 'updateOne', (filter, update) => {
+    updates.push({ filter, update });
+    return Promise.resolve({ modifiedCount: 1 });
+  });
+  // No breaches to alert about
+  mock.method(MaintenanceRequest, 'findOneAndUpdate', () => {
+    const chain = { populate: () => chain, then: (resolve) => resolve(null) };
+    return chain;
+  });
+
+  const before = Date.now();
+  const result = await maintenanceSlaService.processMaintenanceSla();
+
+  assert.equal(result.backfilled, 2);
+  assert.deepEqual(findFilter, {
+    status: { $in: MaintenanceRequest.OPEN_STATUSES },
+    'sla.acknowledgeBy': { $exists: false }
+  });
+  assert.deepEqual(updates.map(({ filter }) => filter), legacy.map(request => ({
+    _id: request._id,
+    'sla.acknowledgeBy': { $exists: false }
+  })));
+  // Deadlines run from the backfill, so long-open requests aren't all breached at once
+  const [pending, inProgress] = updates.map(({ update }) => update.$set);
+  const start = pending['sla.acknowledgeBy'].getTime() - 2 * HOUR_MS;
+  assert.ok(start >= before && start <= Date.now());
+  assert.deepEqual(pending, {
+    'sla.acknowledgeBy': new Date(start + 2 * HOUR_MS),
+    'sla.resolveBy': new Date(start + 24 * HOUR_MS)
+  });
+  // Already in progress: acknowledged, so no acknowledge breach can follow
+  assert.deepEqual(inProgress, {
+    'sla.acknowledgeBy': new Date(start + 72 * HOUR_MS),
+    'sla.resolveBy': new Date(start + 336 * HOUR_MS),
+    acknowledgedAt: updatedAt
+  });
+});
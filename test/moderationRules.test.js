@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ModerationRule = require('../models/ModerationRule');
+
+const ruleRegex = (key) => {
+  const rule = ModerationRule.DEFAULT_RULES.find(candidate => candidate.key === key);
+  return new RegExp(rule.pattern, rule.flags || 'i');
+};
+
+test('phone_number rule matches phone numbers', () => {
+  const phone = ruleRegex('phone_number');
+  [
+    'call me on 08031234567',
+    'my number is +234 803 123 4567',
+    'text 555.123.4567 after 6',
+    '(555) 123-4567',
+    '+44 (0) 20 7946 0958',
+    '0803-123-4567'
+  ].forEach(text => assert.ok(phone.test(text), `expected a match in "${text}"`));
+});
+
+test('phone_number rule ignores dates and times', () => {
+  const phone = ruleRegex('phone_number');
+  [
+    'Can we meet 2026-01-15 10:30?',
+    'ref 12.05.2026 14h',
+    'ref 12.05.2026 1400',
+    'available from 01-05-2026 to 14-05-2026',
+    'viewing at 2026-01-15T10:30:00',
+    'viewing on 15/01/2026 at 10:30',
+    'moved in 12.05.2026 10.30',
+    'rent is 1500 for 12 months'
+  ].forEach(text => assert.ok(!phone.test(text), `expected no match in "${text}"`));
+});
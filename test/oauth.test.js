@@ -0,0 +1,347 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-secret';
+const PROVIDER = 'mockidp';
+
+/**
+ * Local OIDC issuer: discovery, JWKS and a token endpoint. Tests register an authorization
+ * code with the claims (and optionally the signing key or key id) its id_token should carry.
+ */
+const createMockIssuer = () => {
+  const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  let issuer = null;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      const jwk = signingKey.publicKey.export({ format: 'jwk' });
+      return send(200, { keys: [{ ...jwk, kid, use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(raw);
+        const grant = codes.get(form.get('code'));
+        codes.delete(form.get('code'));
+        if (form.get('client_id') !== CLIENT_ID || form.get('client_secret') !== CLIENT_SECRET) {
+          return send(401, { error: 'invalid_client' });
+        }
+        if (!grant || !form.get('code_verifier')) {
+          return send(400, { error: 'invalid_grant' });
+        }
+        const idToken = jwt.sign(
+          { iss: issuer, aud: CLIENT_ID, ...grant.claims },
+          grant.privateKey || signingKey.privateKey,
+          { algorithm: 'RS256', keyid: grant.kid || kid, ...(grant.claims.exp ? {} : { expiresIn: '5m' }) }
+        );
+        send(200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+      });
+      return undefined;
+    }
+    send(404, { error: 'not_found' });
+  });
+
+  return {
+    start: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => {
+        issuer = `http://127.0.0.1:${server.address().port}`;
+        resolve(issuer);
+      });
+    }),
+    stop: () => new Promise(resolve => server.close(resolve)),
+    get issuer() { return issuer; },
+    // Register a code; returns it
+    issueCode: (claims, options = {}) => {
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, { claims, ...options });
+      return code;
+    }
+  };
+};
+
+const idp = createMockIssuer();
+let oauthProviders;
+let oauthService;
+let User;
+let OAuthState;
+
+before(async () => {
+  await idp.start();
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  process.env.OIDC_ISSUER = idp.issuer;
+  process.env.OIDC_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_CLIENT_SECRET = CLIENT_SECRET;
+  process.env.OIDC_PROVIDER_NAME = PROVIDER;
+
+  oauthProviders = require('../services/oauthProviders');
+  oauthService = require('../services/oauthService');
+  User = require('../models/User');
+  OAuthState = require('../models/OAuthState');
+});
+
+after(() => idp.stop());
+
+const identityClaims = (overrides = {}) => ({
+  sub: 'subject-1',
+  email: 'Tenant@Example.com',
+  email_verified: true,
+  given_name: 'Ada',
+  family_name: 'Obi',
+  nonce: 'nonce-1',
+  ...overrides
+});
+
+describe('OIDC provider', () => {
+  const exchange = (claims, options, nonce = 'nonce-1') => oauthProviders.getProvider(PROVIDER).exchangeCode({
+    code: idp.issueCode(claims, options),
+    codeVerifier: 'verifier',
+    redirectUri: 'http://localhost:5173/auth/oauth/callback',
+    nonce
+  });
+
+  const assertInvalidToken = async (promise, pattern) => {
+    await assert.rejects(promise, (error) => {
+      assert.equal(error.code, 'OAUTH_INVALID_TOKEN');
+      assert.equal(error.status, 401);
+      if (pattern) assert.match(error.message, pattern);
+      return true;
+    });
+  };
+
+  test('exchanges a code for the verified identity', async () => {
+    const identity = await exchange(identityClaims({ email_verified: 'true' }));
+    assert.deepEqual(identity, {
+      subject: 'subject-1',
+      email: 'tenant@example.com',
+      emailVerified: true,
+      firstName: 'Ada',
+      lastName: 'Obi',
+      picture: null
+    });
+  });
+
+  test('builds the authorization URL from discovery', async () => {
+    const url = new URL(await oauthProviders.getProvider(PROVIDER).getAuthorizationUrl({
+      state: 'state-1',
+      nonce: 'nonce-1',
+      codeChallenge: 'challenge',
+      redirectUri: 'http://localhost:5173/auth/oauth/callback'
+    }));
+    assert.equal(`${url.origin}${url.pathname}`, `${idp.issuer}/authorize`);
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+    assert.equal(url.searchParams.get('nonce'), 'nonce-1');
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  });
+
+  test('rejects a token with another nonce', async () => {
+    await assertInvalidToken(exchange(identityClaims({ nonce: 'replayed' })), /nonce/);
+  });
+
+  test('rejects a token without a nonce', async () => {
+    await assertInvalidToken(exchange(identityClaims({ nonce: undefined })), /nonce/);
+  });
+
+  test('rejects a token from another issuer', async () => {
+    await assertInvalidToken(exchange(identityClaims({ iss: 'https://evil.example.com' })), /issuer/);
+  });
+
+  test('rejects a token for another client', async () => {
+    await assertInvalidToken(exchange(identityClaims({ aud: 'other-client' })), /audience/);
+  });
+
+  test('rejects an expired token', async () => {
+    await assertInvalidToken(exchange(identityClaims({ exp: Math.floor(Date.now() / 1000) - 60 })), /expired/);
+  });
+
+  test('rejects a token signed with a key the issuer does not publish', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await assertInvalidToken(exchange(identityClaims(), { privateKey, kid: 'unknown-key' }), /signing key/);
+  });
+
+  test('rejects a token signed with another key under a published key id', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await assertInvalidToken(exchange(identityClaims(), { privateKey }), /signature/);
+  });
+});
+
+describe('Provider sign-in and linking', () => {
+  let users;
+  let pending;
+
+  const query = (value) => ({
+    select: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  });
+  const hasIdentity = (user, { provider, subject }) => (user.oauthAccounts || [])
+    .some(account => account.provider === provider && account.subject === subject);
+  const findUser = (filter) => users.find(user => {
+    if (filter.oauthAccounts) return hasIdentity(user, filter.oauthAccounts.$elemMatch);
+    if (filter.email) return user.email === filter.email;
+    return false;
+  }) || null;
+
+  const addUser = (fields) => {
+    const user = new User({ role: 'client', firstName: 'Existing', lastName: 'User', password: 'hashed', ...fields });
+    users.push(user);
+    return user;
+  };
+
+  const callback = (claims, state = {}, { userId } = {}) => {
+    pending = {
+      provider: PROVIDER,
+      intent: 'login',
+      nonce: 'nonce-1',
+      codeVerifier: 'verifier',
+      redirectUri: 'http://localhost:5173/auth/oauth/callback',
+      ...state
+    };
+    return oauthService.handleCallback({ code: idp.issueCode(claims), state: 'state-1', userId });
+  };
+
+  const assertServiceError = (promise, code, status) => assert.rejects(promise, (error) => {
+    assert.equal(error.code, code);
+    assert.equal(error.status, status);
+    return true;
+  });
+
+  beforeEach(() => {
+    users = [];
+    mock.method(OAuthState, 'findOneAndDelete', () => Promise.resolve(pending));
+    mock.method(User, 'findOne', (filter) => query(findUser(filter)));
+    mock.method(User, 'findOneAndUpdate', (filter) => query(findUser(filter)));
+    mock.method(User, 'findById', (id) => query(users.find(user => user._id.equals(id)) || null));
+    mock.method(User, 'exists', (filter) => Promise.resolve(findUser(filter) ? { _id: findUser(filter)._id } : null));
+    mock.method(User.prototype, 'save', function() {
+      if (!users.includes(this)) users.push(this);
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('signs in the account already linked to the identity', async () => {
+    const user = addUser({ email: 'someone-else@example.com', oauthAccounts: [{ provider: PROVIDER, subject: 'subject-1' }] });
+
+    const result = await callback(identityClaims());
+
+    assert.equal(result.user, user);
+    assert.equal(result.created, false);
+    assert.equal(result.linked, false);
+  });
+
+  test('links an existing account when both sides verified the email', async () => {
+    const user = addUser({ email: 'tenant@example.com', isEmailVerified: true });
+
+    const result = await callback(identityClaims());
+
+    assert.equal(result.user, user);
+    assert.equal(result.linked, true);
+    assert.ok(hasIdentity(user, { provider: PROVIDER, subject: 'subject-1' }));
+  });
+
+  test('does not merge when the provider has not verified the email', async () => {
+    const user = addUser({ email: 'tenant@example.com', isEmailVerified: true });
+
+    await assertServiceError(callback(identityClaims({ email_verified: false })), 'OAUTH_ACCOUNT_EXISTS', 409);
+    assert.equal(user.oauthAccounts.length, 0);
+  });
+
+  test('does not merge into an account that has not verified its email', async () => {
+    const user = addUser({ email: 'tenant@example.com', isEmailVerified: false });
+
+    await assertServiceError(callback(identityClaims()), 'OAUTH_ACCOUNT_EXISTS', 409);
+    assert.equal(user.oauthAccounts.length, 0);
+  });
+
+  test('creates an account with the chosen role and the provider email status', async () => {
+    const result = await callback(identityClaims({ email_verified: false }), { role: 'landlord' });
+
+    assert.equal(result.created, true);
+    assert.equal(result.user.role, 'landlord');
+    assert.equal(result.user.email, 'tenant@example.com');
+    assert.equal(result.user.isEmailVerified, false);
+    assert.ok(hasIdentity(result.user, { provider: PROVIDER, subject: 'subject-1' }));
+  });
+
+  test('asks for the missing details before creating an account', async () => {
+    const result = await callback(identityClaims({ family_name: undefined }));
+
+    assert.equal(result.signupRequired, true);
+    assert.deepEqual(result.missing, ['role', 'lastName']);
+    assert.equal(users.length, 0);
+
+    const { user } = await oauthService.completeSignup({ signupToken: result.signupToken, role: 'client', lastName: 'Obi' });
+    assert.equal(user.lastName, 'Obi');
+    assert.ok(hasIdentity(user, { provider: PROVIDER, subject: 'subject-1' }));
+  });
+
+  test('refuses to link an identity that belongs to another account', async () => {
+    addUser({ email: 'owner@example.com', oauthAccounts: [{ provider: PROVIDER, subject: 'subject-1' }] });
+    const user = addUser({ email: 'tenant@example.com' });
+
+    await assertServiceError(callback(identityClaims(), { intent: 'link', user: user._id }, { userId: user._id }), 'OAUTH_ACCOUNT_IN_USE', 409);
+    assert.equal(user.oauthAccounts.length, 0);
+  });
+
+  test('refuses to link a second identity from the same provider', async () => {
+    const user = addUser({ email: 'tenant@example.com', oauthAccounts: [{ provider: PROVIDER, subject: 'subject-0' }] });
+
+    await assertServiceError(callback(identityClaims(), { intent: 'link', user: user._id }, { userId: user._id }), 'OAUTH_PROVIDER_ALREADY_LINKED', 409);
+  });
+
+  test('links the identity to the signed-in account that started the link', async () => {
+    const user = addUser({ email: 'tenant@example.com' });
+
+    const result = await callback(identityClaims(), { intent: 'link', user: user._id }, { userId: user._id });
+
+    assert.equal(result.intent, 'link');
+    assert.ok(hasIdentity(user, { provider: PROVIDER, subject: 'subject-1' }));
+  });
+
+  test('refuses a link callback from another signed-in account', async () => {
+    const user = addUser({ email: 'tenant@example.com' });
+    const other = addUser({ email: 'other@example.com' });
+
+    await assertServiceError(
+      callback(identityClaims(), { intent: 'link', user: user._id }, { userId: other._id }),
+      'OAUTH_LINK_USER_MISMATCH',
+      403
+    );
+    await assertServiceError(callback(identityClaims(), { intent: 'link', user: user._id }), 'OAUTH_LINK_AUTH_REQUIRED', 401);
+    assert.equal(user.oauthAccounts.length, 0);
+    assert.equal(other.oauthAccounts.length, 0);
+  });
+
+  test('reports a lost race for the identity as already in use', async () => {
+    const user = addUser({ email: 'tenant@example.com', isEmailVerified: true });
+    User.prototype.save.mock.mockImplementation(() => Promise.reject(Object.assign(new Error('E11000 duplicate key error'), {
+      code: 11000,
+      keyPattern: { 'oauthAccounts.subject': 1, 'oauthAccounts.provider': 1 }
+    })));
+
+    await assertServiceError(callback(identityClaims()), 'OAUTH_ACCOUNT_IN_USE', 409);
+    assert.equal(users.length, 1);
+    assert.equal(user.email, 'tenant@example.com');
+  });
+});
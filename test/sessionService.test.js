@@ -0,0 +1,81 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const realtime = require('../services/realtimeService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+afterEach(() => mock.restoreAll());
+
+// One stored session, queried and updated the way MongoDB would for these filters
+const stubSessionStore = (session) => {
+  const matches = (filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === 'expiresAt') return session.expiresAt > condition.$gt;
+    if (condition === null) return session[field] == null;
+    return String(session[field]) === String(condition);
+  });
+
+  mock.method(Session, 'findOneAndUpdate', (filter, update) => {
+    const found = matches(filter) ? Object.assign(session, update.$set) : null;
+    const doc = found && {
+      ...found,
+      user: { _id: session.user, isActive: true },
+      depopulate() { this.user = session.user; }
+    };
+    return { populate: () => Promise.resolve(doc) };
+  });
+  mock.method(Session, 'findOne', async (filter) => (matches(filter) ? { ...session } : null));
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    Object.assign(session, update.$set);
+    return { modifiedCount: 1 };
+  });
+  return mock.method(realtime, 'publish', () => {});
+};
+
+const newSession = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  refreshTokenHash: hash('first-token'),
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const session = newSession();
+  const publish = stubSessionStore(session);
+
+  const rotated = await sessionService.refreshSession('first-token');
+  assert.ok(rotated.token);
+  assert.equal(session.previousRefreshTokenHash, hash('first-token'));
+  assert.equal(session.refreshTokenHash, hash(rotated.refreshToken));
+
+  // The old token turns up again well after the rotation: it was copied
+  session.rotatedAt = new Date(Date.now() - 5 * 60 * 1000);
+  await assert.rejects(sessionService.refreshSession('first-token'), { code: 'SESSION_EXPIRED', status: 401 });
+
+  assert.ok(session.revokedAt);
+  assert.equal(session.revokedReason, 'refresh_token_reuse');
+  assert.equal(publish.mock.callCount(), 1);
+  assert.deepEqual(publish.mock.calls[0].arguments[0].data, { sessionIds: [String(session._id)] });
+
+  // The legitimate holder's newer token no longer works either
+  await assert.rejects(sessionService.refreshSession(rotated.refreshToken), { code: 'SESSION_EXPIRED' });
+});
+
+test('a refresh token reused within the rotation grace period does not revoke the session', async () => {
+  const session = newSession();
+  const publish = stubSessionStore(session);
+
+  const rotated = await sessionService.refreshSession('first-token');
+  await assert.rejects(sessionService.refreshSession('first-token'), { code: 'REFRESH_TOKEN_ROTATED' });
+
+  assert.equal(session.revokedAt, null);
+  assert.equal(publish.mock.callCount(), 0);
+  assert.ok(await sessionService.refreshSession(rotated.refreshToken));
+});
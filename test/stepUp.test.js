@@ -0,0 +1,58 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const realtime = require('../services/realtimeService');
+
+afterEach(() => mock.restoreAll());
+
+// Session store backed by a plain object so the failure counter can be followed across calls
+const stubSession = (session) => {
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    if (session.revokedAt) return null;
+    session.stepUpFailures = (session.stepUpFailures || 0) + update.$inc.stepUpFailures;
+    return { stepUpFailures: session.stepUpFailures };
+  });
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    if (update.$set?.revokedAt) {
+      if (session.revokedAt) return { modifiedCount: 0 };
+      Object.assign(session, update.$set);
+      return { modifiedCount: 1 };
+    }
+    Object.assign(session, update.$set);
+    Object.keys(update.$unset || {}).forEach(key => delete session[key]);
+    return { modifiedCount: 1 };
+  });
+  mock.method(realtime, 'publish', () => {});
+};
+
+test('wrong step-up codes revoke the session at the limit', async () => {
+  const session = {};
+  stubSession(session);
+
+  for (let attempt = 1; attempt < sessionService.MAX_STEP_UP_FAILURES; attempt++) {
+    const result = await sessionService.recordStepUpFailure('session-1', 'user-1');
+    assert.deepEqual(result, { failures: attempt, revoked: false });
+  }
+
+  const last = await sessionService.recordStepUpFailure('session-1', 'user-1');
+  assert.deepEqual(last, { failures: sessionService.MAX_STEP_UP_FAILURES, revoked: true });
+  assert.equal(session.revokedReason, 'step_up_failed');
+
+  const afterRevoke = await sessionService.recordStepUpFailure('session-1', 'user-1');
+  assert.deepEqual(afterRevoke, { failures: 0, revoked: false });
+});
+
+test('a successful step-up resets the failure count', async () => {
+  const session = {};
+  stubSession(session);
+
+  await sessionService.recordStepUpFailure('session-1', 'user-1');
+  await sessionService.recordStepUpFailure('session-1', 'user-1');
+  const stepUpAt = await sessionService.recordStepUp('session-1');
+
+  assert.equal(session.stepUpAt, stepUpAt);
+  assert.equal(session.stepUpFailures, undefined);
+  const next = await sessionService.recordStepUpFailure('session-1', 'user-1');
+  assert.equal(next.failures, 1);
+});
@@ -0,0 +1,109 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ViewingAvailability = require('../models/ViewingAvailability');
+const ViewingAppointment = require('../models/ViewingAppointment');
+const ViewingSlotBlock = require('../models/ViewingSlotBlock');
+const viewingService = require('../services/viewingAvailabilityService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+// ViewingSlotBlock with its unique { property, block } index
+const mockBlockIndex = () => {
+  const blocks = new Map();
+  mock.method(ViewingSlotBlock, 'insertMany', async (docs) => {
+    for (const doc of docs) {
+      const key = `${doc.property}:${doc.block.getTime()}`;
+      if (blocks.has(key)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      blocks.set(key, doc.appointment);
+    }
+    return docs;
+  });
+  mock.method(ViewingSlotBlock, 'deleteMany', async ({ appointment }) => {
+    for (const [key, owner] of blocks) {
+      if (String(owner) === String(appointment)) blocks.delete(key);
+    }
+    return { deletedCount: 0 };
+  });
+  mock.method(ViewingSlotBlock, 'exists', async ({ appointment }) => (
+    [...blocks.values()].some(owner => String(owner) === String(appointment)) ? { _id: appointment } : null
+  ));
+  return blocks;
+};
+
+const tomorrowAt = (hour, minute = 0) => {
+  const day = new Date(Date.now() + DAY_MS);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute));
+};
+
+test('two overlapping viewing requests: only one holds the time', async () => {
+  const property = {
+    _id: new mongoose.Types.ObjectId(),
+    landlord: new mongoose.Types.ObjectId(),
+    viewingsEnabled: true,
+    isAvailable: true
+  };
+  const blocks = mockBlockIndex();
+  mock.method(ViewingAvailability, 'findOne', async () => null);
+  mock.method(ViewingAppointment, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+  const deleted = [];
+  mock.method(ViewingAppointment, 'deleteOne', async ({ _id }) => {
+    deleted.push(String(_id));
+    return { deletedCount: 1 };
+  });
+
+  const results = await Promise.allSettled([
+    viewingService.bookViewing({ property, clientId: new mongoose.Types.ObjectId(), startsAt: tomorrowAt(10).toISOString(), duration: 60 }),
+    viewingService.bookViewing({ property, clientId: new mongoose.Types.ObjectId(), startsAt: tomorrowAt(10, 30).toISOString(), duration: 60 })
+  ]);
+
+  const [won, lost] = results;
+  assert.equal(won.status, 'fulfilled');
+  assert.equal(lost.status, 'rejected');
+  assert.equal(lost.reason.code, viewingService.VIEWING_ERRORS.SLOT_TAKEN);
+  assert.equal(lost.reason.status, 409);
+  // The loser's appointment is removed and none of its blocks stay held
+  assert.equal(deleted.length, 1);
+  assert.notEqual(deleted[0], String(won.value._id));
+  assert.deepEqual([...new Set(blocks.values())].map(String), [String(won.value._id)]);
+  assert.equal(blocks.size, 12);
+});
+
+test('migrating legacy viewings sets their times and reports overlaps instead of holding them', async () => {
+  const propertyId = new mongoose.Types.ObjectId();
+  const blocks = mockBlockIndex();
+  const updates = [];
+  mock.method(ViewingAppointment, 'updateOne', async (filter, update) => {
+    updates.push(update.$set);
+    return { modifiedCount: 1 };
+  });
+
+  const day = tomorrowAt(0);
+  const legacy = (scheduledTime) => ({
+    _id: new mongoose.Types.ObjectId(),
+    property: propertyId,
+    scheduledDate: day,
+    scheduledTime,
+    duration: 60
+  });
+  const first = legacy('14:00');
+  const overlapping = legacy('14:40');
+
+  assert.deepEqual(await viewingService.migrateLegacyAppointment(first), { timesSet: true, held: true });
+  // 14:00 in Lagos (UTC+1) is 13:00 UTC
+  assert.equal(updates[0].startsAt.getTime(), tomorrowAt(13).getTime());
+  assert.equal(updates[0].endsAt.getTime(), tomorrowAt(14).getTime());
+  assert.equal(blocks.size, 12);
+
+  assert.deepEqual(await viewingService.migrateLegacyAppointment(overlapping), { timesSet: true, held: false });
+  assert.deepEqual([...new Set(blocks.values())], [first._id]);
+
+  // Running again leaves the first viewing's blocks as they are
+  const migrated = { ...first, startsAt: updates[0].startsAt, endsAt: updates[0].endsAt };
+  assert.deepEqual(await viewingService.migrateLegacyAppointment(migrated), { timesSet: false, held: true });
+  assert.equal(blocks.size, 12);
+});
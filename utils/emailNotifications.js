@@ -1,8 +1,6 @@
-const { Resend } = require('resend');
 const User = require('../models/User');
+const emailService = require('../services/emailService');
 
-const resendApiKey = process.env.RESEND_API_KEY;
-const fromAddress = process.env.EMAIL_FROM || 'no-reply@landlordnoagent.app';
 const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
 
 /**
@@ -70,41 +68,16 @@ const wrapEmailTemplate = (content, title) => {
   `;
 };
 
-// Initialize Resend if API key is available
-const resend = resendApiKey ? new Resend(resendApiKey) : null;
-
 /**
- * Send email notification
+ * Send email notification (queued through services/emailService.js)
  * @param {string} to - Recipient email
  * @param {string} subject - Email subject
  * @param {string} htmlContent - HTML content
  * @param {string} textContent - Plain text content
+ * @param {Object} [options] - category, userId, sensitive (see emailService.queueEmail)
  */
-const sendEmail = async (to, subject, htmlContent, textContent) => {
-  if (!resend) {
-    console.warn('RESEND_API_KEY not set, skipping email:', { to, subject });
-    return { success: false, error: 'Email service not configured' };
-  }
-
-  try {
-    const { data, error } = await resend.emails.send({
-      from: fromAddress,
-      to,
-      subject,
-      html: htmlContent,
-      text: textContent || htmlContent.replace(/<[^>]*>/g, ''), // Strip HTML for text version
-    });
-
-    if (error) {
-      console.error('Email send error:', error);
-      return { success: false, error: error.message };
-    }
-
-    return { success: true, messageId: data?.id };
-  } catch (error) {
-    console.error('Email send exception:', error);
-    return { success: false, error: error.message };
-  }
+const sendEmail = (to, subject, htmlContent, textContent, options = {}) => {
+  return emailService.sendEmail(to, subject, htmlContent, textContent, options);
 };
 
 /**
@@ -187,6 +160,42 @@ const getEmailTemplate = (type, data) => {
       };
     },
 
+    savedSearchDigest: (data) => {
+      const searches = data.searches || [];
+      const total = searches.reduce((sum, s) => sum + s.properties.length, 0);
+      const sections = searches.map(search => `
+        <h3 style="color: #1f2937; margin: 25px 0 10px 0; font-size: 18px;">${search.name}</h3>
+        ${search.properties.map(p => `
+          <div style="background-color: #ffffff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 15px; margin: 10px 0;">
+            <p style="color: #1f2937; margin: 0 0 5px 0; font-weight: 600;">${p.title}</p>
+            <p style="color: #6b7280; margin: 5px 0;">${p.location || 'N/A'} &middot; ${p.currency || 'NGN'} ${p.price ? parseFloat(p.price).toLocaleString() : 'N/A'}</p>
+            <a href="${p.url}" style="color: #249479; font-weight: 600; text-decoration: none;">View Property &rarr;</a>
+          </div>
+        `).join('')}
+      `).join('');
+      const content = `
+        <h2 style="color: #1f2937; margin: 0 0 20px 0; font-size: 24px;">New Matches for Your Saved Searches</h2>
+        <p style="color: #6b7280; line-height: 1.6; margin-bottom: 15px;">
+          Hi ${data.clientName || 'there'},
+        </p>
+        <p style="color: #6b7280; line-height: 1.6; margin-bottom: 20px;">
+          ${total} new ${total === 1 ? 'listing matches' : 'listings match'} your saved searches since your last digest:
+        </p>
+        ${sections}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${frontendUrl}/dashboard/client" style="display: inline-block; background-color: #249479; color: #ffffff; text-decoration: none; padding: 16px 32px; border-radius: 8px; font-weight: bold; font-size: 16px;">Manage Saved Searches</a>
+        </div>
+      `;
+      const textSections = searches.map(search =>
+        `${search.name}\n${search.properties.map(p => `- ${p.title} (${p.location || 'N/A'}) ${p.currency || 'NGN'} ${p.price ? parseFloat(p.price).toLocaleString() : 'N/A'}: ${p.url}`).join('\n')}`
+      ).join('\n\n');
+      return {
+        subject: `${total} New ${total === 1 ? 'Listing Matches' : 'Listings Match'} Your Saved Searches`,
+        html: wrapEmailTemplate(content, 'Saved Search Digest'),
+        text: `Hi ${data.clientName || 'there'},\n\n${total} new ${total === 1 ? 'listing matches' : 'listings match'} your saved searches:\n\n${textSections}\n\nManage your saved searches: ${frontendUrl}/dashboard/client`
+      };
+    },
+
     applicationReceived: (data) => {
       const content = `
         <h2 style="color: #1f2937; margin: 0 0 20px 0; font-size: 24px;">New Application Received</h2>
@@ -285,6 +294,11 @@ const getEmailTemplate = (type, data) => {
           subject: `Viewing Appointment Cancelled - ${data.propertyTitle}`,
           message: `The viewing appointment for ${data.propertyTitle} has been cancelled.`,
           color: '#ef4444'
+        },
+        rejected: {
+          subject: `Viewing Appointment Declined - ${data.propertyTitle}`,
+          message: `The landlord could not accept your viewing request for ${data.propertyTitle}. Please choose another time.`,
+          color: '#ef4444'
         }
       };
 
@@ -310,7 +324,55 @@ const getEmailTemplate = (type, data) => {
       return {
         subject: typeData.subject,
         html: wrapEmailTemplate(content, typeData.subject),
-        text: `Hi ${data.userName || 'User'},\n\n${typeData.message}\n\n${data.scheduledDate ? `Date: ${new Date(data.scheduledDate).toLocaleDateString()}\n` : ''}${data.scheduledTime ? `Time: ${data.scheduledTime}\n` : ''}\nView it here: ${frontendUrl}/dashboard/appointments/${data.appointmentId}`
+        text: `Hi ${data.userName || 'User'},\n\n${typeData.message}\n\n${data.scheduledDate ? `Date: ${new Date(data.scheduledDate).toLocaleDateString()}\n` : ''}${data.scheduledTime ? `Time: ${data.scheduledTime}\n` : ''}\nView it here: ${frontendUrl}/dashboard/appointments/${data.appointmentId}`,
+        attachments: data.calendarInvite ? [data.calendarInvite] : undefined
+      };
+    },
+
+    viewingReminder: (data) => {
+      const typeMessages = {
+        reminder: {
+          subject: `Viewing Reminder - ${data.propertyTitle}`,
+          button: 'View Appointment',
+          url: `${frontendUrl}/dashboard/appointments/${data.appointmentId}`,
+          color: '#249479'
+        },
+        outcome: {
+          subject: `How did the viewing go? - ${data.propertyTitle}`,
+          button: 'Mark Completed or No-Show',
+          url: `${frontendUrl}/dashboard/appointments/${data.appointmentId}`,
+          color: '#f59e0b'
+        },
+        follow_up: {
+          subject: `Ready to apply for ${data.propertyTitle}?`,
+          button: 'Apply Now',
+          url: `${frontendUrl}/property/${data.propertyId}`,
+          color: '#249479'
+        }
+      };
+
+      const typeData = typeMessages[data.type] || typeMessages.reminder;
+      const content = `
+        <h2 style="color: #1f2937; margin: 0 0 20px 0; font-size: 24px;">${typeData.subject}</h2>
+        <p style="color: #6b7280; line-height: 1.6; margin-bottom: 15px;">
+          Hi ${data.userName || 'there'},
+        </p>
+        <p style="color: #6b7280; line-height: 1.6; margin-bottom: 20px;">
+          ${data.message}
+        </p>
+        ${data.startsAt && data.type !== 'follow_up' ? `
+          <div style="background-color: #f9fafb; border-left: 4px solid ${typeData.color}; padding: 15px; margin: 20px 0; border-radius: 6px;">
+            <p style="color: #1f2937; margin: 5px 0;"><strong>When:</strong> ${data.startsAt}</p>
+          </div>
+        ` : ''}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${typeData.url}" style="display: inline-block; background-color: ${typeData.color}; color: #ffffff; text-decoration: none; padding: 16px 32px; border-radius: 8px; font-weight: bold; font-size: 16px;">${typeData.button}</a>
+        </div>
+      `;
+      return {
+        subject: typeData.subject,
+        html: wrapEmailTemplate(content, typeData.subject),
+        text: `Hi ${data.userName || 'there'},\n\n${data.message}\n\n${typeData.button}: ${typeData.url}`
       };
     },
 
@@ -325,6 +387,11 @@ const getEmailTemplate = (type, data) => {
           subject: `Maintenance Completed - ${data.propertyTitle}`,
           message: `The maintenance request for ${data.propertyTitle} has been completed.`,
           color: '#249479'
+        },
+        sla_breach: {
+          subject: `Maintenance Overdue - ${data.propertyTitle}`,
+          message: data.message,
+          color: '#f59e0b'
         }
       };
 
@@ -386,6 +453,34 @@ const getEmailTemplate = (type, data) => {
 
     kycStatus: (data) => {
       const isApproved = data.isApproved;
+      if (data.rejected) {
+        const reason = data.rejectedReason || 'Please review your documents and resubmit.';
+        const content = `
+          <h2 style="color: #dc2626; margin: 0 0 20px 0; font-size: 24px;">KYC Verification Rejected</h2>
+          <p style="color: #6b7280; line-height: 1.6; margin-bottom: 15px;">
+            Hi ${data.userName || 'User'},
+          </p>
+          <p style="color: #6b7280; line-height: 1.6; margin-bottom: 20px;">
+            Your KYC verification has been reviewed and unfortunately, it has been rejected.
+          </p>
+          <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 20px; margin: 20px 0; border-radius: 6px;">
+            <p style="color: #991b1b; margin: 0 0 10px 0; font-weight: 600;">Reason for Rejection:</p>
+            <p style="color: #7f1d1d; margin: 0; line-height: 1.6;">${reason}</p>
+          </div>
+          <p style="color: #6b7280; line-height: 1.6; margin-bottom: 20px;">
+            Please review the reason above and resubmit your KYC documents with the necessary corrections.
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${frontendUrl}/dashboard/profile" style="display: inline-block; background-color: #ef4444; color: #ffffff; text-decoration: none; padding: 16px 32px; border-radius: 8px; font-weight: bold; font-size: 16px;">Resubmit KYC Documents</a>
+          </div>
+        `;
+        return {
+          subject: 'KYC Verification Rejected - Action Required',
+          html: wrapEmailTemplate(content, 'KYC Verification Rejected'),
+          text: `Hi ${data.userName || 'User'},\n\nYour KYC verification has been reviewed and unfortunately, it has been rejected.\n\nReason for Rejection:\n${reason}\n\nPlease resubmit your KYC documents with the necessary corrections: ${frontendUrl}/dashboard/profile`
+        };
+      }
+
       const content = `
         <h2 style="color: #1f2937; margin: 0 0 20px 0; font-size: 24px;">${isApproved ? 'KYC Verification Approved!' : 'KYC Verification Update Required'}</h2>
         <p style="color: #6b7280; line-height: 1.6; margin-bottom: 15px;">
@@ -570,6 +665,38 @@ const getEmailTemplate = (type, data) => {
         html: wrapEmailTemplate(content, 'New Payment Received'),
         text: `Hi ${data.adminName || 'Admin'},\n\nA new payment has been processed on the platform.\n\nProperty: ${data.propertyTitle || 'N/A'}\nClient: ${data.clientName || 'N/A'}\nLandlord: ${data.landlordName || 'N/A'}\nAmount: ${data.currency || 'NGN'} ${data.amount ? parseFloat(data.amount).toLocaleString() : '0'}\nPayment Type: ${data.paymentType === 'rent' ? 'Rent Payment' : 'Application Fee'}\n${data.isEscrow ? 'Escrow Status: Payment held in escrow\n' : ''}${data.escrowExpiresAt ? `Escrow Expires: ${new Date(data.escrowExpiresAt).toLocaleDateString()}\n` : ''}Payment ID: ${data.paymentId?.substring(0, 8) || 'N/A'}\nApplication ID: ${data.applicationId?.substring(0, 8) || 'N/A'}\n\nView transaction: ${frontendUrl}/dashboard/admin/transactions`
       };
+    },
+
+    newLoginAlert: (data) => {
+      const when = new Date(data.loginAt || Date.now()).toUTCString();
+      const content = `
+        <h2 style="color: #1f2937; margin: 0 0 20px 0; font-size: 24px;">New sign-in to your account</h2>
+        <p style="color: #6b7280; line-height: 1.6; margin-bottom: 15px;">
+          Hi ${data.name || 'there'},
+        </p>
+        <p style="color: #6b7280; line-height: 1.6; margin-bottom: 20px;">
+          ${data.unusual
+            ? 'We noticed a sign-in to your account from a location that doesn\'t match your recent activity.'
+            : 'Your account was just signed in to from a new device or network.'}
+        </p>
+        <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 20px; margin: 20px 0; border-radius: 6px;">
+          <p style="color: #92400e; margin: 5px 0;"><strong>Device:</strong> ${data.device || 'Unknown device'}</p>
+          <p style="color: #92400e; margin: 5px 0;"><strong>IP address:</strong> ${data.ipAddress || 'Unknown'}</p>
+          ${data.location ? `<p style="color: #92400e; margin: 5px 0;"><strong>Location:</strong> ${data.location}</p>` : ''}
+          <p style="color: #92400e; margin: 5px 0;"><strong>Time:</strong> ${when}</p>
+        </div>
+        <p style="color: #6b7280; line-height: 1.6; margin-bottom: 15px;">
+          If this was you, you can ignore this email. If not, reset your password now and sign out of all sessions from your account settings.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${frontendUrl}/forgot-password" style="display: inline-block; background-color: #dc2626; color: #ffffff; text-decoration: none; padding: 16px 32px; border-radius: 8px; font-weight: bold; font-size: 16px;">Reset Password</a>
+        </div>
+      `;
+      return {
+        subject: 'New sign-in to your LandLordNoAgent account',
+        html: wrapEmailTemplate(content, 'New sign-in'),
+        text: `Hi ${data.name || 'there'},\n\n${data.unusual ? 'We noticed a sign-in to your account from a location that doesn\'t match your recent activity.' : 'Your account was just signed in to from a new device or network.'}\n\nDevice: ${data.device || 'Unknown device'}\nIP address: ${data.ipAddress || 'Unknown'}\n${data.location ? `Location: ${data.location}\n` : ''}Time: ${when}\n\nIf this was you, you can ignore this email. If not, reset your password now and sign out of all sessions from your account settings: ${frontendUrl}/forgot-password`
+      };
     }
   };
 
@@ -596,10 +723,12 @@ const checkNotificationPreference = async (userId, notificationType) => {
     const preferenceKeyMap = {
       'welcome': 'welcome',
       'newPropertyListed': 'newPropertyListed',
+      'savedSearchDigest': 'newPropertyListed',
       'applicationReceived': 'applicationReceived',
       'applicationStatusChange': 'applicationStatusChange',
       'newMessage': 'newMessage',
       'viewingAppointment': 'viewingAppointment',
+      'viewingReminder': 'viewingAppointment',
       'maintenanceRequest': 'maintenanceRequest',
       'propertyVerified': 'propertyVerified',
       'kycStatus': 'kycStatus',
@@ -651,7 +780,11 @@ const sendEmailNotification = async (notificationType, data) => {
     return { success: false, error: 'Template not found' };
   }
 
-  return sendEmail(userEmail, template.subject, template.html, template.text);
+  return sendEmail(userEmail, template.subject, template.html, template.text, {
+    category: notificationType,
+    userId: data.userId,
+    attachments: template.attachments
+  });
 };
 
 module.exports = {
@@ -0,0 +1,115 @@
+// Geospatial helpers shared by the Property model and property search routes.
+// GeoJSON stores positions as [lng, lat]; the API speaks lat,lng like most map SDKs.
+
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 500;
+const DEFAULT_RADIUS_KM = 10;
+
+const isValidLat = (lat) => Number.isFinite(lat) && lat >= -90 && lat <= 90;
+const isValidLng = (lng) => Number.isFinite(lng) && lng >= -180 && lng <= 180;
+
+/**
+ * Convert {lat, lng} into a GeoJSON Point
+ * @param {Object} coords - Object with lat/lng (numbers or numeric strings)
+ * @returns {Object|null} GeoJSON Point, or null when coordinates are missing/invalid
+ */
+const toGeoPoint = (coords) => {
+  if (!coords) return null;
+  const lat = Number(coords.lat);
+  const lng = Number(coords.lng);
+  if (coords.lat == null || coords.lng == null || !isValidLat(lat) || !isValidLng(lng)) {
+    return null;
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+/**
+ * Parse a "lat,lng" query parameter
+ * @param {String} value - e.g. "6.5244,3.3792"
+ * @returns {Object|null} { lat, lng } or null when invalid
+ */
+const parseLatLng = (value) => {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map(p => p.trim());
+  if (parts.length !== 2 || parts.some(p => p === '')) return null;
+  const [lat, lng] = parts.map(Number);
+  if (!isValidLat(lat) || !isValidLng(lng)) return null;
+  return { lat, lng };
+};
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box (GeoJSON bbox order)
+ * @param {String} value - e.g. "3.2,6.4,3.6,6.7"
+ * @returns {Object|null} { minLng, minLat, maxLng, maxLat } or null when invalid
+ */
+const parseBoundingBox = (value) => {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map(p => p.trim());
+  if (parts.length !== 4 || parts.some(p => p === '')) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+  if (!isValidLng(minLng) || !isValidLng(maxLng) || !isValidLat(minLat) || !isValidLat(maxLat)) {
+    return null;
+  }
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * Build a GeoJSON Polygon covering a bounding box (for $geoWithin on a 2dsphere index)
+ * @param {Object} bbox - Result of parseBoundingBox
+ * @returns {Object} GeoJSON Polygon
+ */
+const boundingBoxToPolygon = ({ minLng, minLat, maxLng, maxLat }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat]
+  ]]
+});
+
+/**
+ * Parse radiusKm, falling back to the default and capping at MAX_RADIUS_KM
+ * @param {String|Number} value - Requested radius in kilometres
+ * @returns {Number|null} Radius in km, or null when the value is not a positive number
+ */
+const parseRadiusKm = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_RADIUS_KM;
+  const radius = Number(value);
+  if (!Number.isFinite(radius) || radius <= 0) return null;
+  return Math.min(radius, MAX_RADIUS_KM);
+};
+
+// $centerSphere takes its radius in radians
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+/**
+ * Great-circle distance between two GeoJSON positions
+ * @param {Number[]} from - [lng, lat]
+ * @param {Number[]} to - [lng, lat]
+ * @returns {Number} Distance in km, rounded to 2 decimals
+ */
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return Math.round(km * 100) / 100;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  MAX_RADIUS_KM,
+  DEFAULT_RADIUS_KM,
+  toGeoPoint,
+  parseLatLng,
+  parseBoundingBox,
+  boundingBoxToPolygon,
+  parseRadiusKm,
+  kmToRadians,
+  haversineKm
+};
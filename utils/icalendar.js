@@ -0,0 +1,125 @@
+// iCalendar (RFC 5545) writer for the calendar feed and the invites attached to emails.
+// Only what we publish is supported: VEVENTs with UTC or all-day times, no recurrence rules.
+
+const PRODUCT_ID = '-//LandlordNoAgent//Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value == null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values (CN=...) can't be escaped, only quoted
+const quoteParam = (value) => `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+
+/**
+ * Fold a content line to 75 octets, never splitting a UTF-8 character
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, which counts towards their length
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * UTC date-time value, e.g. 20261020T090000Z
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * DATE value (all-day), e.g. 20261020, from the UTC calendar day
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatPerson = (name, person) => `${name};CN=${quoteParam(person.name || person.email)}:mailto:${person.email}`;
+
+const eventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${event.sequence || 0}`
+  ];
+
+  if (event.allDay) {
+    const start = new Date(event.start);
+    const end = event.end ? new Date(event.end) : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  if (event.organizer?.email) lines.push(formatPerson('ORGANIZER', event.organizer));
+  for (const attendee of event.attendees || []) {
+    if (!attendee.email) continue;
+    lines.push(formatPerson('ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE', attendee));
+  }
+  lines.push(event.allDay ? 'TRANSP:TRANSPARENT' : 'TRANSP:OPAQUE', 'END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serialize a calendar
+ * @param {Object} params
+ * @param {Object[]} params.events - { uid, sequence, start, end, allDay, summary, description,
+ *   location, url, status ('TENTATIVE'|'CONFIRMED'|'CANCELLED'), lastModified,
+ *   organizer: { name, email }, attendees: [{ name, email }] }
+ * @param {string} [params.name] - Calendar display name (feeds)
+ * @param {string} [params.method] - 'PUBLISH' (feeds), 'REQUEST' or 'CANCEL' (invites)
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+const buildCalendar = ({ events, name, method = 'PUBLISH' }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  for (const event of events) {
+    lines.push(...eventLines(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  buildCalendar
+};
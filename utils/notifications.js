@@ -193,6 +193,10 @@ const notifyViewingAppointment = async (appointment, type, userId) => {
     'cancelled': {
       title: 'Viewing Appointment Cancelled',
       message: `The viewing appointment for ${appointment.property?.title || 'the property'} has been cancelled.`
+    },
+    'rejected': {
+      title: 'Viewing Request Declined',
+      message: `Your viewing request for ${appointment.property?.title || 'the property'} was declined. Please choose another time.`
     }
   };
 
@@ -209,15 +213,24 @@ const notifyViewingAppointment = async (appointment, type, userId) => {
   } catch (err) {
     // Use default if can't fetch
   }
+
+  // Calendar invite (or cancellation) for the same event UID every time
+  let calendarInvite;
+  try {
+    const { buildViewingInvite } = require('../services/calendarService');
+    calendarInvite = buildViewingInvite(appointment);
+  } catch (err) {
+    console.error('Error building calendar invite:', err);
+  }
   
   return createNotification({
     userId,
     type: type === 'scheduled' ? 'viewing_scheduled' : 
-          type === 'cancelled' ? 'viewing_cancelled' : 
+          ['cancelled', 'rejected'].includes(type) ? 'viewing_cancelled' : 
           'viewing_scheduled',
     title: message.title,
     message: message.message,
-    priority: type === 'cancelled' ? 'low' : 'medium',
+    priority: ['cancelled', 'rejected'].includes(type) ? 'low' : 'medium',
     relatedEntity: {
       type: 'property',
       id: appointment.property?._id || appointment.property
@@ -231,7 +244,8 @@ const notifyViewingAppointment = async (appointment, type, userId) => {
       propertyTitle: appointment.property?.title || 'the property',
       appointmentId: appointment._id.toString(),
       scheduledDate: appointment.scheduledDate,
-      scheduledTime: appointment.scheduledTime
+      scheduledTime: appointment.scheduledTime,
+      calendarInvite
     }
   });
 };
@@ -330,7 +344,8 @@ const notifyPropertyVerification = async (property, isVerified, landlordId) => {
 /**
  * Notify about KYC status
  */
-const notifyKYCStatus = async (user, isApproved) => {
+const notifyKYCStatus = async (user, isApproved, { rejectedReason } = {}) => {
+  const rejected = !isApproved && rejectedReason !== undefined;
   const userName = user.firstName 
     ? `${user.firstName} ${user.lastName || ''}`.trim()
     : 'User';
@@ -352,6 +367,8 @@ const notifyKYCStatus = async (user, isApproved) => {
     emailTemplate: 'kycStatus',
     emailData: {
       isApproved,
+      rejected,
+      rejectedReason,
       userName
     }
   });
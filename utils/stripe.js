@@ -53,19 +53,28 @@ const confirmPaymentIntent = async (paymentIntentId) => {
   }
 };
 
-// Create refund
-const createRefund = async (chargeId, amount = null, reason = 'requested_by_customer') => {
+// Create refund (accepts a charge ID or a payment intent ID)
+const createRefund = async (chargeId, amount = null, reason = 'requested_by_customer', options = {}) => {
   try {
     const refundData = {
-      charge: chargeId,
-      reason: reason
+      reason: reason,
+      metadata: options.metadata || {}
     };
 
+    if (chargeId.startsWith('pi_')) {
+      refundData.payment_intent = chargeId;
+    } else {
+      refundData.charge = chargeId;
+    }
+
     if (amount) {
       refundData.amount = Math.round(amount * 100); // Convert to cents
     }
 
-    const refund = await stripe.refunds.create(refundData);
+    const refund = await stripe.refunds.create(
+      refundData,
+      options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined
+    );
 
     return {
       success: true,